@@ -0,0 +1,295 @@
+// Admin Auth - who may use the admin and debug endpoints
+// Admins authenticate with an API key from ADMIN_API_KEYS, sent on each request as
+// "Authorization: Bearer <key>" or "X-API-Key: <key>". A browser dashboard can instead sign in
+// once with its key (POST /admin/login) and use the session cookie, if SESSION_SECRET is set.
+// Sessions are kept in storage (see userStorage.js), so they work on every instance.
+//
+// Every key has a role: readonly can look (users, queue, stats), operator can also act
+// (retry or discard messages, read a user's calendar).
+//
+// Scheduled jobs (e.g. Vercel Cron) can call the job endpoints with "Authorization: Bearer <CRON_SECRET>".
+const crypto = require('crypto');
+const session = require('express-session');
+
+const ROLE_LEVELS = {
+  readonly: 1,
+  operator: 2
+};
+
+const SESSION_COOKIE = 'tary.admin';
+const SESSION_TTL_MS = (parseInt(process.env.ADMIN_SESSION_HOURS, 10) || 8) * 60 * 60 * 1000;
+
+// Methods that change something; with cookie auth these must come from an allowed origin
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+// Where a browser request came from: the Origin header, or failing that the Referer's origin
+function requestOrigin(req) {
+  const origin = req.get('Origin');
+  if (origin) {
+    return origin;
+  }
+  try {
+    return new URL(req.get('Referer')).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * express-session store that keeps sessions in storage instead of process memory
+ * Sessions are saved under a hash of their ID, so stored rows can't be replayed as cookies.
+ * @param {Object} storage - { getAdminSession, putAdminSession, deleteAdminSession } (userStorage)
+ * @returns {session.Store}
+ */
+function createSessionStore(storage) {
+  const idHash = sid => hashKey(sid).toString('hex');
+
+  // Run a storage call and report its outcome the callback way express-session expects
+  function settle(promise, callback) {
+    promise.then(result => callback && callback(null, result), error => callback && callback(error));
+  }
+
+  return Object.assign(new session.Store(), {
+    get(sid, callback) {
+      settle(storage.getAdminSession(idHash(sid)).then(record => record?.data || null), callback);
+    },
+    set(sid, data, callback) {
+      const expires = data.cookie?.expires ? new Date(data.cookie.expires) : new Date(Date.now() + SESSION_TTL_MS);
+      settle(storage.putAdminSession({ idHash: idHash(sid), data, expiresAt: expires.toISOString() }).then(() => undefined), callback);
+    },
+    destroy(sid, callback) {
+      settle(storage.deleteAdminSession(idHash(sid)).then(() => undefined), callback);
+    }
+  });
+}
+
+/**
+ * Parse ADMIN_API_KEYS: comma-separated role:key pairs, e.g. "operator:abc...,readonly:def..."
+ * @param {string} spec
+ * @returns {Array} - [{ role, hash, fingerprint }] - keys are only kept hashed
+ */
+function parseApiKeys(spec) {
+  return (spec || '').split(',').map(item => item.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const role = entry.slice(0, separator);
+    const key = entry.slice(separator + 1);
+    if (separator < 1 || !ROLE_LEVELS[role]) {
+      throw new Error(`ADMIN_API_KEYS entries must look like role:key, with role ${Object.keys(ROLE_LEVELS).join(' or ')}`);
+    }
+    if (key.length < 24) {
+      throw new Error(`ADMIN_API_KEYS: ${role} key is too short (use at least 24 random characters)`);
+    }
+    const hash = hashKey(key);
+    // Identifies the key in logs without revealing it
+    return { role, hash, fingerprint: hash.toString('hex').slice(0, 8) };
+  });
+}
+
+/**
+ * Build the admin auth middleware
+ * @param {Object} options
+ * @param {string} options.apiKeys - ADMIN_API_KEYS
+ * @param {string} options.sessionSecret - SESSION_SECRET (sign-in is off without it)
+ * @param {boolean} options.production - Use secure, cross-site session cookies
+ * @param {string[]} options.allowedOrigins - Origins allowed to make changes with a session cookie
+ * @param {string} options.cronSecret - CRON_SECRET, accepted by requireCronOrRole
+ * @param {Object} options.sessionStorage - Where sessions are kept (userStorage); in memory without it
+ */
+function createAdminAuth({ apiKeys, sessionSecret, production = false, allowedOrigins = [], cronSecret, sessionStorage }) {
+  const keys = parseApiKeys(apiKeys);
+  if (!keys.length) {
+    console.error('[SECURITY] ADMIN_API_KEYS is not set - admin endpoints will refuse every request');
+  }
+  if (!sessionSecret) {
+    console.warn('[SECURITY] SESSION_SECRET is not set - admin sign-in is off, send an API key with each request');
+  }
+
+  const sessions = sessionSecret
+    ? session({
+      name: SESSION_COOKIE,
+      secret: sessionSecret,
+      store: sessionStorage ? createSessionStore(sessionStorage) : undefined,
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+        httpOnly: true,
+        // The dashboard is on another site, so production cookies must be SameSite=None (and Secure)
+        secure: production,
+        sameSite: production ? 'none' : 'lax',
+        maxAge: SESSION_TTL_MS
+      }
+    })
+    : null;
+
+  // Compares against every key so the time taken doesn't depend on which one matched
+  function findKey(presented) {
+    if (typeof presented !== 'string' || !presented) {
+      return null;
+    }
+    const hash = hashKey(presented);
+    let match = null;
+    for (const key of keys) {
+      if (crypto.timingSafeEqual(hash, key.hash)) {
+        match = key;
+      }
+    }
+    return match;
+  }
+
+  function presentedKey(req) {
+    const authorization = req.get('Authorization') || '';
+    if (authorization.startsWith('Bearer ')) {
+      return authorization.slice('Bearer '.length).trim();
+    }
+    return req.get('X-API-Key') || null;
+  }
+
+  /**
+   * Work out who is making a request
+   * @returns {Object|null} - { role, fingerprint, via: 'key' | 'session' }, or null
+   */
+  function getAdmin(req) {
+    const key = presentedKey(req);
+    if (key) {
+      const match = findKey(key);
+      return match ? { role: match.role, fingerprint: match.fingerprint, via: 'key' } : null;
+    }
+
+    const admin = req.session?.admin;
+    // A key removed from ADMIN_API_KEYS ends its sessions too
+    if (admin && keys.some(key => key.fingerprint === admin.fingerprint && key.role === admin.role)) {
+      return { ...admin, via: 'session' };
+    }
+    return null;
+  }
+
+  // Browsers send Origin (or at least Referer) with cross-site POSTs; a request with neither isn't trusted
+  function isAllowedOrigin(req) {
+    const origin = requestOrigin(req);
+    if (!origin || !allowedOrigins.includes(origin)) {
+      console.warn(`[SECURITY] Rejected admin request ${req.method} ${req.path}: not from an allowed origin (${origin || 'none'})`);
+      return false;
+    }
+    return true;
+  }
+
+  // Session middleware for the admin routes (does nothing when sign-in is off)
+  function sessionMiddleware(req, res, next) {
+    return sessions ? sessions(req, res, next) : next();
+  }
+
+  /**
+   * Express middleware that only lets through admins with at least the given role
+   * @param {string} role - 'readonly' or 'operator'
+   */
+  function requireRole(role) {
+    if (!ROLE_LEVELS[role]) {
+      throw new Error(`Unknown admin role: ${role}`);
+    }
+
+    return (req, res, next) => {
+      if (!keys.length) {
+        return res.status(503).json({ error: 'Admin access is not configured' });
+      }
+
+      const admin = getAdmin(req);
+      if (!admin) {
+        if (presentedKey(req)) {
+          console.warn(`[SECURITY] Rejected admin request ${req.method} ${req.path} from ${req.ip}: unknown API key`);
+        }
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      if (ROLE_LEVELS[admin.role] < ROLE_LEVELS[role]) {
+        console.warn(`[SECURITY] Rejected admin request ${req.method} ${req.path}: key ${admin.fingerprint} is ${admin.role}, needs ${role}`);
+        return res.status(403).json({ error: `This needs the ${role} role` });
+      }
+
+      // Browsers attach cookies to cross-site requests, so check where changes come from
+      if (admin.via === 'session' && UNSAFE_METHODS.includes(req.method) && !isAllowedOrigin(req)) {
+        return res.status(403).json({ error: 'Origin not allowed' });
+      }
+
+      req.admin = admin;
+      next();
+    };
+  }
+
+  /**
+   * Like requireRole, but also lets through scheduled jobs that send CRON_SECRET
+   * @param {string} role - Role an admin calling by hand needs
+   */
+  function requireCronOrRole(role) {
+    const requireAdmin = requireRole(role);
+    const cronHash = cronSecret ? hashKey(cronSecret) : null;
+
+    return (req, res, next) => {
+      const key = presentedKey(req);
+      if (cronHash && key && crypto.timingSafeEqual(hashKey(key), cronHash)) {
+        req.admin = { role: 'cron', fingerprint: null, via: 'cron' };
+        return next();
+      }
+      return requireAdmin(req, res, next);
+    };
+  }
+
+  /**
+   * Sign in with an API key and start a session
+   * Only the dashboard may sign in, so another site can't sign a browser in to a session it chose
+   * @param {Object} req - Express request after sessionMiddleware
+   * @param {string} apiKey - Key as entered (anything else from the request body is refused)
+   * @returns {Object} - { success, role } or { success: false, status, error }
+   */
+  async function login(req, apiKey) {
+    if (!sessions) {
+      return { success: false, status: 503, error: 'Admin sign-in is not configured' };
+    }
+    if (!isAllowedOrigin(req)) {
+      return { success: false, status: 403, error: 'Origin not allowed' };
+    }
+    if (typeof apiKey !== 'string' || !apiKey) {
+      return { success: false, status: 400, error: 'apiKey must be a non-empty string' };
+    }
+
+    const match = findKey(apiKey);
+    if (!match) {
+      console.warn(`[SECURITY] Failed admin sign-in from ${req.ip}`);
+      return { success: false, status: 401, error: 'Invalid API key' };
+    }
+
+    // New session ID on sign-in, so an ID planted before it is worthless
+    await new Promise((resolve, reject) => req.session.regenerate(error => (error ? reject(error) : resolve())));
+    req.session.admin = { role: match.role, fingerprint: match.fingerprint };
+    console.log(`[ADMIN] Signed in with key ${match.fingerprint} (${match.role})`);
+    return { success: true, role: match.role };
+  }
+
+  // End the current session, if there is one, and drop its cookie
+  async function logout(req, res) {
+    if (req.session) {
+      await new Promise((resolve, reject) => req.session.destroy(error => (error ? reject(error) : resolve())));
+    }
+    res.clearCookie(SESSION_COOKIE);
+  }
+
+  return {
+    sessionMiddleware,
+    requireRole,
+    requireCronOrRole,
+    getAdmin,
+    login,
+    logout
+  };
+}
+
+module.exports = {
+  createAdminAuth,
+  createSessionStore,
+  parseApiKeys,
+  ROLES: Object.keys(ROLE_LEVELS)
+};
@@ -0,0 +1,196 @@
+// Agenda Scheduler - opt-in daily briefings with the day's events, at a time each user picks
+// Schedules live on the user record as dailyAgenda: { time: "HH:MM" }, in the user's timezone.
+// runDueAgendas() sends every briefing that is due. Long-running servers call it on a timer;
+// serverless hosts need a cron job calling /api/agenda/run every few minutes.
+//
+// A briefing is claimed in the handled-message ledger (as "agenda:<phone>:<date>") before it is
+// sent, so overlapping runs, on one instance or several, never send the same one twice.
+const { listAgendaSubscribers, claimMessage, completeMessage } = require('./userStorage');
+const { resolveTimezone, getToday, toLocalDateTime, startOfDay, startOfNextDay } = require('./timezone');
+const { formatEventList } = require('./eventFormatter');
+
+// A briefing this late (e.g. the cron job was down) is skipped rather than sent
+const MAX_DELAY_MINUTES = parseInt(process.env.AGENDA_MAX_DELAY_MINUTES, 10) || 120;
+
+// How often a long-running server checks for due briefings (0 turns the timer off)
+const CHECK_INTERVAL_MS = (process.env.AGENDA_CHECK_INTERVAL_SECONDS !== undefined
+  ? parseInt(process.env.AGENDA_CHECK_INTERVAL_SECONDS, 10) || 0
+  : 60) * 1000;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Read a briefing time as the user typed it
+ * @param {string} text - e.g. "7:30", "07:30", "7am", "6.45pm", "19:00"
+ * @returns {string|null} - "HH:MM", or null if it isn't a time of day
+ */
+function parseAgendaTime(text) {
+  const match = /^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i.exec(String(text || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  const meridiem = (match[3] || '').toLowerCase();
+  if (minutes > 59 || (meridiem && (hours < 1 || hours > 12)) || hours > 23) {
+    return null;
+  }
+  if (meridiem === 'pm' && hours < 12) {
+    hours += 12;
+  } else if (meridiem === 'am' && hours === 12) {
+    hours = 0;
+  }
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Whether a user's briefing should go out now
+ * @param {Object} dailyAgenda - { time: "HH:MM" } from the user record
+ * @param {string} timezone - User's IANA timezone
+ * @param {Date} now
+ * @returns {boolean} - true from the chosen time until MAX_DELAY_MINUTES after it
+ */
+function isAgendaDue(dailyAgenda, timezone, now = new Date()) {
+  if (!dailyAgenda?.time) {
+    return false;
+  }
+  const minutesLate = toMinutes(toLocalDateTime(now, timezone).slice(11, 16)) - toMinutes(dailyAgenda.time);
+  return minutesLate >= 0 && minutesLate < MAX_DELAY_MINUTES;
+}
+
+/**
+ * The briefing text, listing events the same way as read_events replies
+ * @param {Array} events - Today's Google Calendar events
+ * @param {string} timezone - IANA timezone
+ * @param {string} date - Local date, "YYYY-MM-DD"
+ * @returns {string}
+ */
+function formatAgenda(events, timezone, date) {
+  const day = new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long'
+  });
+
+  if (!events.length) {
+    return `☀️ Your agenda for ${day}: nothing in your calendar today.`;
+  }
+  return `☀️ Your agenda for ${day}:\n\n${formatEventList(events, timezone)}`;
+}
+
+/**
+ * Build the scheduler
+ * @param {Object} options
+ * @param {Function} options.getCalendarEvents - async (phone, timeMin, timeMax) => events, or null if not linked
+ * @param {Function} options.sendMessage - async (phoneNumberId, to, text)
+ * @param {string} options.phoneNumberId - Business phone number to send from (WHATSAPP_PHONE_NUMBER_ID)
+ */
+function createAgendaScheduler({ getCalendarEvents, sendMessage, phoneNumberId }) {
+  let running = null;
+  let timer = null;
+
+  // Send one user's briefing; the ledger claim is left open on errors worth retrying
+  async function sendAgenda(user, timezone, today, summary) {
+    const claimId = `agenda:${user.phoneNumber}:${today}`;
+    if (!(await claimMessage(claimId, user.phoneNumber))) {
+      summary.alreadyHandled++;
+      return;
+    }
+
+    try {
+      const events = await getCalendarEvents(
+        user.phoneNumber,
+        startOfDay(today, timezone).toISOString(),
+        startOfNextDay(today, timezone).toISOString()
+      );
+      if (events === null) {
+        // Calendar unlinked since the list was read
+        summary.skipped++;
+      } else {
+        await sendMessage(phoneNumberId, user.phoneNumber, formatAgenda(events, timezone, today));
+        console.log(`[AGENDA] Sent ${today} agenda to ${user.phoneNumber} (${events.length} events)`);
+        summary.sent++;
+      }
+      await completeMessage(claimId);
+    } catch (error) {
+      summary.failed++;
+      if (error.retryable) {
+        // The claim goes stale after the processing timeout, and a later run tries again
+        console.error(`[AGENDA] Agenda for ${user.phoneNumber} failed, will retry:`, error.message);
+      } else {
+        // E.g. revoked Google access: no point trying again today
+        console.error(`[AGENDA] Agenda for ${user.phoneNumber} failed:`, error.message);
+        await completeMessage(claimId);
+      }
+    }
+  }
+
+  async function run(now) {
+    const summary = { checked: 0, due: 0, sent: 0, alreadyHandled: 0, skipped: 0, failed: 0 };
+    for (const user of await listAgendaSubscribers()) {
+      summary.checked++;
+      const timezone = resolveTimezone(user.timezone);
+      if (!isAgendaDue(user.dailyAgenda, timezone, now)) {
+        continue;
+      }
+      summary.due++;
+      await sendAgenda(user, timezone, getToday(timezone, now), summary);
+    }
+
+    if (summary.due) {
+      console.log('[AGENDA] Run finished:', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Send every briefing that is due
+   * A call while a run is in progress gets that run's result
+   * @param {Date} now
+   * @returns {Object} - { checked, due, sent, alreadyHandled, skipped, failed }
+   */
+  async function runDueAgendas(now = new Date()) {
+    if (!phoneNumberId) {
+      throw new Error('WHATSAPP_PHONE_NUMBER_ID is not set - daily agendas cannot be sent');
+    }
+    if (!running) {
+      running = run(now).finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  // Check for due briefings every CHECK_INTERVAL_MS (long-running servers only)
+  function start() {
+    if (!CHECK_INTERVAL_MS || timer) {
+      return;
+    }
+    if (!phoneNumberId) {
+      console.warn('[AGENDA] WHATSAPP_PHONE_NUMBER_ID is not set - daily agendas are off');
+      return;
+    }
+    timer = setInterval(() => {
+      runDueAgendas().catch(error => console.error('[AGENDA] Scheduled run failed:', error));
+    }, CHECK_INTERVAL_MS);
+    timer.unref();
+  }
+
+  return {
+    runDueAgendas,
+    start
+  };
+}
+
+module.exports = {
+  createAgendaScheduler,
+  parseAgendaTime,
+  isAgendaDue,
+  formatAgenda
+};
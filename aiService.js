@@ -1,100 +1,71 @@
 // AI Service for interpreting user requests and managing calendar operations
-const OpenAI = require('openai');
-const { execSync } = require('child_process');
+const { resolveTimezone, getToday, formatTime, addDays, getDayOfWeek, DAY_NAMES } = require('./timezone');
+const { toChatMessages, describeRecentEvents } = require('./conversationMemory');
+const { complete } = require('./llmProvider');
+const { parseIntentWithRules, parseDateTime } = require('./ruleParser');
+const { formatActionReply } = require('./eventFormatter');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Longest wait for the AI to understand a message before the built-in rules take over
+const INTENT_TIMEOUT_MS = parseInt(process.env.INTENT_TIMEOUT_MS, 10) || 20000;
+// Longest wait for the AI to word a reply before a plain one is sent
+const RESPONSE_TIMEOUT_MS = parseInt(process.env.RESPONSE_TIMEOUT_MS, 10) || 10000;
 
 /**
- * Call OpenAI API using curl (fallback for environments where Node.js HTTP hangs)
+ * Build today/tomorrow context for prompts in the user's timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { dayOfWeek, currentDate, currentTime, tomorrowDay, tomorrowDate }
  */
-async function callOpenAIWithCurl(messages, temperature = 0.3, maxTokens = 500) {
-  try {
-    console.log(`[AI] Using curl for OpenAI API call (Node.js HTTP workaround)...`);
-    
-    const apiKey = process.env.OPENAI_API_KEY;
-    const url = 'https://api.openai.com/v1/chat/completions';
-    
-    const payload = JSON.stringify({
-      model: 'gpt-3.5-turbo',
-      messages: messages,
-      temperature: temperature,
-      max_tokens: maxTokens
-    });
-    
-    // Escape single quotes in payload for shell
-    const escapedPayload = payload.replace(/'/g, "'\\''");
-    
-    const curlCommand = [
-      'curl',
-      '-s',
-      '-X', 'POST',
-      '-H', `"Authorization: Bearer ${apiKey}"`,
-      '-H', '"Content-Type: application/json"',
-      '-d', `'${escapedPayload}'`,
-      '--max-time', '15',
-      `"${url}"`
-    ].join(' ');
-    
-    console.log(`[AI] Executing curl for OpenAI API...`);
-    
-    const output = execSync(curlCommand, {
-      encoding: 'utf8',
-      timeout: 20000,
-      maxBuffer: 5 * 1024 * 1024,
-      shell: '/bin/bash'
-    });
-    
-    console.log(`[AI] Curl completed, parsing response...`);
-    const responseData = JSON.parse(output);
-    
-    if (responseData.error) {
-      throw new Error(`OpenAI API error: ${responseData.error.message}`);
-    }
-    
-    console.log(`[AI] OpenAI API call successful via curl`);
-    return responseData;
-  } catch (error) {
-    console.error(`[AI] Curl OpenAI call failed:`, error.message);
-    throw error;
-  }
+function getDateContext(timeZone) {
+  const now = new Date();
+  const currentDate = getToday(timeZone, now);
+  const tomorrowDate = addDays(currentDate, 1);
+  const capitalize = (day) => day.charAt(0).toUpperCase() + day.slice(1);
+  
+  return {
+    dayOfWeek: capitalize(DAY_NAMES[getDayOfWeek(currentDate)]),
+    currentDate,
+    currentTime: formatTime(now, timeZone),
+    tomorrowDay: capitalize(DAY_NAMES[getDayOfWeek(tomorrowDate)]),
+    tomorrowDate
+  };
 }
 
 /**
  * Parse user's natural language request and determine the calendar action
+ * Falls back to the rule parser (ruleParser.js) if the AI fails or takes longer than INTENT_TIMEOUT_MS;
+ * such intents carry source: 'rules'
  * @param {string} userMessage - The user's message
+ * @param {Object} options - Optional settings
+ * @param {string} options.timezone - User's IANA timezone (defaults to DEFAULT_TIMEZONE)
+ * @param {Object} options.conversation - Active conversation (see conversationMemory.js) for follow-ups
  * @returns {Object} - Parsed action with type and parameters
  */
-async function parseCalendarIntent(userMessage) {
+async function parseCalendarIntent(userMessage, options = {}) {
   try {
     console.log(`[AI] Parsing user intent: "${userMessage}"`);
     
-    // Check if API key is set
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('[AI] OPENAI_API_KEY environment variable is not set!');
-      throw new Error('OpenAI API key not configured');
-    }
-    
-    console.log(`[AI] API key exists: ${process.env.OPENAI_API_KEY.substring(0, 10)}...`);
-    
-    // Get current date/time in Australia/Sydney timezone
-    const now = new Date();
-    const sydneyTime = new Date(now.toLocaleString('en-US', { timeZone: 'Australia/Sydney' }));
-    const dayOfWeek = sydneyTime.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'Australia/Sydney' });
-    const currentDate = sydneyTime.toISOString().split('T')[0];
-    const currentTime = sydneyTime.toTimeString().split(' ')[0];
-    
-    // Calculate tomorrow
-    const tomorrow = new Date(sydneyTime);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowDate = tomorrow.toISOString().split('T')[0];
-    const tomorrowDay = tomorrow.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'Australia/Sydney' });
+    // Get current date/time in the user's timezone
+    const timeZone = resolveTimezone(options.timezone);
+    const { dayOfWeek, currentDate, currentTime, tomorrowDay, tomorrowDate } = getDateContext(timeZone);
     
-    console.log(`[AI] Current context: ${dayOfWeek}, ${currentDate} ${currentTime} (Sydney time)`);
+    console.log(`[AI] Current context: ${dayOfWeek}, ${currentDate} ${currentTime} (${timeZone})`);
     console.log(`[AI] Tomorrow will be: ${tomorrowDay}, ${tomorrowDate}`);
     
+    // Earlier messages and the events they touched, so follow-ups can refer back to them
+    const history = toChatMessages(options.conversation);
+    const recentEvents = describeRecentEvents(options.conversation, timeZone);
+    const conversationContext = recentEvents
+      ? `
+
+RECENT EVENTS (touched earlier in this conversation, most recent first):
+${recentEvents}
+
+Follow-up messages refer to these events. "it", "that", "the meeting" or a correction like "actually make it 4pm" means the most recent one unless the user says otherwise:
+- To update or delete one of them, set "eventId" to its id (searchQuery is then optional)
+- "add it for Friday too" = create_event copying its title, location and duration on the new day
+- A correction right after creating or moving an event is an update_event on that event`
+      : '';
+    
     const systemPrompt = `You are a calendar assistant that interprets user requests and converts them into structured calendar operations.
 
 IMPORTANT - Current Date/Time Context:
@@ -102,10 +73,10 @@ IMPORTANT - Current Date/Time Context:
 - Current time: ${currentTime}
 - TOMORROW is ${tomorrowDay}, ${tomorrowDate}
 - Use 24-hour format for times in ISO strings
-- All dates/times are in Australia/Sydney timezone
+- All dates/times are local wall-clock times in ${timeZone} (no UTC offset in ISO strings)
 
 Your job is to analyze the user's message and respond with a JSON object containing:
-- action: One of ["read_events", "create_event", "update_event", "delete_event", "unknown"]
+- action: One of ["read_events", "create_event", "update_event", "delete_event", "find_free_time", "unknown"]
 - parameters: An object with relevant parameters for the action
 
 For "read_events":
@@ -119,13 +90,33 @@ For "create_event":
 - startDateTime: FULL ISO datetime string (e.g., "2024-11-23T14:00:00")
 - endDateTime: FULL ISO datetime string (infer 1 hour duration if not specified)
 - description: Additional details
+- recurrence: ONLY for repeating events ("every Monday", "daily", "each month"), otherwise omit. Object with:
+  - frequency: "daily", "weekly", "monthly" or "yearly"
+  - interval: repeat every N periods (omit for 1, e.g. "every other week" = 2)
+  - byDay: for weekly events, array of day codes like ["MO", "WE"]
+  - until: last date "YYYY-MM-DD" if the user gives an end date
+  - count: number of occurrences if the user gives one
+- reminderMinutes: ONLY if the user asks to be reminded, otherwise omit. Array of minutes before the start for WhatsApp reminders ("remind me 15 minutes before" = [15], "an hour and a day before" = [60, 1440], "no reminder" = [])
 
 For "update_event":
 - searchQuery: Keywords to find the event
-- updates: Object with fields to update (summary, location, startDateTime, endDateTime, description)
+- updates: Object with fields to update (summary, location, startDateTime, endDateTime, description, recurrence, reminderMinutes)
+- scope: for repeating events only: "this" (default, just the matched occurrence), "following" (this and all future occurrences) or "all" (the whole series)
+- eventId: id from RECENT EVENTS when the user refers to an event from earlier in the conversation
 
 For "delete_event":
 - searchQuery: Keywords to find the event to delete
+- scope: for repeating events only: "this" (default), "following" or "all" (same meaning as for update_event)
+- eventId: id from RECENT EVENTS when the user refers to an event from earlier in the conversation
+
+For "find_free_time" (user asks when they are free or for a time that works):
+- date: ISO date string if the user names a date, otherwise omit
+- specificDay: day name like "thursday" (only use if user specifies a day name)
+- dateRange: "day" or "week" (omit if a date or day is given)
+- durationMinutes: how long the free slot must be, in minutes (omit if not mentioned)
+- timeOfDay: "morning", "afternoon" or "evening" if mentioned
+- earliestTime / latestTime: "HH:MM" bounds if the user gives them ("after 3pm" = earliestTime "15:00")
+- summary: what the time is for, if mentioned (e.g. "for coffee with Sam" = "Coffee with Sam")
 
 Date/time parsing rules (relative to TODAY = ${currentDate}):
 - "today" = ${currentDate}
@@ -159,52 +150,41 @@ Response: {"action": "create_event", "parameters": {"summary": "Meeting with Joh
 User: "schedule lunch today at 1pm"
 Response: {"action": "create_event", "parameters": {"summary": "Lunch", "startDateTime": "${currentDate}T13:00:00", "endDateTime": "${currentDate}T14:00:00"}}
 
+User: "gym every Monday and Wednesday at 7am until Christmas"
+Response: {"action": "create_event", "parameters": {"summary": "Gym", "startDateTime": "${currentDate}T07:00:00", "endDateTime": "${currentDate}T08:00:00", "recurrence": {"frequency": "weekly", "byDay": ["MO", "WE"], "until": "${currentDate.slice(0, 4)}-12-25"}}}
+
 User: "move my fitness class to 3pm"
 Response: {"action": "update_event", "parameters": {"searchQuery": "fitness class", "updates": {"startDateTime": "15:00"}}}
 
+User: "move all my yoga classes to 6pm from now on"
+Response: {"action": "update_event", "parameters": {"searchQuery": "yoga", "scope": "following", "updates": {"startDateTime": "18:00"}}}
+
+User: "remind me 30 minutes before my dentist appointment"
+Response: {"action": "update_event", "parameters": {"searchQuery": "dentist", "updates": {"reminderMinutes": [30]}}}
+
+User: "cancel my standup series"
+Response: {"action": "delete_event", "parameters": {"searchQuery": "standup", "scope": "all"}}
+
 User: "cancel my meeting with john"
 Response: {"action": "delete_event", "parameters": {"searchQuery": "meeting with john"}}
 
-Respond ONLY with valid JSON, no additional text.`;
+User: "when am I free thursday afternoon for an hour?"
+Response: {"action": "find_free_time", "parameters": {"specificDay": "thursday", "timeOfDay": "afternoon", "durationMinutes": 60}}
 
-    console.log(`[AI] Making OpenAI API call...`);
-    
-    let responseData;
-    
-    try {
-      // Try using curl directly (since Node.js HTTP often hangs in your environment)
-      console.log(`[AI] Using curl method for reliability...`);
-      responseData = await callOpenAIWithCurl([
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userMessage }
-      ], 0.3, 500);
-    } catch (curlError) {
-      console.error(`[AI] Curl method failed, trying OpenAI library:`, curlError.message);
-      
-      // Fallback to OpenAI library with timeout
-      const apiCallPromise = openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userMessage }
-        ],
-        temperature: 0.3,
-        max_tokens: 500,
-        timeout: 15000
-      });
-      
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('OpenAI API timeout after 20 seconds')), 20000)
-      );
-      
-      console.log(`[AI] Waiting for OpenAI library response...`);
-      const response = await Promise.race([apiCallPromise, timeoutPromise]);
-      responseData = response;
-    }
-    
-    console.log(`[AI] OpenAI API call completed successfully`);
+User: "find me 30 minutes this week for coffee with Sam"
+Response: {"action": "find_free_time", "parameters": {"dateRange": "week", "durationMinutes": 30, "summary": "Coffee with Sam"}}
+
+Respond ONLY with valid JSON, no additional text.${conversationContext}`;
 
-    const content = responseData.choices[0].message.content.trim();
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      ...history,
+      { role: 'user', content: userMessage }
+    ];
+
+    console.log(`[AI] Parsing with ${history.length / 2} earlier turn(s)...`);
+    
+    const content = await complete(messages, { temperature: 0.3, maxTokens: 500, json: true, deadlineMs: INTENT_TIMEOUT_MS });
     console.log(`[AI] Raw response: ${content}`);
     
     // Parse JSON response
@@ -213,12 +193,14 @@ Respond ONLY with valid JSON, no additional text.`;
     
     return parsed;
   } catch (error) {
-    console.error('[AI] Error parsing intent:', error);
-    return {
-      action: 'unknown',
-      parameters: {},
-      error: error.message
-    };
+    // AI unavailable, too slow or unparseable - simple requests still work with the built-in rules
+    console.error('[AI] Error parsing intent, falling back to rules:', error);
+    const intent = parseIntentWithRules(userMessage, { timezone: options.timezone });
+    console.log(`[AI] Rule-based intent:`, JSON.stringify(intent));
+    
+    return intent.action === 'unknown'
+      ? { ...intent, error: error.message }
+      : { ...intent, source: 'rules' };
   }
 }
 
@@ -227,25 +209,31 @@ Respond ONLY with valid JSON, no additional text.`;
  * @param {string} action - The action performed
  * @param {Object} result - The result of the operation
  * @param {Object} parameters - The parameters used
+ * @param {Object} options - Optional settings
+ * @param {string} options.timezone - User's IANA timezone (defaults to DEFAULT_TIMEZONE)
+ * @param {boolean} options.skipAi - Word the reply locally (e.g. the AI just failed to parse the message)
  * @returns {string} - Human-friendly response
  */
-async function generateResponse(action, result, parameters) {
+async function generateResponse(action, result, parameters, options = {}) {
+  const timeZone = resolveTimezone(options.timezone);
+  if (options.skipAi) {
+    return formatActionReply(action, result, timeZone);
+  }
+  
   try {
     console.log(`[AI] Generating response for action: ${action}`);
     
     // Get current date/time context for response generation
-    const now = new Date();
-    const sydneyTime = new Date(now.toLocaleString('en-US', { timeZone: 'Australia/Sydney' }));
-    const dayOfWeek = sydneyTime.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'Australia/Sydney' });
-    const currentDate = sydneyTime.toISOString().split('T')[0];
+    const { dayOfWeek, currentDate } = getDateContext(timeZone);
     
     const systemPrompt = `You are a friendly calendar assistant. Generate a concise, natural response based on the calendar operation performed.
 
 Current context: TODAY is ${dayOfWeek}, ${currentDate}
+Show all times as local times in ${timeZone}.
 
 IMPORTANT WhatsApp Formatting Rules:
 - DO NOT use markdown formatting (no ** for bold, no __ for italic, no [] for links)
-- DO NOT mention timezones (never say "Australia/Sydney timezone" or any timezone)
+- DO NOT mention timezones (never say "${timeZone} timezone" or any timezone)
 - DO NOT use markdown links like [text](url) - just write plain text
 - Keep everything simple and plain text
 - Use emojis sparingly (📅 for calendar, ✅ for success, ❌ for errors)
@@ -258,6 +246,8 @@ For read_events:
 
 For create_event: 
 - Confirm what was created with key details
+- For repeating events, say how often it repeats and until when
+- If reminderMinutes is set, say when the WhatsApp reminder will come
 - Use relative dates when appropriate (Today, Tomorrow, This Friday)
 - DO NOT mention timezone
 - Format: "✅ I've scheduled [event] for [date] at [time]"
@@ -282,123 +272,18 @@ Result: ${JSON.stringify(result)}
 
 Generate a user-friendly response.`;
 
-    console.log(`[AI] Generating response with OpenAI...`);
-    
-    let responseData;
-    
-    try {
-      // Try using curl directly
-      console.log(`[AI] Using curl method for response generation...`);
-      responseData = await callOpenAIWithCurl([
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ], 0.7, 300);
-    } catch (curlError) {
-      console.error(`[AI] Curl method failed, trying OpenAI library:`, curlError.message);
-      
-      // Fallback to OpenAI library
-      const apiCallPromise = openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 300,
-        timeout: 15000
-      });
-      
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('OpenAI API timeout after 20 seconds')), 20000)
-      );
-      
-      const response = await Promise.race([apiCallPromise, timeoutPromise]);
-      responseData = response;
-    }
-    
-    console.log(`[AI] Response generation completed`);
-
-    const content = responseData.choices[0].message.content.trim();
+    const content = await complete([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], { temperature: 0.7, maxTokens: 300, deadlineMs: RESPONSE_TIMEOUT_MS });
     console.log(`[AI] Generated response: ${content}`);
     
     return content;
   } catch (error) {
     console.error('[AI] Error generating response:', error);
-    // Fallback to simple response (plain text, no markdown)
-    if (action === 'read_events' && result.events) {
-      if (result.events.length === 0) {
-        return `No events found.`;
-      }
-      return `Found ${result.events.length} event(s).`;
-    } else if (action === 'create_event' && result.success) {
-      return `✅ Event created successfully!`;
-    } else if (action === 'update_event' && result.success) {
-      return `✅ Event updated successfully!`;
-    } else if (action === 'delete_event' && result.success) {
-      return `✅ Event deleted successfully!`;
-    } else {
-      return result.error || 'Something went wrong. Please try again.';
-    }
-  }
-}
-
-/**
- * Parse relative date/time strings into ISO datetime
- * @param {string} dateTimeStr - Natural language date/time
- * @param {string} timeStr - Optional time string
- * @returns {Date} - Parsed date object
- */
-function parseDateTime(dateTimeStr, timeStr = null) {
-  const now = new Date();
-  const result = new Date(now);
-  
-  // Reset to start of day
-  result.setHours(0, 0, 0, 0);
-  
-  // Handle relative days
-  const lowerStr = dateTimeStr.toLowerCase();
-  
-  if (lowerStr.includes('today')) {
-    // Keep current date
-  } else if (lowerStr.includes('tomorrow')) {
-    result.setDate(result.getDate() + 1);
-  } else if (lowerStr.includes('monday')) {
-    result.setDate(result.getDate() + ((1 + 7 - result.getDay()) % 7 || 7));
-  } else if (lowerStr.includes('tuesday')) {
-    result.setDate(result.getDate() + ((2 + 7 - result.getDay()) % 7 || 7));
-  } else if (lowerStr.includes('wednesday')) {
-    result.setDate(result.getDate() + ((3 + 7 - result.getDay()) % 7 || 7));
-  } else if (lowerStr.includes('thursday')) {
-    result.setDate(result.getDate() + ((4 + 7 - result.getDay()) % 7 || 7));
-  } else if (lowerStr.includes('friday')) {
-    result.setDate(result.getDate() + ((5 + 7 - result.getDay()) % 7 || 7));
-  } else if (lowerStr.includes('saturday')) {
-    result.setDate(result.getDate() + ((6 + 7 - result.getDay()) % 7 || 7));
-  } else if (lowerStr.includes('sunday')) {
-    result.setDate(result.getDate() + ((7 - result.getDay()) % 7 || 7));
-  }
-  
-  // Handle "next" modifier
-  if (lowerStr.includes('next') && !lowerStr.includes('next week')) {
-    result.setDate(result.getDate() + 7);
+    // Fallback to a plain reply built from the result (no markdown)
+    return formatActionReply(action, result, timeZone);
   }
-  
-  // Parse time if provided
-  const timeToUse = timeStr || dateTimeStr;
-  const timeMatch = timeToUse.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-  
-  if (timeMatch) {
-    let hours = parseInt(timeMatch[1]);
-    const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-    const meridiem = timeMatch[3]?.toLowerCase();
-    
-    if (meridiem === 'pm' && hours < 12) hours += 12;
-    if (meridiem === 'am' && hours === 12) hours = 0;
-    
-    result.setHours(hours, minutes, 0, 0);
-  }
-  
-  return result;
 }
 
 module.exports = {
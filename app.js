@@ -1,43 +1,122 @@
 // Import Express.js
 const express = require('express');
-const axios = require('axios');
-const { google } = require('googleapis');
-const crypto = require('crypto');
-const https = require('https');
-const { URL } = require('url');
-const { execSync } = require('child_process');
 const { 
   getUserByPhone, 
   saveCalendarTokens, 
   setPendingOAuth, 
+  setPendingLinkCode,
   clearPendingOAuth,
-  getAllUsers
+  setPendingAction,
+  clearPendingAction,
+  unlinkCalendar,
+  deleteUser,
+  getAllUsers,
+  setUserTimezone,
+  setDailyAgenda,
+  setReminderMinutes,
+  setCalendarFeed,
+  getUserByFeedTokenHash,
+  claimMessage,
+  completeMessage,
+  getAdminSession,
+  putAdminSession,
+  deleteAdminSession
 } = require('./userStorage');
-const { processCalendarMessage } = require('./calendarHandler');
+const { processCalendarMessage, previewEventImport } = require('./calendarHandler');
+const { resolveTimezone, isValidTimezone } = require('./timezone');
+const { requireWebhookSignature, getRejectionStats } = require('./webhookSignature');
+const { request } = require('./httpClient');
+const { createTokenManager, mergeTokens } = require('./tokenManager');
+const { createOAuthState, verifyOAuthState, createLinkCode, checkLinkCode, CODE_PURPOSES } = require('./oauthState');
+const { enqueueMessage, processQueue, retryMessage, discardMessage, getQueueState } = require('./outboundQueue');
+const { createAdminAuth } = require('./adminAuth');
+const { createRateLimiter } = require('./rateLimiter');
+const { choiceMessage, documentMessage, getInteractiveReply } = require('./whatsappMessages');
+const { downloadMedia, uploadMedia } = require('./whatsappClient');
+const speechToText = require('./speechToText');
+const { parseICalendar, isICalendarDocument, buildICalendar } = require('./icalendar');
+const {
+  parseExportRequest,
+  getExportRange,
+  getFeedRange,
+  hashFeedToken,
+  createFeedToken,
+  isWellFormedFeedToken,
+  FEED_REFRESH_MINUTES,
+  EXPORT_RANGE_NAMES
+} = require('./calendarExport');
+const { createAgendaScheduler, parseAgendaTime } = require('./agendaScheduler');
+const {
+  createReminderScheduler,
+  normalizeReminderMinutes,
+  parseReminderOffsets,
+  describeReminders,
+  withEventReminders
+} = require('./reminderScheduler');
 
 // Create an Express app
 const app = express();
 
 // Middleware to parse JSON bodies
-app.use(express.json());
+// Keeps the raw body too, since webhook signatures are computed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+const production = process.env.NODE_ENV === 'production';
+// Debug endpoints are only registered outside production
+const debugRoutesEnabled = !production;
+
+// Origins allowed to call the API from a browser (the frontend by default)
+const allowedOrigins = (process.env.CORS_ORIGINS || process.env.FRONTEND_URL || 'https://tary-fe.vercel.app')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
 
 // CORS middleware (allow frontend to access API)
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  const origin = req.get('Origin');
+  res.vary('Origin');
+  if (origin && allowedOrigins.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Credentials', 'true');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  }
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
   next();
 });
 
+// Admin and debug endpoints need an API key (or a signed-in session) with the right role
+// Secure cookies need the real protocol from the hosting proxy
+if (production) {
+  app.set('trust proxy', 1);
+}
+const adminAuth = createAdminAuth({
+  apiKeys: process.env.ADMIN_API_KEYS,
+  sessionSecret: process.env.SESSION_SECRET,
+  production,
+  allowedOrigins,
+  cronSecret: process.env.CRON_SECRET,
+  sessionStorage: { getAdminSession, putAdminSession, deleteAdminSession }
+});
+app.use(['/admin', '/api', '/debug'], adminAuth.sessionMiddleware);
+const requireReadonly = adminAuth.requireRole('readonly');
+const requireOperator = adminAuth.requireRole('operator');
+// Job endpoints: an operator, or a scheduled job with CRON_SECRET
+const requireCron = adminAuth.requireCronOrRole('operator');
+
 // Set port and verify_token
 const port = process.env.PORT || 3000;
 const verifyToken = process.env.VERIFY_TOKEN;
 const whatsappAccessToken = process.env.WHATSAPP_ACCESS_TOKEN;
 const googleClientId = process.env.GOOGLE_CLIENT_ID;
 const googleClientSecret = process.env.GOOGLE_CLIENT_SECRET;
+const whatsappAppSecret = process.env.WHATSAPP_APP_SECRET;
 
 // Determine callback URL (use VERCEL_URL in production, localhost for dev)
 // VERCEL_URL doesn't include protocol, so we add https://
@@ -57,30 +136,68 @@ const callbackUrl = `${baseUrl}/auth/google/callback`;
 // Log callback URL for debugging (remove in production if sensitive)
 console.log('OAuth Callback URL:', callbackUrl);
 
-// Create Google OAuth2 client
+// Google OAuth clients and tokens, created per request so users never share credentials
 // Note: callbackUrl must match exactly what's in Google Cloud Console
-const oauth2Client = new google.auth.OAuth2(
-  googleClientId,
-  googleClientSecret,
-  callbackUrl
-);
-
-// Debug endpoint to check callback URL (remove in production if needed)
-app.get('/debug/callback-url', (req, res) => {
-  res.json({
-    callbackUrl,
-    baseUrl,
-    vercelUrl: process.env.VERCEL_URL,
-    customCallbackUrl: process.env.CALLBACK_URL
-  });
+const tokenManager = createTokenManager({
+  clientId: googleClientId,
+  clientSecret: googleClientSecret,
+  redirectUri: callbackUrl
 });
 
+// Debug endpoint to check callback URL
+if (debugRoutesEnabled) {
+  app.get('/debug/callback-url', requireReadonly, (req, res) => {
+    res.json({
+      callbackUrl,
+      baseUrl,
+      vercelUrl: process.env.VERCEL_URL,
+      customCallbackUrl: process.env.CALLBACK_URL
+    });
+  });
+}
+
 // Google Calendar scopes - full read/write access
 const SCOPES = [
   'https://www.googleapis.com/auth/calendar.events',
   'https://www.googleapis.com/auth/calendar.readonly'
 ];
 
+// Start a linking request for a phone number and return the Google consent URL
+// The signed state names the phone number; the callback only accepts the latest request
+async function startCalendarLink(phoneNumber) {
+  const { state, nonce } = createOAuthState(phoneNumber);
+  await setPendingOAuth(phoneNumber, nonce);
+  
+  return tokenManager.createOAuthClient().generateAuthUrl({
+    access_type: 'offline',
+    scope: SCOPES,
+    state
+  });
+}
+
+// Where users can remove the app's access themselves if revoking it for them fails
+const GOOGLE_PERMISSIONS_URL = 'https://myaccount.google.com/permissions';
+
+// How long "/delete-my-data" waits for the user to reply DELETE
+const DELETE_DATA_CONFIRM_MS = (parseInt(process.env.CONFIRMATION_TTL_MINUTES, 10) || 5) * 60 * 1000;
+
+// Disconnect a user's Google Calendar: revoke the grant at Google, then forget the tokens
+// The tokens are dropped even if Google can't be reached; revoked says whether it confirmed
+async function disconnectCalendar(user) {
+  const revoked = await tokenManager.revokeAccess(user);
+  await unlinkCalendar(user.phoneNumber);
+  return { revoked };
+}
+
+// Erase everything stored for a phone number, revoking Google access first
+async function eraseUserData(phoneNumber) {
+  const user = await getUserByPhone(phoneNumber);
+  const revoked = user?.googleCalendarTokens ? await tokenManager.revokeAccess(user) : true;
+  const result = await deleteUser(phoneNumber);
+  console.log(`[PRIVACY] Erased data for ${phoneNumber} (Google access revoked: ${revoked})`);
+  return { revoked, ...result };
+}
+
 // Route for GET requests
 app.get('/', (req, res) => {
   const { 'hub.mode': mode, 'hub.challenge': challenge, 'hub.verify_token': token } = req.query;
@@ -94,61 +211,41 @@ app.get('/', (req, res) => {
 });
 
 // Function to send WhatsApp message
-async function sendWhatsAppMessage(phoneNumberId, to, messageText) {
-  try {
-    console.log(`[DEBUG] sendWhatsAppMessage called: to=${to}, messageLength=${messageText.length}`);
-    console.log(`[DEBUG] Phone number ID: ${phoneNumberId}`);
-    console.log(`[DEBUG] Making WhatsApp API request...`);
-    
-    // Use curl since all Node.js HTTP methods hang in this environment
-    console.log(`[DEBUG] Using curl for WhatsApp API call...`);
-    
-    const url = `https://graph.facebook.com/v21.0/${phoneNumberId}/messages`;
-    const payload = JSON.stringify({
-      messaging_product: 'whatsapp',
-      to: to,
-      type: 'text',
-      text: {
-        body: messageText
-      }
-    });
-    
-    // Escape single quotes in payload for shell
-    const escapedPayload = payload.replace(/'/g, "'\\''");
-    
-    const curlCommand = [
-      'curl',
-      '-s',
-      '-X', 'POST',
-      '-H', `"Authorization: Bearer ${whatsappAccessToken}"`,
-      '-H', '"Content-Type: application/json"',
-      '-d', `'${escapedPayload}'`,
-      '--max-time', '10',
-      `"${url}"`
-    ].join(' ');
-    
-    console.log(`[DEBUG] Executing curl for WhatsApp...`);
-    
-    const output = execSync(curlCommand, {
-      encoding: 'utf8',
-      timeout: 12000,
-      maxBuffer: 1024 * 1024,
-      shell: '/bin/bash'
-    });
-    
-    console.log(`[DEBUG] Curl completed, output: ${output.substring(0, 200)}`);
-    
-    const responseData = JSON.parse(output);
-    console.log('Message sent successfully:', responseData);
-    return responseData;
-  } catch (error) {
-    console.error(`[DEBUG] Error in sendWhatsAppMessage:`, {
-      message: error.message,
-      stderr: error.stderr ? error.stderr.toString() : null,
-      stdout: error.stdout ? error.stdout.toString() : null
-    });
-    throw error;
-  }
+// Goes through the outbound queue, so a failed send is retried in the background instead of lost
+// With choices ([{ reply, title, description }]) it goes out as reply buttons or a list
+// (see whatsappMessages.js); a tap comes back as the choice's reply text
+async function sendWhatsAppMessage(phoneNumberId, to, messageText, choices = null) {
+  console.log(`[DEBUG] sendWhatsAppMessage called: to=${to}, messageLength=${messageText.length}, choices=${choices ? choices.length : 0}`);
+  
+  const result = await enqueueMessage(phoneNumberId, to, choiceMessage(messageText, choices));
+  
+  console.log(`[DEBUG] Queued message ${result.id} to ${to}`);
+  return result;
+}
+
+// Send a file as a WhatsApp document: uploaded now, then sent through the outbound queue
+// .ics files go up as text/plain, since WhatsApp doesn't accept text/calendar documents;
+// the filename is what makes phones open them in a calendar app
+async function sendWhatsAppDocument(phoneNumberId, to, { data, filename, caption }) {
+  const mediaId = await uploadMedia(phoneNumberId, { data, mimeType: 'text/plain', filename });
+  
+  const result = await enqueueMessage(phoneNumberId, to, documentMessage(mediaId, filename, caption));
+  
+  console.log(`[DEBUG] Queued document ${result.id} (${filename}, ${data.length} bytes) to ${to}`);
+  return result;
+}
+
+// Call the Google Calendar API as a user (paths are relative to /calendar/v3)
+function callCalendarApi(user, { method = 'GET', path, query, body, retries }) {
+  return tokenManager.withAccessToken(user, accessToken => request({
+    service: 'google',
+    method,
+    path: `/calendar/v3${path}`,
+    query,
+    body,
+    token: accessToken,
+    retries
+  }));
 }
 
 // Function to create a calendar event
@@ -162,52 +259,42 @@ async function createCalendarEvent(phoneNumber, eventDetails) {
   }
 
   try {
-    console.log(`[DEBUG] Setting OAuth credentials for ${phoneNumber}`);
-    oauth2Client.setCredentials(user.googleCalendarTokens);
-    
-    // Refresh token if needed
-    if (user.googleCalendarTokens.expiry_date && user.googleCalendarTokens.expiry_date <= Date.now()) {
-      console.log(`[DEBUG] Token expired, refreshing for ${phoneNumber}`);
-      const { credentials } = await oauth2Client.refreshAccessToken();
-      await saveCalendarTokens(phoneNumber, credentials);
-      oauth2Client.setCredentials(credentials);
-    }
-
-    // Build event object
+    // Build event object - local datetimes are interpreted in the user's timezone
+    // All-day events (e.g. from an imported .ics file) come with startDate/endDate instead
+    const timeZone = eventDetails.timeZone || resolveTimezone(user.timezone);
     const event = {
       summary: eventDetails.summary,
       location: eventDetails.location || undefined,
       description: eventDetails.description || undefined,
-      start: {
+      start: eventDetails.startDate ? { date: eventDetails.startDate } : {
         dateTime: eventDetails.startDateTime,
-        timeZone: 'Australia/Sydney', // Default timezone
+        timeZone,
       },
-      end: {
+      end: eventDetails.startDate ? { date: eventDetails.endDate } : {
         dateTime: eventDetails.endDateTime,
-        timeZone: 'Australia/Sydney',
+        timeZone,
       },
+      recurrence: eventDetails.recurrence || undefined,
     };
+    
+    // Reminders the user asked for on this event, in place of their default
+    const reminderMinutes = normalizeReminderMinutes(eventDetails.reminderMinutes);
+    if (reminderMinutes) {
+      event.extendedProperties = withEventReminders(undefined, reminderMinutes);
+    }
 
     console.log(`[DEBUG] Creating event:`, JSON.stringify(event, null, 2));
     
-    // Use curl for API call
-    const credentials = oauth2Client.credentials;
-    const url = 'https://www.googleapis.com/calendar/v3/calendars/primary/events';
-    const payload = JSON.stringify(event);
-    const escapedPayload = payload.replace(/'/g, "'\\''");
-    
-    const curlCommand = `curl -s -X POST -H "Authorization: Bearer ${credentials.access_token}" -H "Content-Type: application/json" -d '${escapedPayload}' --max-time 10 "${url}"`;
-    
-    const output = execSync(curlCommand, {
-      encoding: 'utf8',
-      timeout: 12000,
-      maxBuffer: 10 * 1024 * 1024,
-      shell: '/bin/bash'
+    const data = await callCalendarApi(user, {
+      method: 'POST',
+      path: '/calendars/primary/events',
+      body: event
     });
-    
-    const data = JSON.parse(output);
     console.log(`[DEBUG] Event created:`, data.id);
     
+    // Never throws, so a reminder problem can't fail an event that already exists
+    await reminderScheduler.syncEventReminders(phoneNumber, data);
+    
     return { success: true, event: data };
   } catch (error) {
     console.error(`[DEBUG] Error creating calendar event for ${phoneNumber}:`, error);
@@ -225,62 +312,46 @@ async function updateCalendarEvent(phoneNumber, eventId, updates) {
   }
 
   try {
-    oauth2Client.setCredentials(user.googleCalendarTokens);
-    
-    // Refresh token if needed
-    if (user.googleCalendarTokens.expiry_date && user.googleCalendarTokens.expiry_date <= Date.now()) {
-      const { credentials } = await oauth2Client.refreshAccessToken();
-      await saveCalendarTokens(phoneNumber, credentials);
-      oauth2Client.setCredentials(credentials);
-    }
-
     // First, get the existing event
-    const credentials = oauth2Client.credentials;
-    const getUrl = `https://www.googleapis.com/calendar/v3/calendars/primary/events/${eventId}`;
-    
-    const getCommand = `curl -s -H "Authorization: Bearer ${credentials.access_token}" --max-time 10 "${getUrl}"`;
-    const getOutput = execSync(getCommand, {
-      encoding: 'utf8',
-      timeout: 12000,
-      maxBuffer: 10 * 1024 * 1024,
-      shell: '/bin/bash'
-    });
-    
-    const existingEvent = JSON.parse(getOutput);
+    const eventPath = `/calendars/primary/events/${encodeURIComponent(eventId)}`;
+    const existingEvent = await callCalendarApi(user, { path: eventPath });
     
-    // Merge updates
+    // Merge updates - new local datetimes are in the user's timezone
+    const timeZone = updates.timeZone || resolveTimezone(user.timezone);
     if (updates.summary) existingEvent.summary = updates.summary;
     if (updates.location) existingEvent.location = updates.location;
     if (updates.description) existingEvent.description = updates.description;
+    if (updates.recurrence) existingEvent.recurrence = updates.recurrence;
     if (updates.startDateTime) {
       existingEvent.start = {
         dateTime: updates.startDateTime,
-        timeZone: existingEvent.start.timeZone || 'Australia/Sydney'
+        timeZone
       };
     }
     if (updates.endDateTime) {
       existingEvent.end = {
         dateTime: updates.endDateTime,
-        timeZone: existingEvent.end.timeZone || 'Australia/Sydney'
+        timeZone
       };
     }
+    if (updates.reminderMinutes !== undefined) {
+      existingEvent.extendedProperties = withEventReminders(
+        existingEvent.extendedProperties,
+        normalizeReminderMinutes(updates.reminderMinutes) || []
+      );
+    }
 
     // Update the event
-    const payload = JSON.stringify(existingEvent);
-    const escapedPayload = payload.replace(/'/g, "'\\''");
-    
-    const updateCommand = `curl -s -X PUT -H "Authorization: Bearer ${credentials.access_token}" -H "Content-Type: application/json" -d '${escapedPayload}' --max-time 10 "${getUrl}"`;
-    
-    const output = execSync(updateCommand, {
-      encoding: 'utf8',
-      timeout: 12000,
-      maxBuffer: 10 * 1024 * 1024,
-      shell: '/bin/bash'
+    const data = await callCalendarApi(user, {
+      method: 'PUT',
+      path: eventPath,
+      body: existingEvent
     });
-    
-    const data = JSON.parse(output);
     console.log(`[DEBUG] Event updated:`, data.id);
     
+    // A moved event's reminders move with it
+    await reminderScheduler.syncEventReminders(phoneNumber, data);
+    
     return { success: true, event: data };
   } catch (error) {
     console.error(`[DEBUG] Error updating calendar event:`, error);
@@ -288,6 +359,42 @@ async function updateCalendarEvent(phoneNumber, eventId, updates) {
   }
 }
 
+// Function to get a single calendar event (e.g. the parent of a recurring series)
+async function getCalendarEvent(phoneNumber, eventId) {
+  console.log(`[DEBUG] getCalendarEvent called for ${phoneNumber}, event: ${eventId}`);
+  const user = await getUserByPhone(phoneNumber);
+  
+  if (!user || !user.googleCalendarTokens) {
+    return null;
+  }
+
+  return await callCalendarApi(user, {
+    path: `/calendars/primary/events/${encodeURIComponent(eventId)}`
+  });
+}
+
+// Function to count the occurrences of a recurring event that start before a given time
+// (including cancelled ones, which still count towards an RRULE COUNT)
+async function countEventInstances(phoneNumber, recurringEventId, timeMax) {
+  console.log(`[DEBUG] countEventInstances called for ${phoneNumber}, event: ${recurringEventId}`);
+  const user = await getUserByPhone(phoneNumber);
+  
+  if (!user || !user.googleCalendarTokens) {
+    return 0;
+  }
+
+  const data = await callCalendarApi(user, {
+    path: `/calendars/primary/events/${encodeURIComponent(recurringEventId)}/instances`,
+    query: {
+      timeMax,
+      showDeleted: 'true',
+      maxResults: '2500'
+    }
+  });
+  
+  return (data.items || []).length;
+}
+
 // Function to delete a calendar event
 async function deleteCalendarEvent(phoneNumber, eventId) {
   console.log(`[DEBUG] deleteCalendarEvent called for ${phoneNumber}, event: ${eventId}`);
@@ -298,29 +405,22 @@ async function deleteCalendarEvent(phoneNumber, eventId) {
   }
 
   try {
-    oauth2Client.setCredentials(user.googleCalendarTokens);
-    
-    // Refresh token if needed
-    if (user.googleCalendarTokens.expiry_date && user.googleCalendarTokens.expiry_date <= Date.now()) {
-      const { credentials } = await oauth2Client.refreshAccessToken();
-      await saveCalendarTokens(phoneNumber, credentials);
-      oauth2Client.setCredentials(credentials);
+    try {
+      await callCalendarApi(user, {
+        method: 'DELETE',
+        path: `/calendars/primary/events/${encodeURIComponent(eventId)}`
+      });
+    } catch (deleteError) {
+      // 410 Gone: already deleted (e.g. by a retried request), which is what we wanted
+      if (deleteError.status !== 410) {
+        throw deleteError;
+      }
     }
-
-    const credentials = oauth2Client.credentials;
-    const url = `https://www.googleapis.com/calendar/v3/calendars/primary/events/${eventId}`;
-    
-    const deleteCommand = `curl -s -X DELETE -H "Authorization: Bearer ${credentials.access_token}" --max-time 10 "${url}"`;
-    
-    execSync(deleteCommand, {
-      encoding: 'utf8',
-      timeout: 12000,
-      maxBuffer: 10 * 1024 * 1024,
-      shell: '/bin/bash'
-    });
     
     console.log(`[DEBUG] Event deleted: ${eventId}`);
     
+    await reminderScheduler.cancelEventReminders(phoneNumber, eventId);
+    
     return { success: true };
   } catch (error) {
     console.error(`[DEBUG] Error deleting calendar event:`, error);
@@ -328,6 +428,49 @@ async function deleteCalendarEvent(phoneNumber, eventId) {
   }
 }
 
+// Function to get busy periods from the Google free/busy endpoint
+async function getFreeBusy(phoneNumber, timeMin, timeMax) {
+  console.log(`[DEBUG] getFreeBusy called for ${phoneNumber}: ${timeMin} - ${timeMax}`);
+  const user = await getUserByPhone(phoneNumber);
+  
+  if (!user || !user.googleCalendarTokens) {
+    return null;
+  }
+
+  // A free/busy query only reads, so it is safe to retry even though it's a POST
+  const data = await callCalendarApi(user, {
+    method: 'POST',
+    path: '/freeBusy',
+    body: {
+      timeMin,
+      timeMax,
+      items: [{ id: 'primary' }]
+    },
+    retries: 2
+  });
+  
+  const busy = data.calendars?.primary?.busy || [];
+  console.log(`[DEBUG] Found ${busy.length} busy periods`);
+  return busy;
+}
+
+// Function to read the timezone from the user's Google Calendar settings
+async function fetchCalendarTimezone(user) {
+  try {
+    const data = await callCalendarApi(user, { path: '/users/me/settings/timezone' });
+    if (!isValidTimezone(data?.value)) {
+      console.warn(`[DEBUG] Calendar settings returned no usable timezone:`, data?.value);
+      return null;
+    }
+    
+    console.log(`[DEBUG] Calendar timezone: ${data.value}`);
+    return data.value;
+  } catch (error) {
+    console.error(`[DEBUG] Error fetching calendar timezone:`, error.message);
+    return null;
+  }
+}
+
 // Function to search for events by query
 async function searchCalendarEvents(phoneNumber, searchQuery) {
   console.log(`[DEBUG] searchCalendarEvents called for ${phoneNumber}, query: ${searchQuery}`);
@@ -357,7 +500,8 @@ async function searchCalendarEvents(phoneNumber, searchQuery) {
 }
 
 // Function to get calendar events for a user
-async function getCalendarEvents(phoneNumber, timeMin = null, timeMax = null) {
+// With options.maxEvents, follows further pages of results up to that many events
+async function getCalendarEvents(phoneNumber, timeMin = null, timeMax = null, options = {}) {
   console.log(`[DEBUG] getCalendarEvents called for ${phoneNumber}`);
   const user = await getUserByPhone(phoneNumber);
   console.log(`[DEBUG] User data:`, {
@@ -372,22 +516,10 @@ async function getCalendarEvents(phoneNumber, timeMin = null, timeMax = null) {
   }
 
   try {
-    console.log(`[DEBUG] Setting OAuth credentials for ${phoneNumber}`);
-    oauth2Client.setCredentials(user.googleCalendarTokens);
-    
-    // Refresh token if needed
-    if (user.googleCalendarTokens.expiry_date && user.googleCalendarTokens.expiry_date <= Date.now()) {
-      console.log(`[DEBUG] Token expired, refreshing for ${phoneNumber}`);
-      const { credentials } = await oauth2Client.refreshAccessToken();
-      await saveCalendarTokens(phoneNumber, credentials);
-      oauth2Client.setCredentials(credentials);
-      console.log(`[DEBUG] Token refreshed successfully`);
-    }
-
     console.log(`[DEBUG] Fetching calendar events from Google API`);
     
-    // Check OAuth client credentials
-    const credentials = oauth2Client.credentials;
+    // Check stored credentials (the token manager refreshes them if they expire soon)
+    const credentials = user.googleCalendarTokens;
     console.log(`[DEBUG] OAuth credentials check:`, {
       hasAccessToken: !!credentials.access_token,
       tokenType: credentials.token_type,
@@ -395,106 +527,28 @@ async function getCalendarEvents(phoneNumber, timeMin = null, timeMax = null) {
       hasRefreshToken: !!credentials.refresh_token
     });
     
-    // Try direct HTTP call first (like curl) as fallback if googleapis hangs
     const finalTimeMin = timeMin || new Date().toISOString();
     console.log(`[DEBUG] timeMin parameter: ${finalTimeMin}`);
     
-    // Use direct axios call as primary method since curl works
-    console.log(`[DEBUG] Making direct HTTP request to Google Calendar API...`);
-    try {
-      const calendarUrl = `https://www.googleapis.com/calendar/v3/calendars/primary/events`;
-      const params = new URLSearchParams({
-        timeMin: finalTimeMin,
-        maxResults: timeMax ? '100' : '10',
-        singleEvents: 'true',
-        orderBy: 'startTime'
-      });
-      
-      if (timeMax) {
-        params.append('timeMax', timeMax);
-      }
-      
-      const fullUrl = `${calendarUrl}?${params.toString()}`;
-      console.log(`[DEBUG] Request URL: ${fullUrl}`);
-      console.log(`[DEBUG] Authorization header: Bearer ${credentials.access_token.substring(0, 20)}...`);
-      
-      // Since ALL Node.js HTTP methods hang but curl works, use curl directly
-      console.log(`[DEBUG] All Node.js HTTP methods hang in this environment - using curl directly...`);
-      
-      try {
-        // Use curl since it's the only thing that works
-        // Need to properly escape the command for shell execution
-        const curlCommand = `curl -s -H "Authorization: Bearer ${credentials.access_token}" -H "Content-Type: application/json" --max-time 10 "${fullUrl}"`;
-        
-        console.log(`[DEBUG] Executing curl command...`);
-        console.log(`[DEBUG] Command: curl -s -H "Authorization: Bearer ${credentials.access_token.substring(0, 20)}..." "${fullUrl.substring(0, 80)}..."`);
-        
-        const output = execSync(curlCommand, {
-          encoding: 'utf8',
-          timeout: 12000, // 12 second timeout
-          maxBuffer: 10 * 1024 * 1024, // 10MB buffer
-          shell: '/bin/bash'
-        });
-        
-        console.log(`[DEBUG] Curl completed, output length: ${output.length} bytes`);
-        console.log(`[DEBUG] Raw curl output (first 500 chars):`, output.substring(0, 500));
-        console.log(`[DEBUG] Raw curl output (last 200 chars):`, output.substring(Math.max(0, output.length - 200)));
-        
-        const data = JSON.parse(output);
-        console.log(`[DEBUG] JSON parsed successfully`);
-        console.log(`[DEBUG] JSON keys:`, Object.keys(data));
-        console.log(`[DEBUG] Items exists:`, !!data.items);
-        console.log(`[DEBUG] Items type:`, typeof data.items);
-        console.log(`[DEBUG] Items count:`, data.items ? data.items.length : 0);
-        
-        if (data.items && data.items.length > 0) {
-          console.log(`[DEBUG] First item:`, JSON.stringify(data.items[0]).substring(0, 200));
-        }
-        
-        return data.items || [];
-      } catch (curlError) {
-        console.error(`[DEBUG] Curl execution failed:`, {
-          message: curlError.message,
-          stderr: curlError.stderr ? curlError.stderr.toString() : null,
-          stdout: curlError.stdout ? curlError.stdout.toString().substring(0, 200) : null
-        });
-        throw new Error(`Curl failed: ${curlError.message}`);
-      }
-    } catch (httpError) {
-      console.error(`[DEBUG] Direct HTTP call failed, trying googleapis library:`, {
-        message: httpError.message,
-        code: httpError.code,
-        response: httpError.response?.data,
-        status: httpError.response?.status
-      });
-      
-      // Fallback to googleapis library
-      console.log(`[DEBUG] Falling back to googleapis library...`);
-      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-      
-      const listParams = {
-        calendarId: 'primary',
-        timeMin: finalTimeMin,
-        maxResults: timeMax ? 100 : 10,
-        singleEvents: true,
-        orderBy: 'startTime'
-      };
-      
-      if (timeMax) {
-        listParams.timeMax = timeMax;
-      }
-      
-      const apiCallPromise = calendar.events.list(listParams);
-      
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Calendar API call timeout after 30s')), 30000)
-      );
-      
-      const result = await Promise.race([apiCallPromise, timeoutPromise]);
-      const data = result.data || result;
-      console.log(`[DEBUG] Googleapis library call completed`);
-      return data.items || [];
+    const query = {
+      timeMin: finalTimeMin,
+      maxResults: timeMax ? '100' : '10',
+      singleEvents: 'true',
+      orderBy: 'startTime'
+    };
+    
+    if (timeMax) {
+      query.timeMax = timeMax;
     }
+    
+    if (options.maxEvents) {
+      query.maxResults = String(Math.min(options.maxEvents, 250));
+    }
+    
+    let data = await callCalendarApi(user, {
+      path: '/calendars/primary/events',
+      query
+    });
     console.log(`[DEBUG] Calendar API response:`, {
       itemsCount: data.items ? data.items.length : 0,
       hasItems: !!data.items,
@@ -503,6 +557,16 @@ async function getCalendarEvents(phoneNumber, timeMin = null, timeMax = null) {
 
     console.log(`[DEBUG] Processing events array...`);
     const events = data.items || [];
+    while (options.maxEvents && data.nextPageToken && events.length < options.maxEvents) {
+      data = await callCalendarApi(user, {
+        path: '/calendars/primary/events',
+        query: { ...query, pageToken: data.nextPageToken }
+      });
+      events.push(...(data.items || []));
+    }
+    if (options.maxEvents && events.length > options.maxEvents) {
+      events.length = options.maxEvents;
+    }
     console.log(`[DEBUG] Returning ${events.length} events`);
     return events;
   } catch (error) {
@@ -515,8 +579,530 @@ async function getCalendarEvents(phoneNumber, timeMin = null, timeMax = null) {
   }
 }
 
+/**
+ * Handle one inbound WhatsApp text message: commands first, then calendar requests
+ * @param {string} phoneNumberId - Business phone number the message was sent to
+ * @param {Object} message - Message object from the webhook payload
+ */
+// Handle the reply to a "/delete-my-data" confirmation, if one is waiting
+// Returns true if the message was that reply and needs no further handling
+async function handleDeleteDataReply(phoneNumberId, senderPhone, messageText) {
+  const user = await getUserByPhone(senderPhone);
+  const pendingAction = user?.pendingAction;
+  if (pendingAction?.type !== 'confirm_delete_data') {
+    return false;
+  }
+  
+  if (new Date(pendingAction.expiresAt).getTime() <= Date.now()) {
+    // Too late to confirm: drop the question and treat this as a normal message
+    await clearPendingAction(senderPhone);
+    return false;
+  }
+  
+  if (messageText !== 'delete') {
+    await clearPendingAction(senderPhone);
+    await sendWhatsAppMessage(phoneNumberId, senderPhone, 'Okay, nothing was deleted.');
+    return true;
+  }
+  
+  const { revoked } = await eraseUserData(senderPhone);
+  await sendWhatsAppMessage(
+    phoneNumberId,
+    senderPhone,
+    revoked
+      ? '🗑️ Your data has been deleted and my access to your Google Calendar is revoked. If you message me again, I\'ll start from scratch.'
+      : `🗑️ Your data has been deleted. I couldn't confirm with Google that my access is revoked, so please also remove it at ${GOOGLE_PERMISSIONS_URL}`
+  );
+  return true;
+}
+
+async function handleTextMessage(phoneNumberId, message) {
+  const senderPhone = message.from;
+  const originalMessage = message.text.body;
+  const messageText = originalMessage.trim().toLowerCase();
+  
+  console.log(`[DEBUG] Received message from ${senderPhone}:`, {
+    original: originalMessage,
+    normalized: messageText,
+    length: messageText.length
+  });
+  
+  // A reply to "/delete-my-data" comes before everything else
+  if (await handleDeleteDataReply(phoneNumberId, senderPhone, messageText)) {
+    return;
+  }
+  
+  // Handle special commands first
+  if (messageText === '/link-calendar' || messageText === 'link calendar') {
+    // Generate OAuth URL, bound to this chat's phone number
+    const authUrl = await startCalendarLink(senderPhone);
+    
+    await sendWhatsAppMessage(
+      phoneNumberId, 
+      senderPhone, 
+      `Click this link to connect your Google Calendar:\n\n${authUrl}\n\nAfter connecting, I'll send you a confirmation message.`
+    );
+  } else if (messageText === '/unlink-calendar' || messageText === 'unlink calendar') {
+    // Revoke Google access and forget the tokens
+    const user = await getUserByPhone(senderPhone);
+    
+    if (!user || !user.googleCalendarTokens) {
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        'Your calendar is not linked, so there is nothing to disconnect.'
+      );
+    } else {
+      const { revoked } = await disconnectCalendar(user);
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        revoked
+          ? '✅ Your Google Calendar is disconnected and I no longer have access to it.\n\nSend "/link-calendar" if you want to connect it again.'
+          : `✅ Your Google Calendar is disconnected. I couldn't confirm with Google that my access is revoked, so please also remove it at ${GOOGLE_PERMISSIONS_URL}`
+      );
+    }
+  } else if (messageText === '/delete-my-data') {
+    // Nothing is deleted until the user replies DELETE (see handleDeleteDataReply)
+    await setPendingAction(senderPhone, {
+      type: 'confirm_delete_data',
+      expiresAt: new Date(Date.now() + DELETE_DATA_CONFIRM_MS).toISOString()
+    });
+    
+    await sendWhatsAppMessage(
+      phoneNumberId,
+      senderPhone,
+      `This permanently deletes everything I have stored for this number: your Google Calendar connection (my access is revoked), your timezone, reminders, calendar feed link and our conversation history. The events in your Google Calendar are not touched.\n\nReply DELETE within ${Math.round(DELETE_DATA_CONFIRM_MS / 60000)} minutes to confirm. Anything else cancels.`,
+      [
+        { reply: 'delete', title: 'Delete my data' },
+        { reply: 'cancel', title: 'Cancel' }
+      ]
+    );
+  } else if (messageText === '/timezone' || messageText.startsWith('/timezone ')) {
+    // Show or set the user's timezone (e.g. "/timezone Europe/London")
+    const requestedTimezone = originalMessage.trim().slice('/timezone'.length).trim();
+    
+    if (!requestedTimezone) {
+      const user = await getUserByPhone(senderPhone);
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        `Your timezone is ${resolveTimezone(user?.timezone)}.\n\nTo change it, send "/timezone" followed by a timezone name, e.g. /timezone Europe/London`
+      );
+    } else if (!isValidTimezone(requestedTimezone)) {
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        `"${requestedTimezone}" is not a timezone I recognise. Use a name like Australia/Sydney, Europe/London or America/New_York.`
+      );
+    } else {
+      const timezone = resolveTimezone(requestedTimezone);
+      await setUserTimezone(senderPhone, timezone);
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        `✅ Your timezone is now ${timezone}.`
+      );
+    }
+  } else if (messageText === '/agenda' || messageText.startsWith('/agenda ')) {
+    // Daily agenda: "/agenda 7:30" turns it on, "/agenda off" turns it off, "/agenda" shows it
+    const argument = messageText.slice('/agenda'.length).trim();
+    const user = await getUserByPhone(senderPhone);
+    const timezone = resolveTimezone(user?.timezone);
+    
+    if (!argument) {
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        user?.dailyAgenda
+          ? `You get your agenda every day at ${user.dailyAgenda.time} (${timezone}).\n\nSend "/agenda off" to stop, or "/agenda" followed by another time to change it.`
+          : 'You don\'t get a daily agenda yet. Send "/agenda" followed by a time, e.g. /agenda 7:30, and I\'ll send you that day\'s events every morning.'
+      );
+    } else if (argument === 'off' || argument === 'stop') {
+      if (user?.dailyAgenda) {
+        await setDailyAgenda(senderPhone, null);
+      }
+      await sendWhatsAppMessage(phoneNumberId, senderPhone, '✅ Daily agenda turned off.');
+    } else if (!user || !user.googleCalendarTokens) {
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        'Your calendar is not linked yet. Send "/link-calendar" to connect your Google Calendar first.'
+      );
+    } else {
+      const time = parseAgendaTime(argument);
+      if (!time) {
+        await sendWhatsAppMessage(
+          phoneNumberId,
+          senderPhone,
+          `"${argument}" is not a time I recognise. Try something like /agenda 7:30 or /agenda 8am.`
+        );
+      } else {
+        await setDailyAgenda(senderPhone, { time });
+        await sendWhatsAppMessage(
+          phoneNumberId,
+          senderPhone,
+          `✅ I'll send you your agenda every day at ${time} (${timezone}).\n\nSend "/agenda off" to stop.`
+        );
+      }
+    }
+  } else if (messageText === '/reminders' || messageText.startsWith('/reminders ')) {
+    // Default reminders: "/reminders 15" (or "10, 60") sets them, "/reminders off" stops them
+    const argument = messageText.slice('/reminders'.length).trim();
+    const user = await getUserByPhone(senderPhone);
+    
+    if (!argument) {
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        user?.reminderMinutes?.length
+          ? `I send you a WhatsApp reminder ${describeReminders(user.reminderMinutes)} each event.\n\nSend "/reminders off" to stop, or "/reminders" followed by other times to change them.`
+          : 'You don\'t get reminders for every event yet. Send "/reminders" followed by how long before, e.g. /reminders 15 or /reminders 10, 1h.\n\nYou can also ask for one on a single event, e.g. "remind me 30 minutes before the dentist".'
+      );
+    } else if (argument === 'off' || argument === 'stop' || argument === 'none') {
+      if (user?.reminderMinutes?.length) {
+        await setReminderMinutes(senderPhone, []);
+        await reminderScheduler.syncUserReminders(senderPhone);
+      }
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        '✅ Reminders for every event turned off. Reminders you asked for on single events still come.'
+      );
+    } else if (!user || !user.googleCalendarTokens) {
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        'Your calendar is not linked yet. Send "/link-calendar" to connect your Google Calendar first.'
+      );
+    } else {
+      const reminderMinutes = parseReminderOffsets(argument);
+      if (!reminderMinutes || !reminderMinutes.length) {
+        await sendWhatsAppMessage(
+          phoneNumberId,
+          senderPhone,
+          `"${argument}" is not something I can use. Give minutes or hours before the event, up to a day, e.g. /reminders 15 or /reminders 10, 1h.`
+        );
+      } else {
+        await setReminderMinutes(senderPhone, reminderMinutes);
+        await reminderScheduler.syncUserReminders(senderPhone);
+        await sendWhatsAppMessage(
+          phoneNumberId,
+          senderPhone,
+          `✅ I'll send you a WhatsApp reminder ${describeReminders(reminderMinutes)} each event (all-day events are skipped).\n\nSend "/reminders off" to stop.`
+        );
+      }
+    }
+  } else if (parseExportRequest(messageText)) {
+    // "/export next week" or "send me this week as a file": the events as an .ics document
+    await handleExportRequest(phoneNumberId, senderPhone, parseExportRequest(messageText).range);
+  } else if (messageText === '/calendar-feed' || messageText.startsWith('/calendar-feed ')) {
+    // Private feed link: "/calendar-feed" creates one, "new" replaces it, "off" turns it off
+    const argument = messageText.slice('/calendar-feed'.length).trim();
+    const user = await getUserByPhone(senderPhone);
+    
+    if (argument === 'off' || argument === 'stop') {
+      if (user?.calendarFeed) {
+        await setCalendarFeed(senderPhone, null);
+        console.log(`[FEED] Feed turned off for ${senderPhone}`);
+      }
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        user?.calendarFeed
+          ? '✅ Calendar feed turned off. The old link no longer works.'
+          : 'You don\'t have a calendar feed, so there is nothing to turn off.'
+      );
+    } else if (argument && argument !== 'new') {
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        'Send "/calendar-feed" to get a feed link, "/calendar-feed new" to replace it or "/calendar-feed off" to turn it off.'
+      );
+    } else if (!user || !user.googleCalendarTokens) {
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        'Your calendar is not linked yet. Send "/link-calendar" to connect your Google Calendar first.'
+      );
+    } else if (user.calendarFeed && argument !== 'new') {
+      // Only a hash of the token is kept, so an existing link can't be shown again
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        `You already have a calendar feed (since ${user.calendarFeed.createdAt.slice(0, 10)}). I can't show its link again.\n\nSend "/calendar-feed new" to get a new link (the old one stops working) or "/calendar-feed off" to turn it off.`
+      );
+    } else {
+      const { token, calendarFeed } = createFeedToken();
+      await setCalendarFeed(senderPhone, calendarFeed);
+      console.log(`[FEED] ${user.calendarFeed ? 'Replaced' : 'Created'} feed for ${senderPhone}`);
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        `📅 Your private calendar feed:\n\n${baseUrl}/api/calendar/${token}.ics\n\nAdd it as a subscribed calendar ("From URL" or "Subscribe to calendar") in Apple Calendar, Outlook or another calendar app.${user.calendarFeed ? ' Your old link no longer works.' : ''}\n\nAnyone with this link can see your events, so keep it private. Send "/calendar-feed off" to turn it off.`
+      );
+    }
+  } else {
+    // All other messages go through AI processing
+    console.log(`[DEBUG] Processing message with AI for ${senderPhone}`);
+    
+    // Check if user has calendar linked
+    let user;
+    try {
+      const userLookupPromise = getUserByPhone(senderPhone);
+      const timeoutPromise = new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('User lookup timeout after 5s')), 5000)
+      );
+      user = await Promise.race([userLookupPromise, timeoutPromise]);
+    } catch (userError) {
+      console.error(`[DEBUG] Error looking up user ${senderPhone}:`, userError);
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        `Error looking up your account: ${userError.message}. Please try again.`
+      );
+      return;
+    }
+    
+    if (!user || !user.googleCalendarTokens) {
+      console.log(`[DEBUG] No calendar linked for ${senderPhone}`);
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        senderPhone,
+        'Your calendar is not linked yet. Send "/link-calendar" to connect your Google Calendar first.'
+      );
+    } else {
+      // Process message with AI
+      try {
+        const calendarFunctions = {
+          getCalendarEvents: (phone, timeMin, timeMax) => 
+            getCalendarEvents(phone, timeMin, timeMax),
+          getCalendarEvent: (phone, eventId) => 
+            getCalendarEvent(phone, eventId),
+          countEventInstances: (phone, eventId, timeMax) => 
+            countEventInstances(phone, eventId, timeMax),
+          getFreeBusy: (phone, timeMin, timeMax) => 
+            getFreeBusy(phone, timeMin, timeMax),
+          createCalendarEvent: (phone, eventDetails) => 
+            createCalendarEvent(phone, eventDetails),
+          updateCalendarEvent: (phone, eventId, updates) => 
+            updateCalendarEvent(phone, eventId, updates),
+          deleteCalendarEvent: (phone, eventId) => 
+            deleteCalendarEvent(phone, eventId),
+          searchCalendarEvents: (phone, query) => 
+            searchCalendarEvents(phone, query)
+        };
+        
+        const result = await processCalendarMessage(
+          originalMessage,
+          senderPhone,
+          calendarFunctions,
+          {
+            timezone: user.timezone,
+            pendingAction: user.pendingAction,
+            conversation: user.conversation
+          }
+        );
+        
+        console.log(`[DEBUG] AI processing result:`, result);
+        
+        await sendWhatsAppMessage(
+          phoneNumberId,
+          senderPhone,
+          withTranscriptEcho(message, result.response),
+          result.choices
+        );
+      } catch (aiError) {
+        console.error(`[DEBUG] Error processing AI request:`, aiError);
+        await sendWhatsAppMessage(
+          phoneNumberId,
+          senderPhone,
+          withTranscriptEcho(message, `Sorry, I couldn't process your request: ${aiError.message}`)
+        );
+      }
+    }
+  }
+}
+
+// Send the user's events in a range (see calendarExport.js) as an .ics document
+async function handleExportRequest(phoneNumberId, senderPhone, range) {
+  const user = await getUserByPhone(senderPhone);
+  if (!user || !user.googleCalendarTokens) {
+    await sendWhatsAppMessage(
+      phoneNumberId,
+      senderPhone,
+      'Your calendar is not linked yet. Send "/link-calendar" to connect your Google Calendar first.'
+    );
+    return;
+  }
+  
+  const timezone = resolveTimezone(user.timezone);
+  const exportRange = getExportRange(range, timezone);
+  if (!exportRange) {
+    await sendWhatsAppMessage(
+      phoneNumberId,
+      senderPhone,
+      `I can't export "${range}". Send "/export" followed by one of: ${EXPORT_RANGE_NAMES.join(', ')}.`
+    );
+    return;
+  }
+  
+  try {
+    const events = await getCalendarEvents(senderPhone, exportRange.timeMin, exportRange.timeMax, { maxEvents: 250 });
+    if (!events.length) {
+      await sendWhatsAppMessage(phoneNumberId, senderPhone, `You have no events ${exportRange.label}, so there is nothing to export.`);
+      return;
+    }
+    
+    const calendar = buildICalendar(events, { name: `Calendar (${exportRange.label})`, timezone });
+    await sendWhatsAppDocument(phoneNumberId, senderPhone, {
+      data: Buffer.from(calendar, 'utf8'),
+      filename: exportRange.fileName,
+      caption: `📅 Your calendar for ${exportRange.label} (${events.length} event${events.length === 1 ? '' : 's'}). Open the file to add the events to another calendar.`
+    });
+  } catch (error) {
+    console.error(`[EXPORT] Could not export ${range || 'week'} for ${senderPhone}:`, error.message);
+    await sendWhatsAppMessage(
+      phoneNumberId,
+      senderPhone,
+      "Sorry, I couldn't make that calendar file. Please try again in a moment."
+    );
+  }
+}
+
+// Longest transcript quoted back in a reply; the rest is cut so the answer stays readable
+const MAX_ECHO_LENGTH = 300;
+
+// A reply to a voice note starts with what was heard, so a misheard word is easy to spot
+function withTranscriptEcho(message, response) {
+  if (!message.transcript) {
+    return response;
+  }
+  const heard = message.transcript.length > MAX_ECHO_LENGTH
+    ? `${message.transcript.slice(0, MAX_ECHO_LENGTH - 1)}…`
+    : message.transcript;
+  return `🎙️ I heard: "${heard}"\n\n${response}`;
+}
+
+// Voice notes are downloaded, transcribed (see speechToText.js) and then handled like typed text
+async function handleAudioMessage(phoneNumberId, message) {
+  const senderPhone = message.from;
+  
+  let transcript;
+  try {
+    const media = await downloadMedia(message.audio.id, { maxBytes: speechToText.MAX_AUDIO_BYTES });
+    transcript = await speechToText.transcribe(media.data, message.audio.mime_type || media.mimeType);
+  } catch (error) {
+    console.error(`[STT] Could not transcribe voice note ${message.id} from ${senderPhone}:`, error.message);
+    await sendWhatsAppMessage(
+      phoneNumberId,
+      senderPhone,
+      error.tooLarge
+        ? 'That voice note is too long for me. Please send a shorter one or type your message.'
+        : "Sorry, I couldn't listen to that voice note. Please try again or type your message."
+    );
+    return;
+  }
+  
+  console.log(`[STT] Voice note ${message.id} from ${senderPhone}: "${transcript}"`);
+  if (!transcript) {
+    await sendWhatsAppMessage(
+      phoneNumberId,
+      senderPhone,
+      "I couldn't make out any words in that voice note. Please try again or type your message."
+    );
+    return;
+  }
+  
+  await handleTextMessage(phoneNumberId, {
+    ...message,
+    type: 'text',
+    text: { body: transcript },
+    transcript
+  });
+}
+
+// Largest .ics file that is read; invites are a few kilobytes
+const MAX_ICS_BYTES = 1024 * 1024;
+
+// Documents: .ics files (forwarded invites) are read and their events offered for import
+async function handleDocumentMessage(phoneNumberId, message) {
+  const senderPhone = message.from;
+  const document = message.document || {};
+  
+  if (!isICalendarDocument(document)) {
+    console.log(`[ICS] Ignoring document ${document.filename || document.id} from ${senderPhone} (${document.mime_type})`);
+    await sendWhatsAppMessage(
+      phoneNumberId,
+      senderPhone,
+      'I can only read calendar invites (.ics files). To add an event, describe it in a message.'
+    );
+    return;
+  }
+  
+  const user = await getUserByPhone(senderPhone);
+  if (!user || !user.googleCalendarTokens) {
+    await sendWhatsAppMessage(
+      phoneNumberId,
+      senderPhone,
+      'Your calendar is not linked yet. Send "/link-calendar" to connect your Google Calendar, then send the invite again.'
+    );
+    return;
+  }
+  
+  let parsed;
+  try {
+    const media = await downloadMedia(document.id, { maxBytes: MAX_ICS_BYTES });
+    parsed = parseICalendar(media.data.toString('utf8'), { timezone: user.timezone });
+  } catch (error) {
+    console.error(`[ICS] Could not read ${document.filename || document.id} from ${senderPhone}:`, error.message);
+    await sendWhatsAppMessage(
+      phoneNumberId,
+      senderPhone,
+      error.tooLarge
+        ? 'That file is too large for an invite. Please send a single event or a smaller file.'
+        : "Sorry, I couldn't read that calendar file. Please check it is a valid .ics file and try again."
+    );
+    return;
+  }
+  
+  console.log(`[ICS] Read ${parsed.events.length} events (${parsed.cancelled} cancelled) from ${document.filename || document.id}`);
+  
+  const result = await previewEventImport(senderPhone, parsed.events, {
+    timezone: user.timezone,
+    fileName: document.filename,
+    cancelled: parsed.cancelled
+  });
+  await sendWhatsAppMessage(phoneNumberId, senderPhone, result.response, result.choices);
+}
+
+// Daily agenda briefings (see agendaScheduler.js)
+const agendaScheduler = createAgendaScheduler({
+  getCalendarEvents,
+  sendMessage: sendWhatsAppMessage,
+  phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID
+});
+
+// WhatsApp reminders before events (see reminderScheduler.js)
+const reminderScheduler = createReminderScheduler({
+  getCalendarEvents,
+  sendMessage: sendWhatsAppMessage,
+  phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID
+});
+
+// Only Meta can post to the webhook: the payload must be signed with the app secret
+// Unsigned payloads are for local testing, so like the debug endpoints the skip is never allowed in production
+const skipSignatureRequested = process.env.WHATSAPP_SKIP_SIGNATURE_CHECK === 'true';
+if (skipSignatureRequested && production) {
+  console.error('[SECURITY] WHATSAPP_SKIP_SIGNATURE_CHECK is ignored in production - webhook signatures are still checked');
+}
+const verifyWebhookSignature = requireWebhookSignature({
+  appSecret: whatsappAppSecret,
+  skip: skipSignatureRequested && !production
+});
+
 // Route for POST requests (WhatsApp webhook)
-app.post('/', async (req, res) => {
+app.post('/', verifyWebhookSignature, async (req, res) => {
   const timestamp = new Date().toISOString().replace('T', ' ').slice(0, 19);
   console.log(`\n\nWebhook received ${timestamp}\n`);
   console.log(JSON.stringify(req.body, null, 2));
@@ -538,102 +1124,39 @@ app.post('/', async (req, res) => {
               
               // Process each message
               for (const message of change.value.messages) {
-                if (message.type === 'text') {
-                  const senderPhone = message.from;
-                  const originalMessage = message.text.body;
-                  const messageText = originalMessage.trim().toLowerCase();
-                  
-                  console.log(`[DEBUG] Received message from ${senderPhone}:`, {
-                    original: originalMessage,
-                    normalized: messageText,
-                    length: messageText.length
-                  });
-                  
-                  // Handle special commands first
-                  if (messageText === '/link-calendar' || messageText === 'link calendar') {
-                    // Generate OAuth URL
-                    const state = crypto.randomBytes(32).toString('hex');
-                    await setPendingOAuth(senderPhone, state);
-                    
-                    const authUrl = oauth2Client.generateAuthUrl({
-                      access_type: 'offline',
-                      scope: SCOPES,
-                      state: `${state}:${senderPhone}` // Include phone in state
+                // Meta retries deliveries, so each message ID is handled only once
+                let claimed = true;
+                try {
+                  claimed = await claimMessage(message.id, message.from);
+                } catch (ledgerError) {
+                  // Better a rare duplicate than a dropped message
+                  console.error(`[WEBHOOK] Could not check message ${message.id}, handling it anyway:`, ledgerError);
+                }
+                
+                if (!claimed) {
+                  console.log(`[WEBHOOK] Skipping message ${message.id}, already handled`);
+                  continue;
+                }
+                
+                try {
+                  if (message.type === 'text') {
+                    await handleTextMessage(phoneNumberId, message);
+                  } else if (message.type === 'audio') {
+                    await handleAudioMessage(phoneNumberId, message);
+                  } else if (message.type === 'document') {
+                    await handleDocumentMessage(phoneNumberId, message);
+                  } else if (getInteractiveReply(message)) {
+                    // A tapped button or list row answers like the reply text it stands for
+                    await handleTextMessage(phoneNumberId, {
+                      ...message,
+                      type: 'text',
+                      text: { body: getInteractiveReply(message) }
                     });
-                    
-                    await sendWhatsAppMessage(
-                      phoneNumberId, 
-                      senderPhone, 
-                      `Click this link to connect your Google Calendar:\n\n${authUrl}\n\nAfter connecting, I'll send you a confirmation message.`
-                    );
-                  } else {
-                    // All other messages go through AI processing
-                    console.log(`[DEBUG] Processing message with AI for ${senderPhone}`);
-                    
-                    // Check if user has calendar linked
-                    let user;
-                    try {
-                      const userLookupPromise = getUserByPhone(senderPhone);
-                      const timeoutPromise = new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('User lookup timeout after 5s')), 5000)
-                      );
-                      user = await Promise.race([userLookupPromise, timeoutPromise]);
-                    } catch (userError) {
-                      console.error(`[DEBUG] Error looking up user ${senderPhone}:`, userError);
-                      await sendWhatsAppMessage(
-                        phoneNumberId,
-                        senderPhone,
-                        `Error looking up your account: ${userError.message}. Please try again.`
-                      );
-                      continue;
-                    }
-                    
-                    if (!user || !user.googleCalendarTokens) {
-                      console.log(`[DEBUG] No calendar linked for ${senderPhone}`);
-                      await sendWhatsAppMessage(
-                        phoneNumberId,
-                        senderPhone,
-                        'Your calendar is not linked yet. Send "/link-calendar" to connect your Google Calendar first.'
-                      );
-                    } else {
-                      // Process message with AI
-                      try {
-                        const calendarFunctions = {
-                          getCalendarEvents: (phone, timeMin, timeMax) => 
-                            getCalendarEvents(phone, timeMin, timeMax),
-                          createCalendarEvent: (phone, eventDetails) => 
-                            createCalendarEvent(phone, eventDetails),
-                          updateCalendarEvent: (phone, eventId, updates) => 
-                            updateCalendarEvent(phone, eventId, updates),
-                          deleteCalendarEvent: (phone, eventId) => 
-                            deleteCalendarEvent(phone, eventId),
-                          searchCalendarEvents: (phone, query) => 
-                            searchCalendarEvents(phone, query)
-                        };
-                        
-                        const result = await processCalendarMessage(
-                          originalMessage,
-                          senderPhone,
-                          calendarFunctions
-                        );
-                        
-                        console.log(`[DEBUG] AI processing result:`, result);
-                        
-                        await sendWhatsAppMessage(
-                          phoneNumberId,
-                          senderPhone,
-                          result.response
-                        );
-                      } catch (aiError) {
-                        console.error(`[DEBUG] Error processing AI request:`, aiError);
-                        await sendWhatsAppMessage(
-                          phoneNumberId,
-                          senderPhone,
-                          `Sorry, I couldn't process your request: ${aiError.message}`
-                        );
-                      }
-                    }
                   }
+                } finally {
+                  await completeMessage(message.id).catch(error => {
+                    console.error(`[WEBHOOK] Could not mark message ${message.id} as handled:`, error);
+                  });
                 }
               }
             }
@@ -646,24 +1169,94 @@ app.post('/', async (req, res) => {
   }
 });
 
-// OAuth initiation endpoint (for web-based linking)
-app.get('/auth/google', (req, res) => {
-  const { phone } = req.query;
+// What each kind of website code is for, as worded in the WhatsApp message
+const WEB_CODE_PURPOSES = {
+  link: 'connecting Google Calendar',
+  unlink: 'disconnecting Google Calendar',
+  'delete-data': 'deleting all your data'
+};
+
+// Code requests from one IP address per hour (each number also has its own limit, see oauthState.js)
+const webCodeLimiter = createRateLimiter({
+  name: 'website code',
+  limit: parseInt(process.env.WEB_CODE_REQUESTS_PER_IP_HOUR, 10) || 10,
+  windowMs: 60 * 60 * 1000
+});
+
+// Check a code entered on the website; every attempt counts towards the limit
+// Returns the user if the code is right, otherwise null
+async function verifyWebCode(phone, code, purpose) {
+  const user = await getUserByPhone(phone);
+  const check = checkLinkCode(phone, code, user?.pendingLinkCode, purpose);
+  if (user) {
+    await setPendingLinkCode(phone, check.pendingLinkCode);
+  }
   
-  if (!phone) {
-    return res.status(400).send('Phone number is required. Use: /auth/google?phone=YOUR_PHONE_NUMBER');
+  if (!check.valid) {
+    console.warn(`[SECURITY] Rejected web ${purpose} code for ${phone}: ${check.reason}`);
+    return null;
   }
+  return user;
+}
 
-  const state = crypto.randomBytes(32).toString('hex');
-  setPendingOAuth(phone, state);
-
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: SCOPES,
-    state: `${state}:${phone}`
-  });
+// Website codes, step 1: send a one-time code (to link, unlink or delete data) to the user's WhatsApp chat
+// Codes only go to numbers that have already messaged the bot, and the reply is the same
+// either way so the endpoint can't be used to find out who uses it
+app.post('/auth/google/code', webCodeLimiter.middleware(), async (req, res) => {
+  try {
+    const phone = String(req.body?.phone || '').replace(/[^\d]/g, '');
+    if (!phone) {
+      return res.status(400).json({ error: 'Phone number is required' });
+    }
+    
+    const purpose = req.body?.purpose || 'link';
+    if (!CODE_PURPOSES.includes(purpose)) {
+      return res.status(400).json({ error: `purpose must be one of: ${CODE_PURPOSES.join(', ')}` });
+    }
+    
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    if (!phoneNumberId) {
+      console.error('[SECURITY] WHATSAPP_PHONE_NUMBER_ID is not set - website codes cannot be sent');
+      return res.status(503).json({ error: 'This is not available on the website. Send "/link-calendar", "/unlink-calendar" or "/delete-my-data" to the bot on WhatsApp instead.' });
+    }
+    
+    const user = await getUserByPhone(phone);
+    const linkCode = user ? createLinkCode(phone, user.pendingLinkCode, purpose) : null;
+    if (linkCode) {
+      await setPendingLinkCode(phone, linkCode.pendingLinkCode);
+      await sendWhatsAppMessage(
+        phoneNumberId,
+        phone,
+        `Your code for ${WEB_CODE_PURPOSES[purpose]} is ${linkCode.code}. It expires in 10 minutes.\n\nIf you didn't ask for this, ignore this message.`
+      );
+    }
+    
+    res.json({ sent: true, message: 'If this number uses the bot, a code is on its way on WhatsApp.' });
+  } catch (error) {
+    console.error('Error sending link code:', error);
+    res.status(500).json({ error: 'Could not send a code. Please try again.' });
+  }
+});
 
-  res.redirect(authUrl);
+// Web-based linking, step 2: exchange the code for the Google consent page
+app.get('/auth/google', async (req, res) => {
+  try {
+    const phone = String(req.query.phone || '').replace(/[^\d]/g, '');
+    const { code } = req.query;
+    
+    if (!phone || !code) {
+      return res.status(400).send('Phone number and code are required. Request a code first, or send "/link-calendar" to the bot on WhatsApp.');
+    }
+    
+    if (!(await verifyWebCode(phone, code, 'link'))) {
+      return res.status(403).send('That code is wrong or has expired. Request a new one and try again.');
+    }
+    
+    res.redirect(await startCalendarLink(phone));
+  } catch (error) {
+    console.error('Error starting calendar link:', error);
+    res.status(500).send('Could not start linking. Please try again.');
+  }
 });
 
 // OAuth callback endpoint
@@ -679,38 +1272,38 @@ app.get('/auth/google/callback', async (req, res) => {
       return res.status(400).send('State parameter missing');
     }
 
-    // Parse state to get phone number
-    const [stateToken, phoneNumber] = state.split(':');
+    // The state must be signed by us, unexpired, and belong to the phone's latest linking request
+    const verifiedState = verifyOAuthState(state);
+    const phoneNumber = verifiedState.phoneNumber;
+    const pendingOAuth = verifiedState.valid ? await getUserByPhone(phoneNumber) : null;
     
-    if (!phoneNumber) {
-      return res.status(400).send('Invalid state parameter');
+    if (!verifiedState.valid || !pendingOAuth?.pendingOAuth || pendingOAuth.pendingOAuth !== verifiedState.nonce) {
+      const reason = verifiedState.valid ? 'not the current linking request' : verifiedState.reason;
+      console.warn(`[SECURITY] Rejected OAuth callback${phoneNumber ? ` for ${phoneNumber}` : ''}: ${reason}`);
+      return res.status(403).send('This link has expired or is not valid. Send "/link-calendar" to the bot on WhatsApp to get a new one.');
     }
-
-    console.log(`[DEBUG] OAuth callback for ${phoneNumber}, state token: ${stateToken?.substring(0, 10)}...`);
-
-    // Verify state matches pending OAuth
-    const pendingOAuth = await getUserByPhone(phoneNumber);
-    const storedState = pendingOAuth?.pending_oauth || pendingOAuth?.pendingOAuth;
     
-    console.log(`[DEBUG] Stored state: ${storedState?.substring(0, 10)}..., Received state: ${stateToken?.substring(0, 10)}...`);
-    
-    // If state doesn't match but we have a valid code and phone number, allow reconnection
-    // This handles cases where state expired or was lost during database migration
-    if (!pendingOAuth || !storedState || storedState !== stateToken) {
-      console.warn(`[DEBUG] OAuth state mismatch for ${phoneNumber}. Allowing reconnection with valid code.`);
-      // Still proceed if we have a valid code - this allows reconnection after state expiration
-      // The code itself is valid for a short time, so we can trust it
-    }
+    // Each linking request can only be used once
+    await clearPendingOAuth(phoneNumber);
+    console.log(`[DEBUG] OAuth callback for ${phoneNumber}`);
 
     // Exchange code for tokens
     console.log(`[DEBUG] Exchanging OAuth code for tokens...`);
-    const { tokens } = await oauth2Client.getToken(code);
+    const { tokens } = await tokenManager.createOAuthClient().getToken(code);
     console.log(`[DEBUG] Tokens received successfully`);
     
-    // Save tokens for this user
-    await saveCalendarTokens(phoneNumber, tokens);
-    await clearPendingOAuth(phoneNumber);
+    // Save tokens for this user; Google only sends a refresh token on first consent, so keep the old one
+    const linkedUser = await saveCalendarTokens(
+      phoneNumber,
+      mergeTokens(pendingOAuth.googleCalendarTokens, tokens)
+    );
     console.log(`[DEBUG] Calendar tokens saved for ${phoneNumber}`);
+    
+    // Take the user's timezone from their Google Calendar settings
+    const calendarTimezone = await fetchCalendarTimezone(linkedUser);
+    if (calendarTimezone) {
+      await setUserTimezone(phoneNumber, calendarTimezone);
+    }
 
     // Redirect to frontend with success message
     const frontendUrl = process.env.FRONTEND_URL || 'https://tary-fe.vercel.app';
@@ -727,7 +1320,8 @@ app.get('/auth/google/callback', async (req, res) => {
 });
 
 // Calendar status endpoint (for debugging)
-app.get('/api/calendar/status', async (req, res) => {
+// Admin only: it says whether a number uses the bot, which the website code flow keeps secret
+app.get('/api/calendar/status', requireReadonly, async (req, res) => {
   const { phone } = req.query;
   if (!phone) {
     return res.status(400).json({ error: 'Phone number required' });
@@ -740,109 +1334,289 @@ app.get('/api/calendar/status', async (req, res) => {
   });
 });
 
-// Calendar events endpoint (for debugging)
-app.get('/api/calendar/events', async (req, res) => {
-  const { phone } = req.query;
-  if (!phone) {
-    return res.status(400).json({ error: 'Phone number required' });
+// Website: disconnect Google Calendar, with a code from POST /auth/google/code (purpose "unlink")
+app.post('/api/calendar/unlink', async (req, res) => {
+  try {
+    const phone = String(req.body?.phone || '').replace(/[^\d]/g, '');
+    const code = req.body?.code;
+    if (!phone || !code) {
+      return res.status(400).json({ error: 'Phone number and code are required' });
+    }
+    
+    const user = await verifyWebCode(phone, code, 'unlink');
+    if (!user) {
+      return res.status(403).json({ error: 'That code is wrong or has expired. Request a new one and try again.' });
+    }
+    
+    if (!user.googleCalendarTokens) {
+      return res.json({ unlinked: false, message: 'Calendar is not linked' });
+    }
+    
+    const { revoked } = await disconnectCalendar(user);
+    res.json({
+      unlinked: true,
+      revoked,
+      ...(revoked ? {} : { message: `Google did not confirm the revocation. Remove access at ${GOOGLE_PERMISSIONS_URL}` })
+    });
+  } catch (error) {
+    console.error('Error unlinking calendar:', error);
+    res.status(500).json({ error: 'Could not disconnect the calendar. Please try again.' });
   }
+});
 
+// Private calendar feed for subscribing calendar apps; the token in the URL is the credential
+// (see calendarExport.js). Unknown, revoked and malformed tokens all get the same 404
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  const { token } = req.params;
+  const user = isWellFormedFeedToken(token) ? await getUserByFeedTokenHash(hashFeedToken(token)) : null;
+  if (!user || !user.googleCalendarTokens) {
+    return res.status(404).type('text/plain').send('Not found');
+  }
+  
   try {
-    const events = await getCalendarEvents(phone);
-    res.json(events || []);
+    const timezone = resolveTimezone(user.timezone);
+    const { timeMin, timeMax } = getFeedRange(timezone);
+    const events = await getCalendarEvents(user.phoneNumber, timeMin, timeMax, { maxEvents: 2500 });
+    
+    console.log(`[FEED] Served ${events.length} events to ${user.phoneNumber}'s feed`);
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="calendar.ics"',
+      'Cache-Control': 'private, max-age=300',
+      'X-Robots-Tag': 'noindex'
+    });
+    res.send(buildICalendar(events, { name: 'Tary', timezone, refreshMinutes: FEED_REFRESH_MINUTES }));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error(`[FEED] Could not build ${user.phoneNumber}'s feed:`, error.message);
+    if (error.retryable) {
+      res.set('Retry-After', '300');
+      return res.status(503).type('text/plain').send('Calendar temporarily unavailable');
+    }
+    res.status(502).type('text/plain').send('Could not read the calendar');
   }
 });
 
-// Storage health check endpoint
-app.get('/api/db/health', async (req, res) => {
+// Website: delete everything stored for a number, with a code from POST /auth/google/code (purpose "delete-data")
+app.post('/api/delete-my-data', async (req, res) => {
   try {
-    const fs = require('fs').promises;
-    const path = require('path');
-    const os = require('os');
-    const storageFile = path.join(os.tmpdir(), 'tary-users.json');
+    const phone = String(req.body?.phone || '').replace(/[^\d]/g, '');
+    const code = req.body?.code;
+    if (!phone || !code) {
+      return res.status(400).json({ error: 'Phone number and code are required' });
+    }
     
-    let stats;
-    try {
-      stats = await fs.stat(storageFile);
-    } catch (error) {
-      // File doesn't exist yet, that's okay
-      stats = null;
+    if (!(await verifyWebCode(phone, code, 'delete-data'))) {
+      return res.status(403).json({ error: 'That code is wrong or has expired. Request a new one and try again.' });
     }
     
+    const { revoked } = await eraseUserData(phone);
     res.json({
-      status: 'connected',
-      storage: 'file-based',
-      storagePath: storageFile,
-      fileExists: !!stats,
-      fileSize: stats ? stats.size : 0,
-      timestamp: new Date().toISOString()
+      deleted: true,
+      revoked,
+      ...(revoked ? {} : { message: `Google did not confirm the revocation. Remove access at ${GOOGLE_PERMISSIONS_URL}` })
     });
   } catch (error) {
-    console.error('Storage health check failed:', error);
-    res.status(500).json({
-      status: 'error',
-      error: error.message
-    });
+    console.error('Error deleting user data:', error);
+    res.status(500).json({ error: 'Could not delete your data. Please try again.' });
   }
 });
 
-// Debug endpoint: View storage file contents
-app.get('/api/debug/storage', async (req, res) => {
+// Admin sign-in: trade an API key for a session cookie (needs SESSION_SECRET)
+app.post('/admin/login', async (req, res) => {
   try {
-    const { getStorageData, STORAGE_FILE } = require('./userStorage');
-    const fs = require('fs').promises;
-    
-    const storageData = await getStorageData();
-    
-    // Try to read the actual file
-    let fileContents = null;
-    try {
-      fileContents = await fs.readFile(STORAGE_FILE, 'utf8');
-    } catch (error) {
-      fileContents = `Error reading file: ${error.message}`;
+    const result = await adminAuth.login(req, req.body?.apiKey);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
-    
+    res.json({ role: result.role });
+  } catch (error) {
+    console.error('Admin sign-in failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/logout', async (req, res) => {
+  try {
+    await adminAuth.logout(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin sign-out failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Role of the current admin (lets the dashboard hide what it can't do)
+app.get('/admin/me', requireReadonly, (req, res) => {
+  res.json({ role: req.admin.role, via: req.admin.via });
+});
+
+// Webhook signature rejections since startup
+app.get('/api/webhook/stats', requireReadonly, (req, res) => {
+  res.json({
+    signatureRejections: getRejectionStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Outbound WhatsApp queue: pending retries, failed messages and send counts
+app.get('/api/outbound', requireReadonly, async (req, res) => {
+  try {
     res.json({
-      storageFile: STORAGE_FILE,
-      fileContents: fileContents,
-      cacheData: storageData.allUsers,
-      cacheKeys: storageData.cacheKeys,
-      cacheSize: storageData.cacheSize
+      ...(await getQueueState()),
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Debug storage endpoint failed:', error);
+    console.error('Outbound queue endpoint failed:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Test endpoint: Test Google Calendar API directly
-app.get('/api/test/calendar', async (req, res) => {
+// Send any messages that are due (also lets a cron job drive retries on serverless hosts)
+app.post('/api/outbound/process', requireCron, async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ error: 'Phone parameter required' });
+    await processQueue();
+    res.json(await getQueueState());
+  } catch (error) {
+    console.error('Outbound queue run failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send the daily agendas that are due; point a cron job here on serverless hosts
+// (GET as well, since that's what Vercel Cron sends)
+async function runAgendas(req, res) {
+  try {
+    res.json(await agendaScheduler.runDueAgendas());
+  } catch (error) {
+    console.error('Agenda run failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+app.get('/api/agenda/run', requireCron, runAgendas);
+app.post('/api/agenda/run', requireCron, runAgendas);
+
+// Send the event reminders that are due, like /api/agenda/run
+async function runReminders(req, res) {
+  try {
+    res.json(await reminderScheduler.runDueReminders());
+  } catch (error) {
+    console.error('Reminder run failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+app.get('/api/reminders/run', requireCron, runReminders);
+app.post('/api/reminders/run', requireCron, runReminders);
+
+// Give a failed message a fresh set of attempts
+app.post('/api/outbound/:id/retry', requireOperator, async (req, res) => {
+  try {
+    const message = await retryMessage(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'No failed message with that ID' });
+    }
+    res.json(message);
+  } catch (error) {
+    console.error('Outbound retry failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Drop a failed message without sending it
+app.delete('/api/outbound/:id', requireOperator, async (req, res) => {
+  try {
+    if (!(await discardMessage(req.params.id))) {
+      return res.status(404).json({ error: 'No failed message with that ID' });
     }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Outbound discard failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Storage health check endpoint
+app.get('/api/db/health', requireReadonly, async (req, res) => {
+  try {
+    const { getStorageInfo } = require('./userStorage');
+    const storageInfo = await getStorageInfo();
     
-    const events = await getCalendarEvents(phone);
     res.json({
-      success: true,
-      eventCount: events ? events.length : 0,
-      events: events || []
+      status: 'connected',
+      ...storageInfo,
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Test calendar endpoint error:', error);
+    console.error('Storage health check failed:', error);
     res.status(500).json({
-      success: false,
-      error: error.message,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      status: 'error',
+      error: error.message
     });
   }
 });
 
+// Debug endpoints (not registered in production)
+if (debugRoutesEnabled) {
+  // Calendar events endpoint (for debugging)
+  app.get('/api/calendar/events', requireOperator, async (req, res) => {
+    const { phone } = req.query;
+    if (!phone) {
+      return res.status(400).json({ error: 'Phone number required' });
+    }
+
+    try {
+      const events = await getCalendarEvents(phone);
+      res.json(events || []);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Debug endpoint: View storage contents (every user's record, so operator only)
+  app.get('/api/debug/storage', requireOperator, async (req, res) => {
+    try {
+      const { getStorageData } = require('./userStorage');
+      const storageData = await getStorageData();
+    
+      res.json({
+        backend: storageData.backend,
+        storageFile: storageData.storagePath,
+        cacheData: storageData.allUsers,
+        cacheKeys: storageData.cacheKeys,
+        cacheSize: storageData.cacheSize
+      });
+    } catch (error) {
+      console.error('Debug storage endpoint failed:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Test endpoint: Test Google Calendar API directly
+  app.get('/api/test/calendar', requireOperator, async (req, res) => {
+    try {
+      const { phone } = req.query;
+      if (!phone) {
+        return res.status(400).json({ error: 'Phone parameter required' });
+      }
+    
+      const events = await getCalendarEvents(phone);
+      res.json({
+        success: true,
+        eventCount: events ? events.length : 0,
+        events: events || []
+      });
+    } catch (error) {
+      console.error('Test calendar endpoint error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  });
+}
+
 // Admin endpoint: Get all users (for admin dashboard)
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', requireReadonly, async (req, res) => {
   try {
     const users = await getAllUsers();
     // Return sanitized data (don't expose tokens)
@@ -867,4 +1641,11 @@ app.listen(port, () => {
   console.log(`\nListening on port ${port}\n`);
   console.log(`OAuth callback URL: ${callbackUrl}`);
   console.log(`Make sure this URL is set in your Google Cloud Console\n`);
+  
+  // Pick up messages a previous process left queued
+  processQueue().catch(error => console.error('[QUEUE] Startup run failed:', error));
+  
+  // Check for due daily agendas while the server runs (AGENDA_CHECK_INTERVAL_SECONDS)
+  agendaScheduler.start();
+  reminderScheduler.start();
 });
\ No newline at end of file
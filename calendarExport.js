@@ -0,0 +1,128 @@
+// Calendar Export - a user's events as iCalendar, two ways:
+// - "/export this week" (or "send me this week as a file") sends an .ics file in the chat
+// - a private feed at /api/calendar/<token>.ics that calendar apps subscribe to
+//
+// The feed URL is the only credential, so its token is long and random, and only a SHA-256
+// hash of it is stored (user.calendarFeed = { tokenHash, createdAt }). A new token replaces
+// the old one, which stops working straight away.
+const crypto = require('crypto');
+const { getToday, addDays, startOfDay } = require('./timezone');
+
+// How far back and ahead the feed reaches
+const FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30;
+const FEED_FUTURE_DAYS = parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS, 10) || 180;
+
+// Suggested time between checks by subscribed calendar apps (they may poll less often)
+const FEED_REFRESH_MINUTES = 60;
+
+// Export ranges, in days from the start of today: [first day, days]
+const EXPORT_RANGES = {
+  today: { label: 'today', offset: 0, days: 1 },
+  tomorrow: { label: 'tomorrow', offset: 1, days: 1 },
+  week: { label: 'the next 7 days', offset: 0, days: 7 },
+  'next week': { label: 'next week', offset: 7, days: 7 },
+  month: { label: 'the next 30 days', offset: 0, days: 30 }
+};
+
+const RANGE_ALIASES = {
+  '': 'week',
+  today: 'today',
+  tomorrow: 'tomorrow',
+  week: 'week',
+  'this week': 'week',
+  'next 7 days': 'week',
+  'next week': 'next week',
+  month: 'month',
+  'this month': 'month',
+  'next 30 days': 'month'
+};
+
+// "send me this week as a file", "send my calendar for tomorrow as an ics"
+const EXPORT_REQUEST_PATTERN = /^(?:please\s+)?send\s+(?:me\s+)?(?:my\s+)?(?:calendar\s+|events\s+)?(?:for\s+)?(.*?)\s+as\s+(?:a\s+|an\s+)?(?:file|ics(?:\s+file)?|\.ics|calendar\s+file)[.!]*$/i;
+
+/**
+ * Read an export request
+ * @param {string} messageText - Lower-cased message, e.g. "/export next week" or "send me this week as a file"
+ * @returns {Object|null} - { range } (range is '' when none was named), or null if it isn't one
+ */
+function parseExportRequest(messageText) {
+  const text = String(messageText || '').trim();
+  if (text === '/export' || text.startsWith('/export ')) {
+    return { range: text.slice('/export'.length).trim() };
+  }
+  const match = EXPORT_REQUEST_PATTERN.exec(text);
+  return match ? { range: match[1].replace(/^the\s+/, '').trim() } : null;
+}
+
+/**
+ * Resolve a named range to times in the user's timezone
+ * @param {string} range - "", "today", "tomorrow", "this week", "next week" or "this month"
+ * @param {string} timezone - User's IANA timezone
+ * @param {Date} now
+ * @returns {Object|null} - { label, fileName, timeMin, timeMax } (ISO strings), or null if unknown
+ */
+function getExportRange(range, timezone, now = new Date()) {
+  const key = RANGE_ALIASES[String(range || '').trim().toLowerCase()];
+  if (!key) {
+    return null;
+  }
+  const { label, offset, days } = EXPORT_RANGES[key];
+  const firstDay = addDays(getToday(timezone, now), offset);
+  const lastDay = addDays(firstDay, days - 1);
+
+  return {
+    label,
+    fileName: days === 1 ? `calendar-${firstDay}.ics` : `calendar-${firstDay}-to-${lastDay}.ics`,
+    timeMin: startOfDay(firstDay, timezone).toISOString(),
+    timeMax: startOfDay(addDays(firstDay, days), timezone).toISOString()
+  };
+}
+
+/**
+ * Times the feed covers, from FEED_PAST_DAYS ago to FEED_FUTURE_DAYS ahead
+ * @returns {Object} - { timeMin, timeMax } as ISO strings
+ */
+function getFeedRange(timezone, now = new Date()) {
+  const today = getToday(timezone, now);
+  return {
+    timeMin: startOfDay(addDays(today, -FEED_PAST_DAYS), timezone).toISOString(),
+    timeMax: startOfDay(addDays(today, FEED_FUTURE_DAYS + 1), timezone).toISOString()
+  };
+}
+
+/**
+ * Hash a feed token the way it is stored
+ * @param {string} token
+ * @returns {string} - Hex SHA-256
+ */
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Make a new feed token
+ * @returns {Object} - { token, calendarFeed } - give the token to the user, store calendarFeed
+ */
+function createFeedToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    calendarFeed: { tokenHash: hashFeedToken(token), createdAt: new Date().toISOString() }
+  };
+}
+
+// Whether a string could be a feed token, checked before touching storage
+function isWellFormedFeedToken(token) {
+  return /^[A-Za-z0-9_-]{43}$/.test(String(token || ''));
+}
+
+module.exports = {
+  parseExportRequest,
+  getExportRange,
+  getFeedRange,
+  hashFeedToken,
+  createFeedToken,
+  isWellFormedFeedToken,
+  FEED_REFRESH_MINUTES,
+  EXPORT_RANGE_NAMES: ['today', 'tomorrow', 'this week', 'next week', 'this month']
+};
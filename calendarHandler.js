@@ -1,25 +1,131 @@
 // Calendar Handler - Processes AI intents and executes calendar operations
 const { parseCalendarIntent, generateResponse, parseDateTime } = require('./aiService');
+const {
+  resolveTimezone,
+  getToday,
+  addDays,
+  addMinutesToLocal,
+  startOfDay,
+  startOfNextDay,
+  toLocalDateTime,
+  zonedTimeToUtc,
+  getNextDayOfWeek
+} = require('./timezone');
+const { setPendingAction, clearPendingAction, setConversation } = require('./userStorage');
+const { formatEventList, formatEventWhen, formatEventDetails } = require('./eventFormatter');
+const { resolveEventSelection } = require('./eventSelection');
+const { buildRRule, alignStartDate, describeRRule, findRRule } = require('./recurrence');
+const { SCOPE_DESCRIPTIONS, resolveScope, deleteEventInScope, updateEventInScope } = require('./recurringEvents');
+const { getSearchRange, getRangeBounds, findFreeSlots, findNearestSlots, formatSlotList } = require('./freeTime');
+const { getActiveConversation, recordTurn } = require('./conversationMemory');
+const { normalizeReminderMinutes, describeReminders } = require('./reminderScheduler');
+const { parseTimeReply } = require('./ruleParser');
+
+// How long a question to the user (e.g. "which event?") waits for an answer
+const PENDING_ACTION_TTL_MS = (parseInt(process.env.PENDING_ACTION_TTL_MINUTES, 10) || 10) * 60 * 1000;
+
+// How long a "are you sure?" confirmation stays valid before it is cancelled
+const CONFIRMATION_TTL_MS = (parseInt(process.env.CONFIRMATION_TTL_MINUTES, 10) || 5) * 60 * 1000;
+
+// Operations that need a "yes" first: comma-separated "delete", "move", or "none"
+const CONFIRM_ACTIONS = (process.env.CONFIRM_ACTIONS || 'delete,move')
+  .split(',')
+  .map(action => action.trim().toLowerCase())
+  .filter(Boolean);
+
+const YES_PATTERN = /^(y|yes|yep|yeah|yup|sure|ok|okay|confirm|confirmed|do it|go ahead)[.!]*$/i;
+const NO_PATTERN = /^(n|no|nope|nah|cancel|stop|don't|dont|never ?mind)[.!]*$/i;
+const ANYWAY_PATTERN = /^(?:book|schedule|keep|add)?\s*(?:it\s+)?anyway[.!]*$/i;
+
+// Tap-to-answer choices for questions (sent as buttons or a list, see whatsappMessages.js)
+// Each reply is text the question's handler already understands
+const CONFIRM_CHOICES = [
+  { reply: 'yes', title: 'Yes, go ahead' },
+  { reply: 'no', title: 'No, cancel' }
+];
+const CANCEL_CHOICE = { reply: 'never mind', title: 'Never mind' };
+const MAX_CHOICES = 10;
+
+// Most events one .ics file may add (a whole exported calendar is not an invite)
+const MAX_IMPORT_EVENTS = parseInt(process.env.ICS_IMPORT_MAX_EVENTS, 10) || 20;
+
+// Time-only values like "15:00" (the AI sends these for "move it to 3pm")
+const TIME_ONLY_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
 
 /**
  * Process a calendar-related message using AI
  * @param {string} userMessage - The user's message
  * @param {string} phoneNumber - User's phone number
  * @param {Object} calendarFunctions - Object containing calendar operation functions
+ * @param {Object} context - Per-user context
+ * @param {string} context.timezone - User's IANA timezone (defaults to DEFAULT_TIMEZONE)
+ * @param {Object} context.pendingAction - Unanswered question stored on the user record, if any
+ * @param {Object} context.conversation - Recent messages and events stored on the user record, if any
  * @returns {Object} - Result with response text and success status
  */
-async function processCalendarMessage(userMessage, phoneNumber, calendarFunctions) {
+async function processCalendarMessage(userMessage, phoneNumber, calendarFunctions, context = {}) {
+  console.log(`[CALENDAR_HANDLER] Processing message: "${userMessage}"`);
+  
+  const timezone = resolveTimezone(context.timezone);
+  const conversation = getActiveConversation(context.conversation);
+  
+  const outcome = await handleMessage(userMessage, phoneNumber, calendarFunctions, {
+    timezone,
+    pendingAction: context.pendingAction,
+    conversation
+  });
+  
+  await rememberTurn(phoneNumber, conversation, userMessage, outcome);
+  
+  return {
+    success: outcome.success,
+    response: outcome.response,
+    choices: outcome.choices
+  };
+}
+
+/**
+ * Store the message, reply and touched events so the next message can refer back to them
+ */
+async function rememberTurn(phoneNumber, conversation, userMessage, outcome) {
+  try {
+    await setConversation(phoneNumber, recordTurn(conversation, {
+      userMessage,
+      response: outcome.response,
+      action: outcome.action,
+      result: outcome.result
+    }));
+  } catch (error) {
+    // Losing the history only makes follow-ups less clever; the reply still goes out
+    console.error(`[CALENDAR_HANDLER] Error saving conversation:`, error);
+  }
+}
+
+/**
+ * Answer a message: a reply to a pending question, or a new request for the AI
+ * @returns {Object} - { success, response, action, result, choices } (action/result when an
+ *                     operation ran, choices when the reply is a question with set answers)
+ */
+async function handleMessage(userMessage, phoneNumber, calendarFunctions, context) {
   try {
-    console.log(`[CALENDAR_HANDLER] Processing message: "${userMessage}"`);
+    const { timezone, pendingAction, conversation } = context;
     
-    // Parse intent using AI
-    const intent = await parseCalendarIntent(userMessage);
+    // If we asked the user something last time, see whether this message answers it
+    if (pendingAction) {
+      const pendingResult = await handlePendingAction(userMessage, phoneNumber, pendingAction, calendarFunctions, timezone);
+      if (pendingResult) {
+        return pendingResult;
+      }
+    }
+    
+    // Parse intent using AI, with the recent conversation for follow-ups
+    const intent = await parseCalendarIntent(userMessage, { timezone, conversation });
     console.log(`[CALENDAR_HANDLER] Parsed intent:`, JSON.stringify(intent, null, 2));
     
     if (intent.action === 'unknown') {
       return {
         success: false,
-        response: "I'm not sure what you'd like me to do with your calendar. Try asking me to:\n\n- Show your calendar (e.g., what do I have on Friday?)\n- Create an event (e.g., schedule a meeting tomorrow at 2pm)\n- Update an event (e.g., move my fitness class to 3pm)\n- Delete an event (e.g., cancel my dentist appointment)"
+        response: "I'm not sure what you'd like me to do with your calendar. Try asking me to:\n\n- Show your calendar (e.g., what do I have on Friday?)\n- Create an event (e.g., schedule a meeting tomorrow at 2pm)\n- Update an event (e.g., move my fitness class to 3pm)\n- Delete an event (e.g., cancel my dentist appointment)\n- Find free time (e.g., when am I free Thursday afternoon for an hour?)"
       };
     }
     
@@ -27,19 +133,23 @@ async function processCalendarMessage(userMessage, phoneNumber, calendarFunction
     
     switch (intent.action) {
       case 'read_events':
-        result = await handleReadEvents(phoneNumber, intent.parameters, calendarFunctions);
+        result = await handleReadEvents(phoneNumber, intent.parameters, calendarFunctions, timezone);
         break;
       
       case 'create_event':
-        result = await handleCreateEvent(phoneNumber, intent.parameters, calendarFunctions);
+        result = await handleCreateEvent(phoneNumber, intent.parameters, calendarFunctions, timezone);
         break;
       
       case 'update_event':
-        result = await handleUpdateEvent(phoneNumber, intent.parameters, calendarFunctions);
+        result = await handleUpdateEvent(phoneNumber, intent.parameters, calendarFunctions, timezone);
         break;
       
       case 'delete_event':
-        result = await handleDeleteEvent(phoneNumber, intent.parameters, calendarFunctions);
+        result = await handleDeleteEvent(phoneNumber, intent.parameters, calendarFunctions, timezone);
+        break;
+      
+      case 'find_free_time':
+        result = await handleFindFreeTime(phoneNumber, intent.parameters, calendarFunctions, timezone);
         break;
       
       default:
@@ -51,12 +161,28 @@ async function processCalendarMessage(userMessage, phoneNumber, calendarFunction
     
     console.log(`[CALENDAR_HANDLER] Operation result:`, JSON.stringify(result, null, 2));
     
-    // Generate natural language response
-    const response = await generateResponse(intent.action, result, intent.parameters);
+    // Handlers that wrote their own reply (e.g. asked the user a question) skip the AI response
+    if (result.response) {
+      return {
+        success: true,
+        response: result.response,
+        choices: result.choices,
+        action: intent.action,
+        result: result
+      };
+    }
+    
+    // Generate natural language response (if the AI just failed to read the message, don't wait on it again)
+    const response = await generateResponse(intent.action, result, intent.parameters, {
+      timezone,
+      skipAi: intent.source === 'rules'
+    });
     
     return {
       success: result.success !== false,
-      response: response
+      response: response,
+      action: intent.action,
+      result: result
     };
     
   } catch (error) {
@@ -70,48 +196,40 @@ async function processCalendarMessage(userMessage, phoneNumber, calendarFunction
 
 /**
  * Handle read events request
+ * Ranges are computed as local days in the user's timezone, so a day is
+ * midnight-to-midnight even when it is 23 or 25 hours long
  */
-async function handleReadEvents(phoneNumber, parameters, calendarFunctions) {
+async function handleReadEvents(phoneNumber, parameters, calendarFunctions, timezone) {
   try {
     const { getCalendarEvents } = calendarFunctions;
     
-    // Calculate date range - use Sydney timezone
+    // Calculate date range in the user's timezone
     let timeMin, timeMax;
     const now = new Date();
-    const sydneyNow = new Date(now.toLocaleString('en-US', { timeZone: 'Australia/Sydney' }));
+    const today = getToday(timezone, now);
     
     if (parameters.date) {
       // Specific date provided by AI (e.g., "2024-11-24")
-      const targetDate = new Date(parameters.date + 'T00:00:00');
-      timeMin = new Date(targetDate);
-      timeMin.setHours(0, 0, 0, 0);
-      timeMax = new Date(targetDate);
-      timeMax.setHours(23, 59, 59, 999);
-      console.log(`[CALENDAR_HANDLER] Fetching events for specific date: ${parameters.date}`);
+      const targetDate = parameters.date.split('T')[0];
+      timeMin = startOfDay(targetDate, timezone);
+      timeMax = startOfNextDay(targetDate, timezone);
+      console.log(`[CALENDAR_HANDLER] Fetching events for specific date: ${targetDate}`);
     } else if (parameters.specificDay) {
       // Get events for a specific day of week
-      const targetDate = getNextDayOfWeek(parameters.specificDay, sydneyNow);
-      timeMin = new Date(targetDate);
-      timeMin.setHours(0, 0, 0, 0);
-      timeMax = new Date(targetDate);
-      timeMax.setHours(23, 59, 59, 999);
-      console.log(`[CALENDAR_HANDLER] Fetching events for ${parameters.specificDay}: ${targetDate.toISOString().split('T')[0]}`);
-    } else if (parameters.dateRange === 'week') {
-      // Get events for next 7 days
-      timeMin = sydneyNow;
-      timeMax = new Date(sydneyNow);
-      timeMax.setDate(timeMax.getDate() + 7);
-    } else if (parameters.dateRange === 'month') {
-      // Get events for next 30 days
-      timeMin = sydneyNow;
-      timeMax = new Date(sydneyNow);
-      timeMax.setDate(timeMax.getDate() + 30);
+      const targetDate = getNextDayOfWeek(parameters.specificDay, timezone, now) || today;
+      timeMin = startOfDay(targetDate, timezone);
+      timeMax = startOfNextDay(targetDate, timezone);
+      console.log(`[CALENDAR_HANDLER] Fetching events for ${parameters.specificDay}: ${targetDate}`);
+    } else if (parameters.dateRange === 'week' || parameters.dateRange === 'month') {
+      // Get events for the next 7 or 30 days, ending at the same local time of day
+      const days = parameters.dateRange === 'week' ? 7 : 30;
+      const currentLocal = toLocalDateTime(now, timezone);
+      timeMin = now;
+      timeMax = zonedTimeToUtc(`${addDays(today, days)}${currentLocal.slice(10)}`, timezone);
     } else {
       // Default: today's events
-      timeMin = new Date(sydneyNow);
-      timeMin.setHours(0, 0, 0, 0);
-      timeMax = new Date(sydneyNow);
-      timeMax.setHours(23, 59, 59, 999);
+      timeMin = startOfDay(today, timezone);
+      timeMax = startOfNextDay(today, timezone);
     }
     
     console.log(`[CALENDAR_HANDLER] Fetching events from ${timeMin.toISOString()} to ${timeMax.toISOString()}`);
@@ -138,8 +256,9 @@ async function handleReadEvents(phoneNumber, parameters, calendarFunctions) {
 
 /**
  * Handle create event request
+ * @param {Object} options - { allowConflicts } skips the clash check (user said "book anyway")
  */
-async function handleCreateEvent(phoneNumber, parameters, calendarFunctions) {
+async function handleCreateEvent(phoneNumber, parameters, calendarFunctions, timezone, options = {}) {
   try {
     const { createCalendarEvent } = calendarFunctions;
     
@@ -152,18 +271,25 @@ async function handleCreateEvent(phoneNumber, parameters, calendarFunctions) {
     }
     
     if (!parameters.startDateTime) {
-      return {
-        success: false,
-        error: 'Event start time is required'
-      };
+      return askForStartTime(phoneNumber, parameters, timezone);
     }
     
-    // Ensure endDateTime exists (default to 1 hour after start)
+    // Ensure endDateTime exists (default to 1 hour after start, in local wall-clock time)
     if (!parameters.endDateTime) {
-      const start = new Date(parameters.startDateTime);
-      const end = new Date(start);
-      end.setHours(end.getHours() + 1);
-      parameters.endDateTime = end.toISOString();
+      parameters.endDateTime = addMinutesToLocal(parameters.startDateTime, 60);
+    }
+    
+    // Repeating events start on the first day the rule allows
+    let recurrence;
+    if (parameters.recurrence) {
+      const startDate = parameters.startDateTime.slice(0, 10);
+      const alignedDate = alignStartDate(startDate, parameters.recurrence);
+      if (alignedDate !== startDate) {
+        const durationMinutes = (new Date(`${parameters.endDateTime.slice(0, 19)}Z`) - new Date(`${parameters.startDateTime.slice(0, 19)}Z`)) / 60000;
+        parameters.startDateTime = `${alignedDate}${parameters.startDateTime.slice(10)}`;
+        parameters.endDateTime = addMinutesToLocal(parameters.startDateTime, durationMinutes);
+      }
+      recurrence = [buildRRule(parameters.recurrence, timezone)];
     }
     
     const eventDetails = {
@@ -171,9 +297,20 @@ async function handleCreateEvent(phoneNumber, parameters, calendarFunctions) {
       location: parameters.location || undefined,
       description: parameters.description || undefined,
       startDateTime: parameters.startDateTime,
-      endDateTime: parameters.endDateTime
+      endDateTime: parameters.endDateTime,
+      timeZone: timezone,
+      recurrence,
+      reminderMinutes: parameters.reminderMinutes
     };
     
+    // Warn about clashes before booking over another event
+    if (!options.allowConflicts) {
+      const conflictPrompt = await checkForConflicts(phoneNumber, parameters, calendarFunctions, timezone);
+      if (conflictPrompt) {
+        return conflictPrompt;
+      }
+    }
+    
     console.log(`[CALENDAR_HANDLER] Creating event:`, eventDetails);
     
     const result = await createCalendarEvent(phoneNumber, eventDetails);
@@ -189,40 +326,148 @@ async function handleCreateEvent(phoneNumber, parameters, calendarFunctions) {
 }
 
 /**
- * Handle update event request
+ * Store an event that has no start time yet and ask the user when it is
+ * Keeps the day ("add dentist tomorrow") and length so the answer only needs a time
+ */
+async function askForStartTime(phoneNumber, parameters, timezone) {
+  await setPendingAction(phoneNumber, {
+    type: 'ask_time',
+    summary: parameters.summary,
+    event: parameters,
+    expiresAt: new Date(Date.now() + PENDING_ACTION_TTL_MS).toISOString()
+  });
+  
+  console.log(`[CALENDAR_HANDLER] Asking ${phoneNumber} for the start time of "${parameters.summary}"`);
+  
+  // A plain date, so it is formatted in UTC to keep the day it names
+  const day = parameters.date
+    ? ` on ${new Date(`${parameters.date}T00:00:00Z`).toLocaleDateString('en-US', {
+      timeZone: 'UTC',
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short'
+    })}`
+    : '';
+  return {
+    success: true,
+    awaitingReply: true,
+    choices: [CANCEL_CHOICE],
+    response: `What time should I book "${parameters.summary}"${day}? Reply with a time like "3pm" or "10:30".`
+  };
+}
+
+/**
+ * Whether an existing event takes up time (all-day, "free" and declined events don't)
  */
-async function handleUpdateEvent(phoneNumber, parameters, calendarFunctions) {
+function isBlockingEvent(event) {
+  if (!event.start?.dateTime || event.transparency === 'transparent' || event.status === 'cancelled') {
+    return false;
+  }
+  const self = (event.attendees || []).find(attendee => attendee.self);
+  return !self || self.responseStatus !== 'declined';
+}
+
+/**
+ * Check a new event against the calendar and, if it clashes, ask the user what to do
+ * Repeating events are checked on their first occurrence only
+ * @returns {Object|null} - Reply asking to book anyway or pick an alternative, or null if the time is free
+ */
+async function checkForConflicts(phoneNumber, parameters, calendarFunctions, timezone) {
   try {
-    const { searchCalendarEvents, updateCalendarEvent } = calendarFunctions;
+    const { getCalendarEvents, getFreeBusy } = calendarFunctions;
+    
+    const start = zonedTimeToUtc(parameters.startDateTime.slice(0, 19), timezone);
+    const end = zonedTimeToUtc(parameters.endDateTime.slice(0, 19), timezone);
+    
+    const events = await getCalendarEvents(phoneNumber, start.toISOString(), end.toISOString());
+    const conflicts = (events || []).filter(event =>
+      isBlockingEvent(event) &&
+      new Date(event.start.dateTime) < end &&
+      new Date(event.end.dateTime) > start
+    );
+    
+    if (conflicts.length === 0) {
+      return null;
+    }
+    
+    console.log(`[CALENDAR_HANDLER] New event clashes with ${conflicts.length} event(s)`);
     
-    // Search for the event
-    if (!parameters.searchQuery) {
+    // Alternatives on the same day, or the next one (a repeating event keeps its day)
+    const date = parameters.startDateTime.slice(0, 10);
+    const dates = parameters.recurrence ? [date] : [date, addDays(date, 1)];
+    const { timeMin, timeMax } = getRangeBounds(dates, timezone);
+    const busy = await getFreeBusy(phoneNumber, timeMin, timeMax) || [];
+    const slots = findNearestSlots(busy, {
+      startDateTime: parameters.startDateTime,
+      dates,
+      durationMinutes: (end - start) / 60000,
+      timezone
+    });
+    
+    await setPendingAction(phoneNumber, {
+      type: 'choose_slot',
+      summary: parameters.summary,
+      event: parameters,
+      conflicts: conflicts.map(toStoredEvent),
+      slots,
+      expiresAt: new Date(Date.now() + PENDING_ACTION_TTL_MS).toISOString()
+    });
+    
+    const clashes = conflicts
+      .map(event => `- ${event.summary || '(No title)'}, ${formatEventWhen(event, timezone)}`)
+      .join('\n');
+    const alternatives = slots.length > 0
+      ? `\n\nOr pick a free time instead:\n${formatSlotList(slots, timezone)}\n\nReply "book anyway", a number, or "no" to cancel.`
+      : `\n\nReply "book anyway" or "no" to cancel.`;
+    
+    return {
+      success: true,
+      awaitingReply: true,
+      conflicts,
+      slots,
+      choices: [
+        ...slotChoices(slots, timezone),
+        { reply: 'book anyway', title: 'Book anyway' },
+        { reply: 'no', title: 'Cancel' }
+      ],
+      response: `"${parameters.summary}" at ${formatEventWhen({ start: { dateTime: start.toISOString() } }, timezone)} clashes with:\n${clashes}${alternatives}`
+    };
+  } catch (error) {
+    // A failed check shouldn't stop the booking
+    console.error(`[CALENDAR_HANDLER] Error checking for conflicts:`, error);
+    return null;
+  }
+}
+
+/**
+ * Handle update event request
+ */
+async function handleUpdateEvent(phoneNumber, parameters, calendarFunctions, timezone) {
+  try {
+    // Find the event (by id for follow-ups like "move it to 4pm", otherwise by search)
+    if (!parameters.searchQuery && !parameters.eventId) {
       return {
         success: false,
         error: 'Please specify which event to update'
       };
     }
     
-    const matches = await searchCalendarEvents(phoneNumber, parameters.searchQuery);
+    const matches = await findMatchingEvents(phoneNumber, parameters, calendarFunctions);
     
     if (!matches || matches.length === 0) {
       return {
         success: false,
-        error: `No events found matching "${parameters.searchQuery}"`
+        error: `No events found matching "${parameters.searchQuery || 'that'}"`
       };
     }
     
-    // Use the first match
-    const eventToUpdate = matches[0];
-    console.log(`[CALENDAR_HANDLER] Updating event: ${eventToUpdate.id}`);
-    
-    const result = await updateCalendarEvent(
-      phoneNumber,
-      eventToUpdate.id,
-      parameters.updates
-    );
+    // Several candidates - ask which one rather than guessing
+    const candidates = dedupeSeries(matches, parameters.scope);
+    if (candidates.length > 1) {
+      return await askWhichEvent(phoneNumber, 'update_event', parameters, candidates, timezone);
+    }
     
-    return result;
+    return await runEventAction(phoneNumber, 'update_event', candidates[0], parameters, calendarFunctions, timezone);
   } catch (error) {
     console.error(`[CALENDAR_HANDLER] Error updating event:`, error);
     return {
@@ -232,43 +477,247 @@ async function handleUpdateEvent(phoneNumber, parameters, calendarFunctions) {
   }
 }
 
+/**
+ * Find the events an update or delete could mean
+ * An eventId from the conversation is looked up directly; if it is gone
+ * (e.g. deleted in Google Calendar since) the search query is used instead
+ * @returns {Array|null} - Matching events
+ */
+async function findMatchingEvents(phoneNumber, parameters, calendarFunctions) {
+  const { getCalendarEvent, searchCalendarEvents } = calendarFunctions;
+  
+  if (parameters.eventId) {
+    try {
+      const event = await getCalendarEvent(phoneNumber, parameters.eventId);
+      if (event && event.status !== 'cancelled') {
+        return [event];
+      }
+    } catch (error) {
+      console.error(`[CALENDAR_HANDLER] Error fetching event ${parameters.eventId}:`, error);
+    }
+  }
+  
+  if (!parameters.searchQuery) {
+    return null;
+  }
+  return await searchCalendarEvents(phoneNumber, parameters.searchQuery);
+}
+
+/**
+ * Turn AI-provided updates into full local datetimes for a specific event
+ * - "15:00" keeps the event's date and changes the time
+ * - a new start without a new end keeps the event's duration
+ */
+function resolveEventUpdates(event, updates, timezone) {
+  const resolved = { ...updates };
+  const eventStart = event.start?.dateTime ? toLocalDateTime(new Date(event.start.dateTime), timezone) : null;
+  const eventEnd = event.end?.dateTime ? toLocalDateTime(new Date(event.end.dateTime), timezone) : null;
+  
+  const withEventDate = (value, localDateTime) => {
+    const match = TIME_ONLY_PATTERN.exec(value);
+    if (!match || !localDateTime) {
+      return value;
+    }
+    const [, hours, minutes, seconds = '00'] = match;
+    return `${localDateTime.slice(0, 10)}T${hours.padStart(2, '0')}:${minutes}:${seconds}`;
+  };
+  
+  if (resolved.startDateTime) {
+    resolved.startDateTime = withEventDate(resolved.startDateTime, eventStart);
+  }
+  if (resolved.endDateTime) {
+    resolved.endDateTime = withEventDate(resolved.endDateTime, eventEnd || resolved.startDateTime);
+  }
+  
+  if (resolved.startDateTime && !resolved.endDateTime && eventStart && eventEnd) {
+    const durationMinutes = (new Date(event.end.dateTime) - new Date(event.start.dateTime)) / 60000;
+    resolved.endDateTime = addMinutesToLocal(resolved.startDateTime, durationMinutes);
+  }
+  
+  return resolved;
+}
+
+/**
+ * Whether an operation needs the user to confirm it first (see CONFIRM_ACTIONS)
+ */
+function needsConfirmation(action, updates) {
+  if (action === 'delete_event') {
+    return CONFIRM_ACTIONS.includes('delete');
+  }
+  if (action === 'update_event') {
+    return CONFIRM_ACTIONS.includes('move') && !!(updates.startDateTime || updates.endDateTime || updates.recurrence);
+  }
+  return false;
+}
+
+/**
+ * Run an update or delete on an event the user has identified,
+ * asking for confirmation first when the operation is destructive
+ * @param {string} action - "update_event" or "delete_event"
+ * @param {Object} options - { confirmed: true } once the user has said yes
+ */
+async function runEventAction(phoneNumber, action, event, parameters, calendarFunctions, timezone, options = {}) {
+  const updates = action === 'update_event'
+    ? resolveEventUpdates(event, parameters.updates || {}, timezone)
+    : null;
+  
+  // A new repeat pattern (confirmed actions already carry the built RRULE)
+  let scope = parameters.scope;
+  if (updates && updates.recurrence && !Array.isArray(updates.recurrence)) {
+    updates.recurrence = [buildRRule(updates.recurrence, timezone)];
+    if (scope !== 'following') {
+      scope = 'all';
+    }
+  }
+  scope = resolveScope(event, scope);
+  
+  if (!options.confirmed && needsConfirmation(action, updates)) {
+    return await askForConfirmation(phoneNumber, action, event, { ...parameters, updates, scope }, timezone);
+  }
+  
+  if (action === 'delete_event') {
+    return await deleteMatchedEvent(phoneNumber, event, scope, calendarFunctions, timezone);
+  }
+  return await updateMatchedEvent(phoneNumber, event, updates, scope, calendarFunctions, timezone);
+}
+
+/**
+ * Apply an update to an event the user has identified
+ * @param {string} scope - For recurring events: "this", "following" or "all"
+ */
+async function updateMatchedEvent(phoneNumber, eventToUpdate, updates, scope, calendarFunctions, timezone) {
+  console.log(`[CALENDAR_HANDLER] Updating event: ${eventToUpdate.id} (${scope})`);
+  
+  return await updateEventInScope(phoneNumber, eventToUpdate, updates, scope, calendarFunctions, timezone);
+}
+
+/**
+ * When the user means a whole series, several matching occurrences are one choice
+ */
+function dedupeSeries(matches, scope) {
+  if (scope !== 'following' && scope !== 'all') {
+    return matches;
+  }
+  
+  const seen = new Set();
+  return matches.filter(event => {
+    const key = event.recurringEventId || event.id;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
 /**
  * Handle delete event request
  */
-async function handleDeleteEvent(phoneNumber, parameters, calendarFunctions) {
+async function handleDeleteEvent(phoneNumber, parameters, calendarFunctions, timezone) {
   try {
-    const { searchCalendarEvents, deleteCalendarEvent } = calendarFunctions;
-    
-    // Search for the event
-    if (!parameters.searchQuery) {
+    // Find the event (by id for follow-ups like "move it to 4pm", otherwise by search)
+    if (!parameters.searchQuery && !parameters.eventId) {
       return {
         success: false,
         error: 'Please specify which event to delete'
       };
     }
     
-    const matches = await searchCalendarEvents(phoneNumber, parameters.searchQuery);
+    const matches = await findMatchingEvents(phoneNumber, parameters, calendarFunctions);
     
     if (!matches || matches.length === 0) {
       return {
         success: false,
-        error: `No events found matching "${parameters.searchQuery}"`
+        error: `No events found matching "${parameters.searchQuery || 'that'}"`
       };
     }
     
-    // Use the first match
-    const eventToDelete = matches[0];
-    console.log(`[CALENDAR_HANDLER] Deleting event: ${eventToDelete.id} - ${eventToDelete.summary}`);
+    // Several candidates - ask which one rather than guessing
+    const candidates = dedupeSeries(matches, parameters.scope);
+    if (candidates.length > 1) {
+      return await askWhichEvent(phoneNumber, 'delete_event', parameters, candidates, timezone);
+    }
     
-    const result = await deleteCalendarEvent(phoneNumber, eventToDelete.id);
+    return await runEventAction(phoneNumber, 'delete_event', candidates[0], parameters, calendarFunctions, timezone);
+  } catch (error) {
+    console.error(`[CALENDAR_HANDLER] Error deleting event:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Delete an event the user has identified
+ * @param {string} scope - For recurring events: "this", "following" or "all"
+ */
+async function deleteMatchedEvent(phoneNumber, eventToDelete, scope, calendarFunctions, timezone) {
+  console.log(`[CALENDAR_HANDLER] Deleting event: ${eventToDelete.id} - ${eventToDelete.summary} (${scope})`);
+  
+  const result = await deleteEventInScope(phoneNumber, eventToDelete, scope, calendarFunctions, timezone);
+  
+  if (result.success) {
+    result.deletedEvent = eventToDelete;
+  }
+  
+  return result;
+}
+
+/**
+ * Handle find free time request
+ * Replies with ranked slots and remembers them so the next message can book one
+ */
+async function handleFindFreeTime(phoneNumber, parameters, calendarFunctions, timezone) {
+  try {
+    const { getFreeBusy } = calendarFunctions;
     
-    if (result.success) {
-      result.deletedEvent = eventToDelete;
+    const { dates, window } = getSearchRange(parameters, timezone);
+    if (dates.length === 0) {
+      return {
+        success: false,
+        error: 'No working days in that range'
+      };
     }
     
-    return result;
+    const { timeMin, timeMax } = getRangeBounds(dates, timezone);
+    const busy = await getFreeBusy(phoneNumber, timeMin, timeMax);
+    if (!busy) {
+      return {
+        success: false,
+        error: 'Calendar not linked'
+      };
+    }
+    
+    const durationMinutes = parseInt(parameters.durationMinutes, 10) || undefined;
+    const slots = findFreeSlots(busy, { dates, window, durationMinutes, timezone });
+    console.log(`[CALENDAR_HANDLER] Found ${slots.length} free slots between ${timeMin} and ${timeMax}`);
+    
+    if (slots.length === 0) {
+      return {
+        success: true,
+        slots,
+        response: `You don't have a free slot${durationMinutes ? ` of ${durationMinutes} minutes` : ''} between ${window.start} and ${window.end} then. Try another day or a shorter time.`
+      };
+    }
+    
+    await setPendingAction(phoneNumber, {
+      type: 'choose_slot',
+      summary: parameters.summary || null,
+      slots,
+      expiresAt: new Date(Date.now() + PENDING_ACTION_TTL_MS).toISOString()
+    });
+    
+    return {
+      success: true,
+      awaitingReply: true,
+      slots,
+      // Tapping a slot can't say what it's for, so only offer that when we already know
+      choices: parameters.summary ? withCancelChoice(slotChoices(slots, timezone)) : null,
+      response: `Here's when you're free:\n\n${formatSlotList(slots, timezone)}\n\nTo book one, reply with its number${parameters.summary ? '' : ' and what it\'s for (e.g. "2 for coffee with Sam")'}.`
+    };
   } catch (error) {
-    console.error(`[CALENDAR_HANDLER] Error deleting event:`, error);
+    console.error(`[CALENDAR_HANDLER] Error finding free time:`, error);
     return {
       success: false,
       error: error.message
@@ -277,39 +726,540 @@ async function handleDeleteEvent(phoneNumber, parameters, calendarFunctions) {
 }
 
 /**
- * Get the next occurrence of a day of the week
- * @param {string} dayName - Name of the day (e.g., "monday", "friday")
- * @param {Date} fromDate - Starting date (defaults to now in Sydney timezone)
+ * Handle a message while the bot is waiting on an answer from the user
+ * Expired questions are cleared; a late "yes" to an expired confirmation is told so
+ * @returns {Object|null} - Reply for the user, or null to treat the message as a new request
+ */
+async function handlePendingAction(userMessage, phoneNumber, pendingAction, calendarFunctions, timezone) {
+  const reply = userMessage.trim();
+  
+  if (pendingAction.expiresAt && new Date(pendingAction.expiresAt).getTime() <= Date.now()) {
+    console.log(`[CALENDAR_HANDLER] Pending ${pendingAction.type} for ${phoneNumber} expired`);
+    await clearPendingAction(phoneNumber);
+    
+    if ((pendingAction.type === 'confirm' || pendingAction.type === 'import_events')
+      && (YES_PATTERN.test(reply) || NO_PATTERN.test(reply))) {
+      return {
+        success: false,
+        response: "That request timed out, so I didn't change anything. Please ask again if you still want it done."
+      };
+    }
+    return null;
+  }
+  
+  let result = null;
+  if (pendingAction.type === 'select_event') {
+    result = await handleEventSelection(reply, phoneNumber, pendingAction, calendarFunctions, timezone);
+  } else if (pendingAction.type === 'confirm') {
+    result = await handleConfirmation(reply, phoneNumber, pendingAction, calendarFunctions, timezone);
+  } else if (pendingAction.type === 'choose_slot') {
+    result = await handleSlotChoice(reply, phoneNumber, pendingAction, calendarFunctions, timezone);
+  } else if (pendingAction.type === 'import_events') {
+    result = await handleImportConfirmation(reply, phoneNumber, pendingAction, calendarFunctions, timezone);
+  } else if (pendingAction.type === 'ask_time') {
+    result = await handleStartTimeAnswer(reply, phoneNumber, pendingAction, calendarFunctions, timezone);
+  }
+  
+  if (!result) {
+    // Not an answer - drop the question and treat this as a new request
+    await clearPendingAction(phoneNumber);
+  }
+  return result;
+}
+
+/**
+ * Choices for picking one of a list of events (reply with its number)
+ */
+function eventChoices(events, timezone) {
+  return events.map((event, index) => ({
+    reply: String(index + 1),
+    title: event.summary || '(No title)',
+    description: formatEventWhen(event, timezone)
+  }));
+}
+
+/**
+ * Choices for picking one of a list of free slots (reply with its number)
+ */
+function slotChoices(slots, timezone) {
+  return slots.map((slot, index) => ({
+    reply: String(index + 1),
+    title: formatEventWhen(slot, timezone),
+    description: `Until ${new Date(slot.end.dateTime).toLocaleTimeString('en-US', {
+      timeZone: timezone,
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    })}`
+  }));
+}
+
+// Add a "never mind" choice, if there is room for it
+function withCancelChoice(choices) {
+  return choices.length < MAX_CHOICES ? [...choices, CANCEL_CHOICE] : choices;
+}
+
+/**
+ * Keep only what we need to act on an event later and describe it again
+ */
+function toStoredEvent(event) {
+  return {
+    id: event.id,
+    summary: event.summary,
+    location: event.location,
+    start: event.start,
+    end: event.end,
+    recurringEventId: event.recurringEventId,
+    originalStartTime: event.originalStartTime
+  };
+}
+
+/**
+ * Store a destructive operation and ask the user to confirm it
+ */
+async function askForConfirmation(phoneNumber, action, event, parameters, timezone) {
+  await setPendingAction(phoneNumber, {
+    type: 'confirm',
+    action,
+    parameters,
+    event: toStoredEvent(event),
+    expiresAt: new Date(Date.now() + CONFIRMATION_TTL_MS).toISOString()
+  });
+  
+  console.log(`[CALENDAR_HANDLER] Asking ${phoneNumber} to confirm ${action} on ${event.id}`);
+  
+  return {
+    success: true,
+    awaitingReply: true,
+    choices: CONFIRM_CHOICES,
+    response: describePendingChange(action, event, parameters.updates, parameters.scope, timezone)
+  };
+}
+
+/**
+ * Spell out exactly what is about to change
+ */
+function describePendingChange(action, event, updates, scope, timezone) {
+  const minutes = Math.round(CONFIRMATION_TTL_MS / 60000);
+  const footer = `Reply "yes" to go ahead or "no" to cancel. I'll cancel it if I don't hear back within ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+  const appliesTo = event.recurringEventId ? `\n\nThis is a repeating event. The change applies to ${SCOPE_DESCRIPTIONS[scope]}.` : '';
+  
+  if (action === 'delete_event') {
+    return `I'm about to delete this event:\n\n${formatEventDetails(event, timezone)}${appliesTo}\n\n${footer}`;
+  }
+  
+  const changes = [];
+  if (updates.startDateTime) {
+    const newStart = zonedTimeToUtc(updates.startDateTime, timezone).toISOString();
+    changes.push(`When: ${formatEventWhen(event, timezone)} → ${formatEventWhen({ start: { dateTime: newStart } }, timezone)}`);
+  }
+  if (updates.endDateTime) {
+    const newEnd = zonedTimeToUtc(updates.endDateTime, timezone).toISOString();
+    changes.push(`Ends: ${formatEventWhen({ start: { dateTime: newEnd } }, timezone)}`);
+  }
+  if (updates.summary) {
+    changes.push(`Title: ${event.summary || '(No title)'} → ${updates.summary}`);
+  }
+  if (updates.location) {
+    changes.push(`Location: ${event.location || '(none)'} → ${updates.location}`);
+  }
+  if (updates.description) {
+    changes.push(`Description: ${updates.description}`);
+  }
+  if (updates.recurrence) {
+    changes.push(`Repeats: ${describeRRule(updates.recurrence[0], timezone)}`);
+  }
+  if (updates.reminderMinutes !== undefined) {
+    changes.push(`Reminders: ${describeReminders(normalizeReminderMinutes(updates.reminderMinutes))}`);
+  }
+  
+  return `I'm about to change "${event.summary || '(No title)'}":\n\n${changes.join('\n')}${appliesTo}\n\n${footer}`;
+}
+
+/**
+ * Handle the user's yes/no to a confirmation
+ * @returns {Object|null} - Reply for the user, or null if the message is not a yes or no
+ */
+async function handleConfirmation(reply, phoneNumber, pendingAction, calendarFunctions, timezone) {
+  if (NO_PATTERN.test(reply)) {
+    await clearPendingAction(phoneNumber);
+    return {
+      success: true,
+      response: "OK, I've left your calendar as it is."
+    };
+  }
+  
+  if (!YES_PATTERN.test(reply)) {
+    return null;
+  }
+  
+  console.log(`[CALENDAR_HANDLER] ${phoneNumber} confirmed ${pendingAction.action} on ${pendingAction.event.id}`);
+  await clearPendingAction(phoneNumber);
+  
+  let result;
+  try {
+    result = await runEventAction(
+      phoneNumber,
+      pendingAction.action,
+      pendingAction.event,
+      pendingAction.parameters,
+      calendarFunctions,
+      timezone,
+      { confirmed: true }
+    );
+  } catch (error) {
+    console.error(`[CALENDAR_HANDLER] Error finishing ${pendingAction.action}:`, error);
+    result = { success: false, error: error.message };
+  }
+  
+  const response = await generateResponse(pendingAction.action, result, pendingAction.parameters, { timezone });
+  
+  return {
+    success: result.success !== false,
+    response: response,
+    action: pendingAction.action,
+    result: result
+  };
+}
+
+/**
+ * Store the matching events and ask the user to pick one
+ * @param {string} action - "update_event" or "delete_event"
+ */
+async function askWhichEvent(phoneNumber, action, parameters, matches, timezone) {
+  const candidates = matches.slice(0, 10).map(toStoredEvent);
+  
+  await setPendingAction(phoneNumber, {
+    type: 'select_event',
+    action,
+    parameters,
+    candidates,
+    expiresAt: new Date(Date.now() + PENDING_ACTION_TTL_MS).toISOString()
+  });
+  
+  console.log(`[CALENDAR_HANDLER] ${matches.length} events match "${parameters.searchQuery}", asking user to choose`);
+  
+  return {
+    success: true,
+    awaitingReply: true,
+    choices: withCancelChoice(eventChoices(candidates, timezone)),
+    response: buildSelectionPrompt(action, parameters.searchQuery, candidates, timezone)
+  };
+}
+
+function buildSelectionPrompt(action, searchQuery, candidates, timezone) {
+  const verb = action === 'delete_event' ? 'delete' : 'change';
+  const intro = searchQuery
+    ? `I found ${candidates.length} events matching "${searchQuery}". Which one should I ${verb}?`
+    : `Which one should I ${verb}?`;
+  
+  return `${intro}\n\n${formatEventList(candidates, timezone)}\n\nReply with the number (e.g. "2") or describe it (e.g. "the one on Friday"), or say "never mind".`;
+}
+
+/**
+ * Handle the user's answer to a "which event?" question
+ * @returns {Object|null} - Reply for the user, or null if the message is not an answer
  */
-function getNextDayOfWeek(dayName, fromDate = null) {
-  const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const targetDay = days.indexOf(dayName.toLowerCase());
+async function handleEventSelection(userMessage, phoneNumber, pendingAction, calendarFunctions, timezone) {
+  const selection = resolveEventSelection(userMessage, pendingAction.candidates, timezone);
   
-  if (targetDay === -1) {
-    console.error(`[CALENDAR_HANDLER] Invalid day name: ${dayName}`);
-    return fromDate || new Date(); // Invalid day, return today
+  if (!selection) {
+    return null;
+  }
+  
+  if (selection.cancelled) {
+    await clearPendingAction(phoneNumber);
+    return {
+      success: true,
+      response: "OK, I've left your calendar as it is."
+    };
   }
   
-  // Use provided date or current Sydney time
-  const startDate = fromDate || new Date(new Date().toLocaleString('en-US', { timeZone: 'Australia/Sydney' }));
-  const currentDay = startDate.getDay();
+  if (!selection.event) {
+    // Still ambiguous - ask again, with a narrower list if the reply helped
+    await setPendingAction(phoneNumber, {
+      ...pendingAction,
+      candidates: selection.candidates,
+      expiresAt: new Date(Date.now() + PENDING_ACTION_TTL_MS).toISOString()
+    });
+    return {
+      success: true,
+      choices: withCancelChoice(eventChoices(selection.candidates, timezone)),
+      response: buildSelectionPrompt(pendingAction.action, null, selection.candidates, timezone)
+    };
+  }
   
-  console.log(`[CALENDAR_HANDLER] Finding next ${dayName} from ${startDate.toISOString().split('T')[0]} (current day: ${days[currentDay]})`);
+  console.log(`[CALENDAR_HANDLER] User picked event ${selection.event.id} for ${pendingAction.action}`);
+  await clearPendingAction(phoneNumber);
   
-  let daysUntilTarget = targetDay - currentDay;
-  if (daysUntilTarget <= 0) {
-    daysUntilTarget += 7; // Next week
+  let result;
+  try {
+    result = await runEventAction(
+      phoneNumber,
+      pendingAction.action,
+      selection.event,
+      pendingAction.parameters,
+      calendarFunctions,
+      timezone
+    );
+  } catch (error) {
+    console.error(`[CALENDAR_HANDLER] Error finishing ${pendingAction.action}:`, error);
+    result = { success: false, error: error.message };
   }
   
-  const result = new Date(startDate);
-  result.setDate(result.getDate() + daysUntilTarget);
+  // The chosen operation may need confirming before it runs
+  if (result.response) {
+    return {
+      success: true,
+      response: result.response,
+      choices: result.choices
+    };
+  }
   
-  console.log(`[CALENDAR_HANDLER] Next ${dayName} is: ${result.toISOString().split('T')[0]}`);
+  const response = await generateResponse(pendingAction.action, result, pendingAction.parameters, { timezone });
   
-  return result;
+  return {
+    success: result.success !== false,
+    response: response,
+    action: pendingAction.action,
+    result: result
+  };
+}
+
+/**
+ * Handle the user's choice of a free slot and book it
+ * Accepts "2", "book 2", "the 3pm one", "2 for coffee with Sam", and
+ * "book anyway" when the slots were offered because of a clash
+ * @returns {Object|null} - Reply for the user, or null if the message is not a choice
+ */
+async function handleSlotChoice(reply, phoneNumber, pendingAction, calendarFunctions, timezone) {
+  if (pendingAction.event && (YES_PATTERN.test(reply) || ANYWAY_PATTERN.test(reply))) {
+    await clearPendingAction(phoneNumber);
+    
+    const parameters = { ...pendingAction.event };
+    const result = await handleCreateEvent(phoneNumber, parameters, calendarFunctions, timezone, { allowConflicts: true });
+    return {
+      success: result.success !== false,
+      response: await generateResponse('create_event', result, parameters, { timezone }),
+      action: 'create_event',
+      result: result
+    };
+  }
+  
+  // Split "book 2 for coffee with Sam" into the choice and the title
+  const titleMatch = /\s+(?:for|called|named|titled)\s+(.+)$/i.exec(reply);
+  const choice = (titleMatch ? reply.slice(0, titleMatch.index) : reply)
+    .replace(/^(?:book|take|grab|schedule)\s+(?:it\s+)?(?:in\s+)?(?:slot\s+|option\s+)?/i, '')
+    .trim();
+  
+  const selection = resolveEventSelection(choice, pendingAction.slots, timezone);
+  if (!selection) {
+    return null;
+  }
+  
+  if (selection.cancelled) {
+    await clearPendingAction(phoneNumber);
+    return {
+      success: true,
+      response: "OK, I won't book anything."
+    };
+  }
+  
+  if (!selection.event) {
+    return {
+      success: true,
+      choices: pendingAction.event
+        ? [...slotChoices(pendingAction.slots, timezone), { reply: 'book anyway', title: 'Book anyway' }]
+        : (pendingAction.summary ? withCancelChoice(slotChoices(pendingAction.slots, timezone)) : null),
+      response: `Which slot would you like?\n\n${formatSlotList(pendingAction.slots, timezone)}\n\nReply with its number${pendingAction.event ? ' or "book anyway"' : ''}.`
+    };
+  }
+  
+  await clearPendingAction(phoneNumber);
+  
+  const slot = selection.event;
+  const title = titleMatch ? titleMatch[1].trim() : null;
+  const parameters = {
+    ...pendingAction.event,
+    summary: title ? title.charAt(0).toUpperCase() + title.slice(1) : (pendingAction.summary || 'New event'),
+    startDateTime: toLocalDateTime(new Date(slot.start.dateTime), timezone),
+    endDateTime: toLocalDateTime(new Date(slot.end.dateTime), timezone)
+  };
+  
+  // Slots come from free/busy, so there is nothing to clash with
+  const result = await handleCreateEvent(phoneNumber, parameters, calendarFunctions, timezone, { allowConflicts: true });
+  const response = await generateResponse('create_event', result, parameters, { timezone });
+  
+  return {
+    success: result.success !== false,
+    response: response,
+    action: 'create_event',
+    result: result
+  };
+}
+
+/**
+ * Handle the user's answer to "what time should I book it?" and book the event
+ * Accepts "3pm", "10", "make it 10:30", and "friday at 9" to change the day too
+ * @returns {Object|null} - Reply for the user, or null if the message is not a time
+ */
+async function handleStartTimeAnswer(reply, phoneNumber, pendingAction, calendarFunctions, timezone) {
+  if (NO_PATTERN.test(reply)) {
+    await clearPendingAction(phoneNumber);
+    return {
+      success: true,
+      response: "OK, I won't book it."
+    };
+  }
+  
+  const answer = parseTimeReply(reply, { timezone });
+  if (!answer) {
+    return null;
+  }
+  
+  await clearPendingAction(phoneNumber);
+  
+  const { date, durationMinutes, ...event } = pendingAction.event;
+  const startDateTime = `${answer.date || date || getToday(timezone)}T${answer.time}:00`;
+  const parameters = {
+    ...event,
+    startDateTime,
+    endDateTime: addMinutesToLocal(startDateTime, durationMinutes || 60)
+  };
+  
+  const result = await handleCreateEvent(phoneNumber, parameters, calendarFunctions, timezone);
+  if (result.response) {
+    // The new time clashes; the conflict question replaces this one
+    return { ...result, action: 'create_event', result };
+  }
+  
+  return {
+    success: result.success !== false,
+    response: await generateResponse('create_event', result, parameters, { timezone }),
+    action: 'create_event',
+    result: result
+  };
+}
+
+/**
+ * Events from an .ics file, one per entry, with how they repeat
+ */
+function formatImportList(events, timezone) {
+  return events.map((event, index) => {
+    const rule = findRRule(event.recurrence);
+    const details = formatEventDetails(event, timezone) + (rule ? `\nRepeats ${describeRRule(rule, timezone)}` : '');
+    return `${index + 1}. ${details.replace(/\n/g, '\n   ')}`;
+  }).join('\n\n');
+}
+
+/**
+ * Show the events read from an .ics file and ask whether to add them
+ * @param {string} phoneNumber - User's phone number
+ * @param {Array} events - Events from icalendar.parseICalendar
+ * @param {Object} options
+ * @param {string} options.timezone - User's IANA timezone
+ * @param {string} options.fileName - Name of the file, for the reply
+ * @param {number} options.cancelled - Cancelled events left out of the file
+ * @returns {Object} - { success, response, choices }
+ */
+async function previewEventImport(phoneNumber, events, { timezone, fileName, cancelled = 0 } = {}) {
+  timezone = resolveTimezone(timezone);
+  const source = fileName ? ` in ${fileName}` : '';
+  
+  if (!events.length) {
+    return {
+      success: false,
+      response: cancelled
+        ? `The invite${source} only cancels events, so there is nothing to add. To remove an event, ask me to cancel it.`
+        : `I couldn't find any events${source}.`
+    };
+  }
+  if (events.length > MAX_IMPORT_EVENTS) {
+    return {
+      success: false,
+      response: `That file has ${events.length} events. I can add up to ${MAX_IMPORT_EVENTS} at a time, so please send a smaller file.`
+    };
+  }
+  
+  await setPendingAction(phoneNumber, {
+    type: 'import_events',
+    fileName: fileName || null,
+    events,
+    expiresAt: new Date(Date.now() + PENDING_ACTION_TTL_MS).toISOString()
+  });
+  
+  console.log(`[CALENDAR_HANDLER] Asking ${phoneNumber} to confirm importing ${events.length} events${source}`);
+  
+  const count = events.length === 1 ? 'this event' : `these ${events.length} events`;
+  const skipped = cancelled ? `\n\n(${cancelled} cancelled event${cancelled === 1 ? ' was' : 's were'} left out.)` : '';
+  return {
+    success: true,
+    choices: CONFIRM_CHOICES,
+    response: `📎 I found ${count}${source}:\n\n${formatImportList(events, timezone)}${skipped}\n\nAdd ${events.length === 1 ? 'it' : 'them'} to your calendar? Reply "yes" or "no".`
+  };
+}
+
+/**
+ * Handle the user's yes/no to importing an .ics file
+ * @returns {Object|null} - Reply for the user, or null if the message is not a yes or no
+ */
+async function handleImportConfirmation(reply, phoneNumber, pendingAction, calendarFunctions, timezone) {
+  if (NO_PATTERN.test(reply)) {
+    await clearPendingAction(phoneNumber);
+    return {
+      success: true,
+      response: "OK, I didn't add anything."
+    };
+  }
+  
+  if (!YES_PATTERN.test(reply)) {
+    return null;
+  }
+  
+  await clearPendingAction(phoneNumber);
+  
+  const created = [];
+  const failed = [];
+  for (const event of pendingAction.events) {
+    const result = await calendarFunctions.createCalendarEvent(phoneNumber, {
+      summary: event.summary,
+      location: event.location,
+      description: event.description,
+      startDateTime: event.start.dateTime,
+      endDateTime: event.end.dateTime,
+      startDate: event.start.date,
+      endDate: event.end.date,
+      timeZone: event.start.timeZone,
+      recurrence: event.recurrence
+    });
+    if (result.success) {
+      created.push(result.event);
+    } else {
+      console.error(`[CALENDAR_HANDLER] Could not import "${event.summary}":`, result.error);
+      failed.push(event);
+    }
+  }
+  
+  console.log(`[CALENDAR_HANDLER] Imported ${created.length} of ${pendingAction.events.length} events for ${phoneNumber}`);
+  
+  const lines = [];
+  if (created.length) {
+    lines.push(`✅ Added ${created.length === 1 ? '1 event' : `${created.length} events`} to your calendar:\n\n${formatEventList(created, timezone)}`);
+  }
+  if (failed.length) {
+    lines.push(`⚠️ I couldn't add: ${failed.map(event => event.summary).join(', ')}. Please try again later.`);
+  }
+  
+  return {
+    success: failed.length === 0,
+    response: lines.join('\n\n'),
+    action: 'import_events',
+    result: { success: created.length > 0, events: created }
+  };
 }
 
 module.exports = {
-  processCalendarMessage
+  processCalendarMessage,
+  previewEventImport
 };
 
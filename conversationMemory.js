@@ -0,0 +1,172 @@
+// Conversation Memory - remembers the last few messages and the events they touched,
+// so follow-ups like "actually make it 4pm" or "add it for Friday too" can be resolved
+//
+// Stored on the user record as:
+// { turns: [{ user, assistant, action, at }], recentEvents: [event], updatedAt }
+const { toLocalDateTime } = require('./timezone');
+
+// How long a conversation is remembered after the last message
+const CONVERSATION_TTL_MS = (parseInt(process.env.CONVERSATION_TTL_MINUTES, 10) || 30) * 60 * 1000;
+
+// How many message/reply pairs are passed back to the AI
+const MAX_TURNS = parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || 6;
+
+const MAX_RECENT_EVENTS = 5;
+
+// Long replies (e.g. a week of events) are cut down before being stored
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * The stored conversation if it is still fresh, otherwise null
+ * @param {Object} conversation - Conversation from the user record
+ * @param {Date} now - Current time
+ * @returns {Object|null}
+ */
+function getActiveConversation(conversation, now = new Date()) {
+  if (!conversation || !conversation.updatedAt) {
+    return null;
+  }
+  if (now.getTime() - new Date(conversation.updatedAt).getTime() > CONVERSATION_TTL_MS) {
+    return null;
+  }
+  return conversation;
+}
+
+function toRecentEvent(event) {
+  return {
+    id: event.id,
+    summary: event.summary,
+    location: event.location,
+    start: event.start,
+    end: event.end,
+    recurringEventId: event.recurringEventId
+  };
+}
+
+function truncate(text) {
+  const value = String(text || '');
+  return value.length > MAX_MESSAGE_LENGTH ? `${value.slice(0, MAX_MESSAGE_LENGTH)}...` : value;
+}
+
+/**
+ * Work out which events an operation touched
+ * @param {string} action - Intent action that ran
+ * @param {Object} result - Operation result from the calendar handler
+ * @returns {Object} - { touched: [event], removedIds: [id] }
+ */
+function getTouchedEvents(action, result) {
+  if (!result || result.success === false) {
+    return { touched: [], removedIds: [] };
+  }
+
+  if (action === 'delete_event' && result.deletedEvent) {
+    return { touched: [], removedIds: [result.deletedEvent.id] };
+  }
+
+  if (action === 'read_events' || action === 'import_events') {
+    return { touched: (result.events || []).slice(0, MAX_RECENT_EVENTS), removedIds: [] };
+  }
+
+  if (result.event && result.event.id) {
+    return { touched: [result.event], removedIds: [] };
+  }
+
+  return { touched: [], removedIds: [] };
+}
+
+/**
+ * Add a message and its reply to the conversation
+ * @param {Object|null} conversation - Active conversation (from getActiveConversation)
+ * @param {Object} turn
+ * @param {string} turn.userMessage - What the user said
+ * @param {string} turn.response - What the bot replied
+ * @param {string} turn.action - Intent action that ran, if any
+ * @param {Object} turn.result - Operation result, if any
+ * @param {Date} now - Current time
+ * @returns {Object} - New conversation to store
+ */
+function recordTurn(conversation, turn, now = new Date()) {
+  const previous = conversation || { turns: [], recentEvents: [] };
+  const { touched, removedIds } = getTouchedEvents(turn.action, turn.result);
+
+  // Most recently touched first, without duplicates or deleted events
+  const touchedIds = new Set(touched.map(event => event.id));
+  const recentEvents = [
+    ...touched.map(toRecentEvent),
+    ...(previous.recentEvents || []).filter(event => !touchedIds.has(event.id))
+  ]
+    .filter(event => !removedIds.includes(event.id))
+    .slice(0, MAX_RECENT_EVENTS);
+
+  const turns = [
+    ...(previous.turns || []),
+    {
+      user: truncate(turn.userMessage),
+      assistant: truncate(turn.response),
+      action: turn.action || null,
+      at: now.toISOString()
+    }
+  ].slice(-MAX_TURNS);
+
+  return {
+    turns,
+    recentEvents,
+    updatedAt: now.toISOString()
+  };
+}
+
+/**
+ * Earlier messages as chat messages for the AI (oldest first)
+ * @returns {Array} - [{ role, content }]
+ */
+function toChatMessages(conversation) {
+  if (!conversation) {
+    return [];
+  }
+  return (conversation.turns || []).flatMap(turn => [
+    { role: 'user', content: turn.user },
+    { role: 'assistant', content: turn.assistant }
+  ]);
+}
+
+/**
+ * Recently touched events as prompt lines, most recent first
+ * ("1. id=abc123 | Dentist | 2024-11-23T14:00:00 to 2024-11-23T15:00:00 | Surry Hills")
+ * @param {Object} conversation - Active conversation
+ * @param {string} timezone - IANA timezone for local times
+ * @returns {string} - Empty when nothing was touched
+ */
+function describeRecentEvents(conversation, timezone) {
+  if (!conversation) {
+    return '';
+  }
+
+  const localTime = (time) => {
+    if (!time) {
+      return '?';
+    }
+    return time.dateTime ? toLocalDateTime(new Date(time.dateTime), timezone) : `${time.date} (all day)`;
+  };
+
+  return (conversation.recentEvents || []).map((event, index) => {
+    const parts = [
+      `id=${event.id}`,
+      event.summary || '(No title)',
+      `${localTime(event.start)} to ${localTime(event.end)}`
+    ];
+    if (event.location) {
+      parts.push(event.location);
+    }
+    if (event.recurringEventId) {
+      parts.push('repeating');
+    }
+    return `${index + 1}. ${parts.join(' | ')}`;
+  }).join('\n');
+}
+
+module.exports = {
+  getActiveConversation,
+  recordTurn,
+  toChatMessages,
+  describeRecentEvents
+};
@@ -1,5 +1,6 @@
 -- Database initialization script for Vercel Postgres
 -- Run this once after creating your Vercel Postgres database
+-- Prefer "npm run migrate", which applies storage/migrations/*.sql and tracks what has run
 
 CREATE TABLE IF NOT EXISTS users (
   phone_number VARCHAR(20) PRIMARY KEY,
@@ -7,6 +8,7 @@ CREATE TABLE IF NOT EXISTS users (
   calendar_linked BOOLEAN DEFAULT FALSE,
   calendar_linked_at TIMESTAMP,
   pending_oauth VARCHAR(255),
+  timezone VARCHAR(64),
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
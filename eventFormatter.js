@@ -0,0 +1,112 @@
+// Event Formatter - plain-text event descriptions for WhatsApp replies
+// Follows the same layout the AI uses for read_events replies:
+// "1. Event Title\n   Date and time\n   Location (if any)"
+const { formatDate } = require('./timezone');
+
+/**
+ * Describe when an event happens, in the user's timezone
+ * @param {Object} event - Google Calendar event (start/end with dateTime or date)
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - e.g. "Fri, Nov 23, 2:00 PM" or "Sat, Nov 24 (all day)"
+ */
+function formatEventWhen(event, timezone) {
+  const start = event.start || {};
+
+  if (start.dateTime) {
+    return new Date(start.dateTime).toLocaleString('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+  }
+
+  if (start.date) {
+    // All-day events carry a plain date with no timezone
+    const day = new Date(`${start.date}T00:00:00Z`).toLocaleDateString('en-US', {
+      timeZone: 'UTC',
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short'
+    });
+    return `${day} (all day)`;
+  }
+
+  return 'Time not set';
+}
+
+/**
+ * Local date (YYYY-MM-DD) an event starts on, in the user's timezone
+ */
+function getEventLocalDate(event, timezone) {
+  const start = event.start || {};
+  if (start.dateTime) {
+    return formatDate(new Date(start.dateTime), timezone);
+  }
+  return start.date || null;
+}
+
+/**
+ * Title, time and location of a single event, one per line
+ * @param {Object} event - Google Calendar event
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function formatEventDetails(event, timezone) {
+  const lines = [event.summary || '(No title)', formatEventWhen(event, timezone)];
+  if (event.location) {
+    lines.push(event.location);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format events as a numbered plain-text list
+ * @param {Array} events - Google Calendar events
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function formatEventList(events, timezone) {
+  return events
+    .map((event, index) => `${index + 1}. ${formatEventDetails(event, timezone).replace(/\n/g, '\n   ')}`)
+    .join('\n\n');
+}
+
+/**
+ * Plain reply for a finished calendar operation, used when the AI can't word one
+ * @param {string} action - read_events, create_event, update_event or delete_event
+ * @param {Object} result - Operation result ({ success, error, events, event, deletedEvent })
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function formatActionReply(action, result, timezone) {
+  if (!result || result.success === false) {
+    return result?.error || 'Something went wrong. Please try again.';
+  }
+
+  switch (action) {
+    case 'read_events':
+      return result.events && result.events.length > 0
+        ? `Here's what you have:\n\n${formatEventList(result.events, timezone)}`
+        : 'No events found.';
+    case 'create_event':
+      return result.event ? `✅ I've scheduled ${formatEventDetails(result.event, timezone).replace(/\n/g, ', ')}` : '✅ Event created.';
+    case 'update_event':
+      return result.event ? `✅ Updated ${formatEventDetails(result.event, timezone).replace(/\n/g, ', ')}` : '✅ Event updated.';
+    case 'delete_event':
+      return `✅ Deleted ${result.deletedEvent?.summary || 'the event'}`;
+    default:
+      return 'Done.';
+  }
+}
+
+module.exports = {
+  formatEventWhen,
+  formatEventDetails,
+  getEventLocalDate,
+  formatEventList,
+  formatActionReply
+};
@@ -0,0 +1,161 @@
+// Event Selection - works out which event a user means when a search matched several
+// Understands replies like "2", "the second one", "the one on Friday" or "the 3pm one"
+const { DAY_NAMES, getToday, addDays, toLocalDateTime } = require('./timezone');
+const { getEventLocalDate } = require('./eventFormatter');
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+const CANCEL_PATTERN = /^(never ?mind|none( of (them|those))?|neither|nope|no|stop|forget it|cancel that)[.!]*$/i;
+
+// Replies starting like this are new requests, not answers ("schedule lunch tomorrow")
+const NEW_REQUEST_PATTERN = /^(schedule|book|add|create|set up|move|reschedule|change|what|what's|show|list|when|am i)\b/i;
+
+// Words that say nothing about which event is meant
+const STOP_WORDS = new Set([
+  'the', 'one', 'ones', 'that', 'this', 'with', 'for', 'and', 'on', 'at', 'in',
+  'my', 'is', 'it', 'please', 'event', 'meeting', 'appointment'
+]);
+
+/**
+ * Pick a candidate by position ("2", "#2", "number 2", "the 2nd", "second", "last")
+ * @returns {number|null} - Zero-based index, or null if the reply has no position
+ */
+function parsePosition(reply, count) {
+  const text = reply.toLowerCase().trim();
+
+  // A time like "3pm" or "15:00" is not a position
+  if (/\d\s*(am|pm)\b|\d:\d{2}/.test(text)) {
+    return null;
+  }
+
+  const numberMatch = /^(?:#|no\.?\s*|number\s*|option\s*)?(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?(?:\s+one)?[.!]*$/.exec(text);
+  if (numberMatch) {
+    return parseInt(numberMatch[1], 10) - 1;
+  }
+
+  if (/\b(last|final)( one)?\b/.test(text)) {
+    return count - 1;
+  }
+
+  for (const [word, position] of Object.entries(ORDINALS)) {
+    if (new RegExp(`\\b${word}\\b`).test(text)) {
+      return position - 1;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a time of day from a reply ("3pm", "3:30 pm", "15:00")
+ * @returns {string|null} - "HH:MM"
+ */
+function parseTimeOfDay(text) {
+  const match = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/.exec(text) || /\b(\d{1,2}):(\d{2})\b/.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Narrow candidates using what the reply says about them (day, time, title words)
+ * @returns {Object} - { matched: Array, hasSignal: boolean }
+ */
+function filterByDescription(reply, candidates, timezone) {
+  const text = reply.toLowerCase();
+  const filters = [];
+
+  // Day: "today", "tomorrow", or a weekday name ("fri", "friday")
+  const today = getToday(timezone);
+  if (/\btoday\b/.test(text)) {
+    filters.push(event => getEventLocalDate(event, timezone) === today);
+  } else if (/\btomorrow\b/.test(text)) {
+    const tomorrow = addDays(today, 1);
+    filters.push(event => getEventLocalDate(event, timezone) === tomorrow);
+  } else {
+    const dayIndex = DAY_NAMES.findIndex(day => new RegExp(`\\b${day.slice(0, 3)}(${day.slice(3)})?\\b`).test(text));
+    if (dayIndex !== -1) {
+      filters.push(event => {
+        const date = getEventLocalDate(event, timezone);
+        return !!date && new Date(`${date}T00:00:00Z`).getUTCDay() === dayIndex;
+      });
+    }
+  }
+
+  // Time of day: "the 3pm one"
+  const time = parseTimeOfDay(text);
+  if (time) {
+    filters.push(event => !!event.start?.dateTime &&
+      toLocalDateTime(new Date(event.start.dateTime), timezone).slice(11, 16) === time);
+  }
+
+  // Title or location words: "the one with Sarah"
+  const words = text.split(/[^a-z0-9']+/).filter(word => word.length >= 3 && !STOP_WORDS.has(word));
+  const wordMatches = event => {
+    const haystack = `${event.summary || ''} ${event.location || ''}`.toLowerCase();
+    return words.some(word => haystack.includes(word));
+  };
+  if (words.length > 0 && candidates.some(wordMatches)) {
+    filters.push(wordMatches);
+  }
+
+  const matched = candidates.filter(event => filters.every(filter => filter(event)));
+  return { matched, hasSignal: filters.length > 0 };
+}
+
+/**
+ * Resolve a reply to a "which event did you mean?" question
+ * @param {string} reply - The user's reply
+ * @param {Array} candidates - Events offered to the user, in the order shown
+ * @param {string} timezone - User's IANA timezone
+ * @returns {Object|null} - One of:
+ *   { event }          - exactly one event picked
+ *   { candidates }     - still ambiguous; ask again with this (possibly narrower) list
+ *   { cancelled: true} - user backed out
+ *   null               - reply doesn't look like an answer (treat as a new request)
+ */
+function resolveEventSelection(reply, candidates, timezone) {
+  if (!reply || !candidates || candidates.length === 0) {
+    return null;
+  }
+
+  if (CANCEL_PATTERN.test(reply.trim())) {
+    return { cancelled: true };
+  }
+
+  if (NEW_REQUEST_PATTERN.test(reply.trim())) {
+    return null;
+  }
+
+  const position = parsePosition(reply, candidates.length);
+  if (position !== null) {
+    if (position >= 0 && position < candidates.length) {
+      return { event: candidates[position] };
+    }
+    return { candidates };
+  }
+
+  const { matched, hasSignal } = filterByDescription(reply, candidates, timezone);
+  if (!hasSignal) {
+    return null;
+  }
+  if (matched.length === 1) {
+    return { event: matched[0] };
+  }
+  return { candidates: matched.length > 0 ? matched : candidates };
+}
+
+module.exports = {
+  resolveEventSelection
+};
@@ -0,0 +1,238 @@
+// Free Time - finds open slots in a user's calendar from Google free/busy data
+// Slots are generated on local wall-clock times, so they line up with :00/:30
+// in the user's timezone and stay correct across DST changes
+const {
+  getToday,
+  addDays,
+  getDayOfWeek,
+  getNextDayOfWeek,
+  zonedTimeToUtc,
+  startOfDay
+} = require('./timezone');
+const { formatEventWhen } = require('./eventFormatter');
+
+// Working hours used unless the user asks for a specific part of the day
+const WORKING_HOURS_START = process.env.WORKING_HOURS_START || '09:00';
+const WORKING_HOURS_END = process.env.WORKING_HOURS_END || '17:00';
+
+// Days searched when no specific day is asked for (0 = Sunday)
+const WORKING_DAYS = (process.env.WORKING_DAYS || '1,2,3,4,5')
+  .split(',')
+  .map(day => parseInt(day, 10))
+  .filter(day => day >= 0 && day <= 6);
+
+// Shortest slot worth offering, and the spacing between slot start times
+const MIN_SLOT_MINUTES = parseInt(process.env.MIN_SLOT_MINUTES, 10) || 30;
+const SLOT_STEP_MINUTES = 30;
+
+// A slot with less than this gap to a neighbouring event counts as back-to-back
+const BUFFER_MINUTES = 15;
+
+const MAX_SLOTS = 5;
+
+const TIME_OF_DAY_WINDOWS = {
+  morning: { start: '09:00', end: '12:00' },
+  afternoon: { start: '12:00', end: '17:00' },
+  evening: { start: '17:00', end: '21:00' }
+};
+
+function toMinutes(hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+function toHHMM(totalMinutes) {
+  return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Work out which local dates and which hours of those days to search
+ * @param {Object} parameters - AI parameters (date, specificDay, dateRange, timeOfDay, earliestTime, latestTime)
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { dates: ["YYYY-MM-DD"], window: { start, end } }
+ */
+function getSearchRange(parameters, timezone, now = new Date()) {
+  const today = getToday(timezone, now);
+  let dates;
+
+  if (parameters.date) {
+    dates = [parameters.date.split('T')[0]];
+  } else if (parameters.specificDay) {
+    dates = [getNextDayOfWeek(parameters.specificDay, timezone, now) || today];
+  } else {
+    // Default: the next few working days (a week when asked for one)
+    const days = parameters.dateRange === 'day' ? 1 : 7;
+    dates = [];
+    for (let offset = 0; offset < days; offset++) {
+      dates.push(addDays(today, offset));
+    }
+    if (days > 1) {
+      dates = dates.filter(date => WORKING_DAYS.includes(getDayOfWeek(date)));
+    }
+  }
+
+  // An explicit part of the day replaces working hours
+  let window = { start: WORKING_HOURS_START, end: WORKING_HOURS_END };
+  if (TIME_OF_DAY_WINDOWS[parameters.timeOfDay]) {
+    window = { ...TIME_OF_DAY_WINDOWS[parameters.timeOfDay] };
+  }
+  if (parameters.earliestTime) {
+    window.start = parameters.earliestTime.slice(0, 5);
+  }
+  if (parameters.latestTime) {
+    window.end = parameters.latestTime.slice(0, 5);
+  }
+
+  return { dates, window };
+}
+
+/**
+ * List every free slot start in the window on the given dates
+ * Takes the same options as findFreeSlots, with durationMinutes required
+ * @returns {Array} - [{ dayIndex, tight, start, end }] with start/end in epoch milliseconds
+ */
+function listCandidateSlots(busy, options) {
+  const { dates, window, timezone, now = new Date() } = options;
+  const durationMs = options.durationMinutes * 60000;
+  const bufferMs = BUFFER_MINUTES * 60000;
+
+  const busyPeriods = busy
+    .map(period => ({ start: new Date(period.start).getTime(), end: new Date(period.end).getTime() }))
+    .sort((a, b) => a.start - b.start);
+
+  const candidates = [];
+
+  dates.forEach((date, dayIndex) => {
+    const windowEnd = zonedTimeToUtc(`${date}T${window.end}`, timezone).getTime();
+
+    for (let minutes = toMinutes(window.start); minutes < toMinutes(window.end); minutes += SLOT_STEP_MINUTES) {
+      const start = zonedTimeToUtc(`${date}T${toHHMM(minutes)}`, timezone).getTime();
+      const end = start + durationMs;
+
+      if (start < now.getTime() || end > windowEnd) {
+        continue;
+      }
+      if (busyPeriods.some(period => period.start < end && period.end > start)) {
+        continue;
+      }
+
+      // Back-to-back slots are offered after ones with breathing room on the same day
+      const tight = busyPeriods.some(period =>
+        (period.end <= start && start - period.end < bufferMs) ||
+        (period.start >= end && period.start - end < bufferMs)
+      );
+
+      candidates.push({ dayIndex, tight, start, end });
+    }
+  });
+
+  return candidates;
+}
+
+function toSlot(candidate) {
+  return {
+    start: { dateTime: new Date(candidate.start).toISOString() },
+    end: { dateTime: new Date(candidate.end).toISOString() }
+  };
+}
+
+/**
+ * Find free slots between busy periods
+ * @param {Array} busy - [{ start, end }] ISO instants from the free/busy API
+ * @param {Object} options
+ * @param {Array} options.dates - Local dates to search ("YYYY-MM-DD")
+ * @param {Object} options.window - { start: "HH:MM", end: "HH:MM" } local hours to search
+ * @param {number} options.durationMinutes - Length of slot needed
+ * @param {string} options.timezone - IANA timezone
+ * @param {Date} options.now - Slots never start before this
+ * @returns {Array} - Ranked slots [{ start: { dateTime }, end: { dateTime } }]
+ */
+function findFreeSlots(busy, options) {
+  const { dates } = options;
+  const durationMinutes = Math.max(options.durationMinutes || MIN_SLOT_MINUTES, MIN_SLOT_MINUTES);
+  const candidates = listCandidateSlots(busy, { ...options, durationMinutes });
+
+  // Rank: earlier days first, roomy before tight, then earlier in the day.
+  // Spread the picks so one empty day doesn't take every slot.
+  candidates.sort((a, b) => a.dayIndex - b.dayIndex || a.tight - b.tight || a.start - b.start);
+
+  const perDayLimit = dates.length > 1 ? 2 : MAX_SLOTS;
+  const perDay = {};
+  const picked = [];
+  for (const candidate of candidates) {
+    if (picked.length >= MAX_SLOTS) {
+      break;
+    }
+    perDay[candidate.dayIndex] = (perDay[candidate.dayIndex] || 0) + 1;
+    if (perDay[candidate.dayIndex] <= perDayLimit) {
+      picked.push(candidate);
+    }
+  }
+
+  return picked.map(toSlot);
+}
+
+/**
+ * Find the free slots closest to a time that turned out to be taken
+ * The search window is widened to include the requested time, so an evening
+ * request gets evening alternatives rather than only working-hours ones.
+ * @param {Array} busy - [{ start, end }] ISO instants from the free/busy API
+ * @param {Object} options
+ * @param {string} options.startDateTime - Requested local start ("YYYY-MM-DDTHH:MM:SS")
+ * @param {Array} options.dates - Local dates to search
+ * @param {number} options.durationMinutes - Length of the event
+ * @param {string} options.timezone - IANA timezone
+ * @param {number} options.limit - How many slots to return (default 3)
+ * @returns {Array} - Slots ordered by distance from the requested start
+ */
+function findNearestSlots(busy, options) {
+  const { startDateTime, dates, durationMinutes, timezone, limit = 3 } = options;
+  const requested = zonedTimeToUtc(startDateTime.slice(0, 19), timezone).getTime();
+
+  const requestedMinutes = toMinutes(startDateTime.slice(11, 16));
+  const requestedEnd = Math.min(requestedMinutes + durationMinutes, 24 * 60 - 1);
+  const window = {
+    start: toHHMM(Math.min(toMinutes(WORKING_HOURS_START), requestedMinutes - requestedMinutes % SLOT_STEP_MINUTES)),
+    end: toHHMM(Math.max(toMinutes(WORKING_HOURS_END), requestedEnd))
+  };
+
+  const candidates = listCandidateSlots(busy, { ...options, window });
+
+  candidates.sort((a, b) => Math.abs(a.start - requested) - Math.abs(b.start - requested) || a.start - b.start);
+
+  return candidates.slice(0, limit).map(toSlot);
+}
+
+/**
+ * Format slots as a numbered plain-text list ("1. Thu, Oct 22, 2:00 PM - 3:00 PM")
+ */
+function formatSlotList(slots, timezone) {
+  return slots.map((slot, index) => {
+    const endTime = new Date(slot.end.dateTime).toLocaleTimeString('en-US', {
+      timeZone: timezone,
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+    return `${index + 1}. ${formatEventWhen(slot, timezone)} - ${endTime}`;
+  }).join('\n');
+}
+
+/**
+ * Instant range covering the searched dates (for the free/busy request)
+ */
+function getRangeBounds(dates, timezone) {
+  return {
+    timeMin: startOfDay(dates[0], timezone).toISOString(),
+    timeMax: startOfDay(addDays(dates[dates.length - 1], 1), timezone).toISOString()
+  };
+}
+
+module.exports = {
+  MIN_SLOT_MINUTES,
+  getSearchRange,
+  getRangeBounds,
+  findFreeSlots,
+  findNearestSlots,
+  formatSlotList
+};
@@ -0,0 +1,151 @@
+// HTTP client - every outbound API call (Google Calendar, OpenAI, WhatsApp Graph API) goes through here
+// Requests are async, so a slow API no longer blocks the event loop, and access tokens travel in
+// headers instead of on a curl command line. Each service's base URL can be pointed at a local
+// stand-in server (GOOGLE_API_BASE_URL, GOOGLE_OAUTH_BASE_URL, OPENAI_BASE_URL, WHATSAPP_API_BASE_URL).
+const axios = require('axios');
+
+const BASE_URLS = {
+  google: (process.env.GOOGLE_API_BASE_URL || 'https://www.googleapis.com').replace(/\/+$/, ''),
+  googleOAuth: (process.env.GOOGLE_OAUTH_BASE_URL || 'https://oauth2.googleapis.com').replace(/\/+$/, ''),
+  openai: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+  whatsapp: (process.env.WHATSAPP_API_BASE_URL || 'https://graph.facebook.com/v21.0').replace(/\/+$/, '')
+};
+
+// Prefix for error messages, e.g. "Calendar API error: Not Found"
+const SERVICE_LABELS = {
+  google: 'Calendar API',
+  googleOAuth: 'Google OAuth',
+  openai: 'LLM API',
+  whatsapp: 'WhatsApp API'
+};
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS, 10) || 10000;
+
+// Base delay before retrying a failed request (doubles on each attempt)
+const RETRY_DELAY_MS = 300;
+
+// Only these are repeated by default; a retried POST could create an event twice
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+function createError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+/**
+ * Make an HTTP request and return the parsed JSON response (or the raw bytes, see responseType)
+ * @param {Object} options
+ * @param {string} options.service - Key of BASE_URLS the path is relative to ('google', 'googleOAuth', 'openai', 'whatsapp')
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {string} options.path - Path under the service base URL, or an absolute URL
+ * @param {Object} options.query - Query string parameters
+ * @param {Object} options.body - JSON request body, or a FormData for a multipart upload
+ * @param {string} options.token - Bearer token for the Authorization header
+ * @param {Object} options.headers - Extra headers
+ * @param {number} options.timeoutMs - Give up on an attempt after this long
+ * @param {number} options.retries - Retries after network errors, 429 and 5xx
+ *                                   (default 2 for idempotent methods, 0 otherwise)
+ * @param {string} options.label - Error message prefix (defaults to the service's label)
+ * @param {string} options.responseType - 'arraybuffer' to get the body back as a Buffer (media downloads)
+ * @param {number} options.maxBytes - Largest response body accepted; a bigger one is abandoned while
+ *                                    it downloads, with an error marked tooLarge
+ * @returns {Object|Buffer|null} - Parsed response body, or null if it was empty
+ * @throws {Error} - With service, method, url, status (null if there was no response),
+ *                   code (API error code), data (response body), retryable and tooLarge
+ */
+async function request({
+  service,
+  method = 'GET',
+  path,
+  query,
+  body,
+  token,
+  headers = {},
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries,
+  label,
+  responseType,
+  maxBytes
+}) {
+  method = method.toUpperCase();
+  const url = /^https?:\/\//.test(path) ? path : `${BASE_URLS[service]}${path}`;
+  const maxRetries = retries !== undefined ? retries : (IDEMPOTENT_METHODS.includes(method) ? 2 : 0);
+  const errorLabel = label || SERVICE_LABELS[service] || 'HTTP';
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const response = await axios.request({
+        method,
+        url,
+        params: query,
+        data: body,
+        headers: {
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          // axios sets the multipart boundary itself for FormData
+          ...(body !== undefined && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}),
+          ...headers
+        },
+        timeout: timeoutMs,
+        responseType,
+        ...(maxBytes ? { maxContentLength: maxBytes, maxBodyLength: maxBytes } : {}),
+        // Status codes are checked below so API errors can be reported with their message
+        validateStatus: () => true
+      });
+
+      let data = response.data === '' ? null : response.data;
+      if (response.status < 400) {
+        return data;
+      }
+
+      if (Buffer.isBuffer(data)) {
+        // Error bodies are JSON even when bytes were asked for
+        try {
+          data = JSON.parse(data.toString('utf8'));
+        } catch (parseError) {
+          data = null;
+        }
+      }
+      const apiError = data && typeof data === 'object' ? data.error : null;
+      error = createError(`${errorLabel} error: ${apiError?.message || `HTTP ${response.status}`}`, {
+        status: response.status,
+        code: apiError?.code,
+        data,
+        retryable: response.status === 429 || response.status >= 500
+      });
+    } catch (requestError) {
+      if (maxBytes && /maxContentLength size of \d+ exceeded/.test(requestError.message)) {
+        throw createError(`Response from ${method} ${url} is over the ${maxBytes} byte limit`, {
+          service,
+          method,
+          url,
+          status: null,
+          code: requestError.code,
+          data: null,
+          retryable: false,
+          tooLarge: true
+        });
+      }
+      // No response at all: connection refused, DNS failure, timeout
+      error = createError(`Request to ${method} ${url} failed (${requestError.code || requestError.message})`, {
+        status: null,
+        code: requestError.code,
+        data: null,
+        retryable: true
+      });
+    }
+
+    Object.assign(error, { service, method, url });
+
+    if (!error.retryable || attempt >= maxRetries) {
+      throw error;
+    }
+    const delay = RETRY_DELAY_MS * 2 ** attempt;
+    console.warn(`[HTTP] ${method} ${url} failed (${error.message}), retrying in ${delay}ms`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+module.exports = {
+  request,
+  BASE_URLS
+};
@@ -0,0 +1,678 @@
+// iCalendar - reads and writes .ics files (RFC 5545)
+// Reading: invites forwarded as WhatsApp documents. VEVENTs become events shaped like Google
+// Calendar's ({ summary, start, end, recurrence }), so they can be previewed with
+// eventFormatter.js and created with createCalendarEvent.
+// Writing: Google Calendar events as a file or feed (see calendarExport.js).
+//
+// Times are resolved to instants:
+// - UTC ("...Z") as they are
+// - TZID that is an IANA name ("Europe/London"), or ends in one ("/mozilla.org/.../Europe/London")
+// - TZID that is a Windows name from Outlook ("W. Europe Standard Time") via WINDOWS_TIMEZONES
+// - any other TZID by the offsets in the file's own VTIMEZONE
+// - floating times (no zone at all) in the user's timezone
+const { isValidTimezone, resolveTimezone, zonedTimeToUtc, toLocalDateTime, addDays } = require('./timezone');
+
+// Windows timezone names Outlook and Exchange put in TZID, mapped to IANA
+const WINDOWS_TIMEZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Atlantic Standard Time': 'America/Halifax',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'India Standard Time': 'Asia/Kolkata',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'Korea Standard Time': 'Asia/Seoul',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'Cen. Australia Standard Time': 'Australia/Adelaide',
+  'AUS Central Standard Time': 'Australia/Darwin',
+  'W. Australia Standard Time': 'Australia/Perth',
+  'Tasmania Standard Time': 'Australia/Hobart',
+  'New Zealand Standard Time': 'Pacific/Auckland'
+};
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})$/;
+const DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+const DURATION_PATTERN = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// "2026-10-20T09:30:00" -> "20261020T093000"
+function toCompact(localDateTime) {
+  return localDateTime.replace(/[-:]/g, '');
+}
+
+/**
+ * Split a file into content lines, joining folded lines back together
+ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim());
+}
+
+/**
+ * Parse one content line: NAME;PARAM=value;PARAM="quoted:value":VALUE
+ * @returns {Object|null} - { name, params, value }
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 1) {
+    return null;
+  }
+
+  const [name, ...paramSegments] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const params = {};
+  for (const segment of paramSegments) {
+    const equals = segment.indexOf('=');
+    if (equals > 0) {
+      params[segment.slice(0, equals).toUpperCase()] = segment.slice(equals + 1).replace(/^"|"$/g, '');
+    }
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Build the component tree: { name, properties: [{ name, params, value }], components: [...] }
+ */
+function parseComponents(text) {
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  for (const line of unfoldLines(text)) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    } else {
+      current.properties.push(property);
+    }
+  }
+  return root;
+}
+
+function getProperty(component, name) {
+  return component.properties.find(property => property.name === name) || null;
+}
+
+function getProperties(component, name) {
+  return component.properties.filter(property => property.name === name);
+}
+
+/**
+ * Undo TEXT escaping (\n, \, \; \\)
+ */
+function unescapeText(value) {
+  return String(value || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function getText(component, name) {
+  const property = getProperty(component, name);
+  const text = property ? unescapeText(property.value).trim() : '';
+  return text || undefined;
+}
+
+/**
+ * Length of a DURATION value
+ * @param {string} value - e.g. "PT1H30M", "P1D", "P2W"
+ * @returns {Object|null} - { days, ms } (days for all-day events, ms for timed ones)
+ */
+function parseDuration(value) {
+  const match = DURATION_PATTERN.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const factor = sign === '-' ? -1 : 1;
+  const totalDays = (+weeks * 7 + +days) * factor;
+  return {
+    days: totalDays,
+    ms: ((totalDays * 24 + +hours * factor) * 3600 + +minutes * 60 * factor + +seconds * factor) * 1000
+  };
+}
+
+// "+0100" / "-053000" -> offset in milliseconds
+function parseUtcOffset(value) {
+  const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [, sign, hours, minutes, seconds = 0] = match;
+  return (sign === '-' ? -1 : 1) * ((+hours * 60 + +minutes) * 60 + +seconds) * 1000;
+}
+
+/**
+ * Local start of the nth weekday of a month, e.g. the last Sunday of March
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {string} byDay - "-1SU", "2MO", "SU" (first)
+ * @param {string} time - "HH:MM:SS"
+ * @returns {string|null} - "YYYY-MM-DDTHH:MM:SS"
+ */
+function nthWeekdayOfMonth(year, month, byDay, time) {
+  const match = /^([+-]?\d)?([A-Z]{2})$/.exec(byDay);
+  const weekday = match ? DAY_CODES.indexOf(match[2]) : -1;
+  if (weekday < 0) {
+    return null;
+  }
+  const nth = parseInt(match[1] || '1', 10);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  let day;
+  if (nth > 0) {
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+  } else {
+    const lastWeekday = new Date(Date.UTC(year, month - 1, daysInMonth)).getUTCDay();
+    day = daysInMonth - ((lastWeekday - weekday + 7) % 7) + (nth + 1) * 7;
+  }
+  if (day < 1 || day > daysInMonth) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}T${time}`;
+}
+
+/**
+ * Offset from UTC a VTIMEZONE gives a local time: that of the observance (STANDARD or DAYLIGHT)
+ * that most recently began. Yearly rules like "last Sunday of March" cover what calendar apps write.
+ * @param {Object} vtimezone - VTIMEZONE component
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:MM:SS"
+ * @returns {number|null} - Offset in milliseconds
+ */
+function getVtimezoneOffset(vtimezone, localDateTime) {
+  const year = parseInt(localDateTime.slice(0, 4), 10);
+  let latest = null;
+
+  for (const observance of vtimezone.components) {
+    const start = parseDateTimeValue(getProperty(observance, 'DTSTART')?.value);
+    const offset = parseUtcOffset(getProperty(observance, 'TZOFFSETTO')?.value);
+    if (!start || start.date || offset === null) {
+      continue;
+    }
+
+    const onsets = [start.local];
+    const rule = getProperty(observance, 'RRULE');
+    if (rule) {
+      const parts = Object.fromEntries(rule.value.split(';').map(part => part.split('=')));
+      const until = parts.UNTIL ? parseDateTimeValue(parts.UNTIL) : null;
+      if (parts.FREQ === 'YEARLY' && parts.BYMONTH && parts.BYDAY) {
+        for (const candidateYear of [year - 1, year]) {
+          const onset = nthWeekdayOfMonth(candidateYear, parseInt(parts.BYMONTH, 10), parts.BYDAY, start.local.slice(11));
+          if (onset && onset >= start.local && (!until || onset <= (until.local || `${until.date}T23:59:59`))) {
+            onsets.push(onset);
+          }
+        }
+      }
+    }
+    for (const rdate of getProperties(observance, 'RDATE')) {
+      for (const value of rdate.value.split(',')) {
+        const parsed = parseDateTimeValue(value);
+        if (parsed && parsed.local) {
+          onsets.push(parsed.local);
+        }
+      }
+    }
+
+    for (const onset of onsets) {
+      // Local times compare correctly as strings
+      if (onset <= localDateTime && (!latest || onset > latest.onset)) {
+        latest = { onset, offset };
+      }
+    }
+  }
+
+  if (latest) {
+    return latest.offset;
+  }
+  // Before every onset in the file: use the first observance's offset
+  const first = vtimezone.components.find(observance => getProperty(observance, 'TZOFFSETTO'));
+  return first ? parseUtcOffset(getProperty(first, 'TZOFFSETTO').value) : null;
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @returns {Object|null} - { date: "YYYY-MM-DD" } or { local: "YYYY-MM-DDTHH:MM:SS", utc }
+ */
+function parseDateTimeValue(value, params = {}) {
+  const text = String(value || '').trim();
+  const dateMatch = DATE_PATTERN.exec(text);
+  if (dateMatch || params.VALUE === 'DATE') {
+    const [, year, month, day] = dateMatch || DATE_PATTERN.exec(text.slice(0, 8)) || [];
+    return year ? { date: `${year}-${month}-${day}` } : null;
+  }
+  const match = DATE_TIME_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  return { local: `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`, utc: utc === 'Z' };
+}
+
+/**
+ * IANA zone with a fixed offset, so a series in a zone only the file knows keeps its weekday and
+ * wall-clock time when Google expands it (Etc/GMT signs are inverted: Etc/GMT-1 is UTC+1)
+ * @param {number} offset - Milliseconds east of UTC
+ * @returns {string|null} - null for offsets that are not whole hours
+ */
+function toFixedOffsetZone(offset) {
+  const hours = offset / 3600000;
+  if (!Number.isInteger(hours) || Math.abs(hours) > 14) {
+    return null;
+  }
+  return hours === 0 ? 'UTC' : `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+}
+
+/**
+ * Build the resolver that turns a TZID into an IANA name or fixed offsets
+ * @param {Object} vtimezones - VTIMEZONE components by TZID
+ * @param {string} defaultTimezone - For floating times
+ */
+function createZoneResolver(vtimezones, defaultTimezone) {
+  function findIanaName(tzid) {
+    const name = String(tzid || '').trim();
+    if (!name) {
+      return null;
+    }
+    if (WINDOWS_TIMEZONES[name]) {
+      return WINDOWS_TIMEZONES[name];
+    }
+    // Fixed-offset names like "EST" are valid to Intl, but only region names are used here
+    if (name.includes('/') || name === 'UTC') {
+      if (isValidTimezone(name)) {
+        return resolveTimezone(name);
+      }
+      const suffix = /([A-Za-z_]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?)$/.exec(name);
+      if (suffix && isValidTimezone(suffix[1])) {
+        return resolveTimezone(suffix[1]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a DATE-TIME to an instant
+   * @returns {Object} - { instant: Date, timeZone } (timeZone is null for UTC)
+   */
+  return function resolve(parsed, tzid) {
+    if (parsed.utc) {
+      return { instant: new Date(`${parsed.local}Z`), timeZone: null };
+    }
+    if (tzid) {
+      const iana = findIanaName(tzid);
+      if (iana) {
+        return { instant: zonedTimeToUtc(parsed.local, iana), timeZone: iana };
+      }
+      const vtimezone = vtimezones[tzid];
+      const offset = vtimezone ? getVtimezoneOffset(vtimezone, parsed.local) : null;
+      if (offset !== null) {
+        return { instant: new Date(Date.parse(`${parsed.local}Z`) - offset), timeZone: toFixedOffsetZone(offset) };
+      }
+      console.warn(`[ICS] Unknown timezone "${tzid}", using ${defaultTimezone}`);
+    }
+    return { instant: zonedTimeToUtc(parsed.local, defaultTimezone), timeZone: defaultTimezone };
+  };
+}
+
+/**
+ * Read an EXDATE or RDATE property into a Google recurrence line
+ * Times are written in the event's own timezone, as Google expects. Times in the same zone as
+ * DTSTART keep their wall-clock value, so they match the series even on a fixed-offset zone.
+ */
+function toRecurrenceDates(property, resolve, eventTimeZone, startTzid) {
+  const values = property.value.split(',')
+    .map(value => parseDateTimeValue(value, property.params))
+    .filter(Boolean);
+  if (!values.length) {
+    return null;
+  }
+  if (values[0].date) {
+    return `${property.name};VALUE=DATE:${values.map(value => value.date.replace(/-/g, '')).join(',')}`;
+  }
+  const locals = values.map(value => toCompact(!value.utc && property.params.TZID === startTzid
+    ? value.local
+    : toLocalDateTime(resolve(value, property.params.TZID).instant, eventTimeZone)));
+  return `${property.name};TZID=${eventTimeZone}:${locals.join(',')}`;
+}
+
+/**
+ * RRULE line with a local UNTIL turned into UTC (it may be in a zone Google doesn't know)
+ */
+function toRecurrenceRule(value, startTzid, resolve) {
+  const rule = value.replace(/^RRULE:/i, '');
+  return `RRULE:${rule.replace(/UNTIL=([0-9T]+)(?=;|$)/, (match, until) => {
+    const parsed = parseDateTimeValue(until);
+    if (!parsed || parsed.date) {
+      return match;
+    }
+    return `UNTIL=${toCompact(resolve(parsed, startTzid).instant.toISOString().slice(0, 19))}Z`;
+  })}`;
+}
+
+/**
+ * Turn a VEVENT into a Google-shaped event
+ * @returns {Object|null} - null if it has no usable start
+ */
+function toEvent(vevent, resolve, defaultTimezone) {
+  const startProperty = getProperty(vevent, 'DTSTART');
+  const start = startProperty ? parseDateTimeValue(startProperty.value, startProperty.params) : null;
+  if (!start) {
+    return null;
+  }
+
+  const endProperty = getProperty(vevent, 'DTEND');
+  const end = endProperty ? parseDateTimeValue(endProperty.value, endProperty.params) : null;
+  const duration = parseDuration(getProperty(vevent, 'DURATION')?.value);
+
+  const event = {
+    uid: getText(vevent, 'UID'),
+    summary: getText(vevent, 'SUMMARY') || '(No title)',
+    location: getText(vevent, 'LOCATION'),
+    description: getText(vevent, 'DESCRIPTION')
+  };
+
+  let timeZone;
+  if (start.date) {
+    // All-day: the end date is exclusive, and a missing end means one day
+    event.start = { date: start.date };
+    const endDate = end && end.date && end.date > start.date
+      ? end.date
+      : addDays(start.date, duration && duration.days > 0 ? duration.days : 1);
+    event.end = { date: endDate };
+    timeZone = defaultTimezone;
+  } else {
+    const resolvedStart = resolve(start, startProperty.params.TZID);
+    timeZone = resolvedStart.timeZone || defaultTimezone;
+    let endInstant = resolvedStart.instant;
+    if (end && !end.date) {
+      endInstant = resolve(end, endProperty.params.TZID).instant;
+    } else if (duration) {
+      endInstant = new Date(resolvedStart.instant.getTime() + duration.ms);
+    }
+    if (endInstant < resolvedStart.instant) {
+      endInstant = resolvedStart.instant;
+    }
+    event.start = { dateTime: resolvedStart.instant.toISOString(), timeZone };
+    event.end = { dateTime: endInstant.toISOString(), timeZone };
+  }
+
+  const recurrence = [];
+  const rule = getProperty(vevent, 'RRULE');
+  if (rule) {
+    recurrence.push(toRecurrenceRule(rule.value, startProperty.params.TZID, resolve));
+  }
+  for (const property of [...getProperties(vevent, 'EXDATE'), ...getProperties(vevent, 'RDATE')]) {
+    const line = toRecurrenceDates(property, resolve, timeZone, startProperty.params.TZID);
+    if (line) {
+      recurrence.push(line);
+    }
+  }
+  if (recurrence.length) {
+    event.recurrence = recurrence;
+  }
+
+  return event;
+}
+
+/**
+ * Read the events in an .ics file
+ * A changed single occurrence (RECURRENCE-ID) is excluded from its series and imported as its
+ * own event; cancelled events (STATUS:CANCELLED, or a METHOD:CANCEL file) are left out.
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {string} options.timezone - User's IANA timezone, for floating times
+ * @returns {Object} - { events, cancelled } - cancelled counts the events left out
+ * @throws {Error} - If the text is not an iCalendar file
+ */
+function parseICalendar(text, { timezone } = {}) {
+  const root = parseComponents(text);
+  const calendars = root.components.filter(component => component.name === 'VCALENDAR');
+  if (!calendars.length) {
+    throw new Error('Not an iCalendar file (no VCALENDAR)');
+  }
+
+  const defaultTimezone = resolveTimezone(timezone);
+  const events = [];
+  let cancelled = 0;
+
+  for (const calendar of calendars) {
+    const method = (getProperty(calendar, 'METHOD')?.value || '').trim().toUpperCase();
+    const vtimezones = {};
+    for (const component of calendar.components.filter(item => item.name === 'VTIMEZONE')) {
+      const tzid = getProperty(component, 'TZID')?.value;
+      if (tzid) {
+        vtimezones[tzid] = component;
+      }
+    }
+    const resolve = createZoneResolver(vtimezones, defaultTimezone);
+
+    const vevents = calendar.components.filter(component => component.name === 'VEVENT');
+    const series = {};
+    const overrides = [];
+    for (const vevent of vevents) {
+      if (getProperty(vevent, 'RECURRENCE-ID')) {
+        overrides.push(vevent);
+      } else {
+        const event = toEvent(vevent, resolve, defaultTimezone);
+        const status = (getProperty(vevent, 'STATUS')?.value || '').trim().toUpperCase();
+        if (!event || status === 'CANCELLED' || method === 'CANCEL') {
+          cancelled++;
+          continue;
+        }
+        events.push(event);
+        if (event.recurrence && event.uid) {
+          series[event.uid] = { event, tzid: getProperty(vevent, 'DTSTART').params.TZID };
+        }
+      }
+    }
+
+    for (const vevent of overrides) {
+      const master = series[getText(vevent, 'UID')];
+      const recurrenceId = getProperty(vevent, 'RECURRENCE-ID');
+      if (master) {
+        // Take the occurrence out of the series; the changed version (if any) is added below
+        const line = toRecurrenceDates({ ...recurrenceId, name: 'EXDATE' }, resolve, master.event.start.timeZone || defaultTimezone, master.tzid);
+        if (line) {
+          master.event.recurrence.push(line);
+        }
+      }
+      const event = toEvent(vevent, resolve, defaultTimezone);
+      const status = (getProperty(vevent, 'STATUS')?.value || '').trim().toUpperCase();
+      if (!event || status === 'CANCELLED' || method === 'CANCEL') {
+        cancelled++;
+        continue;
+      }
+      events.push(event);
+    }
+  }
+
+  return { events, cancelled };
+}
+
+// Longest content line in octets; longer lines are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const PRODUCT_ID = '-//Tary//WhatsApp Calendar Assistant//EN';
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into 75-octet pieces, never splitting a character
+ */
+function foldLine(line) {
+  const pieces = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    if (octets + size > MAX_LINE_OCTETS - (pieces.length ? 1 : 0)) {
+      pieces.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  pieces.push(current);
+  return pieces.join('\r\n ');
+}
+
+// Instant -> "20261020T080000Z"
+function toUtcStamp(value) {
+  return toCompact(new Date(value).toISOString().slice(0, 19)) + 'Z';
+}
+
+/**
+ * DTSTART / DTEND line for a Google event time: UTC for timed events, a DATE for all-day ones
+ */
+function formatEventTime(name, time) {
+  if (time?.date) {
+    return `${name};VALUE=DATE:${time.date.replace(/-/g, '')}`;
+  }
+  return `${name}:${toUtcStamp(time.dateTime)}`;
+}
+
+/**
+ * Turn a Google Calendar event into VEVENT lines
+ * Repeating events arrive expanded (singleEvents), so each occurrence is its own VEVENT
+ */
+function toVevent(event, now) {
+  const lines = [
+    'BEGIN:VEVENT',
+    // Instances of a series share an iCalUID, so each occurrence is identified by its own ID
+    `UID:${escapeText(event.recurringEventId || !event.iCalUID ? `${event.id}@google.com` : event.iCalUID)}`,
+    `DTSTAMP:${toUtcStamp(now)}`,
+    formatEventTime('DTSTART', event.start),
+    formatEventTime('DTEND', event.end || event.start),
+    `SUMMARY:${escapeText(event.summary || '(No title)')}`
+  ];
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.status === 'tentative' || event.status === 'cancelled') {
+    lines.push(`STATUS:${event.status.toUpperCase()}`);
+  }
+  if (event.transparency === 'transparent') {
+    lines.push('TRANSP:TRANSPARENT');
+  }
+  if (event.updated) {
+    lines.push(`LAST-MODIFIED:${toUtcStamp(event.updated)}`);
+  }
+  if (event.htmlLink) {
+    lines.push(`URL:${event.htmlLink}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Write Google Calendar events as an .ics file
+ * @param {Array} events - Google Calendar events (start/end with dateTime or date)
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {string} options.timezone - User's IANA timezone (a display hint; times are written in UTC)
+ * @param {number} options.refreshMinutes - How often subscribers should check for changes (feeds only)
+ * @param {Date} options.now - Timestamp written into every event
+ * @returns {string} - File contents, CRLF line endings
+ */
+function buildICalendar(events, { name, timezone, refreshMinutes, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  if (timezone) {
+    lines.push(`X-WR-TIMEZONE:${resolveTimezone(timezone)}`);
+  }
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+  for (const event of events) {
+    if (event.start && (event.start.dateTime || event.start.date)) {
+      lines.push(...toVevent(event, now));
+    }
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Whether a WhatsApp document looks like an iCalendar file
+ * @param {Object} document - message.document ({ filename, mime_type })
+ */
+function isICalendarDocument(document) {
+  const mimeType = String(document?.mime_type || '').split(';')[0].trim().toLowerCase();
+  return /\.(ics|ical|ifb|icalendar|vcs)$/i.test(document?.filename || '')
+    || mimeType === 'text/calendar'
+    || mimeType === 'application/ics';
+}
+
+module.exports = {
+  parseICalendar,
+  buildICalendar,
+  isICalendarDocument,
+  parseDuration,
+  WINDOWS_TIMEZONES
+};
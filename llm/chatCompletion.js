@@ -0,0 +1,37 @@
+// Chat completion request shared by the OpenAI and OpenAI-compatible providers
+const { request } = require('../httpClient');
+
+/**
+ * POST a chat completion request to an OpenAI-style /chat/completions endpoint
+ * @param {Object} options
+ * @param {string} options.baseUrl - API base URL, e.g. "https://api.openai.com/v1"
+ * @param {string} options.apiKey - Bearer token (optional for local servers)
+ * @param {Object} options.payload - Request body (model, messages, temperature, max_tokens)
+ * @param {number} options.timeoutMs - Give up after this long
+ * @returns {Object} - Parsed response body
+ * @throws {Error} - From httpClient; retryable is false for bad keys, unknown models and bad requests
+ */
+async function requestChatCompletion({ baseUrl, apiKey, payload, timeoutMs }) {
+  const data = await request({
+    method: 'POST',
+    path: `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+    token: apiKey,
+    body: payload,
+    timeoutMs,
+    // llmProvider.complete does the retrying
+    retries: 0,
+    label: 'LLM API'
+  });
+
+  if (!data || !Array.isArray(data.choices)) {
+    const error = new Error(`Invalid response from ${baseUrl}: no choices`);
+    error.retryable = true;
+    throw error;
+  }
+
+  return data;
+}
+
+module.exports = {
+  requestChatCompletion
+};
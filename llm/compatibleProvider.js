@@ -0,0 +1,38 @@
+// OpenAI-compatible provider - any server with an OpenAI-style /chat/completions endpoint
+// (Ollama, LM Studio, vLLM, llama.cpp server, ...) at LLM_BASE_URL, e.g. http://localhost:11434/v1
+const { requestChatCompletion } = require('./chatCompletion');
+
+/**
+ * Send messages to the configured endpoint and return the reply text
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object} options - { model, temperature, maxTokens, timeoutMs }
+ * @returns {string}
+ */
+async function complete(messages, options) {
+  const baseUrl = process.env.LLM_BASE_URL;
+  if (!baseUrl) {
+    const error = new Error('LLM_BASE_URL is required for the openai-compatible provider');
+    error.retryable = false;
+    throw error;
+  }
+
+  const responseData = await requestChatCompletion({
+    baseUrl,
+    apiKey: process.env.LLM_API_KEY,
+    payload: {
+      model: options.model,
+      messages: messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens
+    },
+    timeoutMs: options.timeoutMs
+  });
+
+  return responseData.choices[0].message.content;
+}
+
+module.exports = {
+  name: 'openai-compatible',
+  defaultModel: 'llama3',
+  complete
+};
@@ -0,0 +1,68 @@
+// Mock provider - deterministic replies with no network access, for running the bot offline
+// Intent requests (json: true) are answered from LLM_MOCK_FIXTURES when a pattern matches
+// the user's message, otherwise by the rule parser. Reply requests get a plain summary
+// of the operation result.
+//
+// LLM_MOCK_FIXTURES is a JSON file: [{ "match": "regex", "response": { "action": ... } }]
+const fs = require('fs');
+const { DEFAULT_TIMEZONE } = require('../timezone');
+const { formatActionReply } = require('../eventFormatter');
+const { parseIntentWithRules } = require('../ruleParser');
+
+let fixtures = null;
+
+function loadFixtures() {
+  if (fixtures) {
+    return fixtures;
+  }
+  fixtures = [];
+  if (process.env.LLM_MOCK_FIXTURES) {
+    fixtures = JSON.parse(fs.readFileSync(process.env.LLM_MOCK_FIXTURES, 'utf8'))
+      .map(fixture => ({ pattern: new RegExp(fixture.match, 'i'), response: fixture.response }));
+    console.log(`[LLM] Loaded ${fixtures.length} mock fixtures`);
+  }
+  return fixtures;
+}
+
+/**
+ * Plain summary of an operation result (the prompt carries "Action: ..." and "Result: ...")
+ */
+function mockReply(prompt, systemPrompt) {
+  const action = (/^Action: (\w+)/m.exec(prompt) || [])[1];
+  const timezone = (/local times in ([\w/+-]+)/.exec(systemPrompt) || [])[1] || DEFAULT_TIMEZONE;
+
+  let result = {};
+  try {
+    result = JSON.parse((/^Result: (.*)$/m.exec(prompt) || [])[1]);
+  } catch (error) {
+    // Leave the result empty
+  }
+
+  return formatActionReply(action, result, timezone);
+}
+
+/**
+ * Answer messages without calling a model
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object} options - { json } - true when a JSON intent is expected
+ * @returns {string}
+ */
+async function complete(messages, options) {
+  const systemPrompt = messages.find(message => message.role === 'system')?.content || '';
+  const lastMessage = messages[messages.length - 1].content;
+
+  if (!options.json) {
+    return mockReply(lastMessage, systemPrompt);
+  }
+
+  const timezone = (/local wall-clock times in ([\w/+-]+)/.exec(systemPrompt) || [])[1];
+  const fixture = loadFixtures().find(candidate => candidate.pattern.test(lastMessage));
+  const intent = fixture ? fixture.response : parseIntentWithRules(lastMessage, { timezone });
+  return typeof intent === 'string' ? intent : JSON.stringify(intent);
+}
+
+module.exports = {
+  name: 'mock',
+  defaultModel: 'mock',
+  complete
+};
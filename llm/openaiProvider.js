@@ -0,0 +1,61 @@
+// OpenAI provider - chat completions from api.openai.com (or OPENAI_BASE_URL)
+// Tries a direct request first and falls back to the openai library if it can't get through
+const { requestChatCompletion } = require('./chatCompletion');
+const { BASE_URLS } = require('../httpClient');
+
+let client = null;
+
+// The library client is only created if the direct request fails
+function getClient() {
+  if (!client) {
+    const OpenAI = require('openai');
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, baseURL: BASE_URLS.openai });
+  }
+  return client;
+}
+
+/**
+ * Send messages to OpenAI and return the reply text
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object} options - { model, temperature, maxTokens, timeoutMs }
+ * @returns {string}
+ */
+async function complete(messages, options) {
+  if (!process.env.OPENAI_API_KEY) {
+    console.error('[LLM] OPENAI_API_KEY environment variable is not set!');
+    const error = new Error('OpenAI API key not configured');
+    error.retryable = false;
+    throw error;
+  }
+
+  const payload = {
+    model: options.model,
+    messages: messages,
+    temperature: options.temperature,
+    max_tokens: options.maxTokens
+  };
+
+  let responseData;
+  try {
+    responseData = await requestChatCompletion({
+      baseUrl: BASE_URLS.openai,
+      apiKey: process.env.OPENAI_API_KEY,
+      payload,
+      timeoutMs: options.timeoutMs
+    });
+  } catch (requestError) {
+    if (requestError.retryable === false) {
+      throw requestError;
+    }
+    console.error(`[LLM] Direct request failed, trying OpenAI library:`, requestError.message);
+    responseData = await getClient().chat.completions.create(payload, { timeout: options.timeoutMs });
+  }
+
+  return responseData.choices[0].message.content;
+}
+
+module.exports = {
+  name: 'openai',
+  defaultModel: 'gpt-3.5-turbo',
+  complete
+};
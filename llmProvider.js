@@ -0,0 +1,90 @@
+// LLM provider - the interface the rest of the app uses for chat completions
+// The model behind it is selected by LLM_PROVIDER:
+//   openai            - OpenAI API (default, needs OPENAI_API_KEY)
+//   openai-compatible - any OpenAI-style endpoint at LLM_BASE_URL (Ollama, LM Studio, vLLM, ...)
+//   mock              - deterministic offline replies (see llm/mockProvider.js)
+
+const PROVIDERS = {
+  openai: () => require('./llm/openaiProvider'),
+  'openai-compatible': () => require('./llm/compatibleProvider'),
+  mock: () => require('./llm/mockProvider')
+};
+
+const providerName = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+if (!PROVIDERS[providerName]) {
+  throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+const provider = PROVIDERS[providerName]();
+
+const LLM_CONFIG = {
+  model: process.env.LLM_MODEL || provider.defaultModel,
+  // Overrides the per-call temperature when set
+  temperature: process.env.LLM_TEMPERATURE !== undefined && process.env.LLM_TEMPERATURE !== ''
+    ? parseFloat(process.env.LLM_TEMPERATURE)
+    : null,
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 15000,
+  maxRetries: process.env.LLM_MAX_RETRIES !== undefined && process.env.LLM_MAX_RETRIES !== ''
+    ? parseInt(process.env.LLM_MAX_RETRIES, 10)
+    : 2
+};
+
+console.log(`[LLM] Using ${provider.name} provider (model ${LLM_CONFIG.model})`);
+
+// Base delay before retrying a failed call (doubles on each attempt)
+const RETRY_DELAY_MS = 500;
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`LLM request timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Send chat messages to the configured model and return the reply text
+ * Failed calls are retried with backoff unless the error says retrying won't help
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object} options
+ * @param {number} options.temperature - Sampling temperature for this call (LLM_TEMPERATURE wins)
+ * @param {number} options.maxTokens - Longest reply allowed
+ * @param {boolean} options.json - The caller expects a JSON object back
+ * @param {number} options.deadlineMs - Longest wait for a reply, across all attempts
+ * @returns {string} - Trimmed reply text
+ */
+async function complete(messages, options = {}) {
+  const deadline = options.deadlineMs ? Date.now() + options.deadlineMs : Infinity;
+  const callOptions = {
+    model: LLM_CONFIG.model,
+    temperature: LLM_CONFIG.temperature !== null ? LLM_CONFIG.temperature : options.temperature,
+    maxTokens: options.maxTokens,
+    timeoutMs: LLM_CONFIG.timeoutMs,
+    json: !!options.json
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      console.log(`[LLM] ${provider.name} request (model ${callOptions.model}, attempt ${attempt + 1})`);
+      // Allow a little longer than the request timeout so the provider can report its own error,
+      // but never past the caller's deadline
+      const content = await withTimeout(
+        provider.complete(messages, callOptions),
+        Math.min(callOptions.timeoutMs + 5000, deadline - Date.now())
+      );
+      return content.trim();
+    } catch (error) {
+      const delay = RETRY_DELAY_MS * 2 ** attempt;
+      if (error.retryable === false || attempt >= LLM_CONFIG.maxRetries || Date.now() + delay >= deadline) {
+        throw error;
+      }
+      console.error(`[LLM] Request failed (${error.message}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  complete
+};
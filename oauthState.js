@@ -0,0 +1,194 @@
+// OAuth State - signed, expiring state for the Google Calendar linking flow
+// A linking request is tied to one phone number by a random nonce stored on the user record.
+// The OAuth state carries that phone number and nonce, signed with OAUTH_STATE_SECRET, so the
+// callback can tell exactly which request it belongs to and that nobody changed it on the way.
+//
+// Linking started from the website needs a one-time code, sent over WhatsApp to the number
+// being linked, so only the owner of that chat can start it. Unlinking the calendar and deleting
+// a user's data from the website work the same way; each code is only good for what it was sent for.
+// The code record outlives the code itself: it remembers when codes were sent and locks the
+// number for a while after too many wrong guesses, so guessing can't just start over with a new code.
+const crypto = require('crypto');
+
+const STATE_TTL_MS = (parseInt(process.env.OAUTH_STATE_TTL_MINUTES, 10) || 15) * 60 * 1000;
+const LINK_CODE_TTL_MS = 10 * 60 * 1000;
+const LINK_CODE_MAX_ATTEMPTS = 5;
+// Shortest gap between two codes for the same number
+const LINK_CODE_RESEND_MS = 60 * 1000;
+// Most codes sent to one number in LINK_CODE_WINDOW_MS
+const LINK_CODE_MAX_SENDS = 5;
+const LINK_CODE_WINDOW_MS = 60 * 60 * 1000;
+// No new code for this long after LINK_CODE_MAX_ATTEMPTS wrong guesses
+const LINK_CODE_LOCKOUT_MS = 60 * 60 * 1000;
+// What a website code can be used for
+const CODE_PURPOSES = ['link', 'unlink', 'delete-data'];
+
+let secret = null;
+
+function getSecret() {
+  if (!secret) {
+    if (process.env.OAUTH_STATE_SECRET) {
+      secret = process.env.OAUTH_STATE_SECRET;
+    } else if (process.env.GOOGLE_CLIENT_SECRET) {
+      console.warn('[SECURITY] OAUTH_STATE_SECRET is not set - deriving the state signing key from GOOGLE_CLIENT_SECRET');
+      secret = crypto.createHash('sha256').update(`oauth-state:${process.env.GOOGLE_CLIENT_SECRET}`).digest('hex');
+    } else {
+      throw new Error('OAUTH_STATE_SECRET is not set');
+    }
+  }
+  return secret;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Create the state for a new linking request
+ * @param {string} phoneNumber - WhatsApp number being linked
+ * @returns {Object} - { state, nonce } - store the nonce as the user's pendingOAuth
+ */
+function createOAuthState(phoneNumber) {
+  const nonce = crypto.randomBytes(24).toString('hex');
+  const payload = Buffer.from(JSON.stringify({
+    phone: phoneNumber,
+    nonce,
+    exp: Date.now() + STATE_TTL_MS
+  })).toString('base64url');
+
+  return { state: `${payload}.${sign(payload)}`, nonce };
+}
+
+/**
+ * Check a state returned to the OAuth callback
+ * The caller must still compare the nonce with the user's pendingOAuth
+ * @param {string} state
+ * @returns {Object} - { valid: true, phoneNumber, nonce } or { valid: false, reason }
+ */
+function verifyOAuthState(state) {
+  const [payload, signature] = String(state || '').split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    return { valid: false, reason: 'invalid signature' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed state' };
+  }
+
+  if (!data.phone || !data.nonce) {
+    return { valid: false, reason: 'malformed state' };
+  }
+  if (!(data.exp > Date.now())) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, phoneNumber: data.phone, nonce: data.nonce };
+}
+
+function hashLinkCode(phoneNumber, code, purpose) {
+  return sign(`${purpose}-code:${phoneNumber}:${code}`);
+}
+
+// Whether a stored time is still ahead
+function isAfterNow(isoTime) {
+  return Boolean(isoTime) && new Date(isoTime).getTime() > Date.now();
+}
+
+// The record once its code can no longer be used: the send history and lockout are kept
+function retireLinkCode(pendingLinkCode, extra = {}) {
+  return { ...pendingLinkCode, hash: null, expiresAt: null, attempts: 0, ...extra };
+}
+
+/**
+ * Create a one-time code for the website (linking, unlinking or deleting data)
+ * @param {string} phoneNumber
+ * @param {Object} previous - The user's current pendingLinkCode, if any
+ * @param {string} purpose - One of CODE_PURPOSES (default 'link')
+ * @returns {Object|null} - { code, pendingLinkCode } (store pendingLinkCode on the user),
+ *                          or null if a code was sent too recently, too many were sent this
+ *                          hour, or the number is locked after too many wrong guesses
+ */
+function createLinkCode(phoneNumber, previous = null, purpose = 'link') {
+  if (!CODE_PURPOSES.includes(purpose)) {
+    throw new Error(`Unknown code purpose: ${purpose}`);
+  }
+  const now = Date.now();
+  if (isAfterNow(previous?.lockedUntil)) {
+    return null;
+  }
+  if (previous?.sentAt && now - new Date(previous.sentAt).getTime() < LINK_CODE_RESEND_MS) {
+    return null;
+  }
+
+  // Sends are counted in a fixed window that starts with the first code
+  const windowOpen = previous?.windowStartedAt && now - new Date(previous.windowStartedAt).getTime() < LINK_CODE_WINDOW_MS;
+  const sendCount = windowOpen ? (previous.sendCount || 0) : 0;
+  if (sendCount >= LINK_CODE_MAX_SENDS) {
+    return null;
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  return {
+    code,
+    pendingLinkCode: {
+      hash: hashLinkCode(phoneNumber, code, purpose),
+      sentAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + LINK_CODE_TTL_MS).toISOString(),
+      attempts: 0,
+      windowStartedAt: windowOpen ? previous.windowStartedAt : new Date(now).toISOString(),
+      sendCount: sendCount + 1,
+      lockedUntil: null
+    }
+  };
+}
+
+/**
+ * Check a one-time code entered on the website
+ * @param {string} phoneNumber
+ * @param {string} code - Code as entered
+ * @param {Object} pendingLinkCode - The user's stored pendingLinkCode
+ * @param {string} purpose - What the code is being used for; a code sent for anything else fails
+ * @returns {Object} - { valid, reason, pendingLinkCode } - store the returned pendingLinkCode
+ *                     (attempt counted, or the code retired once used, expired or locked out)
+ */
+function checkLinkCode(phoneNumber, code, pendingLinkCode, purpose = 'link') {
+  if (!pendingLinkCode?.hash) {
+    return { valid: false, reason: 'no code requested', pendingLinkCode: pendingLinkCode || null };
+  }
+  if (!isAfterNow(pendingLinkCode.expiresAt)) {
+    return { valid: false, reason: 'expired', pendingLinkCode: retireLinkCode(pendingLinkCode) };
+  }
+
+  const entered = String(code || '').replace(/\s+/g, '');
+  if (safeEqual(hashLinkCode(phoneNumber, entered, purpose), pendingLinkCode.hash)) {
+    return { valid: true, reason: null, pendingLinkCode: retireLinkCode(pendingLinkCode) };
+  }
+
+  const attempts = (pendingLinkCode.attempts || 0) + 1;
+  return attempts >= LINK_CODE_MAX_ATTEMPTS
+    ? {
+      valid: false,
+      reason: 'too many attempts',
+      pendingLinkCode: retireLinkCode(pendingLinkCode, {
+        lockedUntil: new Date(Date.now() + LINK_CODE_LOCKOUT_MS).toISOString()
+      })
+    }
+    : { valid: false, reason: 'wrong code', pendingLinkCode: { ...pendingLinkCode, attempts } };
+}
+
+module.exports = {
+  createOAuthState,
+  verifyOAuthState,
+  createLinkCode,
+  checkLinkCode,
+  CODE_PURPOSES
+};
@@ -0,0 +1,312 @@
+// Outbound Queue - every WhatsApp message the bot sends goes through here
+// Messages are persisted before sending, so a failed send isn't lost with the request that made it.
+// Sends are spaced out to stay under the Graph API rate limit; 429, throttling and 5xx responses
+// are retried with exponential backoff, and messages to one user are always delivered in order.
+// Messages that run out of attempts (or are rejected outright) stay 'failed' for admins to review.
+// A delivered message is removed; if that fails it is kept as 'sent' so it never goes out twice.
+// Every instance may drain the queue (each webhook call and /api/outbound/process do), so a
+// message is claimed ('sending') before it is sent and only the instance that claimed it sends it.
+const crypto = require('crypto');
+const { sendMessage } = require('./whatsappClient');
+const {
+  putOutboundMessage,
+  getOutboundMessage,
+  listOutboundMessages,
+  claimOutboundMessage,
+  deleteOutboundMessage
+} = require('./userStorage');
+
+const QUEUE_CONFIG = {
+  // Attempts before a message is marked failed
+  maxAttempts: parseInt(process.env.WHATSAPP_MAX_ATTEMPTS, 10) || 5,
+  // Delay before the first retry (doubles on each attempt, up to retryMaxMs)
+  retryBaseMs: parseInt(process.env.WHATSAPP_RETRY_BASE_MS, 10) || 2000,
+  retryMaxMs: 5 * 60 * 1000,
+  // Sends per second across all recipients
+  ratePerSecond: parseFloat(process.env.WHATSAPP_RATE_LIMIT_PER_SECOND) || 20,
+  // A message still 'sending' after this long is assumed lost (crash or timeout) and sent again
+  claimTimeoutMs: 2 * 60 * 1000
+};
+
+// Counts since the process started (see /api/outbound)
+const stats = {
+  queued: 0,
+  sent: 0,
+  retried: 0,
+  failed: 0,
+  lastFailedAt: null
+};
+
+let nextSendAt = 0;
+let pausedUntil = 0;
+let draining = null;
+let drainRequested = false;
+let retryTimer = null;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait for the next free send slot under the rate limit
+async function waitForSendSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextSendAt);
+  nextSendAt = slot + 1000 / QUEUE_CONFIG.ratePerSecond;
+  if (slot > now) {
+    await sleep(slot - now);
+  }
+}
+
+function retryDelay(attempts) {
+  return Math.min(QUEUE_CONFIG.retryBaseMs * 2 ** (attempts - 1), QUEUE_CONFIG.retryMaxMs);
+}
+
+/**
+ * Try to send one message and record the outcome
+ * @returns {boolean} - true if the message was delivered
+ */
+async function attemptDelivery(message) {
+  await waitForSendSlot();
+  message.attempts++;
+
+  let response;
+  try {
+    response = await sendMessage(message.phoneNumberId, message.to, message.payload);
+  } catch (error) {
+    message.lastError = error.message;
+    message.lastStatus = error.status;
+    message.updatedAt = new Date().toISOString();
+
+    message.claimedAt = null;
+
+    if (error.retryable && message.attempts < QUEUE_CONFIG.maxAttempts) {
+      const delay = retryDelay(message.attempts);
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      stats.retried++;
+      if (error.rateLimited) {
+        // Throttling applies to the whole business number, so hold every send
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      }
+      console.warn(`[QUEUE] Send ${message.id} to ${message.to} failed (${error.message}), retrying in ${delay}ms`);
+    } else {
+      message.status = 'failed';
+      stats.failed++;
+      stats.lastFailedAt = message.updatedAt;
+      console.error(`[QUEUE] Giving up on ${message.id} to ${message.to} after ${message.attempts} attempt(s): ${error.message}`);
+    }
+
+    await putOutboundMessage(message);
+    return false;
+  }
+
+  stats.sent++;
+  console.log(`[QUEUE] Sent ${message.id} to ${message.to} (attempt ${message.attempts}, WhatsApp ID ${response.messages?.[0]?.id})`);
+  await removeDelivered(message);
+  return true;
+}
+
+/**
+ * Take a delivered message off the queue
+ * The user already has it, so a storage error here must not count as a failed send
+ */
+async function removeDelivered(message) {
+  try {
+    await deleteOutboundMessage(message.id);
+  } catch (error) {
+    console.error(`[QUEUE] Could not remove sent message ${message.id}, marking it sent:`, error.message);
+    try {
+      // Claims only take 'pending' or 'sending' messages, so no run sends it again
+      await putOutboundMessage({ ...message, status: 'sent', claimedAt: null, updatedAt: new Date().toISOString() });
+    } catch (markError) {
+      console.error(`[QUEUE] Could not mark ${message.id} sent either; it may be sent again once its claim expires:`, markError.message);
+    }
+  }
+}
+
+// Messages still to deliver: not given up on, and not already sent
+function isWaiting(message) {
+  return message.status === 'pending' || message.status === 'sending';
+}
+
+// Whether a 'sending' claim is old enough to be taken over
+function isClaimStale(message) {
+  return new Date(message.claimedAt).getTime() < Date.now() - QUEUE_CONFIG.claimTimeoutMs;
+}
+
+// Send every pending message that is due, oldest first
+async function drainOnce() {
+  const all = await listOutboundMessages();
+  // Tidy up delivered messages that could not be removed at the time
+  for (const sent of all.filter(message => message.status === 'sent')) {
+    try {
+      await deleteOutboundMessage(sent.id);
+    } catch (error) {
+      console.error(`[QUEUE] Could not remove sent message ${sent.id}:`, error.message);
+    }
+  }
+
+  const messages = all.filter(isWaiting);
+  // Recipients with an earlier message still waiting (or being sent by another instance):
+  // later ones must not overtake it
+  const blocked = new Set();
+
+  for (const queued of messages) {
+    if (Date.now() < pausedUntil) {
+      return;
+    }
+    if (blocked.has(queued.to)) {
+      continue;
+    }
+    const due = queued.status === 'sending'
+      ? isClaimStale(queued)
+      : new Date(queued.nextAttemptAt).getTime() <= Date.now();
+    if (!due) {
+      blocked.add(queued.to);
+      continue;
+    }
+
+    const message = await claimOutboundMessage(queued.id, QUEUE_CONFIG.claimTimeoutMs);
+    if (!message) {
+      // Sent or claimed by another instance since the list was read
+      blocked.add(queued.to);
+      continue;
+    }
+
+    const delivered = await attemptDelivery(message);
+    if (!delivered && message.status === 'pending') {
+      blocked.add(message.to);
+    }
+  }
+}
+
+// Wake up when the earliest pending retry is due
+async function scheduleRetry() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  // Messages claimed elsewhere count too, in case that instance never finishes
+  const waiting = (await listOutboundMessages()).filter(isWaiting);
+  if (waiting.length === 0) {
+    return;
+  }
+
+  const nextAttemptAt = Math.max(
+    Math.min(...waiting.map(message => (message.status === 'sending'
+      ? new Date(message.claimedAt).getTime() + QUEUE_CONFIG.claimTimeoutMs
+      : new Date(message.nextAttemptAt).getTime()))),
+    pausedUntil
+  );
+  retryTimer = setTimeout(() => {
+    processQueue().catch(error => console.error('[QUEUE] Retry run failed:', error));
+  }, Math.max(nextAttemptAt - Date.now(), 0));
+  // Don't keep the process alive just for retries
+  retryTimer.unref();
+}
+
+/**
+ * Send whatever is due now; runs once at a time per process
+ * A call made while a run is in progress makes that run go round again
+ */
+function processQueue() {
+  if (draining) {
+    drainRequested = true;
+    return draining;
+  }
+
+  draining = (async () => {
+    do {
+      drainRequested = false;
+      await drainOnce();
+    } while (drainRequested);
+    await scheduleRetry();
+  })().finally(() => {
+    draining = null;
+  });
+  return draining;
+}
+
+/**
+ * Queue a message and start delivering it
+ * Returns once the message is stored; the send happens in the background, so a slow or
+ * rate-limited queue never holds up the webhook request that queued it
+ * Never throws for delivery problems; failed sends are retried in the background
+ * @param {string} phoneNumberId - Business phone number to send from
+ * @param {string} to - Recipient phone number
+ * @param {Object} payload - Message object, e.g. { type: 'text', text: { body } }
+ * @returns {Object} - { id, status: 'pending' }
+ */
+async function enqueueMessage(phoneNumberId, to, payload) {
+  const now = new Date().toISOString();
+  const message = {
+    id: crypto.randomUUID(),
+    phoneNumberId,
+    to,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    lastStatus: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await putOutboundMessage(message);
+  stats.queued++;
+
+  processQueue().catch(error => {
+    // The message is stored, so the next run will pick it up
+    console.error('[QUEUE] Queue run failed:', error);
+  });
+
+  return { id: message.id, status: message.status };
+}
+
+/**
+ * Put a failed message back in the queue with a fresh set of attempts
+ * @returns {Object|null} - The message, or null if there is no such failed message
+ */
+async function retryMessage(id) {
+  const message = await getOutboundMessage(id);
+  if (!message || message.status !== 'failed') {
+    return null;
+  }
+
+  message.status = 'pending';
+  message.attempts = 0;
+  message.nextAttemptAt = new Date().toISOString();
+  message.updatedAt = message.nextAttemptAt;
+  await putOutboundMessage(message);
+  await processQueue();
+  return (await getOutboundMessage(id)) || { ...message, status: 'sent' };
+}
+
+// Drop a failed message without sending it
+async function discardMessage(id) {
+  const message = await getOutboundMessage(id);
+  if (!message || message.status !== 'failed') {
+    return false;
+  }
+  await deleteOutboundMessage(id);
+  console.log(`[QUEUE] Discarded failed message ${id} to ${message.to}`);
+  return true;
+}
+
+// Queue contents and counters for the admin endpoint
+async function getQueueState() {
+  const messages = await listOutboundMessages();
+  return {
+    pending: messages.filter(message => message.status === 'pending'),
+    sending: messages.filter(message => message.status === 'sending'),
+    failed: messages.filter(message => message.status === 'failed'),
+    pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+    stats: { ...stats }
+  };
+}
+
+module.exports = {
+  enqueueMessage,
+  processQueue,
+  retryMessage,
+  discardMessage,
+  getQueueState
+};
@@ -0,0 +1,71 @@
+// Rate Limiter - caps how often one client (e.g. an IP address) may call an endpoint
+// Counts are kept in memory per process, so on serverless hosts each instance counts on its
+// own; limits that must hold everywhere (like codes per phone number) belong in storage instead.
+
+/**
+ * Create a fixed-window limiter
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per key in each window
+ * @param {number} options.windowMs - Window length
+ * @param {string} options.name - Used in log lines
+ * @returns {Object} - { hit(key), middleware(keyFn) }
+ */
+function createRateLimiter({ limit, windowMs, name }) {
+  const windows = new Map();
+
+  // Drop finished windows so the map doesn't grow with every client ever seen
+  function prune(now) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Count one request for a key
+   * @param {string} key
+   * @returns {Object} - { allowed, retryAfterSeconds }
+   */
+  function hit(key) {
+    const now = Date.now();
+    if (windows.size > 10000) {
+      prune(now);
+    }
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+
+    return {
+      allowed: window.count <= limit,
+      retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000)
+    };
+  }
+
+  /**
+   * Express middleware answering 429 once a client is over the limit
+   * @param {Function} keyFn - req => key (default: the client's IP address)
+   */
+  function middleware(keyFn = req => req.ip) {
+    return (req, res, next) => {
+      const key = keyFn(req);
+      const { allowed, retryAfterSeconds } = hit(key);
+      if (!allowed) {
+        console.warn(`[SECURITY] Rate limited ${name} request from ${key}`);
+        res.set('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({ error: 'Too many requests. Please wait a while and try again.' });
+      }
+      next();
+    };
+  }
+
+  return { hit, middleware };
+}
+
+module.exports = {
+  createRateLimiter
+};
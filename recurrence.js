@@ -0,0 +1,195 @@
+// Recurrence - converts the AI's recurrence fields into RFC 5545 RRULEs and back
+// Google Calendar takes recurrence as an array of strings like "RRULE:FREQ=WEEKLY;BYDAY=MO,WE"
+const { zonedTimeToUtc, startOfNextDay, getDayOfWeek, addDays, formatDate } = require('./timezone');
+
+const FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY'
+};
+
+// RFC 5545 day codes, indexed like Date.getDay() (0 = Sunday)
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Normalize a day given as "MO", "mon" or "monday" to its RFC 5545 code
+ * @returns {string|null}
+ */
+function toDayCode(day) {
+  const prefix = String(day).trim().slice(0, 2).toUpperCase();
+  return DAY_CODES.includes(prefix) ? prefix : null;
+}
+
+/**
+ * Format an instant as an RFC 5545 UTC timestamp (e.g. 20241225T125959Z)
+ */
+function toRRuleTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build an RRULE from the AI's recurrence fields
+ * @param {Object} recurrence - { frequency, interval, byDay, until, count }
+ * @param {string} timezone - User's IANA timezone (UNTIL is the end of that local day)
+ * @returns {string} - e.g. "RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261225T125959Z"
+ */
+function buildRRule(recurrence, timezone) {
+  const freq = FREQUENCIES[String(recurrence.frequency || '').toLowerCase()];
+  if (!freq) {
+    throw new Error(`Unsupported recurrence frequency: ${recurrence.frequency}`);
+  }
+
+  const parts = [`FREQ=${freq}`];
+
+  const interval = parseInt(recurrence.interval, 10);
+  if (interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+
+  const byDay = (recurrence.byDay || []).map(toDayCode).filter(Boolean);
+  if (byDay.length > 0) {
+    parts.push(`BYDAY=${[...new Set(byDay)].join(',')}`);
+  }
+
+  // UNTIL and COUNT are mutually exclusive in RFC 5545; an end date wins
+  if (recurrence.until) {
+    const untilDate = recurrence.until.split('T')[0];
+    const endOfUntilDay = new Date(startOfNextDay(untilDate, timezone).getTime() - 1000);
+    parts.push(`UNTIL=${toRRuleTimestamp(endOfUntilDay)}`);
+  } else if (parseInt(recurrence.count, 10) > 0) {
+    parts.push(`COUNT=${parseInt(recurrence.count, 10)}`);
+  }
+
+  return `RRULE:${parts.join(';')}`;
+}
+
+/**
+ * Parse "RRULE:FREQ=WEEKLY;BYDAY=MO" into { FREQ: 'WEEKLY', BYDAY: 'MO' }
+ */
+function parseRRule(rule) {
+  const parts = {};
+  for (const part of rule.replace(/^RRULE:/, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (key && value !== undefined) {
+      parts[key.toUpperCase()] = value;
+    }
+  }
+  return parts;
+}
+
+function formatRRule(parts) {
+  return `RRULE:${Object.entries(parts).map(([key, value]) => `${key}=${value}`).join(';')}`;
+}
+
+/**
+ * Find the RRULE line in a Google event's recurrence array
+ * @returns {string|null}
+ */
+function findRRule(recurrence) {
+  return (recurrence || []).find(line => line.startsWith('RRULE:')) || null;
+}
+
+/**
+ * End a series just before the given instant ("this and following" splits)
+ * All-day series need UNTIL as a DATE (RFC 5545 requires it to match DTSTART's type),
+ * so for them the series ends on the local day before the split.
+ * @param {Array} recurrence - Google recurrence array (RRULE, EXDATE, ...)
+ * @param {Date} before - First instant that must no longer be part of the series
+ * @param {Object} options - { allDay, timezone } for all-day series
+ * @returns {Array} - New recurrence array
+ */
+function truncateRecurrence(recurrence, before, options = {}) {
+  const until = options.allDay
+    ? addDays(formatDate(before, options.timezone), -1).replace(/-/g, '')
+    : toRRuleTimestamp(new Date(before.getTime() - 1000));
+
+  return recurrence.map(line => {
+    if (!line.startsWith('RRULE:')) {
+      return line;
+    }
+    const parts = parseRRule(line);
+    delete parts.COUNT;
+    parts.UNTIL = until;
+    return formatRRule(parts);
+  });
+}
+
+/**
+ * Replace the COUNT of the RRULE in a recurrence array (used when a series is split)
+ */
+function withCount(recurrence, count) {
+  return recurrence.map(line => {
+    if (!line.startsWith('RRULE:')) {
+      return line;
+    }
+    const parts = parseRRule(line);
+    parts.COUNT = String(count);
+    return formatRRule(parts);
+  });
+}
+
+/**
+ * Move a local start date forward to the first day the rule allows
+ * ("every Monday and Wednesday" starting on a Tuesday begins on the Wednesday)
+ * @param {string} startDate - "YYYY-MM-DD"
+ * @param {Object} recurrence - AI recurrence fields
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function alignStartDate(startDate, recurrence) {
+  const byDay = (recurrence.byDay || []).map(toDayCode).filter(Boolean);
+  if (byDay.length === 0) {
+    return startDate;
+  }
+
+  for (let offset = 0; offset < 7; offset++) {
+    const candidate = addDays(startDate, offset);
+    if (byDay.includes(DAY_CODES[getDayOfWeek(candidate)])) {
+      return candidate;
+    }
+  }
+  return startDate;
+}
+
+/**
+ * Human-friendly description of an RRULE for replies ("every week on Monday and Wednesday")
+ * @param {string} rule - RRULE string
+ * @param {string} timezone - IANA timezone used for the UNTIL date
+ */
+function describeRRule(rule, timezone) {
+  const parts = parseRRule(rule);
+  const interval = parseInt(parts.INTERVAL, 10) || 1;
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const unit = units[parts.FREQ] || 'period';
+
+  let text = interval > 1 ? `every ${interval} ${unit}s` : `every ${unit}`;
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(code => DAY_LABELS[DAY_CODES.indexOf(code.slice(-2))]).filter(Boolean);
+    text += ` on ${days.length > 1 ? `${days.slice(0, -1).join(', ')} and ${days[days.length - 1]}` : days[0]}`;
+  }
+
+  if (parts.UNTIL) {
+    const until = parts.UNTIL.replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3');
+    const untilDate = parts.UNTIL.includes('T')
+      ? new Date(parts.UNTIL.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'))
+      : zonedTimeToUtc(until, timezone);
+    text += ` until ${untilDate.toLocaleDateString('en-US', { timeZone: timezone, month: 'short', day: 'numeric', year: 'numeric' })}`;
+  } else if (parts.COUNT) {
+    text += `, ${parts.COUNT} times`;
+  }
+
+  return text;
+}
+
+module.exports = {
+  buildRRule,
+  parseRRule,
+  formatRRule,
+  findRRule,
+  truncateRecurrence,
+  withCount,
+  alignStartDate,
+  describeRRule
+};
@@ -0,0 +1,166 @@
+// Recurring Events - applies updates and deletes to "this occurrence",
+// "this and following occurrences" or "all occurrences" of a recurring series
+//
+// Searches return single instances (singleEvents=true). An instance carries the
+// id of its series in recurringEventId; the series itself holds the RRULE.
+const { toLocalDateTime, zonedTimeToUtc, addMinutesToLocal } = require('./timezone');
+const { findRRule, parseRRule, truncateRecurrence, withCount } = require('./recurrence');
+const { getEventReminderMinutes } = require('./reminderScheduler');
+
+const SCOPES = ['this', 'following', 'all'];
+
+const SCOPE_DESCRIPTIONS = {
+  this: 'this occurrence only',
+  following: 'this and all following occurrences',
+  all: 'every occurrence in the series'
+};
+
+/**
+ * Work out which part of a series an operation applies to
+ * Non-recurring events are always "this"; recurring ones default to "this"
+ */
+function resolveScope(event, scope) {
+  if (!event.recurringEventId) {
+    return 'this';
+  }
+  return SCOPES.includes(scope) ? scope : 'this';
+}
+
+/**
+ * Instant an occurrence was originally scheduled for (before any move)
+ */
+function getOriginalStart(event, timezone) {
+  const original = event.originalStartTime || event.start || {};
+  if (original.dateTime) {
+    return new Date(original.dateTime);
+  }
+  return original.date ? zonedTimeToUtc(original.date, timezone) : null;
+}
+
+function isFirstOccurrence(series, splitAt, timezone) {
+  const seriesStart = getOriginalStart(series, timezone);
+  return !!seriesStart && !!splitAt && seriesStart.getTime() >= splitAt.getTime();
+}
+
+/**
+ * Delete an event, or part of its series
+ * @param {string} scope - "this", "following" or "all"
+ */
+async function deleteEventInScope(phoneNumber, event, scope, calendarFunctions, timezone) {
+  const { deleteCalendarEvent, getCalendarEvent, updateCalendarEvent } = calendarFunctions;
+
+  if (scope === 'this') {
+    return await deleteCalendarEvent(phoneNumber, event.id);
+  }
+
+  if (scope === 'all') {
+    console.log(`[RECURRING] Deleting whole series ${event.recurringEventId}`);
+    return await deleteCalendarEvent(phoneNumber, event.recurringEventId);
+  }
+
+  // "following": end the series just before this occurrence
+  const series = await getCalendarEvent(phoneNumber, event.recurringEventId);
+  const splitAt = getOriginalStart(event, timezone);
+
+  if (isFirstOccurrence(series, splitAt, timezone)) {
+    console.log(`[RECURRING] ${event.id} is the first occurrence, deleting whole series`);
+    return await deleteCalendarEvent(phoneNumber, series.id);
+  }
+
+  console.log(`[RECURRING] Ending series ${series.id} before ${splitAt.toISOString()}`);
+  return await updateCalendarEvent(phoneNumber, series.id, {
+    recurrence: truncateRecurrence(series.recurrence || [], splitAt, { allDay: !!series.start?.date, timezone })
+  });
+}
+
+/**
+ * Apply new times from an occurrence to the series start, keeping the series' first date
+ * ("move all my gym sessions to 8am" changes the time of day, not the date)
+ */
+function toSeriesUpdates(series, updates, timezone) {
+  const seriesUpdates = { ...updates };
+  if (!updates.startDateTime || !series.start?.dateTime) {
+    return seriesUpdates;
+  }
+
+  const seriesStart = toLocalDateTime(new Date(series.start.dateTime), timezone);
+  seriesUpdates.startDateTime = `${seriesStart.slice(0, 10)}T${updates.startDateTime.slice(11)}`;
+
+  if (updates.endDateTime) {
+    const durationMinutes = (new Date(`${updates.endDateTime}Z`) - new Date(`${updates.startDateTime}Z`)) / 60000;
+    seriesUpdates.endDateTime = addMinutesToLocal(seriesUpdates.startDateTime, durationMinutes);
+  }
+
+  return seriesUpdates;
+}
+
+/**
+ * Update an event, or part of its series
+ * @param {Object} updates - Resolved updates (full local datetimes, recurrence as RRULE array)
+ * @param {string} scope - "this", "following" or "all"
+ */
+async function updateEventInScope(phoneNumber, event, updates, scope, calendarFunctions, timezone) {
+  const { getCalendarEvent, updateCalendarEvent, createCalendarEvent, countEventInstances } = calendarFunctions;
+
+  if (scope === 'this') {
+    return await updateCalendarEvent(phoneNumber, event.id, { ...updates, timeZone: timezone });
+  }
+
+  const series = await getCalendarEvent(phoneNumber, event.recurringEventId);
+  const splitAt = getOriginalStart(event, timezone);
+
+  if (scope === 'all' || isFirstOccurrence(series, splitAt, timezone)) {
+    console.log(`[RECURRING] Updating whole series ${series.id}`);
+    return await updateCalendarEvent(phoneNumber, series.id, {
+      ...toSeriesUpdates(series, updates, timezone),
+      timeZone: timezone
+    });
+  }
+
+  // "following": end the original series before this occurrence and start
+  // a new series here with the changes applied
+  if (!event.start?.dateTime || !event.end?.dateTime) {
+    return { success: false, error: 'Changing following occurrences of all-day events is not supported yet' };
+  }
+
+  let recurrence = updates.recurrence || series.recurrence || [];
+  const rule = findRRule(recurrence);
+  if (!updates.recurrence && rule && parseRRule(rule).COUNT) {
+    // Carry over only the occurrences that were still to come
+    const before = await countEventInstances(phoneNumber, series.id, splitAt.toISOString());
+    recurrence = withCount(recurrence, Math.max(parseInt(parseRRule(rule).COUNT, 10) - before, 1));
+  }
+
+  const occurrenceStart = toLocalDateTime(new Date(event.start.dateTime), timezone);
+  const occurrenceEnd = toLocalDateTime(new Date(event.end.dateTime), timezone);
+
+  console.log(`[RECURRING] Splitting series ${series.id} at ${splitAt.toISOString()}`);
+  const truncated = await updateCalendarEvent(phoneNumber, series.id, {
+    recurrence: truncateRecurrence(series.recurrence || [], splitAt)
+  });
+  if (!truncated.success) {
+    return truncated;
+  }
+
+  const created = await createCalendarEvent(phoneNumber, {
+    summary: updates.summary || series.summary,
+    location: updates.location || series.location,
+    description: updates.description || series.description,
+    startDateTime: updates.startDateTime || occurrenceStart,
+    endDateTime: updates.endDateTime || occurrenceEnd,
+    timeZone: timezone,
+    recurrence,
+    reminderMinutes: updates.reminderMinutes !== undefined ? updates.reminderMinutes : getEventReminderMinutes(series)
+  });
+
+  return created.success
+    ? { ...created, splitFrom: series.id }
+    : created;
+}
+
+module.exports = {
+  SCOPE_DESCRIPTIONS,
+  resolveScope,
+  deleteEventInScope,
+  updateEventInScope
+};
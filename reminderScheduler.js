@@ -0,0 +1,454 @@
+// Reminder Scheduler - WhatsApp reminders a set number of minutes before events
+// Offsets come from two places:
+//   - the user's default (reminderMinutes on the user record, set with /reminders), for every timed event
+//   - the event itself (a private extended property set when the user asks for a reminder on it),
+//     which replaces the default for that event; "none" turns reminders off for it
+//
+// Each reminder is a persisted job with a fixed ID (phone:eventId:offset), so syncing an event
+// twice never creates two reminders. Jobs are synced when an event is created, moved or deleted
+// through app.js, and on a schedule for events changed in Google Calendar directly.
+//
+// runDueReminders() sends the reminders that are due; long-running servers call it on a timer,
+// serverless hosts need a cron job calling /api/reminders/run every minute or few.
+// Like daily agendas, a send is claimed in the handled-message ledger first, so overlapping runs
+// never send the same reminder twice.
+const {
+  getUserByPhone,
+  setReminderMinutes,
+  listReminderUsers,
+  putReminderJob,
+  listReminderJobs,
+  deleteReminderJob,
+  pruneReminderJobs,
+  claimMessage,
+  completeMessage
+} = require('./userStorage');
+const { resolveTimezone } = require('./timezone');
+const { formatEventDetails } = require('./eventFormatter');
+
+// Furthest ahead a reminder can be (a day); the sync looks this far ahead
+const MAX_REMINDER_MINUTES = 24 * 60;
+
+// Extended property (private to this app) holding an event's own offsets, e.g. "15,60" or "none"
+const EVENT_PROPERTY = 'whatsappReminders';
+
+// How often the calendars of users with reminders are re-read for changes made outside the bot
+const SYNC_INTERVAL_MS = (parseInt(process.env.REMINDER_SYNC_MINUTES, 10) || 10) * 60 * 1000;
+
+// How often a long-running server checks for due reminders (0 turns the timer off)
+const CHECK_INTERVAL_MS = (process.env.REMINDER_CHECK_INTERVAL_SECONDS !== undefined
+  ? parseInt(process.env.REMINDER_CHECK_INTERVAL_SECONDS, 10) || 0
+  : 60) * 1000;
+
+// Jobs for events that started longer ago than this are deleted
+const PRUNE_AFTER_MS = 60 * 60 * 1000;
+
+const UNIT_MINUTES = {
+  m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+  h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+  d: 1440, day: 1440, days: 1440
+};
+
+/**
+ * Clean up a list of offsets from the AI or the user
+ * @param {*} value - Minutes before the event: an array, a single number, or null/undefined
+ * @returns {Array|null} - Sorted, unique whole minutes within range ([] means no reminders),
+ *                         or null if no offsets were given at all
+ */
+function normalizeReminderMinutes(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const values = Array.isArray(value) ? value : [value];
+  const minutes = values
+    .map(item => Math.round(Number(item)))
+    .filter(item => Number.isFinite(item) && item >= 0 && item <= MAX_REMINDER_MINUTES);
+  return [...new Set(minutes)].sort((a, b) => a - b);
+}
+
+/**
+ * Read reminder offsets as the user typed them
+ * @param {string} text - e.g. "15", "10, 60", "30m and 1h", "1 day"
+ * @returns {Array|null} - Minutes, or null if any part isn't an offset up to a day
+ */
+function parseReminderOffsets(text) {
+  const parts = String(text || '').toLowerCase().split(/\s*(?:,|\band\b)\s*/).filter(Boolean);
+  if (!parts.length) {
+    return null;
+  }
+
+  const minutes = [];
+  for (const part of parts) {
+    const match = /^(\d+)\s*([a-z]*)$/.exec(part.trim());
+    const unit = match && UNIT_MINUTES[match[2] || 'm'];
+    if (!unit) {
+      return null;
+    }
+    const value = parseInt(match[1], 10) * unit;
+    if (value > MAX_REMINDER_MINUTES) {
+      return null;
+    }
+    minutes.push(value);
+  }
+  return normalizeReminderMinutes(minutes);
+}
+
+/**
+ * Say how long an offset is
+ * @param {number} minutes
+ * @returns {string} - e.g. "15 minutes", "1 hour", "1 hour 30 minutes"
+ */
+function formatOffset(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const parts = [];
+  if (hours) {
+    parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+  }
+  if (rest || !hours) {
+    parts.push(`${rest} minute${rest === 1 ? '' : 's'}`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Describe a set of offsets for replies
+ * @param {Array} minutes - From normalizeReminderMinutes
+ * @returns {string} - e.g. "15 minutes and 1 hour before", "when it starts" or "no reminders"
+ */
+function describeReminders(minutes) {
+  if (!minutes || !minutes.length) {
+    return 'no reminders';
+  }
+  const labels = minutes.map(offset => (offset ? `${formatOffset(offset)} before` : 'when it starts'));
+  return labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+    : labels[0];
+}
+
+/**
+ * The event's own offsets, if it has any
+ * @param {Object} event - Google Calendar event
+ * @returns {Array|null} - Minutes ([] if turned off for this event), or null to use the user's default
+ */
+function getEventReminderMinutes(event) {
+  const value = event?.extendedProperties?.private?.[EVENT_PROPERTY];
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return value === 'none' ? [] : normalizeReminderMinutes(value.split(','));
+}
+
+/**
+ * Extended properties for an event with its own reminder offsets
+ * @param {Object} extendedProperties - The event's current extendedProperties, if any
+ * @param {Array} minutes - From normalizeReminderMinutes ([] turns reminders off for the event)
+ * @returns {Object}
+ */
+function withEventReminders(extendedProperties, minutes) {
+  return {
+    ...extendedProperties,
+    private: {
+      ...extendedProperties?.private,
+      [EVENT_PROPERTY]: minutes.length ? minutes.join(',') : 'none'
+    }
+  };
+}
+
+/**
+ * The reminder text
+ * @param {Object} job - Reminder job
+ * @param {string} timezone - IANA timezone
+ * @param {Date} now
+ * @returns {string}
+ */
+function formatReminder(job, timezone, now = new Date()) {
+  // A reminder sent late says how long is actually left
+  const minutesLeft = Math.max(Math.round((new Date(job.eventStart).getTime() - now.getTime()) / 60000), 0);
+  const heading = minutesLeft ? `⏰ Starts in ${formatOffset(minutesLeft)}:` : '⏰ Starting now:';
+  const event = { summary: job.summary, location: job.location, start: { dateTime: job.eventStart } };
+  return `${heading}\n\n${formatEventDetails(event, timezone)}`;
+}
+
+// Whether an event can have reminders: it has a start time, and the user hasn't declined it
+function isRemindable(event) {
+  if (!event?.start?.dateTime || event.status === 'cancelled') {
+    return false;
+  }
+  const self = (event.attendees || []).find(attendee => attendee.self);
+  return !self || self.responseStatus !== 'declined';
+}
+
+/**
+ * Build the scheduler
+ * @param {Object} options
+ * @param {Function} options.getCalendarEvents - async (phone, timeMin, timeMax) => events, or null if not linked
+ * @param {Function} options.sendMessage - async (phoneNumberId, to, text)
+ * @param {string} options.phoneNumberId - Business phone number to send from (WHATSAPP_PHONE_NUMBER_ID)
+ */
+function createReminderScheduler({ getCalendarEvents, sendMessage, phoneNumberId }) {
+  let running = null;
+  let timer = null;
+  let lastSyncAt = 0;
+
+  // The jobs an event should have, given the user's default offsets
+  function desiredJobs(phoneNumber, event, defaultMinutes, now) {
+    if (!isRemindable(event)) {
+      return [];
+    }
+    const start = new Date(event.start.dateTime);
+    if (start <= now) {
+      return [];
+    }
+
+    const minutes = getEventReminderMinutes(event) ?? defaultMinutes ?? [];
+    return minutes.map(offset => ({
+      id: `${phoneNumber}:${event.id}:${offset}`,
+      phoneNumber,
+      eventId: event.id,
+      recurringEventId: event.recurringEventId || null,
+      offsetMinutes: offset,
+      summary: event.summary || '(No title)',
+      location: event.location || null,
+      eventStart: start.toISOString(),
+      remindAt: new Date(start.getTime() - offset * 60 * 1000).toISOString()
+    }));
+  }
+
+  // Make an event's stored jobs match the desired ones
+  // A job already sent stays sent unless the event has moved
+  async function applyJobs(desired, existing) {
+    const now = new Date().toISOString();
+    for (const job of desired) {
+      const current = existing.find(item => item.id === job.id);
+      const unchanged = current && current.eventStart === job.eventStart;
+      if (unchanged && current.summary === job.summary && current.location === job.location) {
+        continue;
+      }
+      await putReminderJob({
+        ...job,
+        status: unchanged ? current.status : 'pending',
+        sentAt: unchanged ? current.sentAt : null,
+        createdAt: current?.createdAt || now,
+        updatedAt: now
+      });
+    }
+
+    for (const job of existing) {
+      if (!desired.some(item => item.id === job.id)) {
+        await deleteReminderJob(job.id);
+      }
+    }
+  }
+
+  // Re-read a user's upcoming events and bring their jobs up to date
+  async function syncUser(phoneNumber, defaultMinutes, now) {
+    const windowEnd = new Date(now.getTime() + MAX_REMINDER_MINUTES * 60 * 1000 + 2 * SYNC_INTERVAL_MS);
+    const events = await getCalendarEvents(phoneNumber, now.toISOString(), windowEnd.toISOString());
+    if (events === null) {
+      return;
+    }
+
+    const jobs = await listReminderJobs({ phoneNumber });
+    for (const event of events) {
+      await applyJobs(
+        desiredJobs(phoneNumber, event, defaultMinutes, now),
+        jobs.filter(job => job.eventId === event.id)
+      );
+    }
+
+    // Events that are gone from the window were deleted or moved outside the bot.
+    // The list stops at 100 events, so only trust it up to the last one returned
+    const seen = new Set(events.map(event => event.id));
+    const checkedUntil = events.length >= 100 && events[events.length - 1].start?.dateTime
+      ? new Date(events[events.length - 1].start.dateTime)
+      : windowEnd;
+    for (const job of jobs) {
+      const eventStart = new Date(job.eventStart);
+      if (!seen.has(job.eventId) && eventStart > now && eventStart <= checkedUntil) {
+        await deleteReminderJob(job.id);
+      }
+    }
+  }
+
+  /**
+   * Bring an event's reminders up to date after it was created or changed
+   * A whole series resyncs the user, since reminders belong to its occurrences.
+   * Never throws: a reminder problem must not fail the calendar change
+   * @param {string} phoneNumber
+   * @param {Object} event - The event as Google returned it
+   */
+  async function syncEventReminders(phoneNumber, event) {
+    try {
+      const user = await getUserByPhone(phoneNumber);
+      if (!user) {
+        return;
+      }
+      let defaultMinutes = user.reminderMinutes;
+      if (defaultMinutes == null && getEventReminderMinutes(event)?.length) {
+        // First reminder this user asked for: include them in scheduled syncs from now on
+        defaultMinutes = [];
+        await setReminderMinutes(phoneNumber, defaultMinutes);
+      }
+
+      const jobs = await listReminderJobs({ phoneNumber });
+      if (event.recurrence) {
+        for (const job of jobs.filter(item => item.recurringEventId === event.id)) {
+          await deleteReminderJob(job.id);
+        }
+        if (defaultMinutes != null) {
+          await syncUser(phoneNumber, defaultMinutes, new Date());
+        }
+        return;
+      }
+
+      await applyJobs(
+        desiredJobs(phoneNumber, event, defaultMinutes, new Date()),
+        jobs.filter(job => job.eventId === event.id)
+      );
+    } catch (error) {
+      console.error(`[REMINDERS] Failed to sync reminders for event ${event?.id} (${phoneNumber}):`, error.message);
+    }
+  }
+
+  /**
+   * Drop the reminders for a deleted event (or every occurrence of a deleted series)
+   * Never throws, like syncEventReminders
+   * @param {string} phoneNumber
+   * @param {string} eventId
+   */
+  async function cancelEventReminders(phoneNumber, eventId) {
+    try {
+      const jobs = await listReminderJobs({ phoneNumber });
+      for (const job of jobs.filter(item => item.eventId === eventId || item.recurringEventId === eventId)) {
+        await deleteReminderJob(job.id);
+      }
+    } catch (error) {
+      console.error(`[REMINDERS] Failed to cancel reminders for event ${eventId} (${phoneNumber}):`, error.message);
+    }
+  }
+
+  /**
+   * Bring all of a user's reminders up to date (e.g. after their default changed)
+   * @param {string} phoneNumber
+   */
+  async function syncUserReminders(phoneNumber) {
+    const user = await getUserByPhone(phoneNumber);
+    if (user?.googleCalendarTokens && user.reminderMinutes != null) {
+      await syncUser(phoneNumber, user.reminderMinutes, new Date());
+    }
+  }
+
+  // Send one reminder; the ledger claim is left open on errors worth retrying
+  async function sendReminder(job, now, summary) {
+    const claimId = `reminder:${job.id}:${job.eventStart}`;
+    if (!(await claimMessage(claimId, job.phoneNumber))) {
+      summary.alreadyHandled++;
+      return;
+    }
+
+    try {
+      const user = await getUserByPhone(job.phoneNumber);
+      await sendMessage(phoneNumberId, job.phoneNumber, formatReminder(job, resolveTimezone(user?.timezone), now));
+      await putReminderJob({ ...job, status: 'sent', sentAt: now.toISOString(), updatedAt: now.toISOString() });
+      console.log(`[REMINDERS] Sent ${job.offsetMinutes}-minute reminder for ${job.eventId} to ${job.phoneNumber}`);
+      summary.sent++;
+      await completeMessage(claimId);
+    } catch (error) {
+      summary.failed++;
+      if (error.retryable) {
+        // The claim goes stale after the processing timeout, and a later run tries again
+        console.error(`[REMINDERS] Reminder ${job.id} failed, will retry:`, error.message);
+      } else {
+        console.error(`[REMINDERS] Reminder ${job.id} failed:`, error.message);
+        await completeMessage(claimId);
+      }
+    }
+  }
+
+  async function run(now) {
+    const summary = { synced: 0, due: 0, sent: 0, alreadyHandled: 0, skipped: 0, failed: 0 };
+
+    if (now.getTime() - lastSyncAt >= SYNC_INTERVAL_MS) {
+      lastSyncAt = now.getTime();
+      for (const user of await listReminderUsers()) {
+        try {
+          await syncUser(user.phoneNumber, user.reminderMinutes, now);
+          summary.synced++;
+        } catch (error) {
+          console.error(`[REMINDERS] Failed to sync reminders for ${user.phoneNumber}:`, error.message);
+        }
+      }
+    }
+
+    for (const job of await listReminderJobs({ status: 'pending', remindBefore: now.toISOString() })) {
+      summary.due++;
+      if (new Date(job.eventStart) <= now) {
+        // The event has started (e.g. the cron job was down): too late to remind
+        await putReminderJob({ ...job, status: 'skipped', updatedAt: now.toISOString() });
+        summary.skipped++;
+        continue;
+      }
+      await sendReminder(job, now, summary);
+    }
+
+    await pruneReminderJobs(new Date(now.getTime() - PRUNE_AFTER_MS).toISOString());
+
+    if (summary.due) {
+      console.log('[REMINDERS] Run finished:', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Send every reminder that is due (and resync calendars every SYNC_INTERVAL_MS)
+   * A call while a run is in progress gets that run's result
+   * @param {Date} now
+   * @returns {Object} - { synced, due, sent, alreadyHandled, skipped, failed }
+   */
+  async function runDueReminders(now = new Date()) {
+    if (!phoneNumberId) {
+      throw new Error('WHATSAPP_PHONE_NUMBER_ID is not set - reminders cannot be sent');
+    }
+    if (!running) {
+      running = run(now).finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  // Check for due reminders every CHECK_INTERVAL_MS (long-running servers only)
+  function start() {
+    if (!CHECK_INTERVAL_MS || timer) {
+      return;
+    }
+    if (!phoneNumberId) {
+      console.warn('[REMINDERS] WHATSAPP_PHONE_NUMBER_ID is not set - reminders are off');
+      return;
+    }
+    timer = setInterval(() => {
+      runDueReminders().catch(error => console.error('[REMINDERS] Scheduled run failed:', error));
+    }, CHECK_INTERVAL_MS);
+    timer.unref();
+  }
+
+  return {
+    syncEventReminders,
+    cancelEventReminders,
+    syncUserReminders,
+    runDueReminders,
+    start
+  };
+}
+
+module.exports = {
+  createReminderScheduler,
+  normalizeReminderMinutes,
+  parseReminderOffsets,
+  describeReminders,
+  getEventReminderMinutes,
+  withEventReminders,
+  formatReminder,
+  MAX_REMINDER_MINUTES
+};
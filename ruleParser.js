@@ -0,0 +1,467 @@
+// Rule Parser - deterministic intent parsing for common phrasings, no language model needed
+// Used when the AI is down or too slow, and by the mock LLM provider. Understands:
+//   "what do I have tomorrow", "show my calendar for next week"
+//   "schedule dentist on Friday at 2pm for 30 minutes", "book lunch at Cafe Sydney tomorrow at 1pm"
+//   "put gym in my calendar at 7am", "add dinner at 7 on friday", "add dentist tomorrow" (no time yet)
+//   "move dentist to 4pm", "move dentist to Monday at 10am", "rename dentist to checkup"
+//   "cancel dentist", "delete my standup series"
+//   "remind me 15 minutes before dentist", "remind me an hour before the standup"
+//   "when am I free tomorrow afternoon for an hour"
+// Anything else is { action: 'unknown' }.
+const {
+  DAY_NAMES,
+  resolveTimezone,
+  getToday,
+  addDays,
+  getDayOfWeek,
+  zonedTimeToUtc,
+  formatDate,
+  toLocalDateTime,
+  addMinutesToLocal
+} = require('./timezone');
+
+const SHORT_DAY_NAMES = {
+  sun: 'sunday', mon: 'monday', tue: 'tuesday', tues: 'tuesday', wed: 'wednesday',
+  thu: 'thursday', thur: 'thursday', thurs: 'thursday', fri: 'friday', sat: 'saturday'
+};
+
+const DAY_PATTERN = new RegExp(
+  `\\b(?:on\\s+)?(today|tonight|tomorrow|(?:next\\s+)?(?:${[...DAY_NAMES, ...Object.keys(SHORT_DAY_NAMES)].join('|')}))\\b`,
+  'i'
+);
+
+const TIME_PATTERNS = [
+  /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i,
+  /\b(?:at\s+)?(\d{1,2}):(\d{2})\b/i,
+  /\b(?:at\s+)?(noon|midday|midnight)\b/i
+];
+
+// "at 10" with no am/pm, checked after the patterns above (see extractTime for the hour it means)
+const BARE_HOUR_PATTERN = /\bat\s+(\d{1,2})\b(?![:.]\d|\s*(?:am|pm|%))/i;
+
+// Hours 1-7 without am/pm are read as afternoon/evening ("dinner at 7"), 8-12 as they are
+const LATEST_PM_BARE_HOUR = 7;
+
+// "in my calendar", "to the diary", "into my calendar"
+const CALENDAR_PHRASE_PATTERN = /\b(?:to|in|into|on)\s+(?:my\s+|the\s+)?(?:calendar|diary)\b/gi;
+
+// Leftovers that are a time or number, never a place ("at 10", "at 25", "at 7.30")
+const NOT_A_LOCATION_PATTERN = /^(?:[\d\s:.]+(?:am|pm|h|hrs?)?|noon|midday|midnight)$/i;
+
+// Words around a bare time answer ("make it 3pm", "how about 10")
+const TIME_REPLY_FILLER_PATTERN = /^(?:make it|let'?s say|say|how about|at|start(?:ing)?(?: at)?|from)?$/i;
+
+const DURATION_PATTERN = /\bfor\s+(half an hour|an hour and a half|(?:an?|one|\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h|minutes?|mins?|m))\b/i;
+
+const RANGE_PATTERN = /\b(?:for\s+)?(?:this|next|the)\s+(week|month)\b/i;
+
+const TIME_OF_DAY_PATTERN = /\b(?:in\s+the\s+|this\s+)?(morning|afternoon|evening)\b/i;
+
+const CREATE_PATTERN = /^(?:please\s+)?(?:can you\s+)?(?:schedule|book|add|create|set up|put|plan)\s+(?:me\s+)?(?:in\s+)?(.+)$/i;
+const UPDATE_PATTERN = /^(?:please\s+)?(?:move|reschedule|change|push|shift|postpone)\s+(.+?)\s+(?:to|until|till)\s+(.+)$/i;
+const RENAME_PATTERN = /^(?:please\s+)?rename\s+(.+?)\s+to\s+(.+)$/i;
+const REMIND_PATTERN = /^(?:please\s+)?remind me\s+(half an hour|(?:an?|one|\d+)\s*(?:minutes?|mins?|m|hours?|hrs?|h|days?))\s+before\s+(.+)$/i;
+const DELETE_PATTERN = /^(?:please\s+)?(?:cancel|delete|remove|clear|drop)\s+(.+)$/i;
+const FREE_PATTERN = /\b(am i free|are there any free|free time|free slots?|availability|when can i fit|when('?s| is) (a )?good time)\b/i;
+const READ_PATTERN = /^(?:what|what's|whats|show|list|any|do i have|how does|how's|hows)\b|\b(?:my\s+)?(?:calendar|agenda|schedule)\b/i;
+
+/**
+ * Parse relative date/time strings into a Date
+ * @param {string} dateTimeStr - Natural language date/time ("tomorrow", "next friday at 2pm")
+ * @param {string} timeStr - Optional time string ("14:00", "2pm")
+ * @param {string} timezone - IANA timezone the words are relative to (defaults to DEFAULT_TIMEZONE)
+ * @param {Date} now - Current time
+ * @returns {Date} - Instant of that local date and time (midnight if no time is given)
+ */
+function parseDateTime(dateTimeStr, timeStr = null, timezone = null, now = new Date()) {
+  const timeZone = resolveTimezone(timezone);
+  const today = getToday(timeZone, now);
+  let date = today;
+
+  // Handle relative days
+  const lowerStr = dateTimeStr.toLowerCase();
+
+  if (lowerStr.includes('today') || lowerStr.includes('tonight')) {
+    // Keep current date
+  } else if (lowerStr.includes('tomorrow')) {
+    date = addDays(today, 1);
+  } else {
+    const dayIndex = DAY_NAMES.findIndex(day => lowerStr.includes(day));
+    if (dayIndex !== -1) {
+      date = addDays(today, (dayIndex + 7 - getDayOfWeek(today)) % 7 || 7);
+    }
+  }
+
+  // Handle "next" modifier
+  if (lowerStr.includes('next') && !lowerStr.includes('next week')) {
+    date = addDays(date, 7);
+  }
+
+  // Parse time if provided
+  let hours = 0;
+  let minutes = 0;
+  const timeToUse = timeStr || dateTimeStr;
+  const timeMatch = timeToUse.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
+
+  if (timeMatch) {
+    hours = parseInt(timeMatch[1], 10);
+    minutes = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
+    const meridiem = timeMatch[3]?.toLowerCase();
+
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+  }
+
+  const pad = (value) => String(value).padStart(2, '0');
+  return zonedTimeToUtc(`${date}T${pad(hours)}:${pad(minutes)}:00`, timeZone);
+}
+
+/**
+ * Remove the first match of a pattern from text
+ * @returns {Object} - { match, rest } (match is null if the pattern didn't match)
+ */
+function extract(text, pattern) {
+  const match = pattern.exec(text);
+  if (!match) {
+    return { match: null, rest: text };
+  }
+  return {
+    match,
+    rest: `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`.replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * Pull a day phrase out of text ("on friday", "next mon", "tomorrow")
+ * @returns {Object} - { day: "next friday" | null, rest }
+ */
+function extractDay(text) {
+  const { match, rest } = extract(text, DAY_PATTERN);
+  if (!match) {
+    return { day: null, rest };
+  }
+  const day = match[1].toLowerCase().replace(/\b(\w+)$/, word => SHORT_DAY_NAMES[word] || word);
+  return { day, rest };
+}
+
+/**
+ * Pull a time out of text ("at 2pm", "14:30", "noon")
+ * @returns {Object} - { time: "HH:MM" | null, rest }
+ */
+function extractTime(text) {
+  for (const pattern of TIME_PATTERNS) {
+    const { match, rest } = extract(text, pattern);
+    if (!match) {
+      continue;
+    }
+
+    const word = match[1].toLowerCase();
+    if (word === 'noon' || word === 'midday') {
+      return { time: '12:00', rest };
+    }
+    if (word === 'midnight') {
+      return { time: '00:00', rest };
+    }
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3]?.toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) {
+      continue;
+    }
+
+    return { time: formatTime(hours, minutes), rest };
+  }
+
+  const { match, rest } = extract(text, BARE_HOUR_PATTERN);
+  if (match) {
+    let hours = parseInt(match[1], 10);
+    if (hours >= 1 && hours <= LATEST_PM_BARE_HOUR) hours += 12;
+    if (hours <= 23) {
+      return { time: formatTime(hours, 0), rest };
+    }
+  }
+  return { time: null, rest: text };
+}
+
+function formatTime(hours, minutes) {
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Pull a duration out of text ("for 30 minutes", "for an hour", "for 1.5 hours")
+ * @returns {Object} - { durationMinutes: number | null, rest }
+ */
+function extractDuration(text) {
+  const { match, rest } = extract(text, DURATION_PATTERN);
+  if (!match) {
+    return { durationMinutes: null, rest };
+  }
+
+  const phrase = match[1].toLowerCase();
+  if (phrase === 'half an hour') {
+    return { durationMinutes: 30, rest };
+  }
+  if (phrase === 'an hour and a half') {
+    return { durationMinutes: 90, rest };
+  }
+
+  const amount = /^(an?|one)\b/.test(phrase) ? 1 : parseFloat(phrase);
+  const inHours = /h[a-z]*$/.test(phrase);
+  return { durationMinutes: Math.round(inHours ? amount * 60 : amount), rest };
+}
+
+/**
+ * Tidy what is left of a message into an event title or search query
+ */
+function cleanPhrase(text) {
+  return text
+    .replace(CALENDAR_PHRASE_PATTERN, ' ')
+    .replace(/^(?:(?:a|an|the|my|me)\s+)+/i, '')
+    .replace(/\s+(?:on|at|for|to|from)$/i, '')
+    .replace(/[?!.,]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function toLocalDate(day, timezone, now) {
+  return formatDate(parseDateTime(day, '00:00', timezone, now), resolveTimezone(timezone));
+}
+
+/**
+ * Turn a search phrase into a query, dropping words every event shares ("appointment")
+ */
+function toSearchQuery(phrase) {
+  const query = cleanPhrase(phrase);
+  const trimmed = query.replace(/\s+(?:appointment|event|booking)$/i, '');
+  return trimmed || query;
+}
+
+function parseRead(text, timezone, now) {
+  const { day } = extractDay(text);
+  const range = RANGE_PATTERN.exec(text);
+
+  if (range) {
+    return { action: 'read_events', parameters: { dateRange: range[1].toLowerCase() } };
+  }
+  return {
+    action: 'read_events',
+    parameters: {
+      date: day ? toLocalDate(day, timezone, now) : getToday(resolveTimezone(timezone), now),
+      dateRange: 'day'
+    }
+  };
+}
+
+function parseCreate(details, timezone, now) {
+  // "put gym in my calendar at 7am" - the calendar is not where the gym is
+  let rest = details.replace(CALENDAR_PHRASE_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+  let durationMinutes, time, day, locationMatch;
+  ({ durationMinutes, rest } = extractDuration(rest));
+  ({ time, rest } = extractTime(rest));
+  ({ day, rest } = extractDay(rest));
+  ({ rest } = extract(rest, TIME_OF_DAY_PATTERN));
+
+  // "at <place>" once the time has been taken out ("lunch at Cafe Sydney")
+  const located = extract(rest, /\s+(?:at|in)\s+([^,]+?)\s*$/i);
+  if (located.match && !NOT_A_LOCATION_PATTERN.test(cleanPhrase(located.match[1]))) {
+    ({ match: locationMatch, rest } = located);
+  }
+
+  const summary = cleanPhrase(rest);
+  if (!summary) {
+    return { action: 'unknown', parameters: {} };
+  }
+
+  const parameters = { summary: capitalize(summary) };
+  if (locationMatch) {
+    parameters.location = cleanPhrase(locationMatch[1]);
+  }
+
+  if (time) {
+    const timeZone = resolveTimezone(timezone);
+    parameters.startDateTime = toLocalDateTime(parseDateTime(day || 'today', time, timeZone, now), timeZone);
+    parameters.endDateTime = addMinutesToLocal(parameters.startDateTime, durationMinutes || 60);
+  } else {
+    // Without a time there is nothing to book yet; the handler asks for one and keeps the day
+    if (day) {
+      parameters.date = toLocalDate(day, timezone, now);
+    }
+    if (durationMinutes) {
+      parameters.durationMinutes = durationMinutes;
+    }
+  }
+
+  return { action: 'create_event', parameters };
+}
+
+function parseUpdate(target, destination, timezone, now) {
+  const { time, rest: afterTime } = extractTime(destination);
+  const { day } = extractDay(afterTime);
+
+  if (!time) {
+    // "move dentist to friday" needs the event's time, which only the handler knows
+    return { action: 'unknown', parameters: {} };
+  }
+
+  const timeZone = resolveTimezone(timezone);
+  const startDateTime = day
+    ? toLocalDateTime(parseDateTime(day, time, timeZone, now), timeZone)
+    : time;
+
+  return {
+    action: 'update_event',
+    parameters: {
+      searchQuery: toSearchQuery(extractDay(target).rest),
+      updates: { startDateTime }
+    }
+  };
+}
+
+// "remind me 15 minutes before dentist" - a reminder on one event
+function parseRemind(offset, target) {
+  const phrase = offset.toLowerCase();
+  const amount = phrase === 'half an hour' ? 0.5 : (/^(an?|one)\b/.test(phrase) ? 1 : parseInt(phrase, 10));
+  const unit = /d[a-z]*$/.test(phrase) ? 1440 : (/h[a-z]*$/.test(phrase) ? 60 : 1);
+
+  const searchQuery = toSearchQuery(extractDay(target).rest);
+  if (!searchQuery) {
+    return { action: 'unknown', parameters: {} };
+  }
+  return {
+    action: 'update_event',
+    parameters: { searchQuery, updates: { reminderMinutes: [Math.round(amount * unit)] } }
+  };
+}
+
+function parseDelete(details) {
+  let rest = details;
+  let scope;
+  if (/\b(?:series|every one|all of them)\b/i.test(rest)) {
+    scope = 'all';
+  } else if (/\b(?:from now on|and (?:all )?following)\b/i.test(rest)) {
+    scope = 'following';
+  }
+  rest = rest.replace(/\b(?:series|every one|all of them|from now on|and (?:all )?following)\b/gi, ' ');
+  rest = extractDay(extractTime(rest).rest).rest;
+
+  const searchQuery = toSearchQuery(rest);
+  if (!searchQuery) {
+    return { action: 'unknown', parameters: {} };
+  }
+
+  const parameters = { searchQuery };
+  if (scope) {
+    parameters.scope = scope;
+  }
+  return { action: 'delete_event', parameters };
+}
+
+function parseFreeTime(text, timezone, now) {
+  let rest = text;
+  let durationMinutes, day, timeOfDay;
+  ({ durationMinutes, rest } = extractDuration(rest));
+  ({ day, rest } = extractDay(rest));
+  ({ match: timeOfDay, rest } = extract(rest, TIME_OF_DAY_PATTERN));
+
+  const parameters = {};
+  if (day) {
+    parameters.date = toLocalDate(day, timezone, now);
+    if (day === 'tonight') {
+      parameters.timeOfDay = 'evening';
+    }
+  } else {
+    parameters.dateRange = 'week';
+  }
+  if (timeOfDay) {
+    parameters.timeOfDay = timeOfDay[1].toLowerCase();
+  }
+  if (durationMinutes) {
+    parameters.durationMinutes = durationMinutes;
+  }
+
+  const purpose = /\bfor\s+(.+)$/i.exec(rest);
+  if (purpose && cleanPhrase(purpose[1])) {
+    parameters.summary = capitalize(cleanPhrase(purpose[1]));
+  }
+
+  return { action: 'find_free_time', parameters };
+}
+
+/**
+ * Read an answer to "what time?" ("3pm", "10", "make it 10:30", "tomorrow at 9")
+ * @param {string} message - The user's reply
+ * @param {Object} options
+ * @param {string} options.timezone - User's IANA timezone (defaults to DEFAULT_TIMEZONE)
+ * @param {Date} options.now - Current time
+ * @returns {Object|null} - { time: "HH:MM", date: "YYYY-MM-DD" | null }, or null if the reply is not a time
+ */
+function parseTimeReply(message, options = {}) {
+  const { timezone, now = new Date() } = options;
+  let text = String(message || '').trim().replace(/[?!.]+$/, '');
+  // A number on its own is an hour when we have just asked for a time
+  text = text.replace(/^((?:make it|let'?s say|say|how about)\s+)?(\d{1,2})$/i, '$1at $2');
+
+  const { time, rest: afterTime } = extractTime(text);
+  if (!time) {
+    return null;
+  }
+  const { day, rest } = extractDay(afterTime);
+  if (!TIME_REPLY_FILLER_PATTERN.test(cleanPhrase(rest))) {
+    return null;
+  }
+  return { time, date: day ? toLocalDate(day, timezone, now) : null };
+}
+
+/**
+ * Parse a message into the same { action, parameters } shape the AI produces
+ * @param {string} message - The user's message
+ * @param {Object} options
+ * @param {string} options.timezone - User's IANA timezone (defaults to DEFAULT_TIMEZONE)
+ * @param {Date} options.now - Current time
+ * @returns {Object} - Intent, or { action: 'unknown' } when no rule matches
+ */
+function parseIntentWithRules(message, options = {}) {
+  const { timezone, now = new Date() } = options;
+  const text = String(message || '').trim().replace(/[?!.]+$/, '');
+  let match;
+
+  if (FREE_PATTERN.test(text)) {
+    return parseFreeTime(text, timezone, now);
+  }
+  if ((match = RENAME_PATTERN.exec(text))) {
+    return {
+      action: 'update_event',
+      parameters: { searchQuery: toSearchQuery(match[1]), updates: { summary: capitalize(cleanPhrase(match[2])) } }
+    };
+  }
+  if ((match = UPDATE_PATTERN.exec(text))) {
+    return parseUpdate(match[1], match[2], timezone, now);
+  }
+  if ((match = REMIND_PATTERN.exec(text))) {
+    return parseRemind(match[1], match[2]);
+  }
+  if ((match = DELETE_PATTERN.exec(text))) {
+    return parseDelete(match[1]);
+  }
+  if ((match = CREATE_PATTERN.exec(text))) {
+    return parseCreate(match[1], timezone, now);
+  }
+  if (READ_PATTERN.test(text)) {
+    return parseRead(text, timezone, now);
+  }
+
+  return { action: 'unknown', parameters: {} };
+}
+
+module.exports = {
+  parseDateTime,
+  parseIntentWithRules,
+  parseTimeReply
+};
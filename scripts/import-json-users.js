@@ -0,0 +1,73 @@
+// One-off import of users from the old JSON storage file into Postgres
+//
+// Usage: npm run import-users -- [path/to/tary-users.json] [--overwrite]
+//
+// Defaults to the file the file backend uses (STORAGE_FILE or <tmpdir>/tary-users.json).
+// Users that already exist in Postgres are skipped unless --overwrite is given.
+// Google tokens are stored encrypted with the current TOKEN_ENCRYPTION_KEYS key, as the app
+// stores them; tokens the file already had encrypted must use a key that is still listed.
+require('dotenv').config();
+const fs = require('fs').promises;
+const fileBackend = require('../storage/fileBackend');
+const postgresBackend = require('../storage/postgresBackend');
+const { encryptTokens, decryptTokens } = require('../storage/tokenEncryption');
+
+async function importUsers(filePath, { overwrite = false } = {}) {
+  console.log(`[IMPORT] Reading users from ${filePath}...`);
+  const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  const users = Object.values(data);
+  console.log(`[IMPORT] Found ${users.length} user(s)`);
+
+  const summary = { imported: 0, skipped: 0, failed: 0 };
+
+  for (const user of users) {
+    if (!user || !user.phoneNumber) {
+      console.warn('[IMPORT] Skipping record without phoneNumber');
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const existing = await postgresBackend.getUser(user.phoneNumber);
+      if (existing && !overwrite) {
+        console.log(`[IMPORT] ${user.phoneNumber} already in Postgres, skipping`);
+        summary.skipped++;
+        continue;
+      }
+
+      const now = new Date().toISOString();
+      await postgresBackend.putUser({
+        ...user,
+        googleCalendarTokens: encryptTokens(decryptTokens(user.googleCalendarTokens, user.phoneNumber), user.phoneNumber),
+        calendarLinked: user.calendarLinked || false,
+        updatedAt: user.updatedAt || now,
+        createdAt: user.createdAt || now
+      });
+      console.log(`[IMPORT] Imported ${user.phoneNumber}`);
+      summary.imported++;
+    } catch (error) {
+      console.error(`[IMPORT] Failed to import ${user.phoneNumber}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const overwrite = args.includes('--overwrite');
+  const filePath = args.find(arg => !arg.startsWith('--')) || fileBackend.STORAGE_FILE;
+
+  importUsers(filePath, { overwrite })
+    .then(summary => {
+      console.log(`[IMPORT] Done: ${summary.imported} imported, ${summary.skipped} skipped, ${summary.failed} failed`);
+      process.exit(summary.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('[IMPORT] Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { importUsers };
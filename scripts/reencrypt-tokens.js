@@ -0,0 +1,30 @@
+// Re-encrypt every user's Google tokens with the current key (the first in TOKEN_ENCRYPTION_KEYS)
+// Run after adding a new key, or after turning encryption on for existing users.
+// It also binds tokens encrypted before they were tied to their user (envelope version 1)
+// to that user's phone number.
+// Old keys can be removed from TOKEN_ENCRYPTION_KEYS once this reports nothing left to do.
+//
+// Usage: npm run reencrypt-tokens -- [--dry-run]
+//
+// Uses the storage backend from STORAGE_BACKEND, like the app.
+require('dotenv').config();
+const { reencryptAllTokens } = require('../userStorage');
+const { activeKeyId } = require('../storage/tokenEncryption');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+if (!activeKeyId) {
+  console.error('[ENCRYPTION] TOKEN_ENCRYPTION_KEYS is not set - nothing to encrypt with');
+  process.exit(1);
+}
+
+console.log(`[ENCRYPTION] Re-encrypting tokens with key "${activeKeyId}"${dryRun ? ' (dry run)' : ''}...`);
+reencryptAllTokens({ dryRun })
+  .then(summary => {
+    console.log(`[ENCRYPTION] Done: ${summary.checked} checked, ${summary.reencrypted} ${dryRun ? 'to re-encrypt' : 're-encrypted'}, ${summary.failed} failed`);
+    process.exit(summary.failed > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('[ENCRYPTION] Error:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,53 @@
+// Speech to text - turns voice notes into text the calendar assistant can act on
+// The engine behind it is selected by STT_PROVIDER:
+//   openai            - OpenAI Whisper API (default, needs OPENAI_API_KEY)
+//   openai-compatible - a local engine with an OpenAI-style endpoint at STT_BASE_URL
+//                       (faster-whisper-server, whisper.cpp server, LocalAI, ...)
+//   mock              - deterministic offline transcripts (see stt/mockProvider.js)
+
+const PROVIDERS = {
+  openai: () => require('./stt/openaiProvider'),
+  'openai-compatible': () => require('./stt/compatibleProvider'),
+  mock: () => require('./stt/mockProvider')
+};
+
+const providerName = (process.env.STT_PROVIDER || 'openai').toLowerCase();
+
+if (!PROVIDERS[providerName]) {
+  throw new Error(`Unknown STT_PROVIDER "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+const provider = PROVIDERS[providerName]();
+
+const STT_CONFIG = {
+  model: process.env.STT_MODEL || provider.defaultModel,
+  // Expected language as an ISO-639-1 code; unset lets the engine detect it
+  language: process.env.STT_LANGUAGE || undefined,
+  timeoutMs: parseInt(process.env.STT_TIMEOUT_MS, 10) || 30000,
+  // Longer recordings are refused before they are downloaded (the OpenAI API takes up to 25 MB)
+  maxBytes: (parseFloat(process.env.STT_MAX_AUDIO_MB) || 25) * 1024 * 1024
+};
+
+console.log(`[STT] Using ${provider.name} speech-to-text provider (model ${STT_CONFIG.model})`);
+
+/**
+ * Transcribe a recording with the configured engine
+ * @param {Buffer} audio - Audio file contents
+ * @param {string} mimeType - e.g. "audio/ogg; codecs=opus"
+ * @returns {string} - Trimmed transcript (empty if no speech was recognised)
+ */
+async function transcribe(audio, mimeType) {
+  console.log(`[STT] ${provider.name} transcription (${audio.length} bytes, ${mimeType})`);
+  const text = await provider.transcribe(audio, {
+    mimeType,
+    model: STT_CONFIG.model,
+    language: STT_CONFIG.language,
+    timeoutMs: STT_CONFIG.timeoutMs
+  });
+  return String(text || '').trim();
+}
+
+module.exports = {
+  transcribe,
+  MAX_AUDIO_BYTES: STT_CONFIG.maxBytes
+};
@@ -0,0 +1,430 @@
+// File storage backend - keeps all users in a single JSON file
+// Fine for local development; the tmp directory is wiped on serverless cold starts
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+// Storage file path - use tmp directory unless overridden
+const STORAGE_FILE = process.env.STORAGE_FILE || path.join(os.tmpdir(), 'tary-users.json');
+
+// Processed-message ledger lives in its own file so it doesn't bloat the users file
+const MESSAGE_LEDGER_FILE = process.env.MESSAGE_LEDGER_FILE || path.join(os.tmpdir(), 'tary-processed-messages.json');
+// Outbound WhatsApp messages waiting to be sent (or given up on)
+const OUTBOUND_QUEUE_FILE = process.env.OUTBOUND_QUEUE_FILE || path.join(os.tmpdir(), 'tary-outbound-queue.json');
+// Scheduled WhatsApp event reminders (see reminderScheduler.js)
+const REMINDER_JOBS_FILE = process.env.REMINDER_JOBS_FILE || path.join(os.tmpdir(), 'tary-reminder-jobs.json');
+// Signed-in admin dashboard sessions (see adminAuth.js)
+const ADMIN_SESSIONS_FILE = process.env.ADMIN_SESSIONS_FILE || path.join(os.tmpdir(), 'tary-admin-sessions.json');
+
+// In-memory cache for faster access
+let usersCache = null;
+let initPromise = null;
+let ledgerCache = null;
+let ledgerPromise = null;
+let outboundCache = null;
+let outboundPromise = null;
+let remindersCache = null;
+let remindersPromise = null;
+let sessionsCache = null;
+let sessionsPromise = null;
+// Last write started for each file; the next write of that file waits for it
+const writeQueues = new Map();
+
+/**
+ * Write a file once every earlier write of it has finished
+ * Overlapping writeFile calls on one path can interleave and leave a mix of both on disk.
+ * The contents are built when the write starts, so the file ends up with the latest state.
+ * @param {string} filePath
+ * @param {Function} serialize - () => file contents
+ */
+function queueWrite(filePath, serialize) {
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+  const write = previous
+    .catch(() => {})
+    .then(() => fs.writeFile(filePath, serialize(), 'utf8'));
+  writeQueues.set(filePath, write);
+  return write;
+}
+
+// Load existing data or create empty structure
+async function loadStorage() {
+  try {
+    const data = await fs.readFile(STORAGE_FILE, 'utf8');
+    usersCache = JSON.parse(data);
+    console.log(`[INFO] Loaded ${Object.keys(usersCache).length} users from storage`);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      // File doesn't exist, create empty storage
+      usersCache = {};
+      await saveToFile();
+      console.log('[INFO] Created new storage file');
+    } else {
+      console.error('[ERROR] Failed to initialize storage:', error);
+      // Start with empty cache if read fails
+      usersCache = {};
+    }
+  }
+}
+
+// Save data to file
+async function saveToFile() {
+  try {
+    await queueWrite(STORAGE_FILE, () => JSON.stringify(usersCache, null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save to file:', error);
+    throw error;
+  }
+}
+
+// Initialize storage once
+async function init() {
+  if (!initPromise) {
+    initPromise = loadStorage();
+  }
+  return initPromise;
+}
+
+async function getUser(phoneNumber) {
+  await init();
+  return usersCache[phoneNumber] || null;
+}
+
+async function putUser(user) {
+  await init();
+  usersCache[user.phoneNumber] = user;
+  await saveToFile();
+  return user;
+}
+
+async function listUsers() {
+  await init();
+  return Object.values(usersCache);
+}
+
+// The user whose calendar feed token has this hash, or null
+async function findUserByFeedTokenHash(tokenHash) {
+  await init();
+  return Object.values(usersCache).find(user => user.calendarFeed?.tokenHash === tokenHash) || null;
+}
+
+// Returns false if there was no such user
+async function deleteUser(phoneNumber) {
+  await init();
+  if (!usersCache[phoneNumber]) {
+    return false;
+  }
+  delete usersCache[phoneNumber];
+  await saveToFile();
+  return true;
+}
+
+// Read a JSON side file (ledger, outbound queue, reminder jobs), starting empty if it doesn't exist yet
+async function loadSideFile(filePath, label) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[ERROR] Failed to read ${label}:`, error);
+    }
+    return {};
+  }
+}
+
+// Load the processed-message ledger once
+async function loadLedger() {
+  if (!ledgerPromise) {
+    ledgerPromise = loadSideFile(MESSAGE_LEDGER_FILE, 'message ledger').then(ledger => {
+      ledgerCache = ledger;
+    });
+  }
+  return ledgerPromise;
+}
+
+// Drop expired entries and write the ledger back
+async function saveLedger() {
+  const now = new Date().toISOString();
+  for (const [messageId, entry] of Object.entries(ledgerCache)) {
+    if (entry.expiresAt < now) {
+      delete ledgerCache[messageId];
+    }
+  }
+  await queueWrite(MESSAGE_LEDGER_FILE, () => JSON.stringify(ledgerCache));
+}
+
+/**
+ * Claim a message ID for handling
+ * @param {string} messageId - WhatsApp message ID
+ * @param {string} phoneNumber - Sender
+ * @param {Object} options - { expiresAt, staleBefore } as ISO strings
+ * @returns {boolean} - false if the message is already handled or being handled
+ */
+async function claimMessage(messageId, phoneNumber, { expiresAt, staleBefore }) {
+  await loadLedger();
+
+  // Check and claim without awaiting in between, so concurrent deliveries can't both win
+  const entry = ledgerCache[messageId];
+  const now = new Date().toISOString();
+  if (entry && entry.expiresAt >= now && !(entry.status === 'processing' && entry.claimedAt < staleBefore)) {
+    return false;
+  }
+
+  ledgerCache[messageId] = { phoneNumber, status: 'processing', claimedAt: now, expiresAt };
+  await saveLedger();
+  return true;
+}
+
+async function completeMessage(messageId) {
+  await loadLedger();
+  if (ledgerCache[messageId]) {
+    ledgerCache[messageId].status = 'done';
+    await saveLedger();
+  }
+}
+
+// Load the outbound message queue once
+async function loadOutbound() {
+  if (!outboundPromise) {
+    outboundPromise = loadSideFile(OUTBOUND_QUEUE_FILE, 'outbound queue').then(queue => {
+      outboundCache = queue;
+    });
+  }
+  return outboundPromise;
+}
+
+async function saveOutbound() {
+  await queueWrite(OUTBOUND_QUEUE_FILE, () => JSON.stringify(outboundCache, null, 2));
+}
+
+async function putOutboundMessage(message) {
+  await loadOutbound();
+  outboundCache[message.id] = message;
+  await saveOutbound();
+  return message;
+}
+
+async function getOutboundMessage(id) {
+  await loadOutbound();
+  return outboundCache[id] || null;
+}
+
+// Queued messages, oldest first, optionally only those with the given status
+async function listOutboundMessages(status = null) {
+  await loadOutbound();
+  return Object.values(outboundCache)
+    .filter(message => !status || message.status === status)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Claim a queued message for sending
+ * @param {string} id
+ * @param {Object} options - { claimedAt, staleBefore } as ISO strings
+ * @returns {Object|null} - The claimed message, or null if it is gone or claimed elsewhere
+ */
+async function claimOutboundMessage(id, { claimedAt, staleBefore }) {
+  await loadOutbound();
+
+  // Check and claim without awaiting in between, so concurrent runs can't both win
+  const message = outboundCache[id];
+  if (!message || !(message.status === 'pending' || (message.status === 'sending' && message.claimedAt < staleBefore))) {
+    return null;
+  }
+
+  Object.assign(message, { status: 'sending', claimedAt, updatedAt: claimedAt });
+  await saveOutbound();
+  return { ...message };
+}
+
+async function deleteOutboundMessage(id) {
+  await loadOutbound();
+  delete outboundCache[id];
+  await saveOutbound();
+}
+
+// Load the reminder jobs once
+async function loadReminders() {
+  if (!remindersPromise) {
+    remindersPromise = loadSideFile(REMINDER_JOBS_FILE, 'reminder jobs').then(jobs => {
+      remindersCache = jobs;
+    });
+  }
+  return remindersPromise;
+}
+
+async function saveReminders() {
+  await queueWrite(REMINDER_JOBS_FILE, () => JSON.stringify(remindersCache, null, 2));
+}
+
+async function putReminderJob(job) {
+  await loadReminders();
+  remindersCache[job.id] = job;
+  await saveReminders();
+  return job;
+}
+
+// Reminder jobs, earliest first, filtered by phone number, status and/or remindAt <= remindBefore
+async function listReminderJobs({ phoneNumber = null, status = null, remindBefore = null } = {}) {
+  await loadReminders();
+  return Object.values(remindersCache)
+    .filter(job => !phoneNumber || job.phoneNumber === phoneNumber)
+    .filter(job => !status || job.status === status)
+    .filter(job => !remindBefore || job.remindAt <= remindBefore)
+    .sort((a, b) => a.remindAt.localeCompare(b.remindAt));
+}
+
+async function deleteReminderJob(id) {
+  await loadReminders();
+  delete remindersCache[id];
+  await saveReminders();
+}
+
+// Delete the jobs of events that started before the given time; returns how many went
+async function pruneReminderJobs(eventStartBefore) {
+  await loadReminders();
+  const expired = Object.values(remindersCache).filter(job => job.eventStart < eventStartBefore);
+  for (const job of expired) {
+    delete remindersCache[job.id];
+  }
+  if (expired.length) {
+    await saveReminders();
+  }
+  return expired.length;
+}
+
+// Load the admin sessions once
+async function loadAdminSessions() {
+  if (!sessionsPromise) {
+    sessionsPromise = loadSideFile(ADMIN_SESSIONS_FILE, 'admin sessions').then(sessions => {
+      sessionsCache = sessions;
+    });
+  }
+  return sessionsPromise;
+}
+
+// Drop expired sessions and write the rest back
+async function saveAdminSessions() {
+  const now = new Date().toISOString();
+  for (const [idHash, record] of Object.entries(sessionsCache)) {
+    if (record.expiresAt <= now) {
+      delete sessionsCache[idHash];
+    }
+  }
+  await queueWrite(ADMIN_SESSIONS_FILE, () => JSON.stringify(sessionsCache, null, 2));
+}
+
+// A signed-in admin session that hasn't expired, or null
+async function getAdminSession(idHash) {
+  await loadAdminSessions();
+  const record = sessionsCache[idHash];
+  return record && record.expiresAt > new Date().toISOString() ? record : null;
+}
+
+async function putAdminSession(record) {
+  await loadAdminSessions();
+  sessionsCache[record.idHash] = record;
+  await saveAdminSessions();
+  return record;
+}
+
+async function deleteAdminSession(idHash) {
+  await loadAdminSessions();
+  delete sessionsCache[idHash];
+  await saveAdminSessions();
+}
+
+/**
+ * Remove a phone number from the ledger, the outbound queue and the reminder jobs
+ * Ledger entries stay (without the number) so retried deliveries are still skipped
+ * @param {string} phoneNumber
+ * @returns {Object} - { ledgerEntries, outboundMessages, reminderJobs } - how many were changed
+ */
+async function forgetPhoneNumber(phoneNumber) {
+  await loadLedger();
+  let ledgerEntries = 0;
+  for (const entry of Object.values(ledgerCache)) {
+    if (entry.phoneNumber === phoneNumber) {
+      entry.phoneNumber = null;
+      ledgerEntries++;
+    }
+  }
+  if (ledgerEntries) {
+    await saveLedger();
+  }
+
+  await loadOutbound();
+  let outboundMessages = 0;
+  for (const [id, message] of Object.entries(outboundCache)) {
+    if (message.to === phoneNumber) {
+      delete outboundCache[id];
+      outboundMessages++;
+    }
+  }
+  if (outboundMessages) {
+    await saveOutbound();
+  }
+
+  await loadReminders();
+  let reminderJobs = 0;
+  for (const [id, job] of Object.entries(remindersCache)) {
+    if (job.phoneNumber === phoneNumber) {
+      delete remindersCache[id];
+      reminderJobs++;
+    }
+  }
+  if (reminderJobs) {
+    await saveReminders();
+  }
+
+  return { ledgerEntries, outboundMessages, reminderJobs };
+}
+
+// Describe the backend (for health and debug endpoints)
+async function describe() {
+  await init();
+
+  let fileStats = null;
+  try {
+    fileStats = await fs.stat(STORAGE_FILE);
+  } catch (error) {
+    // File doesn't exist yet, that's okay
+  }
+
+  return {
+    storage: 'file-based',
+    storagePath: STORAGE_FILE,
+    fileExists: !!fileStats,
+    fileSize: fileStats ? fileStats.size : 0,
+    userCount: Object.keys(usersCache).length,
+    messageLedgerPath: MESSAGE_LEDGER_FILE,
+    outboundQueuePath: OUTBOUND_QUEUE_FILE,
+    reminderJobsPath: REMINDER_JOBS_FILE,
+    adminSessionsPath: ADMIN_SESSIONS_FILE
+  };
+}
+
+module.exports = {
+  name: 'file',
+  init,
+  getUser,
+  putUser,
+  listUsers,
+  findUserByFeedTokenHash,
+  deleteUser,
+  claimMessage,
+  completeMessage,
+  putOutboundMessage,
+  getOutboundMessage,
+  listOutboundMessages,
+  claimOutboundMessage,
+  deleteOutboundMessage,
+  putReminderJob,
+  listReminderJobs,
+  deleteReminderJob,
+  pruneReminderJobs,
+  getAdminSession,
+  putAdminSession,
+  deleteAdminSession,
+  forgetPhoneNumber,
+  describe,
+  STORAGE_FILE
+};
@@ -0,0 +1,97 @@
+// Schema migration runner for the Postgres storage backend
+// Applies storage/migrations/*.sql in filename order and records each one in schema_migrations
+//
+// Usage: npm run migrate
+const fs = require('fs').promises;
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary constant so concurrent cold starts don't run migrations twice
+const MIGRATION_LOCK_ID = 724513;
+
+/**
+ * List migration files in the order they must be applied
+ * @returns {Array} - [{ version, file }]
+ */
+async function listMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  return files
+    .filter(file => /^\d+_.+\.sql$/.test(file))
+    .sort()
+    .map(file => ({ version: file.replace(/\.sql$/, ''), file }));
+}
+
+/**
+ * Apply any migrations that have not run yet
+ * @param {Object} db - Pool from @vercel/postgres (anything with connect())
+ * @returns {Array} - Versions applied by this call
+ */
+async function runMigrations(db) {
+  const client = await db.connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const { rows } = await client.query('SELECT version FROM schema_migrations');
+    const done = new Set(rows.map(row => row.version));
+
+    for (const migration of await listMigrations()) {
+      if (done.has(migration.version)) {
+        continue;
+      }
+
+      console.log(`[MIGRATE] Applying ${migration.file}...`);
+      const statements = await fs.readFile(path.join(MIGRATIONS_DIR, migration.file), 'utf8');
+
+      try {
+        await client.query('BEGIN');
+        await client.query(statements);
+        await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+
+      applied.push(migration.version);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+
+  if (applied.length > 0) {
+    console.log(`[MIGRATE] Applied ${applied.length} migration(s): ${applied.join(', ')}`);
+  }
+  return applied;
+}
+
+module.exports = {
+  runMigrations,
+  listMigrations
+};
+
+// Allow running directly: node storage/migrate.js
+if (require.main === module) {
+  require('dotenv').config();
+  const { db } = require('@vercel/postgres');
+
+  runMigrations(db)
+    .then(applied => {
+      console.log(applied.length > 0 ? 'Migrations complete.' : 'Database is up to date.');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('[MIGRATE] Error:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,3 @@
+-- Per-user IANA timezone (e.g. "Europe/London"); NULL means DEFAULT_TIMEZONE
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
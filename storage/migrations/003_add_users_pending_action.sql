@@ -0,0 +1,3 @@
+-- Question the bot is waiting on the user to answer (e.g. which matching event they meant)
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_action JSONB;
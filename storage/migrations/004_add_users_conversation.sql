@@ -0,0 +1,3 @@
+-- Recent messages and events for resolving follow-ups ("actually make it 4pm")
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS conversation JSONB;
@@ -0,0 +1,12 @@
+-- Ledger of inbound WhatsApp message IDs, so retried webhook deliveries are handled once
+-- Rows stay until expires_at; a 'processing' row older than the processing timeout can be reclaimed
+
+CREATE TABLE IF NOT EXISTS processed_messages (
+  message_id VARCHAR(255) PRIMARY KEY,
+  phone_number VARCHAR(50),
+  status VARCHAR(20) NOT NULL DEFAULT 'processing',
+  claimed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_messages_expires_at ON processed_messages(expires_at);
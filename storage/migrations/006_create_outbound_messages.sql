@@ -0,0 +1,18 @@
+-- Outbound WhatsApp messages waiting to be sent, retried, or given up on (see outboundQueue.js)
+-- Delivered messages are deleted; 'failed' rows stay until an admin retries or discards them
+
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id VARCHAR(64) PRIMARY KEY,
+  phone_number_id VARCHAR(64) NOT NULL,
+  recipient VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  last_status INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_status ON outbound_messages(status, created_at);
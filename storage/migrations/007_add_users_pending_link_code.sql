@@ -0,0 +1,3 @@
+-- One-time code for linking a calendar from the website (hash, expiry, attempts)
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_link_code JSONB;
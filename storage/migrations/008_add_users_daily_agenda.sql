@@ -0,0 +1,3 @@
+-- Daily agenda briefing the user opted into ({ time: "HH:MM" } in their timezone), or NULL
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS daily_agenda JSONB;
@@ -0,0 +1,4 @@
+-- Default WhatsApp reminder offsets in minutes before each event (e.g. [15, 60]), or NULL
+-- if the user never set up reminders. [] means no default, but reminders on single events.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reminder_minutes JSONB;
@@ -0,0 +1,21 @@
+-- WhatsApp event reminders waiting to be sent (see reminderScheduler.js)
+-- One row per event and offset; rows are deleted an hour after their event starts
+
+CREATE TABLE IF NOT EXISTS reminder_jobs (
+  id VARCHAR(255) PRIMARY KEY,
+  phone_number VARCHAR(50) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  recurring_event_id VARCHAR(255),
+  offset_minutes INTEGER NOT NULL,
+  summary TEXT,
+  location TEXT,
+  event_start TIMESTAMP NOT NULL,
+  remind_at TIMESTAMP NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_jobs_due ON reminder_jobs(status, remind_at);
+CREATE INDEX IF NOT EXISTS idx_reminder_jobs_phone ON reminder_jobs(phone_number);
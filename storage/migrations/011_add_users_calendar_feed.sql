@@ -0,0 +1,6 @@
+-- Private calendar feed ({ tokenHash, createdAt }), or NULL when the user has none
+-- Only a SHA-256 hash of the feed token is stored; the index finds the user a feed URL belongs to
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_feed JSONB;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_feed_token ON users ((calendar_feed->>'tokenHash'));
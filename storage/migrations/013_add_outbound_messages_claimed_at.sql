@@ -0,0 +1,5 @@
+-- A message being sent is claimed first ('sending', claimed_at), so two instances draining
+-- the queue at the same time can't both send it. A claim older than the send timeout is lost
+-- (crash or timeout) and the message can be claimed again.
+
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
@@ -0,0 +1,12 @@
+-- Signed-in admin dashboard sessions (see adminAuth.js)
+-- Kept in the database rather than in memory, so a session works on every serverless instance
+-- and survives restarts. Rows are keyed by a hash of the session ID, not the ID itself.
+-- Expired rows are deleted now and then when sessions are saved.
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id_hash VARCHAR(64) PRIMARY KEY,
+  data JSONB NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires ON admin_sessions(expires_at);
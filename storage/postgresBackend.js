@@ -0,0 +1,355 @@
+// Postgres storage backend - users table from storage/migrations (Vercel Postgres / Neon)
+// Connection string comes from POSTGRES_URL, as set up in DATABASE_SETUP.md
+const { db } = require('@vercel/postgres');
+const { runMigrations } = require('./migrate');
+
+// User record field -> users table column
+// JSON fields are stored as JSONB, timestamps as TIMESTAMPTZ (see migration 012)
+const COLUMNS = {
+  phoneNumber: { column: 'phone_number' },
+  googleCalendarTokens: { column: 'google_calendar_tokens', json: true },
+  calendarLinked: { column: 'calendar_linked' },
+  calendarLinkedAt: { column: 'calendar_linked_at', timestamp: true },
+  pendingOAuth: { column: 'pending_oauth' },
+  pendingLinkCode: { column: 'pending_link_code', json: true },
+  timezone: { column: 'timezone' },
+  pendingAction: { column: 'pending_action', json: true },
+  conversation: { column: 'conversation', json: true },
+  dailyAgenda: { column: 'daily_agenda', json: true },
+  reminderMinutes: { column: 'reminder_minutes', json: true },
+  calendarFeed: { column: 'calendar_feed', json: true },
+  updatedAt: { column: 'updated_at', timestamp: true },
+  createdAt: { column: 'created_at', timestamp: true }
+};
+
+// Outbound message field -> outbound_messages table column
+const OUTBOUND_COLUMNS = {
+  id: { column: 'id' },
+  phoneNumberId: { column: 'phone_number_id' },
+  to: { column: 'recipient' },
+  payload: { column: 'payload', json: true },
+  status: { column: 'status' },
+  attempts: { column: 'attempts' },
+  nextAttemptAt: { column: 'next_attempt_at', timestamp: true },
+  claimedAt: { column: 'claimed_at', timestamp: true },
+  lastError: { column: 'last_error' },
+  lastStatus: { column: 'last_status' },
+  createdAt: { column: 'created_at', timestamp: true },
+  updatedAt: { column: 'updated_at', timestamp: true }
+};
+
+// Reminder job field -> reminder_jobs table column
+const REMINDER_COLUMNS = {
+  id: { column: 'id' },
+  phoneNumber: { column: 'phone_number' },
+  eventId: { column: 'event_id' },
+  recurringEventId: { column: 'recurring_event_id' },
+  offsetMinutes: { column: 'offset_minutes' },
+  summary: { column: 'summary' },
+  location: { column: 'location' },
+  eventStart: { column: 'event_start', timestamp: true },
+  remindAt: { column: 'remind_at', timestamp: true },
+  status: { column: 'status' },
+  sentAt: { column: 'sent_at', timestamp: true },
+  createdAt: { column: 'created_at', timestamp: true },
+  updatedAt: { column: 'updated_at', timestamp: true }
+};
+
+// Admin session field -> admin_sessions table column
+const SESSION_COLUMNS = {
+  idHash: { column: 'id_hash' },
+  data: { column: 'data', json: true },
+  expiresAt: { column: 'expires_at', timestamp: true }
+};
+
+// Share of message claims that also delete expired ledger rows
+const LEDGER_PRUNE_CHANCE = 0.01;
+// Share of session saves that also delete expired sessions
+const SESSION_PRUNE_CHANCE = 0.1;
+
+let initPromise = null;
+
+// Run pending migrations once per process (set POSTGRES_AUTO_MIGRATE=false to manage them by hand)
+async function init() {
+  if (!initPromise) {
+    initPromise = process.env.POSTGRES_AUTO_MIGRATE === 'false'
+      ? Promise.resolve()
+      : runMigrations(db);
+    initPromise.catch(() => {
+      // Allow the next call to retry
+      initPromise = null;
+    });
+  }
+  return initPromise;
+}
+
+// Convert a table row into the record shape the rest of the app uses
+function fromRow(row, columns) {
+  const record = {};
+  for (const [field, { column, timestamp }] of Object.entries(columns)) {
+    const value = row[column];
+    if (value === null || value === undefined) {
+      continue;
+    }
+    record[field] = timestamp ? new Date(value).toISOString() : value;
+  }
+  return record;
+}
+
+function rowToUser(row) {
+  const user = fromRow(row, COLUMNS);
+  user.calendarLinked = user.calendarLinked || false;
+  return user;
+}
+
+// Convert a record field to a query parameter
+function toParam(columns, field, value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return columns[field].json ? JSON.stringify(value) : value;
+}
+
+// Insert a record, or replace every column of the existing row with the same key
+async function upsert(table, columns, keyField, record) {
+  const fields = Object.keys(columns);
+  const columnNames = fields.map(field => columns[field].column);
+  const placeholders = fields.map((field, i) => `$${i + 1}`);
+  const keyColumn = columns[keyField].column;
+  const updates = columnNames
+    .filter(column => column !== keyColumn)
+    .map(column => `${column} = EXCLUDED.${column}`);
+
+  const { rows } = await db.query(
+    `INSERT INTO ${table} (${columnNames.join(', ')})
+     VALUES (${placeholders.join(', ')})
+     ON CONFLICT (${keyColumn}) DO UPDATE SET ${updates.join(', ')}
+     RETURNING *`,
+    fields.map(field => toParam(columns, field, record[field]))
+  );
+  return rows[0];
+}
+
+async function getUser(phoneNumber) {
+  await init();
+  const { rows } = await db.query('SELECT * FROM users WHERE phone_number = $1', [phoneNumber]);
+  return rows.length > 0 ? rowToUser(rows[0]) : null;
+}
+
+async function putUser(user) {
+  await init();
+  return rowToUser(await upsert('users', COLUMNS, 'phoneNumber', user));
+}
+
+async function listUsers() {
+  await init();
+  const { rows } = await db.query('SELECT * FROM users');
+  return rows.map(rowToUser);
+}
+
+// The user whose calendar feed token has this hash, or null
+async function findUserByFeedTokenHash(tokenHash) {
+  await init();
+  const { rows } = await db.query("SELECT * FROM users WHERE calendar_feed->>'tokenHash' = $1", [tokenHash]);
+  return rows.length > 0 ? rowToUser(rows[0]) : null;
+}
+
+// Returns false if there was no such user
+async function deleteUser(phoneNumber) {
+  await init();
+  const { rowCount } = await db.query('DELETE FROM users WHERE phone_number = $1', [phoneNumber]);
+  return rowCount > 0;
+}
+
+/**
+ * Claim a message ID for handling
+ * A row that has expired, or is stuck in 'processing' since before staleBefore, can be claimed again
+ * @param {string} messageId - WhatsApp message ID
+ * @param {string} phoneNumber - Sender
+ * @param {Object} options - { expiresAt, staleBefore } as ISO strings
+ * @returns {boolean} - false if the message is already handled or being handled
+ */
+async function claimMessage(messageId, phoneNumber, { expiresAt, staleBefore }) {
+  await init();
+  const { rows } = await db.query(
+    `INSERT INTO processed_messages (message_id, phone_number, status, claimed_at, expires_at)
+     VALUES ($1, $2, 'processing', NOW(), $3)
+     ON CONFLICT (message_id) DO UPDATE
+       SET phone_number = EXCLUDED.phone_number,
+           status = 'processing',
+           claimed_at = NOW(),
+           expires_at = EXCLUDED.expires_at
+       WHERE processed_messages.expires_at < NOW()
+          OR (processed_messages.status = 'processing' AND processed_messages.claimed_at < $4)
+     RETURNING message_id`,
+    [messageId, phoneNumber, expiresAt, staleBefore]
+  );
+
+  // Each claim prunes expired rows now and then, so the table doesn't grow forever
+  if (Math.random() < LEDGER_PRUNE_CHANCE) {
+    db.query('DELETE FROM processed_messages WHERE expires_at < NOW()')
+      .catch(error => console.error('[ERROR] Failed to prune processed messages:', error));
+  }
+
+  return rows.length > 0;
+}
+
+async function completeMessage(messageId) {
+  await init();
+  await db.query(`UPDATE processed_messages SET status = 'done' WHERE message_id = $1`, [messageId]);
+}
+
+async function putOutboundMessage(message) {
+  await init();
+  return fromRow(await upsert('outbound_messages', OUTBOUND_COLUMNS, 'id', message), OUTBOUND_COLUMNS);
+}
+
+async function getOutboundMessage(id) {
+  await init();
+  const { rows } = await db.query('SELECT * FROM outbound_messages WHERE id = $1', [id]);
+  return rows.length > 0 ? fromRow(rows[0], OUTBOUND_COLUMNS) : null;
+}
+
+// Queued messages, oldest first, optionally only those with the given status
+async function listOutboundMessages(status = null) {
+  await init();
+  const { rows } = status
+    ? await db.query('SELECT * FROM outbound_messages WHERE status = $1 ORDER BY created_at', [status])
+    : await db.query('SELECT * FROM outbound_messages ORDER BY created_at');
+  return rows.map(row => fromRow(row, OUTBOUND_COLUMNS));
+}
+
+/**
+ * Claim a queued message for sending
+ * A 'pending' message, or one stuck in 'sending' since before staleBefore, can be claimed
+ * @param {string} id
+ * @param {Object} options - { claimedAt, staleBefore } as ISO strings
+ * @returns {Object|null} - The claimed message, or null if it is gone or claimed elsewhere
+ */
+async function claimOutboundMessage(id, { claimedAt, staleBefore }) {
+  await init();
+  const { rows } = await db.query(
+    `UPDATE outbound_messages
+       SET status = 'sending', claimed_at = $2, updated_at = $2
+     WHERE id = $1
+       AND (status = 'pending' OR (status = 'sending' AND claimed_at < $3))
+     RETURNING *`,
+    [id, claimedAt, staleBefore]
+  );
+  return rows.length > 0 ? fromRow(rows[0], OUTBOUND_COLUMNS) : null;
+}
+
+async function deleteOutboundMessage(id) {
+  await init();
+  await db.query('DELETE FROM outbound_messages WHERE id = $1', [id]);
+}
+
+async function putReminderJob(job) {
+  await init();
+  return fromRow(await upsert('reminder_jobs', REMINDER_COLUMNS, 'id', job), REMINDER_COLUMNS);
+}
+
+// Reminder jobs, earliest first, filtered by phone number, status and/or remindAt <= remindBefore
+async function listReminderJobs({ phoneNumber = null, status = null, remindBefore = null } = {}) {
+  await init();
+  const { rows } = await db.query(
+    `SELECT * FROM reminder_jobs
+     WHERE ($1::text IS NULL OR phone_number = $1)
+       AND ($2::text IS NULL OR status = $2)
+       AND ($3::timestamptz IS NULL OR remind_at <= $3)
+     ORDER BY remind_at`,
+    [phoneNumber, status, remindBefore]
+  );
+  return rows.map(row => fromRow(row, REMINDER_COLUMNS));
+}
+
+async function deleteReminderJob(id) {
+  await init();
+  await db.query('DELETE FROM reminder_jobs WHERE id = $1', [id]);
+}
+
+// Delete the jobs of events that started before the given time; returns how many went
+async function pruneReminderJobs(eventStartBefore) {
+  await init();
+  const { rowCount } = await db.query('DELETE FROM reminder_jobs WHERE event_start < $1', [eventStartBefore]);
+  return rowCount;
+}
+
+// A signed-in admin session that hasn't expired, or null
+async function getAdminSession(idHash) {
+  await init();
+  const { rows } = await db.query('SELECT * FROM admin_sessions WHERE id_hash = $1 AND expires_at > NOW()', [idHash]);
+  return rows.length > 0 ? fromRow(rows[0], SESSION_COLUMNS) : null;
+}
+
+async function putAdminSession(record) {
+  await init();
+  const saved = fromRow(await upsert('admin_sessions', SESSION_COLUMNS, 'idHash', record), SESSION_COLUMNS);
+
+  if (Math.random() < SESSION_PRUNE_CHANCE) {
+    db.query('DELETE FROM admin_sessions WHERE expires_at < NOW()')
+      .catch(error => console.error('[ERROR] Failed to prune admin sessions:', error));
+  }
+
+  return saved;
+}
+
+async function deleteAdminSession(idHash) {
+  await init();
+  await db.query('DELETE FROM admin_sessions WHERE id_hash = $1', [idHash]);
+}
+
+/**
+ * Remove a phone number from the ledger, the outbound queue and the reminder jobs
+ * Ledger rows stay (without the number) so retried deliveries are still skipped
+ * @param {string} phoneNumber
+ * @returns {Object} - { ledgerEntries, outboundMessages, reminderJobs } - how many were changed
+ */
+async function forgetPhoneNumber(phoneNumber) {
+  await init();
+  const ledger = await db.query('UPDATE processed_messages SET phone_number = NULL WHERE phone_number = $1', [phoneNumber]);
+  const outbound = await db.query('DELETE FROM outbound_messages WHERE recipient = $1', [phoneNumber]);
+  const reminders = await db.query('DELETE FROM reminder_jobs WHERE phone_number = $1', [phoneNumber]);
+  return { ledgerEntries: ledger.rowCount, outboundMessages: outbound.rowCount, reminderJobs: reminders.rowCount };
+}
+
+// Describe the backend (for health and debug endpoints)
+async function describe() {
+  await init();
+  const { rows } = await db.query('SELECT COUNT(*)::int AS count FROM users');
+  const ledger = await db.query('SELECT COUNT(*)::int AS count FROM processed_messages');
+  const migrations = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+
+  return {
+    storage: 'postgres',
+    userCount: rows[0].count,
+    processedMessageCount: ledger.rows[0].count,
+    migrations: migrations.rows.map(row => row.version)
+  };
+}
+
+module.exports = {
+  name: 'postgres',
+  init,
+  getUser,
+  putUser,
+  listUsers,
+  findUserByFeedTokenHash,
+  deleteUser,
+  claimMessage,
+  completeMessage,
+  putOutboundMessage,
+  getOutboundMessage,
+  listOutboundMessages,
+  claimOutboundMessage,
+  deleteOutboundMessage,
+  putReminderJob,
+  listReminderJobs,
+  deleteReminderJob,
+  pruneReminderJobs,
+  getAdminSession,
+  putAdminSession,
+  deleteAdminSession,
+  forgetPhoneNumber,
+  describe
+};
@@ -0,0 +1,147 @@
+// Token encryption - Google tokens are stored encrypted, whatever the storage backend
+// Envelope encryption: each record gets a fresh data key that encrypts the tokens (AES-256-GCM),
+// and the data key is itself encrypted with a master key from TOKEN_ENCRYPTION_KEYS.
+//
+// TOKEN_ENCRYPTION_KEYS is a comma-separated list of keyId:key pairs, where each key is 32 bytes
+// as base64 or hex. The first key encrypts; the rest only decrypt. To rotate, put a new key
+// first and keep the old ones until "npm run reencrypt-tokens" has moved every record over.
+//
+// The tokens are bound to the user they belong to (their phone number is authenticated with
+// them), so a record copied onto another user's row won't decrypt. Records from before that
+// (envelope version 1) still decrypt, and "npm run reencrypt-tokens" binds them too.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 2;
+// Version 1 envelopes used the same associated data for every user
+const UNBOUND_ENVELOPE_VERSION = 1;
+const UNBOUND_TOKENS_AAD = 'google-tokens';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function parseKey(keyId, encoded) {
+  const key = /^[0-9a-f]{64}$/i.test(encoded)
+    ? Buffer.from(encoded, 'hex')
+    : Buffer.from(encoded, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Token encryption key "${keyId}" must be 32 bytes (base64 or hex)`);
+  }
+  return key;
+}
+
+function loadKeys() {
+  const keys = new Map();
+  for (const entry of (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator < 1) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like keyId:key');
+    }
+    const keyId = entry.slice(0, separator);
+    keys.set(keyId, parseKey(keyId, entry.slice(separator + 1)));
+  }
+  return keys;
+}
+
+const keys = loadKeys();
+const activeKeyId = keys.keys().next().value || null;
+
+if (!activeKeyId) {
+  console.warn('[SECURITY] TOKEN_ENCRYPTION_KEYS is not set - Google tokens will be stored unencrypted');
+}
+
+// Encrypt with AES-256-GCM; returns base64 of iv + auth tag + ciphertext
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed, aad) {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return !!value && typeof value === 'object'
+    && (value.encryption === ENVELOPE_VERSION || value.encryption === UNBOUND_ENVELOPE_VERSION);
+}
+
+function tokensAad(phoneNumber) {
+  if (!phoneNumber) {
+    throw new Error('Google tokens are encrypted per user and need the phone number they belong to');
+  }
+  return `google-tokens:${phoneNumber}`;
+}
+
+/**
+ * Encrypt a tokens object with the active key, bound to the user it belongs to
+ * Returns the tokens unchanged if no key is configured
+ * @param {Object} tokens - Google tokens (access_token, refresh_token, ...)
+ * @param {string} phoneNumber - Owner of the tokens
+ * @returns {Object} - { encryption, keyId, dataKey, data }
+ */
+function encryptTokens(tokens, phoneNumber) {
+  if (!tokens || !activeKeyId) {
+    return tokens;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  return {
+    encryption: ENVELOPE_VERSION,
+    keyId: activeKeyId,
+    dataKey: seal(keys.get(activeKeyId), dataKey, `data-key:${activeKeyId}`),
+    data: seal(dataKey, JSON.stringify(tokens), tokensAad(phoneNumber))
+  };
+}
+
+/**
+ * Decrypt stored tokens (plain, unencrypted tokens are returned as they are)
+ * @param {Object} stored - Value of googleCalendarTokens as stored
+ * @param {string} phoneNumber - User the record was read for; tokens bound to anyone else fail
+ * @returns {Object} - Google tokens
+ */
+function decryptTokens(stored, phoneNumber) {
+  if (!isEncrypted(stored)) {
+    return stored;
+  }
+
+  const masterKey = keys.get(stored.keyId);
+  if (!masterKey) {
+    throw new Error(`Token encryption key "${stored.keyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  const dataKey = open(masterKey, stored.dataKey, `data-key:${stored.keyId}`);
+  const aad = stored.encryption === UNBOUND_ENVELOPE_VERSION ? UNBOUND_TOKENS_AAD : tokensAad(phoneNumber);
+  return JSON.parse(open(dataKey, stored.data, aad).toString('utf8'));
+}
+
+// True if stored tokens are unencrypted, not bound to their user, or encrypted with a key other than the active one
+function needsReencryption(stored) {
+  if (!stored || !activeKeyId) {
+    return false;
+  }
+  return !isEncrypted(stored) || stored.encryption !== ENVELOPE_VERSION || stored.keyId !== activeKeyId;
+}
+
+// Safe summary of stored tokens for debug output
+function describeTokens(stored) {
+  if (!stored) {
+    return null;
+  }
+  return isEncrypted(stored)
+    ? { encrypted: true, keyId: stored.keyId }
+    : { encrypted: false };
+}
+
+module.exports = {
+  encryptTokens,
+  decryptTokens,
+  needsReencryption,
+  describeTokens,
+  activeKeyId
+};
@@ -0,0 +1,31 @@
+// OpenAI-compatible provider - a local engine with an OpenAI-style /audio/transcriptions endpoint
+// (faster-whisper-server, whisper.cpp server, LocalAI, ...) at STT_BASE_URL, e.g. http://localhost:8000/v1
+const { requestTranscription } = require('./transcription');
+
+/**
+ * Transcribe audio with the configured endpoint
+ * @param {Buffer} audio
+ * @param {Object} options - { mimeType, model, language, timeoutMs }
+ * @returns {string}
+ */
+async function transcribe(audio, options) {
+  const baseUrl = process.env.STT_BASE_URL;
+  if (!baseUrl) {
+    const error = new Error('STT_BASE_URL is required for the openai-compatible speech-to-text provider');
+    error.retryable = false;
+    throw error;
+  }
+
+  return requestTranscription({
+    baseUrl,
+    apiKey: process.env.STT_API_KEY,
+    audio,
+    ...options
+  });
+}
+
+module.exports = {
+  name: 'openai-compatible',
+  defaultModel: 'whisper-1',
+  transcribe
+};
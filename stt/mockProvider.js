@@ -0,0 +1,20 @@
+// Mock provider - deterministic transcripts with no network access, for running the bot offline
+// Returns STT_MOCK_TRANSCRIPT when it is set, otherwise the audio bytes read as UTF-8 text,
+// so a stand-in Graph API can serve the words of a "voice note" as its media
+
+/**
+ * @param {Buffer} audio
+ * @returns {string}
+ */
+async function transcribe(audio) {
+  if (process.env.STT_MOCK_TRANSCRIPT !== undefined) {
+    return process.env.STT_MOCK_TRANSCRIPT;
+  }
+  return audio.toString('utf8');
+}
+
+module.exports = {
+  name: 'mock',
+  defaultModel: 'mock',
+  transcribe
+};
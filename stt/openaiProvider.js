@@ -0,0 +1,31 @@
+// OpenAI provider - Whisper transcription from api.openai.com (or OPENAI_BASE_URL)
+const { requestTranscription } = require('./transcription');
+const { BASE_URLS } = require('../httpClient');
+
+/**
+ * Transcribe audio with OpenAI
+ * @param {Buffer} audio
+ * @param {Object} options - { mimeType, model, language, timeoutMs }
+ * @returns {string}
+ */
+async function transcribe(audio, options) {
+  if (!process.env.OPENAI_API_KEY) {
+    console.error('[STT] OPENAI_API_KEY environment variable is not set!');
+    const error = new Error('OpenAI API key not configured');
+    error.retryable = false;
+    throw error;
+  }
+
+  return requestTranscription({
+    baseUrl: BASE_URLS.openai,
+    apiKey: process.env.OPENAI_API_KEY,
+    audio,
+    ...options
+  });
+}
+
+module.exports = {
+  name: 'openai',
+  defaultModel: 'whisper-1',
+  transcribe
+};
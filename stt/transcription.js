@@ -0,0 +1,64 @@
+// Transcription request shared by the OpenAI and OpenAI-compatible speech-to-text providers
+const { request } = require('../httpClient');
+
+// File extensions by MIME type; the API works out the audio format from the file name
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/opus': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/webm': 'webm'
+};
+
+/**
+ * POST audio to an OpenAI-style /audio/transcriptions endpoint
+ * @param {Object} options
+ * @param {string} options.baseUrl - API base URL, e.g. "https://api.openai.com/v1"
+ * @param {string} options.apiKey - Bearer token (optional for local servers)
+ * @param {Buffer} options.audio - Audio file contents
+ * @param {string} options.mimeType - e.g. "audio/ogg; codecs=opus" (WhatsApp voice notes)
+ * @param {string} options.model - e.g. "whisper-1"
+ * @param {string} options.language - ISO-639-1 hint, e.g. "en" (optional)
+ * @param {number} options.timeoutMs - Give up after this long
+ * @returns {string} - Transcript
+ * @throws {Error} - From httpClient; retryable is false for bad keys and unsupported audio
+ */
+async function requestTranscription({ baseUrl, apiKey, audio, mimeType, model, language, timeoutMs }) {
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  const form = new FormData();
+  form.append('file', new Blob([audio], { type: type || 'application/octet-stream' }), `voice.${EXTENSIONS[type] || 'ogg'}`);
+  form.append('model', model);
+  form.append('response_format', 'json');
+  if (language) {
+    form.append('language', language);
+  }
+
+  const data = await request({
+    method: 'POST',
+    path: `${baseUrl.replace(/\/+$/, '')}/audio/transcriptions`,
+    token: apiKey,
+    body: form,
+    timeoutMs,
+    // Transcribing has no side effects, so a failed upload can be sent again
+    retries: 1,
+    label: 'Speech-to-text API'
+  });
+
+  if (!data || typeof data.text !== 'string') {
+    const error = new Error(`Invalid response from ${baseUrl}: no text`);
+    error.retryable = true;
+    throw error;
+  }
+
+  return data.text;
+}
+
+module.exports = {
+  requestTranscription
+};
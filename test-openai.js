@@ -1,6 +1,6 @@
 // Quick test script to verify OpenAI API connection
 require('dotenv').config();
-const { execSync } = require('child_process');
+const { request, BASE_URLS } = require('./httpClient');
 
 console.log('Testing OpenAI API connection...\n');
 
@@ -13,12 +13,9 @@ if (!process.env.OPENAI_API_KEY) {
 
 console.log(`✓ API key found: ${process.env.OPENAI_API_KEY.substring(0, 10)}...`);
 
-// Test API call using curl
-try {
-  const apiKey = process.env.OPENAI_API_KEY;
-  const url = 'https://api.openai.com/v1/chat/completions';
-  
-  const payload = JSON.stringify({
+// Test API call
+async function testConnection() {
+  const payload = {
     model: 'gpt-3.5-turbo',
     messages: [
       { role: 'system', content: 'You are a helpful assistant.' },
@@ -26,27 +23,26 @@ try {
     ],
     temperature: 0.7,
     max_tokens: 50
-  });
-  
-  // Escape single quotes
-  const escapedPayload = payload.replace(/'/g, "'\\''");
-  
-  const curlCommand = `curl -s -X POST -H "Authorization: Bearer ${apiKey}" -H "Content-Type: application/json" -d '${escapedPayload}' --max-time 15 "${url}"`;
+  };
   
-  console.log('\nMaking test API call...');
+  console.log(`\nMaking test API call to ${BASE_URLS.openai}...`);
   
-  const output = execSync(curlCommand, {
-    encoding: 'utf8',
-    timeout: 20000,
-    maxBuffer: 5 * 1024 * 1024,
-    shell: '/bin/bash'
-  });
-  
-  const responseData = JSON.parse(output);
-  
-  if (responseData.error) {
+  let responseData;
+  try {
+    responseData = await request({
+      service: 'openai',
+      method: 'POST',
+      path: '/chat/completions',
+      token: process.env.OPENAI_API_KEY,
+      body: payload,
+      timeoutMs: 15000
+    });
+  } catch (error) {
+    if (!error.status) {
+      throw error;
+    }
     console.error('\n❌ OpenAI API returned an error:');
-    console.error(JSON.stringify(responseData.error, null, 2));
+    console.error(JSON.stringify(error.data?.error || error.message, null, 2));
     console.error('\nPossible issues:');
     console.error('- Invalid API key');
     console.error('- Insufficient credits');
@@ -63,20 +59,17 @@ try {
     console.error('\n❌ Unexpected response format:');
     console.error(JSON.stringify(responseData, null, 2));
   }
-  
-} catch (error) {
+}
+
+testConnection().catch(error => {
   console.error('\n❌ Error testing OpenAI API:');
   console.error(error.message);
   
-  if (error.stderr) {
-    console.error('\nError details:', error.stderr.toString());
-  }
-  
   console.error('\nPossible issues:');
   console.error('- Network connectivity');
   console.error('- Firewall blocking OpenAI API');
   console.error('- Invalid API key format');
   
   process.exit(1);
-}
+});
 
@@ -0,0 +1,57 @@
+// Tests for calendarExport.js - export requests, ranges and feed tokens
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseExportRequest,
+  getExportRange,
+  createFeedToken,
+  hashFeedToken,
+  isWellFormedFeedToken
+} = require('../calendarExport');
+
+const TIMEZONE = 'America/New_York';
+// Friday, October 30, 2026, 10:00 PM in New York (already Saturday in UTC)
+const NOW = new Date('2026-10-31T02:00:00Z');
+
+test('parseExportRequest reads the command and plain requests', () => {
+  assert.deepEqual(parseExportRequest('/export'), { range: '' });
+  assert.deepEqual(parseExportRequest('/export next week'), { range: 'next week' });
+  assert.deepEqual(parseExportRequest('send me this week as a file'), { range: 'this week' });
+  assert.deepEqual(parseExportRequest('please send my calendar for tomorrow as an ics'), { range: 'tomorrow' });
+  assert.deepEqual(parseExportRequest('send me the next 30 days as a calendar file!'), { range: 'next 30 days' });
+  assert.equal(parseExportRequest('/exported'), null);
+  assert.equal(parseExportRequest('send the invite to sam'), null);
+  assert.equal(parseExportRequest(''), null);
+});
+
+test('getExportRange resolves days in the user\'s timezone', () => {
+  assert.deepEqual(getExportRange('today', TIMEZONE, NOW), {
+    label: 'today',
+    fileName: 'calendar-2026-10-30.ics',
+    timeMin: '2026-10-30T04:00:00.000Z',
+    timeMax: '2026-10-31T04:00:00.000Z'
+  });
+});
+
+test('getExportRange covers whole days across a DST change', () => {
+  // New York falls back on Sunday, November 1
+  assert.deepEqual(getExportRange('', TIMEZONE, NOW), {
+    label: 'the next 7 days',
+    fileName: 'calendar-2026-10-30-to-2026-11-05.ics',
+    timeMin: '2026-10-30T04:00:00.000Z',
+    timeMax: '2026-11-06T05:00:00.000Z'
+  });
+  assert.equal(getExportRange('Next Week', TIMEZONE, NOW).fileName, 'calendar-2026-11-06-to-2026-11-12.ics');
+  assert.equal(getExportRange('someday', TIMEZONE, NOW), null);
+});
+
+test('feed tokens are random, well formed and only stored hashed', () => {
+  const first = createFeedToken();
+  const second = createFeedToken();
+  assert.notEqual(first.token, second.token);
+  assert.equal(isWellFormedFeedToken(first.token), true);
+  assert.equal(first.calendarFeed.tokenHash, hashFeedToken(first.token));
+  assert.ok(!JSON.stringify(first.calendarFeed).includes(first.token));
+  assert.equal(isWellFormedFeedToken('short'), false);
+  assert.equal(isWellFormedFeedToken(`${first.token}.ics`), false);
+});
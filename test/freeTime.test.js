@@ -0,0 +1,112 @@
+// Tests for freeTime.js - finding and ranking open slots
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getSearchRange, getRangeBounds, findFreeSlots, findNearestSlots, formatSlotList } = require('../freeTime');
+
+const TIMEZONE = 'America/New_York';
+// Monday, 8:00 AM in New York
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+// Tuesday: busy 9:00-10:00 and 11:15-12:00 local time
+const BUSY = [
+  { start: '2026-10-20T13:00:00Z', end: '2026-10-20T14:00:00Z' },
+  { start: '2026-10-20T15:15:00Z', end: '2026-10-20T16:00:00Z' }
+];
+
+// Slots as local "Day HH:MM-HH:MM" for readable assertions
+function describe(slots) {
+  const time = value => new Date(value).toLocaleTimeString('en-GB', { timeZone: TIMEZONE, hour: '2-digit', minute: '2-digit' });
+  const day = value => new Date(value).toLocaleDateString('en-US', { timeZone: TIMEZONE, weekday: 'short' });
+  return slots.map(slot => `${day(slot.start.dateTime)} ${time(slot.start.dateTime)}-${time(slot.end.dateTime)}`);
+}
+
+test('getSearchRange defaults to the working days of the coming week', () => {
+  assert.deepEqual(getSearchRange({}, TIMEZONE, NOW), {
+    dates: ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23'],
+    window: { start: '09:00', end: '17:00' }
+  });
+});
+
+test('getSearchRange takes a day and a part of the day', () => {
+  assert.deepEqual(
+    getSearchRange({ specificDay: 'friday', timeOfDay: 'evening', latestTime: '20:00:00' }, TIMEZONE, NOW),
+    { dates: ['2026-10-23'], window: { start: '17:00', end: '20:00' } }
+  );
+  assert.deepEqual(getSearchRange({ date: '2026-11-03T10:00:00' }, TIMEZONE, NOW).dates, ['2026-11-03']);
+});
+
+test('getRangeBounds covers whole local days, across a DST change', () => {
+  // New York falls back on Sunday, November 1
+  assert.deepEqual(getRangeBounds(['2026-10-31', '2026-11-01'], TIMEZONE), {
+    timeMin: '2026-10-31T04:00:00.000Z',
+    timeMax: '2026-11-02T05:00:00.000Z'
+  });
+});
+
+test('findFreeSlots skips busy times and offers roomy slots before back-to-back ones', () => {
+  const slots = findFreeSlots(BUSY, {
+    dates: ['2026-10-20'],
+    window: { start: '09:00', end: '13:00' },
+    durationMinutes: 30,
+    timezone: TIMEZONE,
+    now: NOW
+  });
+  // 11:00 overlaps the 11:15 meeting; 10:00 and 12:00 start right after a meeting
+  assert.deepEqual(describe(slots), ['Tue 10:30-11:00', 'Tue 12:30-13:00', 'Tue 10:00-10:30', 'Tue 12:00-12:30']);
+});
+
+test('findFreeSlots spreads slots over the days and returns at most five', () => {
+  const slots = findFreeSlots(BUSY, {
+    dates: ['2026-10-20', '2026-10-21', '2026-10-22'],
+    window: { start: '09:00', end: '17:00' },
+    durationMinutes: 60,
+    timezone: TIMEZONE,
+    now: NOW
+  });
+  assert.deepEqual(describe(slots), ['Tue 12:30-13:30', 'Tue 13:00-14:00', 'Wed 09:00-10:00', 'Wed 09:30-10:30', 'Thu 09:00-10:00']);
+});
+
+test('findFreeSlots never offers past or too-short slots', () => {
+  const slots = findFreeSlots([], {
+    dates: ['2026-10-19'],
+    window: { start: '09:00', end: '10:30' },
+    durationMinutes: 10,
+    timezone: TIMEZONE,
+    now: new Date('2026-10-19T13:10:00Z')
+  });
+  // 9:00 has passed, and slots are at least 30 minutes long
+  assert.deepEqual(describe(slots), ['Mon 09:30-10:00', 'Mon 10:00-10:30']);
+});
+
+test('formatSlotList numbers the slots', () => {
+  const slots = findFreeSlots([], {
+    dates: ['2026-10-20'],
+    window: { start: '09:00', end: '10:00' },
+    durationMinutes: 30,
+    timezone: TIMEZONE,
+    now: NOW
+  });
+  assert.equal(formatSlotList(slots, TIMEZONE), '1. Tue, Oct 20, 9:00 AM - 9:30 AM\n2. Tue, Oct 20, 9:30 AM - 10:00 AM');
+});
+
+test('findNearestSlots orders free slots by distance from a taken time', () => {
+  const slots = findNearestSlots(BUSY, {
+    startDateTime: '2026-10-20T09:00:00',
+    dates: ['2026-10-20'],
+    durationMinutes: 60,
+    timezone: TIMEZONE,
+    now: NOW
+  });
+  assert.deepEqual(describe(slots), ['Tue 10:00-11:00', 'Tue 12:00-13:00', 'Tue 12:30-13:30']);
+});
+
+test('findNearestSlots looks outside working hours for an evening request', () => {
+  const slots = findNearestSlots([{ start: '2026-10-20T23:00:00Z', end: '2026-10-21T00:00:00Z' }], {
+    startDateTime: '2026-10-20T19:00:00',
+    dates: ['2026-10-20'],
+    durationMinutes: 60,
+    timezone: TIMEZONE,
+    now: NOW
+  });
+  assert.deepEqual(describe(slots), ['Tue 18:00-19:00', 'Tue 17:30-18:30', 'Tue 17:00-18:00']);
+});
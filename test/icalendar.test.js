@@ -0,0 +1,241 @@
+// Tests for icalendar.js - reading invites and writing .ics files and feeds
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseICalendar, buildICalendar, isICalendarDocument, parseDuration } = require('../icalendar');
+
+// Build a file from lines, the way calendar apps send it (CRLF)
+function ics(...lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+// A VTIMEZONE only the file knows: UTC+1, UTC+2 from the last Sunday of March to the last Sunday of October
+const CUSTOM_ZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Custom Central',
+  'BEGIN:STANDARD',
+  'DTSTART:19701025T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:19700329T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'END:DAYLIGHT',
+  'END:VTIMEZONE'
+];
+
+test('parseICalendar reads a UTC event, unfolding lines and unescaping text', () => {
+  const { events, cancelled } = parseICalendar(ics(
+    'BEGIN:VEVENT',
+    'UID:abc@example.com',
+    'DTSTART:20261020T080000Z',
+    'DTEND:20261020T093000Z',
+    'SUMMARY:Planning\\, budget\\; and',
+    '  review',
+    'LOCATION:Room 1\\nFloor 2',
+    'END:VEVENT'
+  ), { timezone: 'America/New_York' });
+
+  assert.equal(cancelled, 0);
+  assert.deepEqual(events, [{
+    uid: 'abc@example.com',
+    summary: 'Planning, budget; and review',
+    location: 'Room 1\nFloor 2',
+    description: undefined,
+    // UTC times are shown in the user's timezone
+    start: { dateTime: '2026-10-20T08:00:00.000Z', timeZone: 'America/New_York' },
+    end: { dateTime: '2026-10-20T09:30:00.000Z', timeZone: 'America/New_York' }
+  }]);
+});
+
+test('parseICalendar resolves IANA, Outlook and file-only timezones', () => {
+  const { events } = parseICalendar(ics(
+    ...CUSTOM_ZONE,
+    'BEGIN:VEVENT',
+    'DTSTART;TZID=/mozilla.org/20050126_1/Europe/London:20260701T090000',
+    'DURATION:PT45M',
+    'SUMMARY:IANA',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;TZID=W. Europe Standard Time:20260115T090000',
+    'SUMMARY:Outlook',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;TZID=Custom Central:20260701T090000',
+    'SUMMARY:Summer',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;TZID=Custom Central:20261201T090000',
+    'SUMMARY:Winter',
+    'END:VEVENT'
+  ), { timezone: 'America/New_York' });
+
+  const byName = Object.fromEntries(events.map(event => [event.summary, event]));
+  assert.deepEqual(byName.IANA.start, { dateTime: '2026-07-01T08:00:00.000Z', timeZone: 'Europe/London' });
+  assert.equal(byName.IANA.end.dateTime, '2026-07-01T08:45:00.000Z');
+  assert.deepEqual(byName.Outlook.start, { dateTime: '2026-01-15T08:00:00.000Z', timeZone: 'Europe/Berlin' });
+  // No DTEND or DURATION: ends when it starts
+  assert.equal(byName.Outlook.end.dateTime, byName.Outlook.start.dateTime);
+  assert.deepEqual(byName.Summer.start, { dateTime: '2026-07-01T07:00:00.000Z', timeZone: 'Etc/GMT-2' });
+  assert.deepEqual(byName.Winter.start, { dateTime: '2026-12-01T08:00:00.000Z', timeZone: 'Etc/GMT-1' });
+});
+
+test('parseICalendar puts floating times in the user\'s timezone', () => {
+  const { events } = parseICalendar(ics(
+    'BEGIN:VEVENT',
+    'DTSTART:20261020T090000',
+    'DTEND:20261020T100000',
+    'SUMMARY:Floating',
+    'END:VEVENT'
+  ), { timezone: 'America/New_York' });
+
+  assert.deepEqual(events[0].start, { dateTime: '2026-10-20T13:00:00.000Z', timeZone: 'America/New_York' });
+});
+
+test('parseICalendar reads all-day events with an exclusive end date', () => {
+  const { events } = parseICalendar(ics(
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20261224',
+    'SUMMARY:One day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20261224',
+    'DURATION:P3D',
+    'SUMMARY:Three days',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20261230',
+    'DTEND;VALUE=DATE:20270102',
+    'SUMMARY:New year',
+    'END:VEVENT'
+  ));
+
+  assert.deepEqual(events.map(event => [event.start.date, event.end.date]), [
+    ['2026-12-24', '2026-12-25'],
+    ['2026-12-24', '2026-12-27'],
+    ['2026-12-30', '2027-01-02']
+  ]);
+});
+
+test('parseICalendar keeps repeats, excludes changed occurrences and skips cancelled events', () => {
+  const { events, cancelled } = parseICalendar(ics(
+    'BEGIN:VEVENT',
+    'UID:weekly@example.com',
+    'DTSTART;TZID=America/Chicago:20261005T090000',
+    'DTEND;TZID=America/Chicago:20261005T100000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261130T090000',
+    'EXDATE;TZID=America/Chicago:20261012T090000',
+    'SUMMARY:Standup',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:weekly@example.com',
+    'RECURRENCE-ID;TZID=America/Chicago:20261019T090000',
+    'DTSTART;TZID=America/Chicago:20261020T090000',
+    'DTEND;TZID=America/Chicago:20261020T100000',
+    'SUMMARY:Standup (moved)',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20261021T090000Z',
+    'STATUS:CANCELLED',
+    'SUMMARY:Called off',
+    'END:VEVENT'
+  ));
+
+  assert.equal(cancelled, 1);
+  assert.equal(events.length, 2);
+  assert.deepEqual(events[0].recurrence, [
+    // The local UNTIL is written in UTC
+    'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261130T150000Z',
+    'EXDATE;TZID=America/Chicago:20261012T090000',
+    'EXDATE;TZID=America/Chicago:20261019T090000'
+  ]);
+  assert.equal(events[1].summary, 'Standup (moved)');
+  assert.equal(events[1].start.dateTime, '2026-10-20T14:00:00.000Z');
+  assert.equal(events[1].recurrence, undefined);
+});
+
+test('parseICalendar drops everything in a cancellation and rejects other files', () => {
+  const { events, cancelled } = parseICalendar(ics(
+    'METHOD:CANCEL',
+    'BEGIN:VEVENT',
+    'DTSTART:20261021T090000Z',
+    'SUMMARY:Gone',
+    'END:VEVENT'
+  ));
+  assert.deepEqual([events.length, cancelled], [0, 1]);
+
+  assert.throws(() => parseICalendar('BEGIN:VCARD\r\nEND:VCARD'), /Not an iCalendar file/);
+});
+
+test('parseDuration reads weeks, days and times', () => {
+  assert.deepEqual(parseDuration('PT1H30M'), { days: 0, ms: 90 * 60 * 1000 });
+  assert.deepEqual(parseDuration('P2W'), { days: 14, ms: 14 * 24 * 3600 * 1000 });
+  assert.equal(parseDuration('-PT15M').ms, -15 * 60 * 1000);
+  assert.equal(parseDuration('one hour'), null);
+  assert.equal(parseDuration(undefined), null);
+});
+
+test('buildICalendar writes events as a CRLF file with folded, escaped lines', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const text = buildICalendar([
+    {
+      id: 'evt1',
+      iCalUID: 'evt1@google.com',
+      summary: 'Lunch, with; friends',
+      description: 'Line one\nLine two',
+      start: { dateTime: '2026-10-20T12:00:00-04:00' },
+      end: { dateTime: '2026-10-20T13:00:00-04:00' },
+      status: 'tentative'
+    },
+    {
+      id: 'inst_20261021',
+      recurringEventId: 'series1',
+      iCalUID: 'series1@google.com',
+      summary: 'Holiday '.repeat(12).trim(),
+      start: { date: '2026-10-21' },
+      end: { date: '2026-10-22' }
+    },
+    { id: 'no-start', summary: 'Skipped' }
+  ], { name: 'Tary', timezone: 'America/New_York', refreshMinutes: 60, now });
+
+  assert.ok(text.endsWith('\r\n'));
+  const lines = text.split('\r\n').slice(0, -1);
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75), 'lines are folded to 75 octets');
+  assert.ok(!/[^\r]\n/.test(text), 'no bare newlines');
+
+  const unfolded = text.replace(/\r\n /g, '');
+  assert.match(unfolded, /X-WR-CALNAME:Tary\r\n/);
+  assert.match(unfolded, /X-WR-TIMEZONE:America\/New_York\r\n/);
+  assert.match(unfolded, /REFRESH-INTERVAL;VALUE=DURATION:PT60M\r\n/);
+  assert.match(unfolded, /UID:evt1@google\.com\r\nDTSTAMP:20261019T120000Z\r\nDTSTART:20261020T160000Z\r\nDTEND:20261020T170000Z\r\n/);
+  assert.match(unfolded, /SUMMARY:Lunch\\, with\\; friends\r\n/);
+  assert.match(unfolded, /DESCRIPTION:Line one\\nLine two\r\n/);
+  assert.match(unfolded, /STATUS:TENTATIVE\r\n/);
+  // Occurrences of a series share an iCalUID, so each is written with its own ID
+  assert.match(unfolded, /UID:inst_20261021@google\.com\r\n/);
+  assert.match(unfolded, /DTSTART;VALUE=DATE:20261021\r\nDTEND;VALUE=DATE:20261022\r\n/);
+  assert.equal((unfolded.match(/BEGIN:VEVENT/g) || []).length, 2);
+});
+
+test('a built file reads back as the same events', () => {
+  const written = [
+    { id: 'a', summary: 'Café ☕ meeting', start: { dateTime: '2026-10-20T08:00:00Z' }, end: { dateTime: '2026-10-20T09:00:00Z' } },
+    { id: 'b', summary: 'Day off', start: { date: '2026-10-23' }, end: { date: '2026-10-24' } }
+  ];
+  const { events } = parseICalendar(buildICalendar(written), { timezone: 'UTC' });
+
+  assert.deepEqual(events.map(event => [event.uid, event.summary, event.start, event.end]), [
+    ['a@google.com', 'Café ☕ meeting', { dateTime: '2026-10-20T08:00:00.000Z', timeZone: 'UTC' }, { dateTime: '2026-10-20T09:00:00.000Z', timeZone: 'UTC' }],
+    ['b@google.com', 'Day off', { date: '2026-10-23' }, { date: '2026-10-24' }]
+  ]);
+});
+
+test('isICalendarDocument goes by file name or MIME type', () => {
+  assert.equal(isICalendarDocument({ filename: 'invite.ICS', mime_type: 'application/octet-stream' }), true);
+  assert.equal(isICalendarDocument({ filename: 'invite', mime_type: 'text/calendar; charset=utf-8' }), true);
+  assert.equal(isICalendarDocument({ filename: 'notes.txt', mime_type: 'text/plain' }), false);
+  assert.equal(isICalendarDocument(undefined), false);
+});
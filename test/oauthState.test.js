@@ -0,0 +1,110 @@
+// Tests for oauthState.js - signed OAuth state and one-time website codes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.OAUTH_STATE_SECRET = 'test-oauth-state-secret';
+const { createOAuthState, verifyOAuthState, createLinkCode, checkLinkCode } = require('../oauthState');
+
+const PHONE = '15550001111';
+const MINUTE = 60 * 1000;
+
+function ago(ms) {
+  return new Date(Date.now() - ms).toISOString();
+}
+
+// A code's record as if it had been sent the given time ago
+function sentAgo(ms, purpose = 'link') {
+  const { code, pendingLinkCode } = createLinkCode(PHONE, null, purpose);
+  return { code, pendingLinkCode: { ...pendingLinkCode, sentAt: ago(ms), windowStartedAt: ago(ms) } };
+}
+
+// Guess wrong until the code is locked out
+function lockOut(pendingLinkCode) {
+  let record = pendingLinkCode;
+  for (let i = 0; i < 5; i++) {
+    record = checkLinkCode(PHONE, 'not-it', record).pendingLinkCode;
+  }
+  return record;
+}
+
+test('OAuth state round-trips the phone number and nonce', () => {
+  const { state, nonce } = createOAuthState(PHONE);
+  assert.deepEqual(verifyOAuthState(state), { valid: true, phoneNumber: PHONE, nonce });
+});
+
+test('OAuth state with a changed payload is rejected', () => {
+  const { state } = createOAuthState(PHONE);
+  const [, signature] = state.split('.');
+  const forged = Buffer.from(JSON.stringify({ phone: '15559999999', nonce: 'x', exp: Date.now() + MINUTE })).toString('base64url');
+
+  assert.deepEqual(verifyOAuthState(`${forged}.${signature}`), { valid: false, reason: 'invalid signature' });
+  assert.equal(verifyOAuthState('').valid, false);
+  assert.equal(verifyOAuthState(null).valid, false);
+});
+
+test('a code is accepted once and then retired', () => {
+  const { code, pendingLinkCode } = createLinkCode(PHONE);
+  assert.match(code, /^\d{6}$/);
+
+  const first = checkLinkCode(PHONE, code, pendingLinkCode);
+  assert.equal(first.valid, true);
+  assert.equal(first.pendingLinkCode.hash, null);
+  assert.equal(first.pendingLinkCode.sentAt, pendingLinkCode.sentAt);
+
+  const second = checkLinkCode(PHONE, code, first.pendingLinkCode);
+  assert.deepEqual([second.valid, second.reason], [false, 'no code requested']);
+});
+
+test('a code only works for the purpose it was sent for', () => {
+  const { code, pendingLinkCode } = createLinkCode(PHONE, null, 'unlink');
+  assert.equal(checkLinkCode(PHONE, code, pendingLinkCode, 'link').valid, false);
+  assert.equal(checkLinkCode(PHONE, code, pendingLinkCode, 'unlink').valid, true);
+  assert.throws(() => createLinkCode(PHONE, null, 'anything'), /Unknown code purpose/);
+});
+
+test('an expired code is rejected and retired', () => {
+  const { code, pendingLinkCode } = createLinkCode(PHONE);
+  const result = checkLinkCode(PHONE, code, { ...pendingLinkCode, expiresAt: ago(1000) });
+  assert.deepEqual([result.valid, result.reason], [false, 'expired']);
+  assert.equal(result.pendingLinkCode.hash, null);
+});
+
+test('wrong guesses are counted and the fifth locks the number', () => {
+  const { code, pendingLinkCode } = createLinkCode(PHONE);
+
+  const wrong = checkLinkCode(PHONE, 'not-it', pendingLinkCode);
+  assert.deepEqual([wrong.valid, wrong.reason, wrong.pendingLinkCode.attempts], [false, 'wrong code', 1]);
+
+  const locked = lockOut(pendingLinkCode);
+  assert.equal(locked.hash, null);
+  assert.ok(new Date(locked.lockedUntil) > new Date());
+  // The right code no longer helps
+  assert.equal(checkLinkCode(PHONE, code, locked).valid, false);
+});
+
+test('no new code while the number is locked out', () => {
+  const locked = lockOut(sentAgo(5 * MINUTE).pendingLinkCode);
+  assert.equal(createLinkCode(PHONE, locked), null);
+  assert.notEqual(createLinkCode(PHONE, { ...locked, lockedUntil: ago(1000) }), null);
+});
+
+test('a new code needs a minute since the last one', () => {
+  const { pendingLinkCode } = createLinkCode(PHONE);
+  assert.equal(createLinkCode(PHONE, pendingLinkCode), null);
+  assert.notEqual(createLinkCode(PHONE, sentAgo(2 * MINUTE).pendingLinkCode), null);
+});
+
+test('at most five codes are sent per number in an hour', () => {
+  let record = null;
+  for (let i = 0; i < 5; i++) {
+    const created = createLinkCode(PHONE, record && { ...record, sentAt: ago(2 * MINUTE) });
+    assert.notEqual(created, null, `code ${i + 1} should be sent`);
+    record = created.pendingLinkCode;
+  }
+  assert.equal(record.sendCount, 5);
+  assert.equal(createLinkCode(PHONE, { ...record, sentAt: ago(2 * MINUTE) }), null);
+
+  // A new window starts once the hour is over
+  const later = createLinkCode(PHONE, { ...record, sentAt: ago(2 * MINUTE), windowStartedAt: ago(61 * MINUTE) });
+  assert.equal(later.pendingLinkCode.sendCount, 1);
+});
@@ -0,0 +1,159 @@
+// Tests for outboundQueue.js - ordering, backoff and rate limiting of WhatsApp sends
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep this run's files apart from a local development setup
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tary-outbound-test-'));
+process.env.STORAGE_BACKEND = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'users.json');
+process.env.MESSAGE_LEDGER_FILE = path.join(dir, 'ledger.json');
+process.env.REMINDER_JOBS_FILE = path.join(dir, 'reminders.json');
+process.env.WHATSAPP_MAX_ATTEMPTS = '3';
+process.env.WHATSAPP_RETRY_BASE_MS = '40';
+process.env.WHATSAPP_RATE_LIMIT_PER_SECOND = '20';
+
+// The queue takes these at require time, so swap them for mocks first
+const whatsappClient = require('../whatsappClient');
+const userStorage = require('../userStorage');
+const sendMock = test.mock.method(whatsappClient, 'sendMessage', async () => ({ messages: [{ id: 'wamid' }] }));
+const deleteMock = test.mock.method(userStorage, 'deleteOutboundMessage');
+
+const { enqueueMessage, processQueue, getQueueState } = require('../outboundQueue');
+
+const BUSINESS = 'business-number';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test.before(() => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+test.beforeEach(() => {
+  sendMock.mock.resetCalls();
+  sendMock.mock.mockImplementation(async () => ({ messages: [{ id: 'wamid' }] }));
+});
+
+function text(body) {
+  return { type: 'text', text: { body } };
+}
+
+function sendError(status, fields = {}) {
+  return Object.assign(new Error(`WhatsApp API error: ${status}`), { status, retryable: status >= 500, ...fields });
+}
+
+// Bodies sent so far, in order
+function sentBodies() {
+  return sendMock.mock.calls.map(call => call.arguments[2].text.body);
+}
+
+// Let the queue work until nothing is waiting (retries run on their own timer)
+async function settle() {
+  for (let i = 0; i < 100; i++) {
+    await processQueue();
+    const { pending, sending } = await getQueueState();
+    if (pending.length === 0 && sending.length === 0) {
+      return;
+    }
+    await sleep(20);
+  }
+  throw new Error('queue did not settle');
+}
+
+test('queuing returns before the message is sent', async () => {
+  let release;
+  sendMock.mock.mockImplementation(() => new Promise(resolve => {
+    release = () => resolve({ messages: [{ id: 'wamid' }] });
+  }));
+
+  const result = await enqueueMessage(BUSINESS, '15550000001', text('hello'));
+  assert.equal(result.status, 'pending');
+
+  // The send was started but is still in flight
+  await sleep(10);
+  assert.equal(sendMock.mock.callCount(), 1);
+  release();
+  await settle();
+  assert.deepEqual(sentBodies(), ['hello']);
+});
+
+test('a retryable failure is retried with backoff and keeps the user\'s order', async () => {
+  const attempts = [];
+  sendMock.mock.mockImplementation(async (phoneNumberId, to, payload) => {
+    attempts.push({ body: payload.text.body, at: Date.now() });
+    if (payload.text.body === 'first' && attempts.filter(item => item.body === 'first').length === 1) {
+      throw sendError(503);
+    }
+    return { messages: [{ id: 'wamid' }] };
+  });
+
+  await enqueueMessage(BUSINESS, '15550000002', text('first'));
+  await enqueueMessage(BUSINESS, '15550000002', text('second'));
+  await settle();
+
+  assert.deepEqual(attempts.map(item => item.body), ['first', 'first', 'second']);
+  // The retry waited at least the base delay
+  assert.ok(attempts[1].at - attempts[0].at >= 40);
+  assert.equal((await getQueueState()).stats.retried, 1);
+});
+
+test('a message that keeps failing stops after the last attempt', async () => {
+  sendMock.mock.mockImplementation(async () => {
+    throw sendError(500);
+  });
+
+  const { id } = await enqueueMessage(BUSINESS, '15550000003', text('doomed'));
+  await settle();
+
+  assert.equal(sendMock.mock.callCount(), 3);
+  const failed = (await getQueueState()).failed.find(message => message.id === id);
+  assert.equal(failed.attempts, 3);
+  assert.equal(failed.lastStatus, 500);
+});
+
+test('a rejected message is not retried', async () => {
+  sendMock.mock.mockImplementation(async () => {
+    throw sendError(400);
+  });
+
+  const { id } = await enqueueMessage(BUSINESS, '15550000004', text('bad recipient'));
+  await settle();
+
+  assert.equal(sendMock.mock.callCount(), 1);
+  assert.equal((await getQueueState()).failed.find(message => message.id === id).attempts, 1);
+});
+
+test('sends are spaced out to the rate limit', async () => {
+  const times = [];
+  sendMock.mock.mockImplementation(async () => {
+    times.push(Date.now());
+    return { messages: [{ id: 'wamid' }] };
+  });
+
+  await enqueueMessage(BUSINESS, '15550000005', text('one'));
+  await enqueueMessage(BUSINESS, '15550000006', text('two'));
+  await enqueueMessage(BUSINESS, '15550000007', text('three'));
+  await settle();
+
+  assert.equal(times.length, 3);
+  // 20 per second is one every 50ms (allow for timer rounding)
+  assert.ok(times[1] - times[0] >= 45);
+  assert.ok(times[2] - times[1] >= 45);
+});
+
+test('a storage error after a send does not send the message again', async () => {
+  deleteMock.mock.mockImplementationOnce(async () => {
+    throw new Error('database unavailable');
+  });
+
+  const { id } = await enqueueMessage(BUSINESS, '15550000008', text('once only'));
+  await settle();
+  await processQueue();
+
+  assert.deepEqual(sentBodies(), ['once only']);
+  const { pending, sending, failed } = await getQueueState();
+  assert.ok(![...pending, ...sending, ...failed].some(message => message.id === id));
+});
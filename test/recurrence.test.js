@@ -0,0 +1,84 @@
+// Tests for recurrence.js - building, splitting and describing RRULEs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { zonedTimeToUtc } = require('../timezone');
+const {
+  buildRRule,
+  parseRRule,
+  findRRule,
+  truncateRecurrence,
+  withCount,
+  alignStartDate,
+  describeRRule
+} = require('../recurrence');
+
+test('buildRRule turns the AI fields into an RRULE', () => {
+  assert.equal(buildRRule({ frequency: 'daily' }, 'UTC'), 'RRULE:FREQ=DAILY');
+  assert.equal(
+    buildRRule({ frequency: 'Weekly', interval: 2, byDay: ['monday', 'WE', 'mon', 'xx'], count: 10 }, 'UTC'),
+    'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10'
+  );
+  assert.throws(() => buildRRule({ frequency: 'hourly' }, 'UTC'), /Unsupported recurrence frequency/);
+});
+
+test('buildRRule ends on the last second of the local UNTIL day, and UNTIL wins over COUNT', () => {
+  assert.equal(
+    buildRRule({ frequency: 'weekly', until: '2026-12-25', count: 3 }, 'America/New_York'),
+    'RRULE:FREQ=WEEKLY;UNTIL=20261226T045959Z'
+  );
+  assert.equal(
+    buildRRule({ frequency: 'daily', until: '2026-07-01T09:00:00' }, 'Europe/Berlin'),
+    'RRULE:FREQ=DAILY;UNTIL=20260701T215959Z'
+  );
+});
+
+test('parseRRule and findRRule read a Google recurrence array', () => {
+  const recurrence = ['EXDATE;TZID=UTC:20261102T090000', 'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4'];
+  assert.equal(findRRule(recurrence), recurrence[1]);
+  assert.equal(findRRule(['EXDATE:20261102']), null);
+  assert.equal(findRRule(undefined), null);
+  assert.deepEqual(parseRRule(recurrence[1]), { FREQ: 'WEEKLY', BYDAY: 'MO', COUNT: '4' });
+});
+
+test('truncateRecurrence ends a timed series one second before the split', () => {
+  const recurrence = ['RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=10', 'EXDATE;TZID=UTC:20261102T090000'];
+  assert.deepEqual(truncateRecurrence(recurrence, new Date('2026-11-16T09:00:00Z')), [
+    'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261116T085959Z',
+    'EXDATE;TZID=UTC:20261102T090000'
+  ]);
+});
+
+test('truncateRecurrence ends an all-day series with a DATE on the day before', () => {
+  // Midnight in Auckland is still the previous day in UTC
+  const splitAt = zonedTimeToUtc('2026-11-10', 'Pacific/Auckland');
+  assert.deepEqual(
+    truncateRecurrence(['RRULE:FREQ=DAILY;UNTIL=20261231'], splitAt, { allDay: true, timezone: 'Pacific/Auckland' }),
+    ['RRULE:FREQ=DAILY;UNTIL=20261109']
+  );
+  assert.deepEqual(
+    truncateRecurrence(['RRULE:FREQ=YEARLY'], zonedTimeToUtc('2027-01-01', 'America/Los_Angeles'), { allDay: true, timezone: 'America/Los_Angeles' }),
+    ['RRULE:FREQ=YEARLY;UNTIL=20261231']
+  );
+});
+
+test('withCount replaces the COUNT of the rule only', () => {
+  assert.deepEqual(
+    withCount(['RRULE:FREQ=DAILY;COUNT=10', 'EXDATE:20261105'], 4),
+    ['RRULE:FREQ=DAILY;COUNT=4', 'EXDATE:20261105']
+  );
+});
+
+test('alignStartDate moves the start to the first allowed day', () => {
+  // 2026-10-20 is a Tuesday
+  assert.equal(alignStartDate('2026-10-20', { byDay: ['MO', 'WE'] }), '2026-10-21');
+  assert.equal(alignStartDate('2026-10-20', { byDay: ['tuesday'] }), '2026-10-20');
+  assert.equal(alignStartDate('2026-10-20', { byDay: ['monday'] }), '2026-10-26');
+  assert.equal(alignStartDate('2026-10-20', {}), '2026-10-20');
+});
+
+test('describeRRule reads a rule back in words', () => {
+  assert.equal(describeRRule('RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR', 'UTC'), 'every week on Monday, Wednesday and Friday');
+  assert.equal(describeRRule('RRULE:FREQ=MONTHLY;INTERVAL=3;COUNT=4', 'UTC'), 'every 3 months, 4 times');
+  assert.equal(describeRRule('RRULE:FREQ=DAILY;UNTIL=20261226T045959Z', 'America/New_York'), 'every day until Dec 25, 2026');
+  assert.equal(describeRRule('RRULE:FREQ=DAILY;UNTIL=20261109', 'Pacific/Auckland'), 'every day until Nov 9, 2026');
+});
@@ -0,0 +1,106 @@
+// Tests for reminderScheduler.js - reminder offsets and the jobs kept for each event
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep this run's files apart from a local development setup
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tary-reminders-test-'));
+process.env.STORAGE_BACKEND = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'users.json');
+process.env.MESSAGE_LEDGER_FILE = path.join(dir, 'ledger.json');
+process.env.REMINDER_JOBS_FILE = path.join(dir, 'reminders.json');
+process.env.REMINDER_CHECK_INTERVAL_SECONDS = '0';
+
+const { setReminderMinutes, listReminderJobs } = require('../userStorage');
+const {
+  createReminderScheduler,
+  normalizeReminderMinutes,
+  parseReminderOffsets,
+  describeReminders,
+  withEventReminders,
+  getEventReminderMinutes
+} = require('../reminderScheduler');
+
+const PHONE = '15550001111';
+
+test.before(() => {
+  test.mock.method(console, 'log', () => {});
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function createScheduler() {
+  return createReminderScheduler({
+    getCalendarEvents: async () => [],
+    sendMessage: async () => {},
+    phoneNumberId: 'test-number'
+  });
+}
+
+// A timed event starting the given number of hours from now
+function eventIn(hours, fields = {}) {
+  const start = new Date(Date.now() + hours * 60 * 60 * 1000);
+  start.setUTCSeconds(0, 0);
+  return {
+    id: 'evt1',
+    summary: 'Dentist',
+    start: { dateTime: start.toISOString() },
+    end: { dateTime: new Date(start.getTime() + 30 * 60 * 1000).toISOString() },
+    ...fields
+  };
+}
+
+test('offsets are cleaned up and read from text', () => {
+  assert.deepEqual(normalizeReminderMinutes([60, '15', 15, -5, 'soon']), [15, 60]);
+  assert.equal(normalizeReminderMinutes(undefined), null);
+  assert.deepEqual(parseReminderOffsets('15 min and 1 hour'), [15, 60]);
+  assert.equal(describeReminders([0, 90]), 'when it starts and 1 hour 30 minutes before');
+});
+
+test('an event can carry its own offsets, or none', () => {
+  const extendedProperties = withEventReminders({ private: { other: 'kept' } }, [10, 30]);
+  assert.deepEqual(extendedProperties.private, { other: 'kept', whatsappReminders: '10,30' });
+  assert.deepEqual(getEventReminderMinutes({ extendedProperties }), [10, 30]);
+  assert.deepEqual(getEventReminderMinutes({ extendedProperties: withEventReminders({}, []) }), []);
+  assert.equal(getEventReminderMinutes({}), null);
+});
+
+test('each event and offset gets one job with a fixed ID', async () => {
+  await setReminderMinutes(PHONE, [15, 60]);
+  const scheduler = createScheduler();
+  const event = eventIn(3);
+
+  await scheduler.syncEventReminders(PHONE, event);
+  // Syncing again (e.g. the event was saved twice) must not add reminders
+  await scheduler.syncEventReminders(PHONE, event);
+
+  const jobs = await listReminderJobs({ phoneNumber: PHONE });
+  assert.deepEqual(jobs.map(job => job.id), [`${PHONE}:evt1:60`, `${PHONE}:evt1:15`]);
+  const start = new Date(event.start.dateTime).getTime();
+  assert.deepEqual(jobs.map(job => new Date(job.remindAt).getTime()), [start - 60 * 60000, start - 15 * 60000]);
+  assert.ok(jobs.every(job => job.status === 'pending' && job.eventStart === event.start.dateTime));
+});
+
+test('an event\'s own offsets replace the default, and deleting it drops its jobs', async () => {
+  await setReminderMinutes(PHONE, [15, 60]);
+  const scheduler = createScheduler();
+  const event = eventIn(5, { id: 'evt2', extendedProperties: withEventReminders({}, [30]) });
+
+  await scheduler.syncEventReminders(PHONE, event);
+  assert.deepEqual((await listReminderJobs({ phoneNumber: PHONE })).filter(job => job.eventId === 'evt2').map(job => job.id), [`${PHONE}:evt2:30`]);
+
+  await scheduler.cancelEventReminders(PHONE, 'evt2');
+  assert.deepEqual((await listReminderJobs({ phoneNumber: PHONE })).filter(job => job.eventId === 'evt2'), []);
+});
+
+test('a reminder problem never fails the calendar change', async () => {
+  await setReminderMinutes(PHONE, [15]);
+  const scheduler = createScheduler();
+  const errors = test.mock.method(console, 'error', () => {});
+
+  // app.js awaits these straight after changing the event, with no catch of its own
+  await assert.doesNotReject(scheduler.syncEventReminders(PHONE, null));
+  assert.equal(errors.mock.callCount(), 1);
+  errors.mock.restore();
+});
@@ -0,0 +1,126 @@
+// Tests for ruleParser.js - the fallback phrasings understood without the AI
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIntentWithRules, parseTimeReply } = require('../ruleParser');
+
+const TIMEZONE = 'America/New_York';
+// Monday 19 October 2026, 8:00 AM in New York
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+function parse(message) {
+  return parseIntentWithRules(message, { timezone: TIMEZONE, now: NOW });
+}
+
+test('reads a day of the calendar', () => {
+  assert.deepEqual(parse('what do I have tomorrow'), {
+    action: 'read_events',
+    parameters: { date: '2026-10-20', dateRange: 'day' }
+  });
+  assert.deepEqual(parse('show my calendar for next week'), {
+    action: 'read_events',
+    parameters: { dateRange: 'week' }
+  });
+});
+
+test('creates an event with a day, time and length', () => {
+  assert.deepEqual(parse('schedule dentist on Friday at 2pm for 30 minutes'), {
+    action: 'create_event',
+    parameters: { summary: 'Dentist', startDateTime: '2026-10-23T14:00:00', endDateTime: '2026-10-23T14:30:00' }
+  });
+});
+
+test('takes a place after "at" once the time is out', () => {
+  assert.deepEqual(parse('book lunch at Cafe Sydney tomorrow at 1pm'), {
+    action: 'create_event',
+    parameters: {
+      summary: 'Lunch',
+      location: 'Cafe Sydney',
+      startDateTime: '2026-10-20T13:00:00',
+      endDateTime: '2026-10-20T14:00:00'
+    }
+  });
+});
+
+test('does not take "my calendar" as the place', () => {
+  assert.deepEqual(parse('put gym in my calendar at 7am'), {
+    action: 'create_event',
+    parameters: { summary: 'Gym', startDateTime: '2026-10-19T07:00:00', endDateTime: '2026-10-19T08:00:00' }
+  });
+});
+
+test('reads a bare hour after "at" as a time', () => {
+  assert.deepEqual(parse('add meeting with team at 10 on monday'), {
+    action: 'create_event',
+    parameters: { summary: 'Meeting with team', startDateTime: '2026-10-26T10:00:00', endDateTime: '2026-10-26T11:00:00' }
+  });
+  // Small hours without am/pm are evening
+  assert.equal(parse('add dinner at 7 on friday').parameters.startDateTime, '2026-10-23T19:00:00');
+});
+
+test('never takes a number as the place', () => {
+  const { parameters } = parse('add meeting at 25');
+  assert.equal(parameters.location, undefined);
+  assert.equal(parameters.startDateTime, undefined);
+});
+
+test('keeps the day and length when there is no time', () => {
+  assert.deepEqual(parse('add dentist tomorrow'), {
+    action: 'create_event',
+    parameters: { summary: 'Dentist', date: '2026-10-20' }
+  });
+  assert.deepEqual(parse('book a haircut on thursday for 45 minutes'), {
+    action: 'create_event',
+    parameters: { summary: 'Haircut', date: '2026-10-22', durationMinutes: 45 }
+  });
+});
+
+test('moves, renames and reminds', () => {
+  assert.deepEqual(parse('move dentist to Monday at 10am'), {
+    action: 'update_event',
+    parameters: { searchQuery: 'dentist', updates: { startDateTime: '2026-10-26T10:00:00' } }
+  });
+  assert.deepEqual(parse('move dentist to 4pm'), {
+    action: 'update_event',
+    parameters: { searchQuery: 'dentist', updates: { startDateTime: '16:00' } }
+  });
+  assert.deepEqual(parse('rename dentist to checkup'), {
+    action: 'update_event',
+    parameters: { searchQuery: 'dentist', updates: { summary: 'Checkup' } }
+  });
+  assert.deepEqual(parse('remind me 15 minutes before dentist'), {
+    action: 'update_event',
+    parameters: { searchQuery: 'dentist', updates: { reminderMinutes: [15] } }
+  });
+});
+
+test('cancels one event or a series', () => {
+  assert.deepEqual(parse('cancel dentist'), {
+    action: 'delete_event',
+    parameters: { searchQuery: 'dentist' }
+  });
+  assert.deepEqual(parse('delete my standup series'), {
+    action: 'delete_event',
+    parameters: { searchQuery: 'standup', scope: 'all' }
+  });
+});
+
+test('finds free time', () => {
+  assert.deepEqual(parse('when am I free tomorrow afternoon for an hour'), {
+    action: 'find_free_time',
+    parameters: { date: '2026-10-20', timeOfDay: 'afternoon', durationMinutes: 60 }
+  });
+});
+
+test('leaves anything else to the AI', () => {
+  assert.deepEqual(parse('hello there'), { action: 'unknown', parameters: {} });
+});
+
+test('parseTimeReply reads an answer to "what time?"', () => {
+  const reply = message => parseTimeReply(message, { timezone: TIMEZONE, now: NOW });
+  assert.deepEqual(reply('3pm'), { time: '15:00', date: null });
+  assert.deepEqual(reply('10'), { time: '10:00', date: null });
+  assert.deepEqual(reply('make it 10:30'), { time: '10:30', date: null });
+  assert.deepEqual(reply('friday at 9'), { time: '09:00', date: '2026-10-23' });
+  assert.equal(reply('cancel dentist at 3pm'), null);
+  assert.equal(reply('what do I have tomorrow'), null);
+});
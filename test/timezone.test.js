@@ -0,0 +1,45 @@
+// Tests for timezone.js - wall-clock times across DST in both hemispheres
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { zonedTimeToUtc, toLocalDateTime, startOfDay, startOfNextDay } = require('../timezone');
+
+function utc(localDateTime, timeZone) {
+  return zonedTimeToUtc(localDateTime, timeZone).toISOString();
+}
+
+test('converts ordinary times with the offset in force', () => {
+  assert.equal(utc('2024-07-01T09:00', 'America/New_York'), '2024-07-01T13:00:00.000Z');
+  assert.equal(utc('2024-01-15T09:00', 'America/New_York'), '2024-01-15T14:00:00.000Z');
+  assert.equal(utc('2024-07-01T09:00', 'Australia/Sydney'), '2024-06-30T23:00:00.000Z');
+  assert.equal(utc('2024-01-15T09:00', 'Australia/Sydney'), '2024-01-14T22:00:00.000Z');
+});
+
+test('moves a time in the spring-forward gap forward by the gap', () => {
+  // New York skips 2:00-3:00 on 10 March 2024; 2:30 is read as 3:30 EDT
+  assert.equal(utc('2024-03-10T02:30', 'America/New_York'), '2024-03-10T07:30:00.000Z');
+  assert.equal(toLocalDateTime(zonedTimeToUtc('2024-03-10T02:30', 'America/New_York'), 'America/New_York'), '2024-03-10T03:30:00');
+  // Sydney skips 2:00-3:00 on 6 October 2024; 2:30 is read as 3:30 AEDT
+  assert.equal(utc('2024-10-06T02:30', 'Australia/Sydney'), '2024-10-05T16:30:00.000Z');
+  assert.equal(toLocalDateTime(zonedTimeToUtc('2024-10-06T02:30', 'Australia/Sydney'), 'Australia/Sydney'), '2024-10-06T03:30:00');
+});
+
+test('takes the first of two times repeated by fall-back', () => {
+  // New York repeats 1:00-2:00 on 3 November 2024; 1:30 EDT comes first
+  assert.equal(utc('2024-11-03T01:30', 'America/New_York'), '2024-11-03T05:30:00.000Z');
+  // Sydney repeats 2:00-3:00 on 7 April 2024; 2:30 AEDT comes first
+  assert.equal(utc('2024-04-07T02:30', 'Australia/Sydney'), '2024-04-06T15:30:00.000Z');
+});
+
+test('times either side of a transition keep their own offset', () => {
+  assert.equal(utc('2024-03-10T01:59', 'America/New_York'), '2024-03-10T06:59:00.000Z');
+  assert.equal(utc('2024-03-10T03:00', 'America/New_York'), '2024-03-10T07:00:00.000Z');
+  assert.equal(utc('2024-04-07T03:00', 'Australia/Sydney'), '2024-04-06T17:00:00.000Z');
+});
+
+test('days that change clocks are 23 or 25 hours long', () => {
+  const hours = (date, timeZone) => (startOfNextDay(date, timeZone) - startOfDay(date, timeZone)) / 3600000;
+  assert.equal(hours('2024-03-10', 'America/New_York'), 23);
+  assert.equal(hours('2024-11-03', 'America/New_York'), 25);
+  assert.equal(hours('2024-10-06', 'Australia/Sydney'), 23);
+  assert.equal(hours('2024-04-07', 'Australia/Sydney'), 25);
+});
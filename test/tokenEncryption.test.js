@@ -0,0 +1,99 @@
+// Tests for storage/tokenEncryption.js - per-user envelopes, old records and key rotation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('hex');
+const TOKENS = { access_token: 'ya29.access', refresh_token: '1//refresh', expiry_date: 1760000000000 };
+const PHONE = '15550001111';
+
+// Load the module with the given TOKEN_ENCRYPTION_KEYS (keys are read once, at require time)
+function loadWithKeys(spec) {
+  process.env.TOKEN_ENCRYPTION_KEYS = spec;
+  delete require.cache[require.resolve('../storage/tokenEncryption')];
+  return require('../storage/tokenEncryption');
+}
+
+// A record as it was written before tokens were bound to their user
+function sealUnbound(keyId, masterKey, tokens) {
+  const seal = (key, plaintext, aad) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  };
+  const dataKey = crypto.randomBytes(32);
+  return {
+    encryption: 1,
+    keyId,
+    dataKey: seal(Buffer.from(masterKey, 'base64'), dataKey, `data-key:${keyId}`),
+    data: seal(dataKey, JSON.stringify(tokens), 'google-tokens')
+  };
+}
+
+test.before(() => {
+  test.mock.method(console, 'warn', () => {});
+});
+test.after(() => {
+  delete process.env.TOKEN_ENCRYPTION_KEYS;
+});
+
+test('tokens round-trip for the user they belong to', () => {
+  const { encryptTokens, decryptTokens, needsReencryption, describeTokens } = loadWithKeys(`old:${OLD_KEY}`);
+
+  const stored = encryptTokens(TOKENS, PHONE);
+  assert.equal(stored.encryption, 2);
+  assert.equal(stored.keyId, 'old');
+  assert.ok(!JSON.stringify(stored).includes('refresh'));
+  assert.deepEqual(decryptTokens(stored, PHONE), TOKENS);
+  assert.equal(needsReencryption(stored), false);
+  assert.deepEqual(describeTokens(stored), { encrypted: true, keyId: 'old' });
+});
+
+test('tokens copied onto another user do not decrypt', () => {
+  const { encryptTokens, decryptTokens } = loadWithKeys(`old:${OLD_KEY}`);
+
+  const stored = encryptTokens(TOKENS, PHONE);
+  assert.throws(() => decryptTokens(stored, '15550002222'));
+  assert.throws(() => decryptTokens(stored), /phone number/);
+});
+
+test('records from before the binding still decrypt and are marked for re-encryption', () => {
+  const { encryptTokens, decryptTokens, needsReencryption } = loadWithKeys(`old:${OLD_KEY}`);
+
+  const unbound = sealUnbound('old', OLD_KEY, TOKENS);
+  assert.deepEqual(decryptTokens(unbound, PHONE), TOKENS);
+  assert.equal(needsReencryption(unbound), true);
+
+  // What reencrypt-tokens does: decrypt, then encrypt again for the owner
+  const bound = encryptTokens(decryptTokens(unbound, PHONE), PHONE);
+  assert.equal(bound.encryption, 2);
+  assert.equal(needsReencryption(bound), false);
+  assert.deepEqual(decryptTokens(bound, PHONE), TOKENS);
+});
+
+test('rotating keys keeps old records readable until they are re-encrypted', () => {
+  const before = loadWithKeys(`old:${OLD_KEY}`);
+  const stored = before.encryptTokens(TOKENS, PHONE);
+
+  const rotated = loadWithKeys(`new:${NEW_KEY},old:${OLD_KEY}`);
+  assert.equal(rotated.activeKeyId, 'new');
+  assert.equal(rotated.needsReencryption(stored), true);
+  const moved = rotated.encryptTokens(rotated.decryptTokens(stored, PHONE), PHONE);
+  assert.equal(moved.keyId, 'new');
+  assert.equal(rotated.needsReencryption(moved), false);
+
+  // Once the old key is dropped only moved records can be read
+  const after = loadWithKeys(`new:${NEW_KEY}`);
+  assert.deepEqual(after.decryptTokens(moved, PHONE), TOKENS);
+  assert.throws(() => after.decryptTokens(stored, PHONE), /"old" is not in TOKEN_ENCRYPTION_KEYS/);
+});
+
+test('without keys, tokens are stored as they are', () => {
+  const { encryptTokens, decryptTokens, needsReencryption } = loadWithKeys('');
+  assert.deepEqual(encryptTokens(TOKENS, PHONE), TOKENS);
+  assert.deepEqual(decryptTokens(TOKENS, PHONE), TOKENS);
+  assert.equal(needsReencryption(TOKENS), false);
+});
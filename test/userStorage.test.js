@@ -0,0 +1,62 @@
+// Tests for the handled-message ledger in userStorage.js, on the file backend
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep this run's files apart from a local development setup
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tary-ledger-test-'));
+process.env.STORAGE_BACKEND = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'users.json');
+process.env.MESSAGE_LEDGER_FILE = path.join(dir, 'ledger.json');
+
+const { claimMessage, completeMessage } = require('../userStorage');
+const fileBackend = require('../storage/fileBackend');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function readLedger() {
+  return JSON.parse(fs.readFileSync(process.env.MESSAGE_LEDGER_FILE, 'utf8'));
+}
+
+test('a message ID is claimed once; a retried delivery is skipped', async () => {
+  assert.equal(await claimMessage('wamid.once', '15550001111'), true);
+  assert.equal(await claimMessage('wamid.once', '15550001111'), false);
+
+  const entry = readLedger()['wamid.once'];
+  assert.equal(entry.status, 'processing');
+  assert.equal(entry.phoneNumber, '15550001111');
+});
+
+test('a handled message stays handled', async () => {
+  await claimMessage('wamid.done', '15550001111');
+  await completeMessage('wamid.done');
+
+  assert.equal(readLedger()['wamid.done'].status, 'done');
+  assert.equal(await claimMessage('wamid.done', '15550001111'), false);
+});
+
+test('two deliveries arriving together: only one wins the claim', async () => {
+  const results = await Promise.all([
+    claimMessage('wamid.race', '15550001111'),
+    claimMessage('wamid.race', '15550001111')
+  ]);
+  assert.deepEqual(results.sort(), [false, true]);
+});
+
+test('a claim stuck in processing, or an expired entry, can be claimed again', async () => {
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const inAWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+  await claimMessage('wamid.stuck', '15550001111');
+  // Still being handled and not stale yet
+  assert.equal(await fileBackend.claimMessage('wamid.stuck', '15550001111', { expiresAt: inAWeek, staleBefore: hourAgo }), false);
+  // Claimed before staleBefore: assumed lost
+  const future = new Date(Date.now() + 1000).toISOString();
+  assert.equal(await fileBackend.claimMessage('wamid.stuck', '15550001111', { expiresAt: inAWeek, staleBefore: future }), true);
+
+  await fileBackend.claimMessage('wamid.old', '15550001111', { expiresAt: hourAgo, staleBefore: hourAgo });
+  await fileBackend.completeMessage('wamid.old');
+  assert.equal(await claimMessage('wamid.old', '15550001111'), true);
+});
@@ -0,0 +1,246 @@
+// Timezone helpers - DST-correct date math in a user's IANA timezone
+// All calculations go through Intl so they never depend on the server's own timezone
+
+// Fallback for users who have not set a timezone yet
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Australia/Sydney';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Formatter cache - constructing Intl.DateTimeFormat is relatively expensive
+const formatters = {};
+
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'long'
+    });
+  }
+  return formatters[timeZone];
+}
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} timeZone - e.g. "Europe/London"
+ * @returns {boolean}
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Return the canonical name of the given timezone if valid, otherwise the default timezone
+ * @param {string} timeZone - Timezone stored on the user record (may be empty)
+ * @returns {string} - e.g. "europe/london" becomes "Europe/London"
+ */
+function resolveTimezone(timeZone) {
+  if (!isValidTimezone(timeZone)) {
+    return DEFAULT_TIMEZONE;
+  }
+  return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second, weekday }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: parts.weekday
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getTimezoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const wholeSeconds = date.getTime() - (date.getTime() % 1000);
+  return asUtc - wholeSeconds;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Format an instant as a local date string (YYYY-MM-DD) in a timezone
+ */
+function formatDate(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Format an instant as a local time string (HH:MM:SS) in a timezone
+ */
+function formatTime(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * Format an instant as a local datetime without offset (YYYY-MM-DDTHH:MM:SS)
+ */
+function toLocalDateTime(date, timeZone) {
+  return `${formatDate(date, timeZone)}T${formatTime(date, timeZone)}`;
+}
+
+/**
+ * Convert a wall-clock datetime in a timezone to the matching instant
+ * Handles DST the way JavaScript dates do, in either hemisphere: a time skipped
+ * by spring-forward keeps the offset from before the jump, so it moves forward by
+ * the gap (2:30 becomes 3:30), and a time repeated by fall-back is the first of the two
+ * @param {string} localDateTime - "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM[:SS]"
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(localDateTime, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(localDateTime);
+  if (!match) {
+    throw new Error(`Invalid local datetime: ${localDateTime}`);
+  }
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+
+  // The offsets either side of any transition near this time (transitions are months apart)
+  const offsetBefore = getTimezoneOffset(new Date(wallClock - DAY_MS), timeZone);
+  const offsetAfter = getTimezoneOffset(new Date(wallClock + DAY_MS), timeZone);
+
+  // Instants that really show this wall-clock time: one normally, two in a fall-back overlap,
+  // none in a spring-forward gap
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => wallClock - offset)
+    .filter(utc => getTimezoneOffset(new Date(utc), timeZone) === wallClock - utc);
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : wallClock - offsetBefore);
+}
+
+/**
+ * Add calendar days to a local date string (no timezone involved)
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const result = new Date(Date.UTC(year, month - 1, day + days));
+  return result.toISOString().split('T')[0];
+}
+
+/**
+ * Add minutes to a wall-clock datetime string, keeping it as wall-clock time
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:MM[:SS]"
+ * @param {number} minutes - Minutes to add
+ * @returns {string} - "YYYY-MM-DDTHH:MM:SS"
+ */
+function addMinutesToLocal(localDateTime, minutes) {
+  const base = new Date(`${localDateTime.slice(0, 19)}Z`);
+  if (isNaN(base.getTime())) {
+    throw new Error(`Invalid local datetime: ${localDateTime}`);
+  }
+  return new Date(base.getTime() + minutes * 60000).toISOString().slice(0, 19);
+}
+
+/**
+ * First instant of a local day in a timezone
+ * @param {string} dateStr - "YYYY-MM-DD"
+ */
+function startOfDay(dateStr, timeZone) {
+  return zonedTimeToUtc(`${dateStr}T00:00:00`, timeZone);
+}
+
+/**
+ * First instant of the following local day (use as an exclusive range end)
+ * Days are 23 or 25 hours long across DST changes, so never add 24h by hand
+ */
+function startOfNextDay(dateStr, timeZone) {
+  return startOfDay(addDays(dateStr, 1), timeZone);
+}
+
+/**
+ * Get today's local date in a timezone
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function getToday(timeZone, now = new Date()) {
+  return formatDate(now, timeZone);
+}
+
+/**
+ * Day of week (0 = Sunday) of a local date string
+ */
+function getDayOfWeek(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Get the next occurrence of a day of the week, as a local date
+ * @param {string} dayName - Name of the day (e.g., "monday", "friday")
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} now - Reference instant (defaults to now)
+ * @returns {string|null} - "YYYY-MM-DD", or null for an invalid day name
+ */
+function getNextDayOfWeek(dayName, timeZone, now = new Date()) {
+  const targetDay = DAY_NAMES.indexOf(String(dayName).toLowerCase());
+  if (targetDay === -1) {
+    return null;
+  }
+
+  const today = getToday(timeZone, now);
+  let daysUntilTarget = targetDay - getDayOfWeek(today);
+  if (daysUntilTarget <= 0) {
+    daysUntilTarget += 7; // Next week
+  }
+  return addDays(today, daysUntilTarget);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DAY_NAMES,
+  isValidTimezone,
+  resolveTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  formatDate,
+  formatTime,
+  toLocalDateTime,
+  zonedTimeToUtc,
+  addDays,
+  addMinutesToLocal,
+  startOfDay,
+  startOfNextDay,
+  getToday,
+  getDayOfWeek,
+  getNextDayOfWeek
+};
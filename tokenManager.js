@@ -0,0 +1,179 @@
+// Token Manager - Google access tokens for calendar calls
+// Every call gets its own OAuth2 client, so requests for different users can never share
+// credentials. Tokens are refreshed a little before they expire. Refreshed tokens are merged
+// into the stored ones, because Google leaves refresh_token out of refresh responses.
+const { google } = require('googleapis');
+const { request } = require('./httpClient');
+const { getUserByPhone, updateCalendarTokens } = require('./userStorage');
+
+// Refresh this long before expiry_date so a token can't run out mid-request
+const REFRESH_MARGIN_MS = (parseInt(process.env.TOKEN_REFRESH_MARGIN_SECONDS, 10) || 300) * 1000;
+
+/**
+ * Combine stored tokens with newly issued ones
+ * Keeps the stored refresh_token when the new set doesn't include one
+ * @param {Object} storedTokens - Tokens saved for the user (may be null)
+ * @param {Object} newTokens - Tokens from a refresh or a new authorization
+ * @returns {Object}
+ */
+function mergeTokens(storedTokens, newTokens) {
+  return {
+    ...(storedTokens || {}),
+    ...newTokens,
+    refresh_token: newTokens.refresh_token || storedTokens?.refresh_token
+  };
+}
+
+// True if the tokens are still good for at least REFRESH_MARGIN_MS
+function isFresh(tokens) {
+  if (!tokens?.access_token) {
+    return false;
+  }
+  // Without an expiry date there is nothing to go on; a 401 will trigger a refresh
+  return !tokens.expiry_date || tokens.expiry_date - REFRESH_MARGIN_MS > Date.now();
+}
+
+/**
+ * Build a token manager for the app's Google OAuth client
+ * @param {Object} options
+ * @param {string} options.clientId - GOOGLE_CLIENT_ID
+ * @param {string} options.clientSecret - GOOGLE_CLIENT_SECRET
+ * @param {string} options.redirectUri - OAuth callback URL (must match Google Cloud Console)
+ */
+function createTokenManager({ clientId, clientSecret, redirectUri }) {
+  // Refreshes in progress by phone number, so simultaneous requests share one refresh
+  const refreshing = new Map();
+
+  // A new OAuth2 client with no credentials (for auth URLs and code exchange too)
+  function createOAuthClient() {
+    return new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+  }
+
+  async function refreshTokens(phoneNumber, tokens, force) {
+    // Another request may already have refreshed them
+    const latestUser = await getUserByPhone(phoneNumber);
+    const latestTokens = latestUser?.googleCalendarTokens || tokens;
+    if (!force && isFresh(latestTokens)) {
+      return latestTokens;
+    }
+
+    if (!latestTokens.refresh_token) {
+      throw new Error('Your Google Calendar access has expired. Send "/link-calendar" to reconnect it.');
+    }
+
+    console.log(`[TOKENS] Refreshing Google tokens for ${phoneNumber}`);
+    const client = createOAuthClient();
+    client.setCredentials(latestTokens);
+
+    let credentials;
+    try {
+      ({ credentials } = await client.refreshAccessToken());
+    } catch (error) {
+      console.error(`[TOKENS] Token refresh failed for ${phoneNumber}:`, error.message);
+      if (error.response?.data?.error === 'invalid_grant') {
+        throw new Error('Your Google Calendar access was revoked or has expired. Send "/link-calendar" to reconnect it.');
+      }
+      throw error;
+    }
+
+    const merged = mergeTokens(latestTokens, credentials);
+    await updateCalendarTokens(phoneNumber, merged);
+    return merged;
+  }
+
+  /**
+   * Get a usable access token for a user, refreshing it first if it expires soon
+   * @param {Object} user - User record with phoneNumber and googleCalendarTokens
+   * @param {Object} options - { force: true } refreshes even if the token looks fresh
+   * @returns {string} - Access token
+   */
+  async function getAccessToken(user, { force = false } = {}) {
+    const tokens = user.googleCalendarTokens;
+    if (!tokens) {
+      throw new Error('Calendar not linked');
+    }
+    if (!force && isFresh(tokens)) {
+      return tokens.access_token;
+    }
+
+    let refresh = refreshing.get(user.phoneNumber);
+    if (!refresh) {
+      refresh = refreshTokens(user.phoneNumber, tokens, force)
+        .finally(() => refreshing.delete(user.phoneNumber));
+      refreshing.set(user.phoneNumber, refresh);
+    }
+
+    const refreshed = await refresh;
+    // Later calls with the same record shouldn't refresh again
+    user.googleCalendarTokens = refreshed;
+    return refreshed.access_token;
+  }
+
+  /**
+   * Run an API call with the user's access token
+   * If Google rejects the token anyway (401), refresh it once and try again
+   * @param {Object} user - User record with phoneNumber and googleCalendarTokens
+   * @param {Function} call - async (accessToken) => result
+   */
+  async function withAccessToken(user, call) {
+    const accessToken = await getAccessToken(user);
+    try {
+      return await call(accessToken);
+    } catch (error) {
+      if (error.status !== 401) {
+        throw error;
+      }
+      console.warn(`[TOKENS] Google rejected the access token for ${user.phoneNumber}, refreshing`);
+      return await call(await getAccessToken(user, { force: true }));
+    }
+  }
+
+  /**
+   * Revoke the app's access to the user's Google account
+   * Revoking the refresh token ends the whole grant, access tokens included
+   * @param {Object} user - User record with phoneNumber and googleCalendarTokens
+   * @returns {boolean} - true if Google confirmed it, or the tokens were no longer valid anyway
+   */
+  async function revokeAccess(user) {
+    const tokens = user.googleCalendarTokens;
+    const token = tokens?.refresh_token || tokens?.access_token;
+    if (!token) {
+      return true;
+    }
+
+    try {
+      await request({
+        service: 'googleOAuth',
+        method: 'POST',
+        path: '/revoke',
+        // Form body rather than query string, so the token never appears in a URL
+        body: new URLSearchParams({ token }).toString(),
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        // Revoking twice does no harm
+        retries: 2
+      });
+      console.log(`[TOKENS] Revoked Google access for ${user.phoneNumber}`);
+      return true;
+    } catch (error) {
+      // invalid_token: already revoked or expired, so there is nothing left to revoke
+      if (error.status === 400) {
+        console.log(`[TOKENS] Google tokens for ${user.phoneNumber} were already invalid`);
+        return true;
+      }
+      console.error(`[TOKENS] Failed to revoke Google access for ${user.phoneNumber}:`, error.message);
+      return false;
+    }
+  }
+
+  return {
+    createOAuthClient,
+    getAccessToken,
+    withAccessToken,
+    revokeAccess
+  };
+}
+
+module.exports = {
+  createTokenManager,
+  mergeTokens
+};
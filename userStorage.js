@@ -1,75 +1,67 @@
-// Simple file-based storage using JSON file
-// Stores user data in a JSON file in the tmp directory
-const fs = require('fs').promises;
-const path = require('path');
-const os = require('os');
+// User storage - the interface the rest of the app uses for user records
+// Records live in a pluggable backend selected by STORAGE_BACKEND:
+//   file     - JSON file in the tmp directory (default, local development)
+//   postgres - users table in Vercel Postgres (see storage/migrations)
+// The backend also keeps the ledger of handled WhatsApp message IDs (claimMessage)
+// and the outbound WhatsApp message queue (see outboundQueue.js)
+// and scheduled event reminders (see reminderScheduler.js)
+// and signed-in admin sessions (see adminAuth.js)
+// Google tokens are encrypted before they reach any backend (see storage/tokenEncryption.js)
+const {
+  encryptTokens,
+  decryptTokens,
+  needsReencryption,
+  describeTokens
+} = require('./storage/tokenEncryption');
 
-// Storage file path - use tmp directory
-const STORAGE_FILE = path.join(os.tmpdir(), 'tary-users.json');
+const BACKENDS = {
+  file: () => require('./storage/fileBackend'),
+  postgres: () => require('./storage/postgresBackend')
+};
 
-// In-memory cache for faster access
-let usersCache = null;
-let cacheInitialized = false;
+const backendName = (process.env.STORAGE_BACKEND || 'file').toLowerCase();
 
-// Initialize storage - load existing data or create empty structure
-async function initStorage() {
-  try {
-    const data = await fs.readFile(STORAGE_FILE, 'utf8');
-    usersCache = JSON.parse(data);
-    cacheInitialized = true;
-    console.log(`[INFO] Loaded ${Object.keys(usersCache).length} users from storage`);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      // File doesn't exist, create empty storage
-      usersCache = {};
-      await saveToFile();
-      cacheInitialized = true;
-      console.log('[INFO] Created new storage file');
-    } else {
-      console.error('[ERROR] Failed to initialize storage:', error);
-      // Start with empty cache if read fails
-      usersCache = {};
-      cacheInitialized = true;
-    }
-  }
+if (!BACKENDS[backendName]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${backendName}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
 }
 
-// Save data to file
-async function saveToFile() {
-  try {
-    await fs.writeFile(STORAGE_FILE, JSON.stringify(usersCache, null, 2), 'utf8');
-  } catch (error) {
-    console.error('[ERROR] Failed to save to file:', error);
-    throw error;
+const backend = BACKENDS[backendName]();
+
+// Meta keeps retrying a webhook delivery for up to 7 days, so remember message IDs that long
+const PROCESSED_MESSAGE_TTL_MS = (parseInt(process.env.PROCESSED_MESSAGE_TTL_HOURS, 10) || 168) * 60 * 60 * 1000;
+// A claim still 'processing' after this long is assumed lost (crash or timeout) and can be retried
+const MESSAGE_PROCESSING_TIMEOUT_MS = (parseInt(process.env.MESSAGE_PROCESSING_TIMEOUT_MINUTES, 10) || 5) * 60 * 1000;
+
+// Backend record -> record the app uses (tokens decrypted)
+function fromStored(user) {
+  if (!user || !user.googleCalendarTokens) {
+    return user;
   }
+  return { ...user, googleCalendarTokens: decryptTokens(user.googleCalendarTokens, user.phoneNumber) };
 }
 
-// Ensure storage is initialized
-async function ensureInitialized() {
-  if (!cacheInitialized) {
-    await initStorage();
+// Record the app uses -> backend record (tokens encrypted with the current key, bound to the user)
+function toStored(user) {
+  if (!user.googleCalendarTokens) {
+    return user;
   }
+  return { ...user, googleCalendarTokens: encryptTokens(user.googleCalendarTokens, user.phoneNumber) };
 }
 
 // Initialize on module load
-initStorage().catch(err => {
+backend.init().catch(err => {
   console.error('[ERROR] Failed to initialize storage:', err);
 });
 
 // Get user by WhatsApp phone number
 async function getUserByPhone(phoneNumber) {
   try {
-    await ensureInitialized();
-    console.log(`[DEBUG] getUserByPhone called for ${phoneNumber}`);
-    console.log(`[DEBUG] Storage file: ${STORAGE_FILE}`);
-    console.log(`[DEBUG] Cache keys: ${Object.keys(usersCache).join(', ') || '(empty)'}`);
-    console.log(`[DEBUG] Total users in cache: ${Object.keys(usersCache).length}`);
+    console.log(`[DEBUG] getUserByPhone called for ${phoneNumber} (${backend.name} storage)`);
     
-    const user = usersCache[phoneNumber] || null;
+    const user = fromStored(await backend.getUser(phoneNumber));
     
     if (!user) {
       console.log(`[DEBUG] No user found for ${phoneNumber}`);
-      console.log(`[DEBUG] Available phone numbers: ${Object.keys(usersCache).join(', ') || '(none)'}`);
       return null;
     }
     
@@ -90,13 +82,11 @@ async function getUserByPhone(phoneNumber) {
 // Save or update user
 async function saveUser(phoneNumber, userData) {
   try {
-    await ensureInitialized();
-    
     const now = new Date().toISOString();
-    const existingUser = usersCache[phoneNumber] || {};
+    const existingUser = fromStored(await backend.getUser(phoneNumber)) || {};
     
     // Merge with existing data
-    usersCache[phoneNumber] = {
+    const user = {
       phoneNumber: phoneNumber,
       googleCalendarTokens: userData.googleCalendarTokens !== undefined 
         ? userData.googleCalendarTokens 
@@ -104,18 +94,41 @@ async function saveUser(phoneNumber, userData) {
       calendarLinked: userData.calendarLinked !== undefined 
         ? userData.calendarLinked 
         : existingUser.calendarLinked || false,
-      calendarLinkedAt: userData.calendarLinkedAt || existingUser.calendarLinkedAt,
+      calendarLinkedAt: userData.calendarLinkedAt !== undefined 
+        ? userData.calendarLinkedAt 
+        : existingUser.calendarLinkedAt,
       pendingOAuth: userData.pendingOAuth !== undefined 
         ? userData.pendingOAuth 
         : existingUser.pendingOAuth,
+      pendingLinkCode: userData.pendingLinkCode !== undefined 
+        ? userData.pendingLinkCode 
+        : existingUser.pendingLinkCode,
+      timezone: userData.timezone !== undefined 
+        ? userData.timezone 
+        : existingUser.timezone,
+      pendingAction: userData.pendingAction !== undefined 
+        ? userData.pendingAction 
+        : existingUser.pendingAction,
+      conversation: userData.conversation !== undefined 
+        ? userData.conversation 
+        : existingUser.conversation,
+      dailyAgenda: userData.dailyAgenda !== undefined 
+        ? userData.dailyAgenda 
+        : existingUser.dailyAgenda,
+      reminderMinutes: userData.reminderMinutes !== undefined 
+        ? userData.reminderMinutes 
+        : existingUser.reminderMinutes,
+      calendarFeed: userData.calendarFeed !== undefined 
+        ? userData.calendarFeed 
+        : existingUser.calendarFeed,
       updatedAt: now,
       createdAt: existingUser.createdAt || now
     };
     
-    await saveToFile();
+    const savedUser = fromStored(await backend.putUser(toStored(user)));
     console.log(`[DEBUG] Saved user ${phoneNumber}`);
     
-    return usersCache[phoneNumber];
+    return savedUser;
   } catch (error) {
     console.error(`[DEBUG] Error saving user ${phoneNumber}:`, error);
     throw error;
@@ -131,6 +144,186 @@ async function saveCalendarTokens(phoneNumber, tokens) {
   });
 }
 
+// Replace the stored tokens after a refresh, without touching the link status
+async function updateCalendarTokens(phoneNumber, tokens) {
+  return await saveUser(phoneNumber, {
+    googleCalendarTokens: tokens
+  });
+}
+
+// Forget the user's Google Calendar connection (revoke it at Google first, see tokenManager)
+// Pending questions, the conversation and reminders refer to calendar events, so they go too,
+// and the calendar feed link stops working (linking again must not bring an old link back)
+async function unlinkCalendar(phoneNumber) {
+  for (const job of await backend.listReminderJobs({ phoneNumber })) {
+    await backend.deleteReminderJob(job.id);
+  }
+  
+  return await saveUser(phoneNumber, {
+    googleCalendarTokens: null,
+    calendarLinked: false,
+    calendarLinkedAt: null,
+    pendingAction: null,
+    conversation: null,
+    calendarFeed: null
+  });
+}
+
+// Set the user's IANA timezone (e.g. "Europe/London")
+async function setUserTimezone(phoneNumber, timezone) {
+  return await saveUser(phoneNumber, {
+    timezone: timezone
+  });
+}
+
+// Store a question the bot is waiting on the user to answer (e.g. which event they meant)
+async function setPendingAction(phoneNumber, pendingAction) {
+  return await saveUser(phoneNumber, {
+    pendingAction: pendingAction
+  });
+}
+
+// Clear the pending question once it is answered, cancelled or expired
+async function clearPendingAction(phoneNumber) {
+  return await saveUser(phoneNumber, {
+    pendingAction: null
+  });
+}
+
+// Store the recent conversation (messages and touched events) used for follow-ups
+async function setConversation(phoneNumber, conversation) {
+  return await saveUser(phoneNumber, {
+    conversation: conversation
+  });
+}
+
+// Turn the daily agenda on ({ time: "HH:MM" }) or off (null)
+async function setDailyAgenda(phoneNumber, dailyAgenda) {
+  return await saveUser(phoneNumber, {
+    dailyAgenda: dailyAgenda
+  });
+}
+
+// Users with a linked calendar who asked for a daily agenda (see agendaScheduler.js)
+async function listAgendaSubscribers() {
+  const users = await backend.listUsers();
+  return users
+    .filter(user => user.dailyAgenda && user.googleCalendarTokens)
+    .map(user => ({
+      phoneNumber: user.phoneNumber,
+      timezone: user.timezone || null,
+      dailyAgenda: user.dailyAgenda
+    }));
+}
+
+// Set the default reminder offsets, in minutes before each event ([] for none)
+async function setReminderMinutes(phoneNumber, reminderMinutes) {
+  return await saveUser(phoneNumber, {
+    reminderMinutes: reminderMinutes
+  });
+}
+
+// Users with a linked calendar who use reminders, by default or on single events (see reminderScheduler.js)
+async function listReminderUsers() {
+  const users = await backend.listUsers();
+  return users
+    .filter(user => Array.isArray(user.reminderMinutes) && user.googleCalendarTokens)
+    .map(user => ({
+      phoneNumber: user.phoneNumber,
+      reminderMinutes: user.reminderMinutes
+    }));
+}
+
+// Turn the private calendar feed on ({ tokenHash, createdAt }) or off (null)
+async function setCalendarFeed(phoneNumber, calendarFeed) {
+  return await saveUser(phoneNumber, {
+    calendarFeed: calendarFeed
+  });
+}
+
+// The user a calendar feed token hash belongs to, or null (see calendarExport.js)
+async function getUserByFeedTokenHash(tokenHash) {
+  return fromStored(await backend.findUserByFeedTokenHash(tokenHash));
+}
+
+// Claim an inbound WhatsApp message before handling it (also used for one-off jobs, like a day's agenda)
+// Returns false if the message was already handled (or another delivery is handling it)
+async function claimMessage(messageId, phoneNumber) {
+  const now = Date.now();
+  return await backend.claimMessage(messageId, phoneNumber, {
+    expiresAt: new Date(now + PROCESSED_MESSAGE_TTL_MS).toISOString(),
+    staleBefore: new Date(now - MESSAGE_PROCESSING_TIMEOUT_MS).toISOString()
+  });
+}
+
+// Mark a claimed message as handled
+async function completeMessage(messageId) {
+  return await backend.completeMessage(messageId);
+}
+
+// Save a queued outbound message (new or updated)
+async function putOutboundMessage(message) {
+  return await backend.putOutboundMessage(message);
+}
+
+async function getOutboundMessage(id) {
+  return await backend.getOutboundMessage(id);
+}
+
+// Queued outbound messages, oldest first ('pending', 'sending', 'failed' or all)
+async function listOutboundMessages(status = null) {
+  return await backend.listOutboundMessages(status);
+}
+
+// Claim a queued message before sending it, so no other instance sends it too
+// A claim older than staleAfterMs is assumed lost and can be taken over
+// Returns the message, or null if it was sent, removed or claimed elsewhere
+async function claimOutboundMessage(id, staleAfterMs) {
+  const now = Date.now();
+  return await backend.claimOutboundMessage(id, {
+    claimedAt: new Date(now).toISOString(),
+    staleBefore: new Date(now - staleAfterMs).toISOString()
+  });
+}
+
+// Remove an outbound message once it is delivered or discarded
+async function deleteOutboundMessage(id) {
+  return await backend.deleteOutboundMessage(id);
+}
+
+// Save a reminder job (new or updated)
+async function putReminderJob(job) {
+  return await backend.putReminderJob(job);
+}
+
+// Reminder jobs, earliest first, filtered by { phoneNumber, status, remindBefore }
+async function listReminderJobs(filter = {}) {
+  return await backend.listReminderJobs(filter);
+}
+
+async function deleteReminderJob(id) {
+  return await backend.deleteReminderJob(id);
+}
+
+// Delete the jobs of events that started before the given time (ISO string)
+async function pruneReminderJobs(eventStartBefore) {
+  return await backend.pruneReminderJobs(eventStartBefore);
+}
+
+// Signed-in admin session by the hash of its ID, or null once it has expired
+async function getAdminSession(idHash) {
+  return await backend.getAdminSession(idHash);
+}
+
+// Save an admin session: { idHash, data, expiresAt }
+async function putAdminSession(record) {
+  return await backend.putAdminSession(record);
+}
+
+async function deleteAdminSession(idHash) {
+  return await backend.deleteAdminSession(idHash);
+}
+
 // Get pending OAuth state (for linking flow)
 async function getPendingOAuth(phoneNumber) {
   const user = await getUserByPhone(phoneNumber);
@@ -144,15 +337,24 @@ async function setPendingOAuth(phoneNumber, state) {
   });
 }
 
+// Set (or clear, with null) the one-time code for linking from the website
+async function setPendingLinkCode(phoneNumber, pendingLinkCode) {
+  return await saveUser(phoneNumber, {
+    pendingLinkCode: pendingLinkCode
+  });
+}
+
 // Clear pending OAuth state
 async function clearPendingOAuth(phoneNumber) {
   try {
-    await ensureInitialized();
+    const user = fromStored(await backend.getUser(phoneNumber));
     
-    if (usersCache[phoneNumber]) {
-      usersCache[phoneNumber].pendingOAuth = null;
-      usersCache[phoneNumber].updatedAt = new Date().toISOString();
-      await saveToFile();
+    if (user) {
+      await backend.putUser(toStored({
+        ...user,
+        pendingOAuth: null,
+        updatedAt: new Date().toISOString()
+      }));
     }
   } catch (error) {
     console.error(`[DEBUG] Error clearing pending OAuth for ${phoneNumber}:`, error);
@@ -160,15 +362,38 @@ async function clearPendingOAuth(phoneNumber) {
   }
 }
 
+/**
+ * Erase everything stored about a user: the user record, their number in the
+ * handled-message ledger, any messages to them still in the outbound queue, and their reminders
+ * @param {string} phoneNumber
+ * @returns {Object} - { userDeleted, ledgerEntries, outboundMessages, reminderJobs }
+ */
+async function deleteUser(phoneNumber) {
+  try {
+    const userDeleted = await backend.deleteUser(phoneNumber);
+    const forgotten = await backend.forgetPhoneNumber(phoneNumber);
+    console.log(`[DEBUG] Deleted data for ${phoneNumber}:`, { userDeleted, ...forgotten });
+    
+    return { userDeleted, ...forgotten };
+  } catch (error) {
+    console.error(`[DEBUG] Error deleting data for ${phoneNumber}:`, error);
+    throw error;
+  }
+}
+
 // Get all users (for admin dashboard)
 async function getAllUsers() {
   try {
-    await ensureInitialized();
+    const users = await backend.listUsers();
     
-    return Object.values(usersCache).map(user => ({
+    return users.map(user => ({
       phoneNumber: user.phoneNumber,
       calendarLinked: user.calendarLinked || false,
       calendarLinkedAt: user.calendarLinkedAt || null,
+      timezone: user.timezone || null,
+      dailyAgenda: user.dailyAgenda || null,
+      reminderMinutes: user.reminderMinutes || null,
+      calendarFeedSince: user.calendarFeed?.createdAt || null,
       updatedAt: user.updatedAt || null,
       createdAt: user.createdAt || null
     })).sort((a, b) => {
@@ -183,25 +408,122 @@ async function getAllUsers() {
   }
 }
 
-// Get raw storage data (for debugging)
+// Get storage backend details (for health checks)
+async function getStorageInfo() {
+  return {
+    backend: backend.name,
+    ...(await backend.describe())
+  };
+}
+
+// A user record for debugging output: secrets (tokens, nonces, code and feed hashes) and
+// what the user said are summarised, never returned
+function describeStoredUser(user) {
+  return {
+    ...user,
+    googleCalendarTokens: describeTokens(user.googleCalendarTokens),
+    pendingOAuth: user.pendingOAuth ? { pending: true } : null,
+    pendingLinkCode: user.pendingLinkCode
+      ? {
+        active: !!user.pendingLinkCode.hash,
+        sentAt: user.pendingLinkCode.sentAt || null,
+        expiresAt: user.pendingLinkCode.expiresAt || null,
+        attempts: user.pendingLinkCode.attempts || 0,
+        lockedUntil: user.pendingLinkCode.lockedUntil || null
+      }
+      : null,
+    pendingAction: user.pendingAction
+      ? { type: user.pendingAction.type, expiresAt: user.pendingAction.expiresAt || null }
+      : null,
+    conversation: user.conversation
+      ? { turns: (user.conversation.turns || []).length, updatedAt: user.conversation.updatedAt || null }
+      : null,
+    calendarFeed: user.calendarFeed ? { createdAt: user.calendarFeed.createdAt } : null
+  };
+}
+
+// Get raw storage data (for debugging), with secrets left out (see describeStoredUser)
 async function getStorageData() {
-  await ensureInitialized();
+  const users = await backend.listUsers();
+  const allUsers = {};
+  for (const user of users) {
+    allUsers[user.phoneNumber] = describeStoredUser(user);
+  }
+  
   return {
-    storageFile: STORAGE_FILE,
-    cacheSize: Object.keys(usersCache).length,
-    cacheKeys: Object.keys(usersCache),
-    allUsers: usersCache
+    ...(await getStorageInfo()),
+    cacheSize: users.length,
+    cacheKeys: Object.keys(allUsers),
+    allUsers
   };
 }
 
+/**
+ * Re-encrypt every user's tokens that are unencrypted or use an old key
+ * @param {Object} options - { dryRun } - only count what would change
+ * @returns {Object} - { checked, reencrypted, failed }
+ */
+async function reencryptAllTokens({ dryRun = false } = {}) {
+  const summary = { checked: 0, reencrypted: 0, failed: 0 };
+  
+  for (const user of await backend.listUsers()) {
+    summary.checked++;
+    if (!needsReencryption(user.googleCalendarTokens)) {
+      continue;
+    }
+    
+    try {
+      if (!dryRun) {
+        await backend.putUser(toStored(fromStored(user)));
+      }
+      console.log(`[ENCRYPTION] ${dryRun ? 'Would re-encrypt' : 'Re-encrypted'} tokens for ${user.phoneNumber}`);
+      summary.reencrypted++;
+    } catch (error) {
+      console.error(`[ENCRYPTION] Failed to re-encrypt tokens for ${user.phoneNumber}:`, error.message);
+      summary.failed++;
+    }
+  }
+  
+  return summary;
+}
+
 module.exports = {
   getUserByPhone,
   saveUser,
   saveCalendarTokens,
+  updateCalendarTokens,
+  unlinkCalendar,
+  deleteUser,
+  setUserTimezone,
+  setPendingAction,
+  clearPendingAction,
+  setConversation,
+  setDailyAgenda,
+  listAgendaSubscribers,
+  setReminderMinutes,
+  listReminderUsers,
+  setCalendarFeed,
+  getUserByFeedTokenHash,
+  claimMessage,
+  completeMessage,
+  putOutboundMessage,
+  getOutboundMessage,
+  listOutboundMessages,
+  claimOutboundMessage,
+  deleteOutboundMessage,
+  putReminderJob,
+  listReminderJobs,
+  deleteReminderJob,
+  pruneReminderJobs,
+  getAdminSession,
+  putAdminSession,
+  deleteAdminSession,
   getPendingOAuth,
   setPendingOAuth,
+  setPendingLinkCode,
   clearPendingOAuth,
   getAllUsers,
+  getStorageInfo,
   getStorageData,
-  STORAGE_FILE
+  reencryptAllTokens
 };
@@ -0,0 +1,92 @@
+// Webhook Signature - checks that WhatsApp webhook POSTs really come from Meta
+// Meta signs every payload with the app secret and sends the result as
+// X-Hub-Signature-256: sha256=<hex HMAC-SHA256 of the raw request body>
+const crypto = require('crypto');
+
+// Rejection counts since the process started (see /api/webhook/stats)
+const rejections = {
+  total: 0,
+  missing: 0,
+  invalid: 0,
+  notConfigured: 0,
+  lastRejectedAt: null
+};
+
+/**
+ * Check a signature header against the raw body
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signatureHeader - Value of X-Hub-Signature-256
+ * @param {string} appSecret - Meta app secret
+ * @returns {Object} - { valid: boolean, reason: 'missing' | 'invalid' | null }
+ */
+function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!signatureHeader || !rawBody) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const [scheme, signature] = signatureHeader.split('=');
+  if (scheme !== 'sha256' || !/^[0-9a-f]{64}$/i.test(signature || '')) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest();
+  const valid = crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+  return { valid, reason: valid ? null : 'invalid' };
+}
+
+const REJECTION_REASONS = {
+  missing: 'missing signature',
+  invalid: 'invalid signature',
+  notConfigured: 'app secret not configured'
+};
+
+function recordRejection(req, reason) {
+  rejections.total++;
+  rejections[reason]++;
+  rejections.lastRejectedAt = new Date().toISOString();
+  console.warn(`[SECURITY] Rejected webhook POST from ${req.ip}: ${REJECTION_REASONS[reason]} (${rejections.total} rejected so far)`);
+}
+
+/**
+ * Express middleware that rejects webhook POSTs without a valid signature
+ * Needs req.rawBody, captured by express.json({ verify }) in app.js
+ * @param {Object} options
+ * @param {string} options.appSecret - Meta app secret (WHATSAPP_APP_SECRET)
+ * @param {boolean} options.skip - Accept unsigned requests (local testing only)
+ */
+function requireWebhookSignature({ appSecret, skip = false }) {
+  if (skip) {
+    console.warn('[SECURITY] Webhook signature check is disabled - do not use this in production');
+  } else if (!appSecret) {
+    console.error('[SECURITY] WHATSAPP_APP_SECRET is not set - all webhook POSTs will be rejected');
+  }
+
+  return (req, res, next) => {
+    if (skip) {
+      return next();
+    }
+
+    if (!appSecret) {
+      recordRejection(req, 'notConfigured');
+      return res.sendStatus(500);
+    }
+
+    const { valid, reason } = verifySignature(req.rawBody, req.get('X-Hub-Signature-256'), appSecret);
+    if (!valid) {
+      recordRejection(req, reason);
+      return res.sendStatus(reason === 'missing' ? 401 : 403);
+    }
+
+    next();
+  };
+}
+
+function getRejectionStats() {
+  return { ...rejections };
+}
+
+module.exports = {
+  verifySignature,
+  requireWebhookSignature,
+  getRejectionStats
+};
@@ -0,0 +1,121 @@
+// WhatsApp client - sends one message through the WhatsApp Cloud (Graph) API, downloads
+// media users send (voice notes, documents) and uploads media to send (documents)
+// Retrying sends is up to the caller (see outboundQueue.js); errors say whether it's worth it
+const { request } = require('./httpClient');
+
+// Graph API error codes for throttling; some of them arrive with HTTP 400 rather than 429
+// 4: app rate limit, 80007: WABA rate limit, 130429: throughput limit, 131056: too many messages to one user
+const RATE_LIMIT_ERROR_CODES = [4, 80007, 130429, 131056];
+
+/**
+ * Send a message to a WhatsApp user
+ * @param {string} phoneNumberId - Business phone number to send from
+ * @param {string} to - Recipient phone number
+ * @param {Object} message - Message object without messaging_product/to, e.g. { type: 'text', text: { body } }
+ * @returns {Object} - Graph API response ({ messages: [{ id }] })
+ * @throws {Error} - From httpClient (status, code, retryable), plus rateLimited
+ */
+async function sendMessage(phoneNumberId, to, message) {
+  try {
+    return await request({
+      service: 'whatsapp',
+      method: 'POST',
+      path: `/${phoneNumberId}/messages`,
+      token: process.env.WHATSAPP_ACCESS_TOKEN,
+      body: {
+        messaging_product: 'whatsapp',
+        to: to,
+        ...message
+      },
+      // The outbound queue does the retrying
+      retries: 0
+    });
+  } catch (error) {
+    error.rateLimited = error.status === 429 || RATE_LIMIT_ERROR_CODES.includes(error.code);
+    error.retryable = error.retryable || error.rateLimited;
+    throw error;
+  }
+}
+
+/**
+ * Download media a user sent
+ * GET /{media-id} returns a short-lived URL, which is fetched with the same access token
+ * @param {string} mediaId - ID from the inbound message (e.g. message.audio.id)
+ * @param {Object} options
+ * @param {number} options.maxBytes - Refuse larger files before downloading them
+ * @returns {Object} - { data: Buffer, mimeType, size }
+ * @throws {Error} - From httpClient; tooLarge (and retryable false) if the file is over maxBytes
+ */
+async function downloadMedia(mediaId, { maxBytes } = {}) {
+  const media = await request({
+    service: 'whatsapp',
+    path: `/${encodeURIComponent(mediaId)}`,
+    token: process.env.WHATSAPP_ACCESS_TOKEN
+  });
+
+  if (!media || !media.url) {
+    throw Object.assign(new Error(`WhatsApp API error: no download URL for media ${mediaId}`), { retryable: false });
+  }
+  if (maxBytes && media.file_size > maxBytes) {
+    throw Object.assign(new Error(`Media ${mediaId} is ${media.file_size} bytes, over the ${maxBytes} byte limit`), {
+      tooLarge: true,
+      retryable: false
+    });
+  }
+
+  const data = await request({
+    service: 'whatsapp',
+    path: media.url,
+    token: process.env.WHATSAPP_ACCESS_TOKEN,
+    responseType: 'arraybuffer',
+    // file_size is only what Graph reports; the download itself stops at the limit too
+    maxBytes
+  });
+
+  const buffer = Buffer.from(data || []);
+
+  return {
+    data: buffer,
+    mimeType: media.mime_type || 'application/octet-stream',
+    size: buffer.length
+  };
+}
+
+/**
+ * Upload a file so it can be sent in a message (e.g. as { type: 'document', document: { id } })
+ * Uploaded media is kept by WhatsApp for 30 days, longer than a queued message waits
+ * @param {string} phoneNumberId - Business phone number that will send it
+ * @param {Object} file
+ * @param {Buffer} file.data - File contents
+ * @param {string} file.mimeType - One of the types WhatsApp accepts for the message type
+ * @param {string} file.filename
+ * @returns {string} - Media ID
+ * @throws {Error} - From httpClient (status, code, retryable)
+ */
+async function uploadMedia(phoneNumberId, { data, mimeType, filename }) {
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', mimeType);
+  form.append('file', new Blob([data], { type: mimeType }), filename);
+
+  const result = await request({
+    service: 'whatsapp',
+    method: 'POST',
+    path: `/${phoneNumberId}/media`,
+    token: process.env.WHATSAPP_ACCESS_TOKEN,
+    body: form,
+    // A repeated upload only leaves an unused copy behind
+    retries: 2
+  });
+
+  if (!result || !result.id) {
+    throw Object.assign(new Error('WhatsApp API error: upload returned no media ID'), { retryable: true });
+  }
+  return result.id;
+}
+
+module.exports = {
+  sendMessage,
+  downloadMedia,
+  uploadMedia
+};
@@ -0,0 +1,188 @@
+// WhatsApp Messages - builds the message objects sent through the outbound queue
+// and reads the user's taps on interactive messages
+//
+// Questions with a few set answers (yes/no, which event, which free slot) go out as
+// interactive messages: up to 3 reply buttons, or a list of up to 10 rows. Each button or
+// row carries, as its ID, the text reply the conversation already understands ("yes", "2",
+// "book anyway"), so a tap is handled exactly like typing that reply.
+// See https://developers.facebook.com/docs/whatsapp/cloud-api/messages/interactive-messages
+
+// Cloud API limits for interactive messages
+const LIMITS = {
+  body: 1024,
+  header: 60,
+  footer: 60,
+  buttons: 3,
+  buttonTitle: 20,
+  listButton: 20,
+  rows: 10,
+  rowTitle: 24,
+  rowDescription: 72,
+  id: 256
+};
+
+const DEFAULT_LIST_BUTTON = 'Choose one';
+
+// Shorten text to a length limit, marking the cut
+function truncate(text, max) {
+  const value = String(text || '');
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+// Optional header and footer shared by both interactive types
+function withExtras(interactive, { header, footer } = {}) {
+  if (header) {
+    interactive.header = { type: 'text', text: truncate(header, LIMITS.header) };
+  }
+  if (footer) {
+    interactive.footer = { text: truncate(footer, LIMITS.footer) };
+  }
+  return interactive;
+}
+
+/**
+ * Plain text message
+ * @param {string} body
+ * @returns {Object} - { type: 'text', text: { body } }
+ */
+function textMessage(body) {
+  return {
+    type: 'text',
+    text: {
+      body
+    }
+  };
+}
+
+/**
+ * Document message, for a file uploaded with whatsappClient.uploadMedia
+ * @param {string} mediaId
+ * @param {string} filename - Name shown to the user (and used to pick the app that opens it)
+ * @param {string} caption - Text under the file (optional)
+ * @returns {Object}
+ */
+function documentMessage(mediaId, filename, caption) {
+  return {
+    type: 'document',
+    document: {
+      id: mediaId,
+      filename,
+      ...(caption ? { caption: truncate(caption, LIMITS.body) } : {})
+    }
+  };
+}
+
+/**
+ * Message with up to 3 reply buttons
+ * @param {string} body - Message text (up to 1024 characters)
+ * @param {Array} buttons - [{ id, title }] - title up to 20 characters
+ * @param {Object} options - { header, footer }
+ * @returns {Object}
+ */
+function buttonMessage(body, buttons, options = {}) {
+  if (!buttons.length || buttons.length > LIMITS.buttons) {
+    throw new Error(`A button message needs 1 to ${LIMITS.buttons} buttons, got ${buttons.length}`);
+  }
+
+  return {
+    type: 'interactive',
+    interactive: withExtras({
+      type: 'button',
+      body: { text: truncate(body, LIMITS.body) },
+      action: {
+        buttons: buttons.map(button => ({
+          type: 'reply',
+          reply: {
+            id: truncate(button.id, LIMITS.id),
+            title: truncate(button.title, LIMITS.buttonTitle)
+          }
+        }))
+      }
+    }, options)
+  };
+}
+
+/**
+ * Message with a button that opens a list of up to 10 rows
+ * @param {string} body - Message text (up to 1024 characters)
+ * @param {string} buttonText - Label of the button that opens the list (up to 20 characters)
+ * @param {Array} sections - [{ title, rows: [{ id, title, description }] }]; title is only needed
+ *                           with more than one section
+ * @param {Object} options - { header, footer }
+ * @returns {Object}
+ */
+function listMessage(body, buttonText, sections, options = {}) {
+  const rowCount = sections.reduce((count, section) => count + section.rows.length, 0);
+  if (!rowCount || rowCount > LIMITS.rows) {
+    throw new Error(`A list message needs 1 to ${LIMITS.rows} rows, got ${rowCount}`);
+  }
+
+  return {
+    type: 'interactive',
+    interactive: withExtras({
+      type: 'list',
+      body: { text: truncate(body, LIMITS.body) },
+      action: {
+        button: truncate(buttonText, LIMITS.listButton),
+        sections: sections.map(section => ({
+          ...(section.title ? { title: truncate(section.title, LIMITS.rowTitle) } : {}),
+          rows: section.rows.map(row => ({
+            id: truncate(row.id, LIMITS.id),
+            title: truncate(row.title, LIMITS.rowTitle),
+            ...(row.description ? { description: truncate(row.description, LIMITS.rowDescription) } : {})
+          }))
+        }))
+      }
+    }, options)
+  };
+}
+
+/**
+ * Pick the best message type for a question with set answers
+ * - up to 3 answers without descriptions: reply buttons
+ * - up to 10 answers: a list
+ * - otherwise (or with a body too long for an interactive message): plain text
+ * The body should still say how to answer by typing, for clients that can't show buttons
+ * @param {string} body - Message text
+ * @param {Array} choices - [{ reply, title, description }] - reply is the text a tap stands for
+ * @param {Object} options - { button } - list button label
+ * @returns {Object} - Message object for the outbound queue
+ */
+function choiceMessage(body, choices, options = {}) {
+  if (!choices || !choices.length || choices.length > LIMITS.rows || body.length > LIMITS.body) {
+    return textMessage(body);
+  }
+
+  const answers = choices.map(choice => ({ id: choice.reply, title: choice.title, description: choice.description }));
+  if (answers.length <= LIMITS.buttons && !answers.some(answer => answer.description)) {
+    return buttonMessage(body, answers);
+  }
+  return listMessage(body, options.button || DEFAULT_LIST_BUTTON, [{ rows: answers }]);
+}
+
+/**
+ * The reply a tap on a button or list row stands for
+ * @param {Object} message - Inbound message from the webhook payload
+ * @returns {string|null} - Reply text, or null if the message is not a tap
+ */
+function getInteractiveReply(message) {
+  if (message.type === 'interactive') {
+    const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+    return reply ? (reply.id || reply.title || null) : null;
+  }
+  if (message.type === 'button') {
+    // Quick-reply buttons on template messages
+    return message.button?.payload || message.button?.text || null;
+  }
+  return null;
+}
+
+module.exports = {
+  textMessage,
+  documentMessage,
+  buttonMessage,
+  listMessage,
+  choiceMessage,
+  getInteractiveReply,
+  LIMITS
+};